@@ -1,5 +1,5 @@
 import { useState, useEffect, useMemo } from 'react';
-import { VscRefresh, VscGraph, VscPulse, VscCheck, VscSymbolMethod } from 'react-icons/vsc';
+import { VscRefresh, VscGraph, VscPulse, VscCheck, VscSymbolMethod, VscKey, VscDashboard } from 'react-icons/vsc';
 import dashboardService from './dashboardService';
 import { BentoCard, BentoGrid } from '../../components/ui/MagicBento';
 import CountUp from '../../components/ui/CountUp';
@@ -157,6 +157,107 @@ const StatCard = ({ icon, label, value, suffix = '', color = 'default' }) => (
     </BentoCard>
 );
 
+// Per-caller usage table (API keys and admin users)
+const CallerUsageTable = ({ callers, period, t }) => {
+    if (callers.length === 0) {
+        return (
+            <div className="pie-chart-empty">
+                <VscKey size={32} />
+                <span>{t('dashboard.noCallerUsage')}</span>
+            </div>
+        );
+    }
+
+    const tokenBudgetKey = period === 'month' ? 'monthlyTokenBudget' : 'dailyTokenBudget';
+    const requestBudgetKey = period === 'month' ? 'monthlyRequestBudget' : 'dailyRequestBudget';
+    const formatBudget = (used, limit) => limit ? `${Math.min(100, Math.round((used / limit) * 100))}% / ${limit.toLocaleString()}` : '-';
+
+    return (
+        <table className="history-table caller-usage-table">
+            <thead>
+                <tr>
+                    <th>{t('dashboard.caller')}</th>
+                    <th>{t('dashboard.requests')}</th>
+                    <th>{t('dashboard.errors')}</th>
+                    <th>Input</th>
+                    <th>Output</th>
+                    <th>{t('dashboard.totalTokens')}</th>
+                    <th>{t('dashboard.tokenBudget')}</th>
+                    <th>{t('dashboard.requestBudget')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                {callers.map(caller => (
+                    <tr key={caller.id}>
+                        <td
+                            className="model-cell"
+                            title={caller.models.map(m => `${m.model}: ${m.requests} req, ${m.totalTokens.toLocaleString()} tokens`).join('\n')}
+                        >
+                            {caller.name || caller.id}
+                        </td>
+                        <td>{caller.requests.toLocaleString()}</td>
+                        <td>{caller.errors.toLocaleString()}</td>
+                        <td>{caller.inputTokens.toLocaleString()}</td>
+                        <td>{caller.outputTokens.toLocaleString()}</td>
+                        <td>{caller.totalTokens.toLocaleString()}</td>
+                        <td>{formatBudget(caller.totalTokens, caller.budgets?.[tokenBudgetKey])}</td>
+                        <td>{formatBudget(caller.requests, caller.budgets?.[requestBudgetKey])}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+// Remaining quota per model across all enabled accounts
+const QuotaOverviewTable = ({ overview, t }) => {
+    if (!overview || overview.models.length === 0) {
+        return (
+            <div className="pie-chart-empty">
+                <VscDashboard size={32} />
+                <span>{t('dashboard.noQuotaData')}</span>
+            </div>
+        );
+    }
+
+    const accountNames = Object.fromEntries(overview.accounts.map(account => [account.id, account.email || account.id]));
+
+    return (
+        <table className="history-table quota-overview-table">
+            <thead>
+                <tr>
+                    <th>{t('dashboard.model')}</th>
+                    <th>{t('dashboard.capacity')}</th>
+                    <th>{t('dashboard.earliestReset')}</th>
+                    <th>{t('dashboard.exhaustedAccounts')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                {overview.models.map(item => {
+                    const percentage = item.accounts > 0 ? (item.totalRemaining / item.accounts) * 100 : 0;
+                    const barColor = percentage > 50 ? '#10b981' : percentage > 20 ? '#f59e0b' : '#ef4444';
+                    const exhausted = item.exhausted.map(id => accountNames[id] || id);
+                    return (
+                        <tr key={item.model}>
+                            <td className="model-cell" title={item.model}>{item.model}</td>
+                            <td title={Object.entries(item.quotas).map(([id, quota]) => `${accountNames[id] || id}: ${(quota.remaining * 100).toFixed(0)}%`).join('\n')}>
+                                <span className="quota-summary-bar">
+                                    <span style={{ width: `${percentage}%`, background: barColor }}></span>
+                                </span>
+                                {' '}{item.totalRemaining} / {item.accounts}
+                            </td>
+                            <td>{item.earliestReset ? new Date(item.earliestReset).toLocaleString() : '-'}</td>
+                            <td className="model-cell" title={exhausted.join('\n')}>
+                                {exhausted.length > 0 ? exhausted.join(', ') : '-'}
+                            </td>
+                        </tr>
+                    );
+                })}
+            </tbody>
+        </table>
+    );
+};
+
 const DashboardPage = () => {
     const { t } = useI18n();
     const { showToast } = useToast();
@@ -166,6 +267,10 @@ const DashboardPage = () => {
     const [loading, setLoading] = useState(false);
     const [selectedDate, setSelectedDate] = useState(null); // null = today
     const [availableDates, setAvailableDates] = useState([]);
+    const [usage, setUsage] = useState(null);
+    const [usagePeriod, setUsagePeriod] = useState('day');
+    const [quotaOverview, setQuotaOverview] = useState(null);
+    const [refreshingQuota, setRefreshingQuota] = useState(false);
 
     const loadAvailableDates = async () => {
         try {
@@ -178,6 +283,32 @@ const DashboardPage = () => {
         }
     };
 
+    const loadUsage = async (period = usagePeriod, date = selectedDate) => {
+        try {
+            // Monthly view covers the month of the selected day
+            const res = await dashboardService.getUsage(period, date && period === 'month' ? date.slice(0, 7) : date);
+            if (res.success && res.data) {
+                setUsage(res.data);
+            }
+        } catch (err) {
+            console.error('Failed to load usage:', err);
+        }
+    };
+
+    const loadQuotaOverview = async (refresh = false) => {
+        if (refresh) setRefreshingQuota(true);
+        try {
+            const res = await dashboardService.getQuotaOverview(refresh);
+            if (res.success && res.data) {
+                setQuotaOverview(res.data);
+            }
+        } catch (err) {
+            console.error('Failed to load quota overview:', err);
+        } finally {
+            if (refresh) setRefreshingQuota(false);
+        }
+    };
+
     const loadDashboard = async (date = selectedDate) => {
         setLoading(true);
         try {
@@ -185,6 +316,7 @@ const DashboardPage = () => {
             if (res.success && res.data) {
                 setData(res.data);
             }
+            await Promise.all([loadUsage(usagePeriod, date), loadQuotaOverview()]);
         } catch (err) {
             showToast('Failed to load dashboard', 'error');
         } finally {
@@ -339,6 +471,41 @@ const DashboardPage = () => {
                             <PieChart data={data.modelBreakdown} />
                         </BentoCard>
                     </div>
+
+                    {/* Usage by API key / user */}
+                    <BentoCard className="chart-card caller-usage-card">
+                        <div className="chart-header caller-usage-header">
+                            <h3>{t('dashboard.callerUsage')}</h3>
+                            <select
+                                className="date-select"
+                                value={usagePeriod}
+                                onChange={(e) => {
+                                    setUsagePeriod(e.target.value);
+                                    loadUsage(e.target.value);
+                                }}
+                            >
+                                <option value="day">{t('dashboard.periodDay')}</option>
+                                <option value="month">{t('dashboard.periodMonth')}</option>
+                            </select>
+                        </div>
+                        <CallerUsageTable callers={usage?.callers || []} period={usagePeriod} t={t} />
+                    </BentoCard>
+
+                    {/* Quota across all accounts */}
+                    <BentoCard className="chart-card caller-usage-card">
+                        <div className="chart-header caller-usage-header">
+                            <h3>{t('dashboard.quotaOverview')}</h3>
+                            <button
+                                className="btn btn-secondary btn-sm"
+                                onClick={() => loadQuotaOverview(true)}
+                                disabled={refreshingQuota}
+                            >
+                                <VscRefresh size={14} className={refreshingQuota ? 'spinning' : ''} />
+                                {t('buttons.refreshQuota')}
+                            </button>
+                        </div>
+                        <QuotaOverviewTable overview={quotaOverview} t={t} />
+                    </BentoCard>
                 </div>
             ) : (
                 <div className="empty-state">
@@ -9,7 +9,18 @@ export const getAvailableDates = async () => {
     return axiosClient.get('/admin/dashboard/dates');
 };
 
+export const getUsage = async (period = 'day', date = null) => {
+    const params = date ? `&date=${date}` : '';
+    return axiosClient.get(`/admin/usage?period=${period}${params}`);
+};
+
+export const getQuotaOverview = async (refresh = false) => {
+    return axiosClient.get(`/admin/quotas${refresh ? '?refresh=true' : ''}`);
+};
+
 export default {
     getDashboardData,
-    getAvailableDates
+    getAvailableDates,
+    getUsage,
+    getQuotaOverview
 };
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { VscRefresh, VscTrash, VscError, VscCheck, VscClose } from 'react-icons/vsc';
+import { VscRefresh, VscTrash, VscError, VscCheck, VscClose, VscDebugDisconnect, VscCircleSlash } from 'react-icons/vsc';
 import historyService from './historyService';
 import { useI18n } from '../../context/I18nContext';
 import { useToast } from '../../context/ToastContext';
@@ -64,6 +64,10 @@ const HistoryPage = () => {
         return `${(ms / 1000).toFixed(1)}s`;
     };
 
+    // Requests that failed over to other accounts carry more than one attempt
+    const hasFailover = (item) => Array.isArray(item.attempts) && item.attempts.length > 1;
+    const hasDetails = (item) => Boolean(item.errorMessage) || hasFailover(item) || Boolean(item.fallbackModel);
+
     return (
         <div id="historyPage">
             <div className="top-bar">
@@ -111,6 +115,7 @@ const HistoryPage = () => {
                                 <th>Time</th>
                                 <th>Model</th>
                                 <th>Token</th>
+                                <th>Client</th>
                                 <th>Status</th>
                                 <th>Duration</th>
                                 <th>Tokens</th>
@@ -121,18 +126,33 @@ const HistoryPage = () => {
                             {history.map((item) => (
                                 <tr
                                     key={item.id}
-                                    className={item.status === 'error' ? 'error-row' : ''}
-                                    onClick={() => item.errorMessage && setSelectedItem(item)}
-                                    style={{ cursor: item.errorMessage ? 'pointer' : 'default' }}
+                                    className={item.status === 'error' || item.status === 'empty_response' ? 'error-row' : ''}
+                                    onClick={() => hasDetails(item) && setSelectedItem(item)}
+                                    style={{ cursor: hasDetails(item) ? 'pointer' : 'default' }}
                                 >
                                     <td>{formatTime(item.timestamp)}</td>
-                                    <td className="model-cell" title={item.model}>
+                                    <td className="model-cell" title={item.fallbackModel ? `${item.model} → ${item.fallbackModel}` : item.model}>
                                         {item.model?.split('/').pop() || item.model}
+                                        {item.fallbackModel && (
+                                            <span className="attempt-badge">→ {item.fallbackModel}</span>
+                                        )}
+                                    </td>
+                                    <td className="token-cell">
+                                        {item.tokenId || '-'}
+                                        {hasFailover(item) && (
+                                            <span className="attempt-badge" title={`${item.attempts.length} attempts`}>
+                                                ×{item.attempts.length}
+                                            </span>
+                                        )}
                                     </td>
-                                    <td className="token-cell">{item.tokenId || '-'}</td>
+                                    <td className="model-cell" title={item.caller?.id}>{item.caller?.name || '-'}</td>
                                     <td>
                                         {item.status === 'success' ? (
                                             <span className="status-badge success"><VscCheck size={12} /> OK</span>
+                                        ) : item.status === 'cancelled' ? (
+                                            <span className="status-badge cancelled" title="Client disconnected"><VscDebugDisconnect size={12} /> Cancelled</span>
+                                        ) : item.status === 'empty_response' ? (
+                                            <span className="status-badge error" title="No text or tool call, retries exhausted"><VscCircleSlash size={12} /> Empty</span>
                                         ) : (
                                             <span className="status-badge error"><VscError size={12} /> {item.statusCode}</span>
                                         )}
@@ -158,7 +178,7 @@ const HistoryPage = () => {
                 <Modal
                     isOpen={true}
                     onClose={() => setSelectedItem(null)}
-                    title="Error Details"
+                    title={selectedItem.errorMessage ? 'Error Details' : 'Request Details'}
                     actions={
                         <button className="btn btn-secondary" onClick={() => setSelectedItem(null)}>
                             Close
@@ -169,16 +189,46 @@ const HistoryPage = () => {
                         <div className="error-detail-row">
                             <strong>Model:</strong> {selectedItem.model}
                         </div>
+                        {selectedItem.fallbackModel && (
+                            <div className="error-detail-row">
+                                <strong>Served by:</strong> {selectedItem.fallbackModel}
+                            </div>
+                        )}
                         <div className="error-detail-row">
                             <strong>Status:</strong> {selectedItem.statusCode}
                         </div>
+                        {selectedItem.caller && (
+                            <div className="error-detail-row">
+                                <strong>Client:</strong> {selectedItem.caller.name} ({selectedItem.caller.id})
+                            </div>
+                        )}
                         <div className="error-detail-row">
                             <strong>Time:</strong> {formatTime(selectedItem.timestamp)}
                         </div>
-                        <div className="error-detail-row">
-                            <strong>Error:</strong>
-                            <pre className="error-message">{selectedItem.errorMessage}</pre>
-                        </div>
+                        {hasFailover(selectedItem) && (
+                            <div className="error-detail-row">
+                                <strong>Attempts:</strong>
+                                <ol className="attempt-list">
+                                    {selectedItem.attempts.map((attempt, index) => (
+                                        <li key={index}>
+                                            <span className="token-cell">{attempt.tokenId}</span>
+                                            {attempt.model && <span className="attempt-error"> {attempt.model}</span>}
+                                            {' '}
+                                            <span className={`status-badge ${attempt.statusCode === 200 ? 'success' : 'error'}`}>
+                                                {attempt.statusCode === 200 ? 'OK' : attempt.statusCode}
+                                            </span>
+                                            {attempt.error && <span className="attempt-error"> {attempt.error}</span>}
+                                        </li>
+                                    ))}
+                                </ol>
+                            </div>
+                        )}
+                        {selectedItem.errorMessage && (
+                            <div className="error-detail-row">
+                                <strong>Error:</strong>
+                                <pre className="error-message">{selectedItem.errorMessage}</pre>
+                            </div>
+                        )}
                     </div>
                 </Modal>
             )}
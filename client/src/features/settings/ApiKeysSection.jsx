@@ -0,0 +1,252 @@
+import { useState, useEffect, useCallback } from 'react';
+import { VscAdd, VscCopy, VscKey, VscSync, VscTrash } from 'react-icons/vsc';
+import apiKeyService from './apiKeyService';
+import { useI18n } from '../../context/I18nContext';
+import { useToast } from '../../context/ToastContext';
+import { useConfirm } from '../../context/ConfirmContext';
+import Modal from '../../components/common/Modal';
+
+// Optional numeric limits, empty means unlimited
+const LIMIT_FIELDS = ['rpm', 'dailyTokenBudget', 'monthlyTokenBudget', 'dailyRequestBudget', 'monthlyRequestBudget'];
+
+const EMPTY_FORM = {
+    name: '',
+    models: '',
+    pools: '',
+    expiresAt: '',
+    ...Object.fromEntries(LIMIT_FIELDS.map(field => [field, '']))
+};
+
+const ApiKeysSection = () => {
+    const { t } = useI18n();
+    const { showToast } = useToast();
+    const { confirm } = useConfirm();
+
+    const [keys, setKeys] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [creating, setCreating] = useState(false);
+    // Plaintext key is only returned on create / rotate, shown once
+    const [issuedKey, setIssuedKey] = useState(null);
+
+    const loadKeys = useCallback(async () => {
+        try {
+            const res = await apiKeyService.getAll();
+            if (res.success) setKeys(res.data || []);
+        } catch (err) {
+            showToast(t('apiKeys.loadFailed') + ': ' + err.message, 'error');
+        }
+    }, [showToast, t]);
+
+    useEffect(() => {
+        loadKeys();
+    }, [loadKeys]);
+
+    const handleChange = (key, value) => {
+        setForm(prev => ({ ...prev, [key]: value }));
+    };
+
+    const handleCreate = async () => {
+        setCreating(true);
+        try {
+            const res = await apiKeyService.create({
+                name: form.name,
+                models: form.models,
+                pools: form.pools,
+                expiresAt: form.expiresAt ? new Date(`${form.expiresAt}T23:59:59`).getTime() : null,
+                ...Object.fromEntries(LIMIT_FIELDS.map(field => [field, form[field] || null]))
+            });
+            if (res.success) {
+                setIssuedKey(res.data);
+                setForm(EMPTY_FORM);
+                loadKeys();
+            } else {
+                showToast(res.message || t('messages.addFailed'), 'error');
+            }
+        } catch (err) {
+            showToast(err.response?.data?.message || err.message, 'error');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleRotate = async (item) => {
+        const ok = await confirm(t('apiKeys.rotateConfirm', { name: item.name }), t('modals.confirmOperation'));
+        if (!ok) return;
+        try {
+            const res = await apiKeyService.rotate(item.id);
+            if (res.success) {
+                setIssuedKey(res.data);
+                loadKeys();
+            }
+        } catch (err) {
+            showToast(t('messages.operationFailed') + ': ' + err.message, 'error');
+        }
+    };
+
+    const handleRevoke = async (item) => {
+        const ok = await confirm(t('apiKeys.revokeConfirm', { name: item.name }), t('modals.confirmOperation'));
+        if (!ok) return;
+        try {
+            const res = await apiKeyService.revoke(item.id);
+            if (res.success) {
+                showToast(t('apiKeys.revoked'), 'success');
+                loadKeys();
+            }
+        } catch (err) {
+            showToast(t('messages.operationFailed') + ': ' + err.message, 'error');
+        }
+    };
+
+    const handleCopy = () => {
+        navigator.clipboard.writeText(issuedKey.key)
+            .then(() => showToast(t('apiKeys.copied'), 'success'))
+            .catch(() => showToast(t('messages.copyFailed'), 'error'));
+    };
+
+    const formatDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleDateString() : '-';
+
+    // Tokens used, with the budget when one is set
+    const formatUsage = (used, budget) => budget ? `${used.toLocaleString()} / ${budget.toLocaleString()}` : used.toLocaleString();
+    const formatUsageTitle = (totals, requestBudget) => `${t('apiKeys.requests')}: ${formatUsage(totals.requests, requestBudget)}`;
+
+    const getStatus = (item) => {
+        if (item.revoked) return { label: t('apiKeys.statusRevoked'), className: 'error' };
+        if (item.expired) return { label: t('apiKeys.statusExpired'), className: 'error' };
+        return { label: t('apiKeys.statusActive'), className: 'success' };
+    };
+
+    return (
+        <div className="config-section">
+            <h4>{t('apiKeys.title')}</h4>
+            <p className="api-keys-hint">{t('apiKeys.hint')}</p>
+
+            <div className="form-grid">
+                <div className="form-group">
+                    <label>{t('apiKeys.name')}</label>
+                    <input
+                        type="text"
+                        value={form.name}
+                        onChange={(e) => handleChange('name', e.target.value)}
+                        placeholder="team-a"
+                    />
+                </div>
+                <div className="form-group">
+                    <label>{t('apiKeys.models')}</label>
+                    <input
+                        type="text"
+                        value={form.models}
+                        onChange={(e) => handleChange('models', e.target.value)}
+                        placeholder="gemini-*, claude-sonnet-4-5"
+                    />
+                </div>
+                <div className="form-group">
+                    <label>{t('apiKeys.pools')}</label>
+                    <input
+                        type="text"
+                        value={form.pools}
+                        onChange={(e) => handleChange('pools', e.target.value)}
+                        placeholder={t('apiKeys.allAccounts')}
+                    />
+                </div>
+                <div className="form-group">
+                    <label>{t('apiKeys.expiresAt')}</label>
+                    <input
+                        type="date"
+                        value={form.expiresAt}
+                        onChange={(e) => handleChange('expiresAt', e.target.value)}
+                    />
+                </div>
+                {LIMIT_FIELDS.map(field => (
+                    <div className="form-group" key={field}>
+                        <label>{t(`apiKeys.${field}`)}</label>
+                        <input
+                            type="number"
+                            min="1"
+                            value={form[field]}
+                            onChange={(e) => handleChange(field, e.target.value)}
+                            placeholder={t('apiKeys.unlimited')}
+                        />
+                    </div>
+                ))}
+            </div>
+            <div className="api-keys-actions">
+                <button type="button" className="btn btn-primary btn-sm" onClick={handleCreate} disabled={creating}>
+                    <VscAdd size={14} />
+                    {t('apiKeys.create')}
+                </button>
+            </div>
+
+            {keys.length > 0 && (
+                <div className="history-table-wrapper api-keys-table">
+                    <table className="history-table">
+                        <thead>
+                            <tr>
+                                <th>{t('apiKeys.name')}</th>
+                                <th>{t('apiKeys.key')}</th>
+                                <th>{t('apiKeys.models')}</th>
+                                <th>{t('apiKeys.pools')}</th>
+                                <th>{t('apiKeys.rpm')}</th>
+                                <th>{t('apiKeys.usageToday')}</th>
+                                <th>{t('apiKeys.usageMonth')}</th>
+                                <th>{t('apiKeys.expiresAt')}</th>
+                                <th>{t('apiKeys.status')}</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {keys.map((item) => {
+                                const status = getStatus(item);
+                                return (
+                                    <tr key={item.id}>
+                                        <td>{item.name}</td>
+                                        <td className="token-cell">{item.preview}</td>
+                                        <td className="model-cell" title={item.models.join(', ')}>
+                                            {item.models.length > 0 ? item.models.join(', ') : t('apiKeys.allModels')}
+                                        </td>
+                                        <td>{item.pools?.length > 0 ? item.pools.join(', ') : t('apiKeys.allAccounts')}</td>
+                                        <td>{item.rpm || '∞'}</td>
+                                        <td title={formatUsageTitle(item.usage.day, item.dailyRequestBudget)}>
+                                            {formatUsage(item.usage.day.totalTokens, item.dailyTokenBudget)}
+                                        </td>
+                                        <td title={formatUsageTitle(item.usage.month, item.monthlyRequestBudget)}>
+                                            {formatUsage(item.usage.month.totalTokens, item.monthlyTokenBudget)}
+                                        </td>
+                                        <td>{formatDate(item.expiresAt)}</td>
+                                        <td><span className={`status-badge ${status.className}`}>{status.label}</span></td>
+                                        <td className="api-key-buttons">
+                                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleRotate(item)} title={t('apiKeys.rotate')}>
+                                                <VscSync size={14} />
+                                            </button>
+                                            <button type="button" className="btn btn-danger btn-sm" onClick={() => handleRevoke(item)} disabled={item.revoked} title={t('apiKeys.revoke')}>
+                                                <VscTrash size={14} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {issuedKey && (
+                <Modal
+                    isOpen={true}
+                    onClose={() => setIssuedKey(null)}
+                    title={<><VscKey size={16} /> {issuedKey.name}</>}
+                    actions={
+                        <>
+                            <button className="btn btn-secondary" onClick={() => setIssuedKey(null)}>{t('buttons.close')}</button>
+                            <button className="btn btn-primary" onClick={handleCopy}><VscCopy size={14} /> {t('apiKeys.copy')}</button>
+                        </>
+                    }
+                >
+                    <p className="api-keys-hint">{t('apiKeys.showOnce')}</p>
+                    <pre className="error-message">{issuedKey.key}</pre>
+                </Modal>
+            )}
+        </div>
+    );
+};
+
+export default ApiKeysSection;
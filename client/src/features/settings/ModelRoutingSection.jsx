@@ -0,0 +1,272 @@
+import { useState, useEffect, useCallback } from 'react';
+import { VscAdd, VscTrash } from 'react-icons/vsc';
+import modelRoutingService from './modelRoutingService';
+import { useI18n } from '../../context/I18nContext';
+import { useToast } from '../../context/ToastContext';
+
+// Preset parameters of a virtual model, empty uses the request / global default
+const PRESET_FIELDS = ['temperature', 'topP', 'topK', 'maxTokens', 'thinkingBudget'];
+
+const EMPTY_ALIAS = { match: '', target: '' };
+const EMPTY_FALLBACK = { match: '', chain: '' };
+const EMPTY_VIRTUAL = {
+    id: '',
+    target: '',
+    systemPrompt: '',
+    imageSize: '',
+    ...Object.fromEntries(PRESET_FIELDS.map(field => [field, '']))
+};
+
+const ModelRoutingSection = () => {
+    const { t } = useI18n();
+    const { showToast } = useToast();
+
+    const [aliases, setAliases] = useState([]);
+    const [thinking, setThinking] = useState('');
+    const [virtualModels, setVirtualModels] = useState([]);
+    const [fallbacks, setFallbacks] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const applyRouting = useCallback((data) => {
+        setAliases(data.aliases || []);
+        setThinking((data.thinking || []).join(', '));
+        setVirtualModels((data.virtual || []).map(model => ({ ...EMPTY_VIRTUAL, ...model })));
+        setFallbacks((data.fallbacks || []).map(entry => ({ match: entry.match, chain: entry.chain.join(', ') })));
+    }, []);
+
+    const loadRouting = useCallback(async () => {
+        try {
+            const res = await modelRoutingService.get();
+            if (res.success) applyRouting(res.data);
+        } catch (err) {
+            showToast(t('modelRouting.loadFailed') + ': ' + err.message, 'error');
+        }
+    }, [applyRouting, showToast, t]);
+
+    useEffect(() => {
+        loadRouting();
+    }, [loadRouting]);
+
+    const updateRow = (setRows, index, key, value) => {
+        setRows(prev => prev.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+    };
+
+    const removeRow = (setRows, index) => {
+        setRows(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const res = await modelRoutingService.update({
+                aliases: aliases.filter(alias => alias.match || alias.target),
+                thinking,
+                virtual: virtualModels.filter(model => model.id || model.target),
+                fallbacks: fallbacks.filter(entry => entry.match || entry.chain)
+            });
+            if (res.success) {
+                applyRouting(res.data);
+                showToast(t('modelRouting.saved'), 'success');
+            } else {
+                showToast(res.message || t('messages.saveFailed'), 'error');
+            }
+        } catch (err) {
+            showToast(err.response?.data?.message || err.message, 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="config-section">
+            <h4>{t('modelRouting.title')}</h4>
+            <p className="api-keys-hint">{t('modelRouting.hint')}</p>
+
+            <h5 className="model-routing-subtitle">{t('modelRouting.aliases')}</h5>
+            <div className="history-table-wrapper">
+                <table className="history-table model-routing-table">
+                    <thead>
+                        <tr>
+                            <th>{t('modelRouting.match')}</th>
+                            <th>{t('modelRouting.target')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {aliases.map((alias, index) => (
+                            <tr key={index}>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={alias.match}
+                                        onChange={(e) => updateRow(setAliases, index, 'match', e.target.value)}
+                                        placeholder="claude-haiku-4-5*"
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={alias.target}
+                                        onChange={(e) => updateRow(setAliases, index, 'target', e.target.value)}
+                                        placeholder="claude-sonnet-4-5"
+                                    />
+                                </td>
+                                <td className="api-key-buttons">
+                                    <button type="button" className="btn btn-danger btn-sm" onClick={() => removeRow(setAliases, index)} title={t('modelRouting.remove')}>
+                                        <VscTrash size={14} />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="api-keys-actions">
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setAliases(prev => [...prev, EMPTY_ALIAS])}>
+                    <VscAdd size={14} />
+                    {t('modelRouting.addAlias')}
+                </button>
+            </div>
+
+            <div className="form-group">
+                <label>{t('modelRouting.thinking')}</label>
+                <input
+                    type="text"
+                    value={thinking}
+                    onChange={(e) => setThinking(e.target.value)}
+                    placeholder="*-thinking, gemini-2.5-pro"
+                />
+            </div>
+
+            <h5 className="model-routing-subtitle">{t('modelRouting.virtual')}</h5>
+            <div className="history-table-wrapper">
+                <table className="history-table model-routing-table">
+                    <thead>
+                        <tr>
+                            <th>{t('modelRouting.id')}</th>
+                            <th>{t('modelRouting.target')}</th>
+                            {PRESET_FIELDS.map(field => <th key={field}>{t(`modelRouting.${field}`)}</th>)}
+                            <th>{t('modelRouting.imageSize')}</th>
+                            <th>{t('modelRouting.systemPrompt')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {virtualModels.map((model, index) => (
+                            <tr key={index}>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={model.id}
+                                        onChange={(e) => updateRow(setVirtualModels, index, 'id', e.target.value)}
+                                        placeholder="gemini-pro-deep"
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={model.target}
+                                        onChange={(e) => updateRow(setVirtualModels, index, 'target', e.target.value)}
+                                        placeholder="gemini-2.5-pro"
+                                    />
+                                </td>
+                                {PRESET_FIELDS.map(field => (
+                                    <td key={field}>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="any"
+                                            value={model[field]}
+                                            onChange={(e) => updateRow(setVirtualModels, index, field, e.target.value)}
+                                            placeholder={t('modelRouting.default')}
+                                        />
+                                    </td>
+                                ))}
+                                <td>
+                                    <select
+                                        value={model.imageSize}
+                                        onChange={(e) => updateRow(setVirtualModels, index, 'imageSize', e.target.value)}
+                                    >
+                                        <option value="">-</option>
+                                        <option value="1K">1K</option>
+                                        <option value="2K">2K</option>
+                                        <option value="4K">4K</option>
+                                    </select>
+                                </td>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={model.systemPrompt}
+                                        onChange={(e) => updateRow(setVirtualModels, index, 'systemPrompt', e.target.value)}
+                                    />
+                                </td>
+                                <td className="api-key-buttons">
+                                    <button type="button" className="btn btn-danger btn-sm" onClick={() => removeRow(setVirtualModels, index)} title={t('modelRouting.remove')}>
+                                        <VscTrash size={14} />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="api-keys-actions">
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setVirtualModels(prev => [...prev, EMPTY_VIRTUAL])}>
+                    <VscAdd size={14} />
+                    {t('modelRouting.addVirtual')}
+                </button>
+            </div>
+
+            <h5 className="model-routing-subtitle">{t('modelRouting.fallbacks')}</h5>
+            <div className="history-table-wrapper">
+                <table className="history-table model-routing-table">
+                    <thead>
+                        <tr>
+                            <th>{t('modelRouting.match')}</th>
+                            <th>{t('modelRouting.chain')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {fallbacks.map((entry, index) => (
+                            <tr key={index}>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={entry.match}
+                                        onChange={(e) => updateRow(setFallbacks, index, 'match', e.target.value)}
+                                        placeholder="claude-opus-4-5-thinking"
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={entry.chain}
+                                        onChange={(e) => updateRow(setFallbacks, index, 'chain', e.target.value)}
+                                        placeholder="claude-sonnet-4-5-thinking, gemini-3-pro-high"
+                                    />
+                                </td>
+                                <td className="api-key-buttons">
+                                    <button type="button" className="btn btn-danger btn-sm" onClick={() => removeRow(setFallbacks, index)} title={t('modelRouting.remove')}>
+                                        <VscTrash size={14} />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="api-keys-actions model-routing-actions">
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setFallbacks(prev => [...prev, EMPTY_FALLBACK])}>
+                    <VscAdd size={14} />
+                    {t('modelRouting.addFallback')}
+                </button>
+                <button type="button" className="btn btn-primary btn-sm" onClick={handleSave} disabled={saving}>
+                    {t('modelRouting.save')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ModelRoutingSection;
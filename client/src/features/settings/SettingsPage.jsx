@@ -3,6 +3,8 @@ import axiosClient from '../../api/axiosClient';
 import { useI18n } from '../../context/I18nContext';
 import { useToast } from '../../context/ToastContext';
 import { LoadingSpinner } from '../../components/common/LoadingSpinner';
+import ApiKeysSection from './ApiKeysSection';
+import ModelRoutingSection from './ModelRoutingSection';
 
 const SettingsPage = () => {
     const { t } = useI18n();
@@ -89,6 +91,13 @@ const SettingsPage = () => {
         }
     };
 
+    const formatStrategy = ({ strategy, requestCount }) => {
+        if (strategy === 'request_count') return `${t('settings.requestCount')} (${t('settings.perRequests', { count: requestCount })})`;
+        if (strategy === 'quota_exhausted') return t('settings.quotaExhausted');
+        if (strategy === 'quota_aware') return t('settings.quotaAware');
+        return t('settings.roundRobin');
+    };
+
     if (loading) return <LoadingSpinner text={t('settings.loadingConfig')} />;
     if (!config) return <div>Error loading config</div>;
 
@@ -99,16 +108,28 @@ const SettingsPage = () => {
             <div className="config-section" style={{ marginBottom: '1rem' }}>
                 {rotationStatus && (
                     <div id="currentRotationInfo" className="status-info">
-                        {rotationStatus.strategy === 'request_count'
-                            ? `${t('settings.requestCount')} (${t('settings.perRequests', { count: rotationStatus.requestCount })})`
-                            : rotationStatus.strategy === 'quota_exhausted'
-                                ? t('settings.quotaExhausted')
-                                : t('settings.roundRobin')}
+                        {formatStrategy(rotationStatus)}
                         {` | ${t('settings.currentIndex')}: ${rotationStatus.currentIndex}`}
                     </div>
                 )}
+                {/* Account pools only matter once accounts are tagged */}
+                {rotationStatus?.pools?.some(pool => pool.name !== 'default') && (
+                    <div className="status-info pool-status">
+                        {rotationStatus.pools.map(pool => (
+                            <div key={pool.name}>
+                                {`${t('settings.pool')} ${pool.name}: ${formatStrategy(pool)}`}
+                                {` | ${t('settings.poolAccounts', { count: pool.accounts })}`}
+                                {` | ${t('settings.currentIndex')}: ${pool.currentIndex}`}
+                            </div>
+                        ))}
+                    </div>
+                )}
             </div>
 
+            {/* Managed API keys and model routing are saved on their own, outside the config form */}
+            <ApiKeysSection />
+            <ModelRoutingSection />
+
             <form id="configForm" onSubmit={handleSubmit}>
                 {/* Sensitive Settings */}
                 <div className="config-section">
@@ -221,6 +242,25 @@ const SettingsPage = () => {
                                 placeholder="0"
                             />
                         </div>
+                        <div className="form-group">
+                            <label>Empty Response Retries</label>
+                            <input
+                                type="number"
+                                value={config.other.emptyResponseRetries ?? ''}
+                                onChange={(e) => handleChange('other', 'emptyResponseRetries', parseInt(e.target.value))}
+                                placeholder="2"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Unsupported Parameters</label>
+                            <select
+                                value={config.other.unsupportedParameters || 'warn'}
+                                onChange={(e) => handleChange('other', 'unsupportedParameters', e.target.value)}
+                            >
+                                <option value="warn">Warn and ignore</option>
+                                <option value="reject">Reject (400)</option>
+                            </select>
+                        </div>
                     </div>
                 </div>
 
@@ -290,6 +330,7 @@ const SettingsPage = () => {
                             >
                                 <option value="round_robin">{t('settings.roundRobin')}</option>
                                 <option value="quota_exhausted">{t('settings.quotaExhausted')}</option>
+                                <option value="quota_aware">{t('settings.quotaAware')}</option>
                                 <option value="request_count">{t('settings.requestCount')}</option>
                             </select>
                         </div>
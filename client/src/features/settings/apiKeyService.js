@@ -0,0 +1,25 @@
+import axiosClient from '../../api/axiosClient';
+
+const apiKeyService = {
+  getAll: async () => {
+    return await axiosClient.get('/admin/api-keys');
+  },
+
+  create: async (data) => {
+    return await axiosClient.post('/admin/api-keys', data);
+  },
+
+  update: async (id, data) => {
+    return await axiosClient.put(`/admin/api-keys/${encodeURIComponent(id)}`, data);
+  },
+
+  revoke: async (id) => {
+    return await axiosClient.delete(`/admin/api-keys/${encodeURIComponent(id)}`);
+  },
+
+  rotate: async (id) => {
+    return await axiosClient.post(`/admin/api-keys/${encodeURIComponent(id)}/rotate`);
+  }
+};
+
+export default apiKeyService;
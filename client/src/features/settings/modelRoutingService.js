@@ -0,0 +1,13 @@
+import axiosClient from '../../api/axiosClient';
+
+const modelRoutingService = {
+  get: async () => {
+    return await axiosClient.get('/admin/models/routing');
+  },
+
+  update: async (data) => {
+    return await axiosClient.put('/admin/models/routing', data);
+  }
+};
+
+export default modelRoutingService;
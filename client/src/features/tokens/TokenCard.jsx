@@ -8,6 +8,14 @@ import InlineEdit from './InlineEdit';
 import EditTokenModal from './EditTokenModal';
 import tokenService from './tokenService';
 
+// Account health state -> locale key
+const HEALTH_LABELS = {
+    cooling_down: 'tokens.healthCoolingDown',
+    probing: 'tokens.healthProbing',
+    trial: 'tokens.healthTrial',
+    dead: 'tokens.healthDead'
+};
+
 const TokenCard = ({ token, index, onUpdate, onDelete, showSensitive }) => {
     const { t } = useI18n();
     const { showToast } = useToast();
@@ -19,6 +27,7 @@ const TokenCard = ({ token, index, onUpdate, onDelete, showSensitive }) => {
 
     const isExpired = new Date(token.timestamp + token.expires_in * 1000) < new Date();
     const expireTime = new Date(token.timestamp + token.expires_in * 1000).toLocaleString('zh-CN', { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+    const health = token.health || { state: 'healthy' };
 
     const handleRefresh = async () => {
         if (isRefreshing) return;
@@ -123,6 +132,25 @@ const TokenCard = ({ token, index, onUpdate, onDelete, showSensitive }) => {
                         />
                     </div>
 
+                    {/* Comma separated pool tags, untagged accounts are in the default pool */}
+                    <InlineEdit
+                        label="Pools"
+                        value={(token.pools || []).join(', ')}
+                        onSave={(val) => handleInlineUpdate('pools', val)}
+                        placeholder="default"
+                    />
+
+                    {HEALTH_LABELS[health.state] && (health.state !== 'dead' || health.reason) && (
+                        <div className={`info-row account-health ${health.state}`} title={health.reason || ''}>
+                            <span className="info-label">{t('tokens.health')}</span>
+                            <span className="info-value">
+                                {t(HEALTH_LABELS[health.state])}
+                                {health.cooldownUntil && ` (${t('tokens.healthUntil', { time: new Date(health.cooldownUntil).toLocaleTimeString() })})`}
+                                {health.reason && `: ${health.reason}`}
+                            </span>
+                        </div>
+                    )}
+
                     <div className={`info-row ${isExpired ? 'expired-text' : ''}`}>
                         <span className="info-label">Expires</span>
                         <span className="info-value">
@@ -174,7 +174,7 @@ class antigravityRequester {
         });
     }
 
-    async antigravity_fetch(url, options = {}) {
+    async antigravity_fetch(url, { signal, ...options } = {}) {
         this._ensureProcess();
 
         const id = `req-${++this.requestId}`;
@@ -191,12 +191,14 @@ class antigravityRequester {
         };
 
         return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
             this.pendingRequests.set(id, { resolve, reject });
             this._writeRequest(request);
+            this._bindAbortSignal(id, signal);
         });
     }
 
-    antigravity_fetchStream(url, options = {}) {
+    antigravity_fetchStream(url, { signal, ...options } = {}) {
         this._ensureProcess();
 
         const id = `req-${++this.requestId}`;
@@ -213,12 +215,43 @@ class antigravityRequester {
         };
 
         const streamResponse = new StreamResponse(id);
+        if (signal?.aborted) {
+            // Error callbacks are attached by the caller after this returns
+            setImmediate(() => streamResponse._abort(signal.reason));
+            return streamResponse;
+        }
         this.pendingRequests.set(id, { streamResponse });
         this._writeRequest(request);
+        this._bindAbortSignal(id, signal);
 
         return streamResponse;
     }
 
+    // Cancel the request when the signal aborts (client disconnected)
+    _bindAbortSignal(id, signal) {
+        if (!signal) return;
+        signal.addEventListener('abort', () => this.cancel(id, signal.reason), { once: true });
+    }
+
+    /**
+     * Cancel a pending request: the subprocess is asked to close the upstream connection
+     * and chunks still arriving for the request are ignored
+     * @param {string} id - Request ID
+     * @param {Error} [reason] - Error the request fails with
+     */
+    cancel(id, reason = new Error('Request cancelled')) {
+        const pending = this.pendingRequests.get(id);
+        if (!pending) return;
+        this.pendingRequests.delete(id);
+        if (this.proc) this._writeRequest({ id, type: 'cancel' });
+
+        if (pending.streamResponse) {
+            pending.streamResponse._abort(reason);
+        } else {
+            pending.reject(reason);
+        }
+    }
+
     _writeRequest(request) {
         this.writeQueue = this.writeQueue.then(() => {
             return new Promise((resolve, reject) => {
@@ -332,6 +365,15 @@ class StreamResponse {
         }
     }
 
+    // Fail the stream without an upstream error chunk (request cancelled)
+    _abort(error) {
+        if (this._ended) return;
+        this._ended = true;
+        this._error = error;
+        if (this._textPromiseReject) this._textPromiseReject(error);
+        if (this._onError) this._onError(error);
+    }
+
     onStart(callback) {
         this._onStart = callback;
         return this;
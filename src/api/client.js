@@ -6,7 +6,9 @@ import logger from '../utils/logger.js';
 import memoryManager, { MemoryPressure } from '../utils/memoryManager.js';
 import { httpRequest, httpStreamRequest } from '../utils/httpClient.js';
 import { MODEL_LIST_CACHE_TTL } from '../constants/index.js';
-import { createApiError } from '../utils/errors.js';
+import { createApiError, EmptyResponseError } from '../utils/errors.js';
+import { estimateRequestTokens } from '../utils/tokenEstimator.js';
+import { extractFinishInfo, isLengthLimited, isContentFiltered } from '../utils/finishReason.js';
 import {
   getLineBuffer,
   releaseLineBuffer,
@@ -15,6 +17,8 @@ import {
   registerStreamMemoryCleanup
 } from './stream_parser.js';
 import { setReasoningSignature, setToolSignature } from '../utils/thoughtSignatureCache.js';
+import { listVirtualModels } from '../utils/modelRouting.js';
+import { createCatalogEntry, createVirtualCatalogEntry, toOpenAIModel } from '../utils/modelCatalog.js';
 
 // Request client: prefer AntigravityRequester, fallback to axios on failure
 let requester = null;
@@ -33,6 +37,8 @@ const getModelCacheTTL = () => {
 
 let modelListCache = null;
 let modelListCacheTime = 0;
+// Upstream fetch in progress, shared by concurrent callers
+let modelListPromise = null;
 
 // Default model list (used when API request fails)
 const DEFAULT_MODELS = [
@@ -55,18 +61,10 @@ const DEFAULT_MODELS = [
   'chat_23310'
 ];
 
-// Generate default model list response
-function getDefaultModelList() {
+// Catalog of the default models (capabilities from the local table)
+function getDefaultModelCatalog() {
   const created = Math.floor(Date.now() / 1000);
-  return {
-    object: 'list',
-    data: DEFAULT_MODELS.map(id => ({
-      id,
-      object: 'model',
-      created,
-      owned_by: 'google'
-    }))
-  };
+  return DEFAULT_MODELS.map(id => createCatalogEntry(id, null, created));
 }
 
 if (config.useNativeAxios === true) {
@@ -132,6 +130,32 @@ function buildRequesterConfig(headers, body = null) {
 }
 
 
+// Parse a protobuf-style duration ("1.5s", "500ms") into milliseconds
+function parseDurationMs(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  return Math.round(match[2] === 'ms' ? amount : amount * 1000);
+}
+
+// Extract upstream retry hint: Retry-After header, RetryInfo.retryDelay or quotaResetDelay
+function parseRetryAfterMs(headers, errorBody) {
+  const retryAfter = headers?.['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const text = typeof errorBody === 'string' ? errorBody : JSON.stringify(errorBody || '');
+  const delayMatch = /"(?:retryDelay|quotaResetDelay)"\s*:\s*"([^"]+)"/.exec(text);
+  if (delayMatch) return parseDurationMs(delayMatch[1]);
+  const resetMatch = /reset after (\d+(?:\.\d+)?)s/i.exec(text);
+  if (resetMatch) return Math.round(parseFloat(resetMatch[1]) * 1000);
+  return null;
+}
+
 // Unified error handling
 async function handleApiError(error, token) {
   const status = error.response?.status || error.status || error.statusCode || 500;
@@ -153,32 +177,131 @@ async function handleApiError(error, token) {
     if (JSON.stringify(errorBody).includes("The caller does not")) {
       throw createApiError(`Exceeded model max context. Error details: ${errorBody}`, status, errorBody);
     }
-    tokenManager.disableCurrentToken(token);
-    throw createApiError(`This account has no usage permission, auto-disabled. Error details: ${errorBody}`, status, errorBody);
+    tokenManager.reportAccountFailure(token, `403: ${String(errorBody).slice(0, 200)}`, true, true);
+    throw createApiError(`This account has no usage permission, cooling down. Error details: ${errorBody}`, status, errorBody);
+  }
+  // Repeated 5xx / network failures open the account's circuit breaker
+  if (status >= 500) {
+    tokenManager.reportAccountFailure(token, `Upstream ${status}`, false, true);
+  }
+
+  const apiError = createApiError(`API request failed (${status}): ${errorBody}`, status, errorBody);
+  apiError.retryAfterMs = parseRetryAfterMs(error.response?.headers, errorBody);
+  throw apiError;
+}
+
+/**
+ * Reject completions without an answer: no text and no tool call, thought-only output included
+ * Token limit and content filter finishes explain the missing answer and are passed through
+ * @param {boolean} hasAnswer - Whether text, a tool call or an image was produced
+ * @param {boolean} hasReasoning - Whether thinking was produced
+ * @param {string|null} finishReason - Upstream finishReason
+ * @throws {EmptyResponseError}
+ */
+function assertNotEmpty(hasAnswer, hasReasoning, finishReason) {
+  if (hasAnswer || isLengthLimited(finishReason) || isContentFiltered(finishReason)) return;
+  throw new EmptyResponseError(hasReasoning
+    ? 'Upstream returned only thinking, no text or tool call'
+    : 'Upstream returned an empty response');
+}
+
+/**
+ * Parse one candidate of a non-streaming response
+ * @param {Object} candidate - Upstream candidate
+ * @param {Object} response - Upstream response (data.response), for the finish information
+ * @param {number} position - Position of the candidate in response.candidates
+ * @param {Object} requestBody - Antigravity request body
+ * @returns {Object} { content, reasoningContent, reasoningSignature, toolCalls, finishReason, safetyRatings }
+ */
+function parseCandidate(candidate, response, position, requestBody) {
+  const parts = candidate.content?.parts || [];
+  let content = '';
+  let reasoningContent = '';
+  let reasoningSignature = null;
+  const toolCalls = [];
+  const imageUrls = [];
+
+  for (const part of parts) {
+    if (part.thought === true) {
+      // Chain of thought content - use DeepSeek format reasoning_content
+      reasoningContent += part.text || '';
+      if (part.thoughtSignature && !reasoningSignature) {
+        reasoningSignature = part.thoughtSignature;
+      }
+    } else if (part.text !== undefined) {
+      content += part.text;
+    } else if (part.functionCall) {
+      const toolCall = convertToToolCall(part.functionCall, requestBody.request?.sessionId, requestBody.model);
+      if (part.thoughtSignature) {
+        toolCall.thoughtSignature = part.thoughtSignature;
+      }
+      toolCalls.push(toolCall);
+    } else if (part.inlineData) {
+      // Save image to local and get URL
+      const imageUrl = saveBase64Image(part.inlineData.data, part.inlineData.mimeType);
+      imageUrls.push(imageUrl);
+    }
+  }
+
+  // Extract finish reason (MAX_TOKENS / SAFETY / ...) and safety ratings
+  const { finishReason, safetyRatings } = extractFinishInfo(response, position);
+
+  // Image model: convert to markdown format
+  if (imageUrls.length > 0) {
+    content = (content ? content + '\n\n' : '') + imageUrls.map(url => `![image](${url})`).join('\n\n');
   }
 
-  throw createApiError(`API request failed (${status}): ${errorBody}`, status, errorBody);
+  return { content, reasoningContent: reasoningContent || null, reasoningSignature, toolCalls, finishReason, safetyRatings };
 }
 
 
 // ==================== Export functions ====================
 
-export async function generateAssistantResponse(requestBody, token, callback) {
+/**
+ * Streaming generation, chunks are parsed and passed to the callback
+ * @param {Object} requestBody - Antigravity request body
+ * @param {Object} token - Token object
+ * @param {Function} callback - (data) => void for reasoning / text / tool_calls / usage / finish chunks,
+ *   all but usage carry the index of their candidate (data.candidate)
+ * @param {AbortSignal|null} [signal] - Cancels the upstream request, which then fails with signal.reason
+ * @throws {EmptyResponseError} When a candidate finished without text or tool calls
+ */
+export async function generateAssistantResponse(requestBody, token, callback, signal = null) {
 
   const headers = buildHeaders(token);
   // Temporarily cache thought chain signature in state for streaming multi-chunk reuse, carrying session and model info for global cache
+  const candidateCount = requestBody.request?.generationConfig?.candidateCount || 1;
   const state = {
-    toolCalls: [],
+    candidateCount,
+    toolCallCounts: [],
     reasoningSignature: null,
     sessionId: requestBody.request?.sessionId,
     model: requestBody.model
   };
   const lineBuffer = getLineBuffer(); // Get from object pool
 
+  // What the stream produced per candidate, for the empty completion check
+  const completions = Array.from({ length: candidateCount }, () => ({ hasAnswer: false, hasReasoning: false, finishReason: null }));
+  const emit = (data) => {
+    const completion = data.candidate === undefined ? null : completions[data.candidate];
+    if (data.type === 'text') {
+      // Empty text parts carry nothing for the client
+      if (!data.content) return;
+      if (completion) completion.hasAnswer = true;
+    } else if (data.type === 'tool_calls') {
+      if (completion) completion.hasAnswer = true;
+    } else if (data.type === 'reasoning') {
+      if (completion) completion.hasReasoning = true;
+    } else if (data.type === 'finish') {
+      if (completion) completion.finishReason = data.finishReason;
+    }
+    callback(data);
+  };
+
   const processChunk = (chunk) => {
     const lines = lineBuffer.append(chunk);
     for (let i = 0; i < lines.length; i++) {
-      parseAndEmitStreamChunk(lines[i], state, callback);
+      parseAndEmitStreamChunk(lines[i], state, emit);
     }
   };
 
@@ -188,7 +311,8 @@ export async function generateAssistantResponse(requestBody, token, callback) {
         method: 'POST',
         url: config.api.url,
         headers,
-        data: requestBody
+        data: requestBody,
+        signal
       });
 
       // Use Buffer for direct processing, avoid toString memory allocation
@@ -202,9 +326,11 @@ export async function generateAssistantResponse(requestBody, token, callback) {
           resolve();
         });
         response.data.on('error', reject);
+        // Stop reading the upstream stream once the client is gone
+        signal?.addEventListener('abort', () => response.data.destroy(signal.reason), { once: true });
       });
     } else {
-      const streamResponse = requester.antigravity_fetchStream(config.api.url, buildRequesterConfig(headers, requestBody));
+      const streamResponse = requester.antigravity_fetchStream(config.api.url, { ...buildRequesterConfig(headers, requestBody), signal });
       let errorBody = '';
       let statusCode = null;
 
@@ -231,8 +357,13 @@ export async function generateAssistantResponse(requestBody, token, callback) {
     }
   } catch (error) {
     releaseLineBuffer(lineBuffer); // Ensure return
+    // Cancelled by the client, not an upstream failure of the account
+    if (signal?.aborted) throw signal.reason;
     await handleApiError(error, token);
   }
+  for (const completion of completions) {
+    assertNotEmpty(completion.hasAnswer, completion.hasReasoning, completion.finishReason);
+  }
 }
 
 // Internal tool: fetch raw model data from remote
@@ -258,60 +389,98 @@ async function fetchRawModels(headers, token) {
   }
 }
 
+/**
+ * Append the virtual models of config.json models.virtual to the catalog
+ * Not cached, so edits show up right away
+ * @param {Array<Object>} catalog - Upstream catalog
+ * @returns {Array<Object>}
+ */
+function withVirtualModels(catalog) {
+  const virtualModels = listVirtualModels();
+  if (virtualModels.length === 0) return catalog;
+
+  const created = Math.floor(Date.now() / 1000);
+  const entries = new Map(catalog.map(entry => [entry.id, entry]));
+  return [
+    ...catalog,
+    ...virtualModels
+      .filter(m => !entries.has(m.id))
+      .map(m => createVirtualCatalogEntry(m, entries.get(m.target), created))
+  ];
+}
+
+/**
+ * Model catalog: upstream models with limits and capabilities, plus virtual models
+ * @returns {Promise<Array<Object>>} Catalog entries (see utils/modelCatalog.js)
+ */
+export async function getModelCatalog() {
+  return withVirtualModels(await fetchModelCatalog());
+}
+
+/**
+ * Catalog entry of a single model
+ * @param {string} modelId - Model name
+ * @returns {Promise<Object|null>} null when the model is not listed
+ */
+export async function getModelInfo(modelId) {
+  return (await getModelCatalog()).find(entry => entry.id === modelId) || null;
+}
+
+/**
+ * Model list in OpenAI format
+ * @returns {Promise<{object: string, data: Array<Object>}>}
+ */
 export async function getAvailableModels() {
-  // Short-lived cache (60s) to balance performance and token rotation
-  const now = Date.now();
-  const cacheTTL = 60 * 1000; // 60 seconds
-  if (modelListCache && (now - modelListCacheTime) < cacheTTL) {
+  return { object: 'list', data: (await getModelCatalog()).map(toOpenAIModel) };
+}
+
+async function fetchModelCatalog() {
+  // Cached for cache.modelListTTL (shortened under memory pressure)
+  if (modelListCache && (Date.now() - modelListCacheTime) < getModelCacheTTL()) {
     return modelListCache;
   }
+  // Concurrent requests wait for the same upstream fetch
+  if (!modelListPromise) {
+    modelListPromise = loadModelCatalog().finally(() => {
+      modelListPromise = null;
+    });
+  }
+  return modelListPromise;
+}
 
+async function loadModelCatalog() {
   const token = await tokenManager.getToken();
   if (!token) {
     // No token available, return default model list
     logger.warn('No available token, returning default model list');
-    return getDefaultModelList();
+    return getDefaultModelCatalog();
   }
 
   const headers = buildHeaders(token);
   const data = await fetchRawModels(headers, token);
   if (!data) {
     // Unified error handling already done in fetchRawModels, fallback to default list here
-    return getDefaultModelList();
+    return getDefaultModelCatalog();
   }
 
-  const created = Math.floor(Date.now() / 1000);
-  const modelList = Object.keys(data.models || {}).map(id => ({
-    id,
-    object: 'model',
-    created,
-    owned_by: 'google'
-  }));
+  const now = Date.now();
+  const created = Math.floor(now / 1000);
+  const catalog = Object.entries(data.models || {}).map(([id, meta]) => createCatalogEntry(id, meta, created));
 
   // Add default models (if not in API returned list)
-  const existingIds = new Set(modelList.map(m => m.id));
+  const existingIds = new Set(catalog.map(m => m.id));
   for (const defaultModel of DEFAULT_MODELS) {
     if (!existingIds.has(defaultModel)) {
-      modelList.push({
-        id: defaultModel,
-        object: 'model',
-        created,
-        owned_by: 'google'
-      });
+      catalog.push(createCatalogEntry(defaultModel, null, created));
     }
   }
 
-  const result = {
-    object: 'list',
-    data: modelList
-  };
-
   // Update cache
-  modelListCache = result;
+  modelListCache = catalog;
   modelListCacheTime = now;
-  logger.info(`Model list cached (TTL: 60s, model count: ${modelList.length})`);
+  logger.info(`Model list cached (TTL: ${Math.round(getModelCacheTTL() / 1000)}s, model count: ${catalog.length})`);
 
-  return result;
+  return catalog;
 }
 
 // Clear model list cache (for manual refresh)
@@ -339,7 +508,16 @@ export async function getModelsWithQuotas(token) {
   return quotas;
 }
 
-export async function generateAssistantResponseNoStream(requestBody, token) {
+/**
+ * Non-streaming generation
+ * @param {Object} requestBody - Antigravity request body
+ * @param {Object} token - Token object
+ * @param {AbortSignal|null} [signal] - Cancels the upstream request, which then fails with signal.reason
+ * @returns {Promise<Object>} { content, reasoningContent, reasoningSignature, toolCalls, usage, finishReason, safetyRatings }
+ *   of the first candidate, and candidates: the same fields (usage aside) for every candidate
+ * @throws {EmptyResponseError} When a candidate has no text, tool calls or images
+ */
+export async function generateAssistantResponseNoStream(requestBody, token, signal = null) {
 
   const headers = buildHeaders(token);
   let data;
@@ -350,10 +528,11 @@ export async function generateAssistantResponseNoStream(requestBody, token) {
         method: 'POST',
         url: config.api.noStreamUrl,
         headers,
-        data: requestBody
+        data: requestBody,
+        signal
       })).data;
     } else {
-      const response = await requester.antigravity_fetch(config.api.noStreamUrl, buildRequesterConfig(headers, requestBody));
+      const response = await requester.antigravity_fetch(config.api.noStreamUrl, { ...buildRequesterConfig(headers, requestBody), signal });
       if (response.status !== 200) {
         const errorBody = await response.text();
         throw { status: response.status, message: errorBody };
@@ -361,37 +540,17 @@ export async function generateAssistantResponseNoStream(requestBody, token) {
       data = await response.json();
     }
   } catch (error) {
+    // Cancelled by the client, not an upstream failure of the account
+    if (signal?.aborted) throw signal.reason;
     await handleApiError(error, token);
   }
   //console.log(JSON.stringify(data));
-  // Parse response content
-  const parts = data.response?.candidates?.[0]?.content?.parts || [];
-  let content = '';
-  let reasoningContent = '';
-  let reasoningSignature = null;
-  const toolCalls = [];
-  const imageUrls = [];
-
-  for (const part of parts) {
-    if (part.thought === true) {
-      // Chain of thought content - use DeepSeek format reasoning_content
-      reasoningContent += part.text || '';
-      if (part.thoughtSignature && !reasoningSignature) {
-        reasoningSignature = part.thoughtSignature;
-      }
-    } else if (part.text !== undefined) {
-      content += part.text;
-    } else if (part.functionCall) {
-      const toolCall = convertToToolCall(part.functionCall, requestBody.request?.sessionId, requestBody.model);
-      if (part.thoughtSignature) {
-        toolCall.thoughtSignature = part.thoughtSignature;
-      }
-      toolCalls.push(toolCall);
-    } else if (part.inlineData) {
-      // Save image to local and get URL
-      const imageUrl = saveBase64Image(part.inlineData.data, part.inlineData.mimeType);
-      imageUrls.push(imageUrl);
-    }
+  // Parse every candidate (several with candidateCount > 1), a blocked prompt has none
+  const upstreamCandidates = data.response?.candidates?.length > 0 ? data.response.candidates : [{}];
+  const candidates = upstreamCandidates.map((candidate, position) => parseCandidate(candidate, data.response, position, requestBody));
+  for (const candidate of candidates) {
+    // Images are part of the content as markdown
+    assertNotEmpty(candidate.content.length > 0 || candidate.toolCalls.length > 0, !!candidate.reasoningContent, candidate.finishReason);
   }
 
   // Extract token usage statistics
@@ -403,6 +562,8 @@ export async function generateAssistantResponseNoStream(requestBody, token) {
   } : null;
 
   // Write new signature to global cache (by sessionId + model) for fallback in subsequent requests
+  // Later turns continue from the first candidate, only its signatures are cached
+  const { reasoningSignature, toolCalls } = candidates[0];
   const sessionId = requestBody.request?.sessionId;
   const model = requestBody.model;
   if (sessionId && model) {
@@ -416,14 +577,62 @@ export async function generateAssistantResponseNoStream(requestBody, token) {
     }
   }
 
-  // Image model: convert to markdown format
-  if (imageUrls.length > 0) {
-    let markdown = content ? content + '\n\n' : '';
-    markdown += imageUrls.map(url => `![image](${url})`).join('\n\n');
-    return { content: markdown, reasoningContent: reasoningContent || null, reasoningSignature, toolCalls, usage: usageData };
+  return { ...candidates[0], candidates, usage: usageData };
+}
+
+// Upstream countTokens call; errors are not routed through handleApiError so a failed count never disables an account
+async function fetchUpstreamTokenCount(requestBody, token) {
+  const headers = buildHeaders(token);
+  const request = requestBody.request || {};
+  const body = {
+    request: {
+      model: `models/${requestBody.model}`,
+      contents: request.contents || []
+    }
+  };
+  // Same inputs as the local estimate: system prompt and tool declarations count as prompt tokens
+  if (request.systemInstruction) body.request.systemInstruction = request.systemInstruction;
+  if (Array.isArray(request.tools) && request.tools.length > 0) body.request.tools = request.tools;
+
+  if (useAxios) {
+    const response = await httpRequest({
+      method: 'POST',
+      url: config.api.countTokensUrl,
+      headers,
+      data: body
+    });
+    return response.data;
+  }
+  const response = await requester.antigravity_fetch(config.api.countTokensUrl, buildRequesterConfig(headers, body));
+  if (response.status !== 200) {
+    const errorBody = await response.text();
+    throw createApiError(`Count tokens failed (${response.status}): ${errorBody}`, response.status, errorBody);
+  }
+  return await response.json();
+}
+
+/**
+ * Count prompt tokens for a request body
+ * Uses upstream countTokens when a token is available, falls back to the local estimator otherwise
+ * @param {Object} requestBody - Antigravity request body
+ * @param {Object|null} token - Token object
+ * @returns {Promise<{totalTokens: number, source: 'upstream'|'estimate'}>}
+ */
+export async function countTokens(requestBody, token) {
+  if (token?.access_token) {
+    try {
+      const data = await fetchUpstreamTokenCount(requestBody, token);
+      const totalTokens = data?.totalTokens ?? data?.response?.totalTokens;
+      if (Number.isFinite(totalTokens)) {
+        return { totalTokens, source: 'upstream' };
+      }
+    } catch (error) {
+      logger.warn(`Upstream countTokens unavailable, using local estimate: ${error.message}`);
+    }
   }
 
-  return { content, reasoningContent: reasoningContent || null, reasoningSignature, toolCalls, usage: usageData };
+  // Fall back to the local estimate (no token, upstream error or unexpected payload)
+  return { totalTokens: estimateRequestTokens(requestBody), source: 'estimate' };
 }
 
 export async function generateImageForSD(requestBody, token) {
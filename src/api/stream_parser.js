@@ -2,6 +2,7 @@ import memoryManager, { registerMemoryPoolCleanup } from '../utils/memoryManager
 import { generateToolCallId } from '../utils/idGenerator.js';
 import { setReasoningSignature, setToolSignature } from '../utils/thoughtSignatureCache.js';
 import { getOriginalToolName } from '../utils/toolNameCache.js';
+import { extractFinishInfo } from '../utils/finishReason.js';
 
 // Pre-compiled constants (avoid repeated string creation)
 const DATA_PREFIX = 'data: ';
@@ -85,63 +86,86 @@ function convertToToolCall(functionCall, sessionId, model) {
   return toolCall;
 }
 
+// Emit the parts of one candidate, every chunk carries the candidate index
+function emitCandidateParts(parts, index, state, callback) {
+  for (const part of parts) {
+    if (part.thought === true) {
+      if (part.thoughtSignature) {
+        state.reasoningSignature = part.thoughtSignature;
+        // Later turns continue from the first candidate, only its signatures are cached
+        if (index === 0 && state.sessionId && state.model) {
+          //console.log("Server provided signature:" + state.reasoningSignature);
+          setReasoningSignature(state.sessionId, state.model, part.thoughtSignature);
+        }
+      }
+      callback({
+        type: 'reasoning',
+        candidate: index,
+        reasoning_content: part.text || '',
+        thoughtSignature: part.thoughtSignature || state.reasoningSignature || null
+      });
+    } else if (part.text !== undefined) {
+      callback({ type: 'text', candidate: index, content: part.text });
+    } else if (part.functionCall) {
+      const toolCall = convertToToolCall(part.functionCall, state.sessionId, state.model);
+      if (part.thoughtSignature) {
+        toolCall.thoughtSignature = part.thoughtSignature;
+        if (index === 0 && state.sessionId && state.model) {
+          setToolSignature(state.sessionId, state.model, part.thoughtSignature);
+        }
+      }
+      const count = state.toolCallCounts[index] || 0;
+      toolCall.index = count;
+      state.toolCallCounts[index] = count + 1;
+      callback({ type: 'tool_calls', candidate: index, tool_calls: [toolCall] });
+    }
+  }
+}
+
 // Parse and emit streaming response chunks (modifies state and triggers callback)
 // Supports DeepSeek format: chain of thought content via reasoning_content field
 // Also passes through thoughtSignature for client reuse
+// Tool calls are emitted as soon as each functionCall part arrives, indexed in arrival order per candidate
+// With candidateCount > 1 a chunk may carry several candidates, told apart by the candidate field of each event
 function parseAndEmitStreamChunk(line, state, callback) {
   if (!line.startsWith(DATA_PREFIX)) return;
 
   try {
     const data = JSON.parse(line.slice(DATA_PREFIX_LEN));
-    const parts = data.response?.candidates?.[0]?.content?.parts;
-
-    if (parts) {
-      for (const part of parts) {
-        if (part.thought === true) {
-          if (part.thoughtSignature) {
-            state.reasoningSignature = part.thoughtSignature;
-            if (state.sessionId && state.model) {
-              //console.log("Server provided signature:" + state.reasoningSignature);
-              setReasoningSignature(state.sessionId, state.model, part.thoughtSignature);
-            }
-          }
-          callback({
-            type: 'reasoning',
-            reasoning_content: part.text || '',
-            thoughtSignature: part.thoughtSignature || state.reasoningSignature || null
-          });
-        } else if (part.text !== undefined) {
-          callback({ type: 'text', content: part.text });
-        } else if (part.functionCall) {
-          const toolCall = convertToToolCall(part.functionCall, state.sessionId, state.model);
-          if (part.thoughtSignature) {
-            toolCall.thoughtSignature = part.thoughtSignature;
-            if (state.sessionId && state.model) {
-              setToolSignature(state.sessionId, state.model, part.thoughtSignature);
-            }
-          }
-          state.toolCalls.push(toolCall);
-        }
-      }
-    }
+    const candidates = data.response?.candidates;
+
+    if (candidates?.length > 0) {
+      for (let position = 0; position < candidates.length; position++) {
+        const index = candidates[position].index ?? position;
+        const parts = candidates[position].content?.parts;
+        if (parts) emitCandidateParts(parts, index, state, callback);
 
-    if (data.response?.candidates?.[0]?.finishReason) {
-      if (state.toolCalls.length > 0) {
-        callback({ type: 'tool_calls', tool_calls: state.toolCalls });
-        state.toolCalls = [];
+        const { finishReason, safetyRatings } = extractFinishInfo(data.response, position);
+        if (finishReason) {
+          callback({ type: 'finish', candidate: index, finishReason, safetyRatings });
+        }
       }
-      const usage = data.response?.usageMetadata;
-      if (usage) {
-        callback({
-          type: 'usage',
-          usage: {
-            prompt_tokens: usage.promptTokenCount || 0,
-            completion_tokens: usage.candidatesTokenCount || 0,
-            total_tokens: usage.totalTokenCount || 0
-          }
-        });
+    } else {
+      // Prompt blocked before generation: every requested candidate finishes with the block reason
+      const { finishReason, safetyRatings } = extractFinishInfo(data.response);
+      if (finishReason) {
+        for (let index = 0; index < state.candidateCount; index++) {
+          callback({ type: 'finish', candidate: index, finishReason, safetyRatings });
+        }
       }
     }
+    // Intermediate chunks carry running totals, so a cancelled stream still knows its partial usage
+    const usage = data.response?.usageMetadata;
+    if (usage) {
+      callback({
+        type: 'usage',
+        usage: {
+          prompt_tokens: usage.promptTokenCount || 0,
+          completion_tokens: usage.candidatesTokenCount || 0,
+          total_tokens: usage.totalTokenCount || 0
+        }
+      });
+    }
   } catch {
     // Ignore JSON parse errors
   }
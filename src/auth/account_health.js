@@ -0,0 +1,170 @@
+// Account health: circuit breaker that cools accounts down instead of disabling them
+// healthy -> cooling_down -> probing -> healthy (or cooling_down again with a longer cooldown)
+// The probe only checks the token: after a failed request it leads to trial, where the next request decides
+// Only a confirmed invalid_grant ends in dead (the account is disabled)
+
+import {
+  ACCOUNT_COOLDOWN_BASE,
+  ACCOUNT_COOLDOWN_MAX,
+  ACCOUNT_FAILURE_THRESHOLD
+} from '../constants/index.js';
+
+// Health state enum
+export const AccountHealth = {
+  HEALTHY: 'healthy',
+  COOLING_DOWN: 'cooling_down',   // Skipped by rotation until cooldownUntil
+  PROBING: 'probing',             // Cooldown over, waiting for the probe result
+  TRIAL: 'trial',                 // Probe passed after a failed request, back in rotation until the next request fails
+  DEAD: 'dead'                    // Refresh token revoked (invalid_grant)
+};
+
+/**
+ * Health of one account
+ * @typedef {Object} AccountHealthEntry
+ * @property {string} state - AccountHealth value
+ * @property {string|null} reason - Last failure
+ * @property {number} failures - Consecutive failures (count towards the threshold and the cooldown length)
+ * @property {number} cooldowns - Cooldowns since the last successful request (cooldown doubles each time)
+ * @property {number|null} cooldownUntil - End of the cooldown
+ * @property {boolean} fromRequest - Whether the last failure came from an upstream request (the probe cannot check those)
+ * @property {number} since - Time of the last state change
+ */
+
+/**
+ * Whether an error is a confirmed invalid_grant from the OAuth token endpoint
+ * @param {Error} error - Refresh error
+ * @returns {boolean}
+ */
+export function isInvalidGrantError(error) {
+  return error?.oauthError === 'invalid_grant';
+}
+
+class AccountHealthTracker {
+  constructor() {
+    /** @type {Map<string, AccountHealthEntry>} refresh_token -> health, healthy accounts without failures have no entry */
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} key - refresh_token
+   * @returns {AccountHealthEntry}
+   */
+  get(key) {
+    return this.entries.get(key)
+      || { state: AccountHealth.HEALTHY, reason: null, failures: 0, cooldowns: 0, cooldownUntil: null, fromRequest: false, since: null };
+  }
+
+  _set(key, changes) {
+    const entry = { ...this.get(key), ...changes };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Whether rotation may pick the account
+   * @param {string} key - refresh_token
+   * @returns {boolean}
+   */
+  isAvailable(key) {
+    const state = this.entries.get(key)?.state;
+    return !state || state === AccountHealth.HEALTHY || state === AccountHealth.TRIAL;
+  }
+
+  /**
+   * Record a failure, the account cools down once the threshold is reached (at once while on trial)
+   * @param {string} key - refresh_token
+   * @param {string} reason - Failure description
+   * @param {boolean} [immediate] - Cool down right away (auth / permission failures)
+   * @param {boolean} [fromRequest] - The failure came from an upstream request, not from the token
+   * @returns {AccountHealthEntry}
+   */
+  recordFailure(key, reason, immediate = false, fromRequest = false) {
+    const current = this.get(key);
+    if (current.state === AccountHealth.DEAD) return current;
+
+    const failures = current.failures + 1;
+    if (!immediate && failures < ACCOUNT_FAILURE_THRESHOLD && current.state === AccountHealth.HEALTHY) {
+      return this._set(key, { failures, reason, fromRequest });
+    }
+
+    const cooldown = Math.min(ACCOUNT_COOLDOWN_BASE * 2 ** current.cooldowns, ACCOUNT_COOLDOWN_MAX);
+    const now = Date.now();
+    return this._set(key, {
+      state: AccountHealth.COOLING_DOWN,
+      reason,
+      failures,
+      cooldowns: current.cooldowns + 1,
+      cooldownUntil: now + cooldown,
+      fromRequest,
+      since: now
+    });
+  }
+
+  /**
+   * A request succeeded on the account: back to healthy with a fresh backoff
+   * @param {string} key - refresh_token
+   */
+  recordSuccess(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * The probe succeeded: the account serves requests again, the backoff is kept until a request succeeds
+   * @param {string} key - refresh_token
+   */
+  markRecovered(key) {
+    const current = this.get(key);
+    if (current.state === AccountHealth.DEAD) return;
+    this._set(key, { state: AccountHealth.HEALTHY, reason: null, failures: 0, cooldownUntil: null, fromRequest: false, since: Date.now() });
+  }
+
+  /**
+   * The probe succeeded after a failed request: the account serves requests again, the failure reason
+   * and the backoff are kept until a request succeeds, the next failure cools it down again
+   * @param {string} key - refresh_token
+   */
+  startTrial(key) {
+    const current = this.get(key);
+    if (current.state === AccountHealth.DEAD) return;
+    this._set(key, { state: AccountHealth.TRIAL, cooldownUntil: null, since: Date.now() });
+  }
+
+  /**
+   * @param {string} key - refresh_token
+   * @param {string} reason - Why the account is dead
+   */
+  markDead(key, reason) {
+    this._set(key, { state: AccountHealth.DEAD, reason, cooldownUntil: null, since: Date.now() });
+  }
+
+  /**
+   * Accounts whose cooldown is over, switched to probing
+   * @returns {Array<string>} refresh_tokens to probe
+   */
+  takeDueForProbe() {
+    const now = Date.now();
+    const due = [];
+    for (const [key, entry] of this.entries) {
+      if (entry.state === AccountHealth.COOLING_DOWN && entry.cooldownUntil <= now) {
+        entry.state = AccountHealth.PROBING;
+        entry.since = now;
+        due.push(key);
+      }
+    }
+    return due;
+  }
+
+  /**
+   * Forget an account (deleted, or enabled again by hand)
+   * @param {string} key - refresh_token
+   */
+  reset(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default AccountHealthTracker;
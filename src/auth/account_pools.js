@@ -0,0 +1,39 @@
+// Account pools: named groups of accounts (the `pools` tags of accounts.json)
+// API keys and routes bound to pools only rotate over the accounts of those pools
+
+import config from '../config/config.js';
+import { DEFAULT_ACCOUNT_POOL } from '../constants/index.js';
+
+/**
+ * Normalize a pool list from the admin API / config files
+ * @param {Array<string>|string|null|undefined} value - Array or comma separated names
+ * @returns {Array<string>} Unique pool names, in the given order
+ */
+export function normalizePoolNames(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(names.map(name => String(name).trim()).filter(Boolean))];
+}
+
+/**
+ * Pools an account belongs to, accounts without tags are in the default pool
+ * @param {Object} token - Token object
+ * @returns {Array<string>}
+ */
+export function getAccountPools(token) {
+  const pools = normalizePoolNames(token.pools);
+  return pools.length > 0 ? pools : [DEFAULT_ACCOUNT_POOL];
+}
+
+/**
+ * Pools bound to a request path (config.json rotation.routes, longest matching prefix wins)
+ * @param {string} requestPath - Request path, e.g. /v1beta/models/gemini-2.5-pro:generateContent
+ * @returns {Array<string>|null} null when no route binding matches
+ */
+export function getRoutePools(requestPath) {
+  let match = null;
+  for (const [prefix, pools] of Object.entries(config.rotation?.routes || {})) {
+    if (!requestPath.startsWith(prefix) || (match && match.prefix.length >= prefix.length)) continue;
+    match = { prefix, pools: normalizePoolNames(pools) };
+  }
+  return match?.pools.length ? match.pools : null;
+}
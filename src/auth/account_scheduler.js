@@ -0,0 +1,217 @@
+/**
+ * Account Scheduler
+ * Background jobs that keep accounts ready: token refresh ahead of expiry, quota polling and health probes
+ * @module auth/account_scheduler
+ */
+
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import tokenManager from './token_manager.js';
+import quotaManager from './quota_manager.js';
+import { getModelsWithQuotas } from '../api/client.js';
+import {
+  TOKEN_REFRESH_BUFFER,
+  ACCOUNT_PROBE_INTERVAL,
+  SCHEDULER_MAX_ERRORS
+} from '../constants/index.js';
+
+/**
+ * Run a worker over items with at most `limit` running at once
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum concurrency
+ * @param {Function} worker - Async (item) => void
+ * @returns {Promise<Array<PromiseSettledResult>>} Results in item order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+const getAccountId = (token) => token.refresh_token?.substring(0, 8) || 'unknown';
+
+/**
+ * Run a worker over accounts with the configured concurrency
+ * @param {Array<Object>} tokens - Accounts
+ * @param {Function} worker - Async (token) => void
+ * @returns {Promise<{processed: number, errors: Array<{account: string, message: string}>}>}
+ */
+async function runAccounts(tokens, worker) {
+  const results = await runWithConcurrency(tokens, config.scheduler.concurrency, worker);
+  const errors = [];
+  results.forEach((result, index) => {
+    if (result.status === 'rejected' && errors.length < SCHEDULER_MAX_ERRORS) {
+      errors.push({ account: getAccountId(tokens[index]), message: result.reason?.message || String(result.reason) });
+    }
+  });
+  return { processed: tokens.length, errors };
+}
+
+/**
+ * Refresh access tokens that expire before the next run
+ * @returns {Promise<{processed: number, errors: Array}>}
+ */
+async function refreshTokens() {
+  const buffer = TOKEN_REFRESH_BUFFER + config.scheduler.tokenRefreshInterval;
+  const due = (await tokenManager.getEnabledTokens())
+    .filter(token => tokenManager.health.isAvailable(token.refresh_token) && tokenManager.isExpired(token, buffer));
+  return runAccounts(due, token => tokenManager.refreshAccount(token));
+}
+
+/**
+ * Poll the model quotas of every enabled account into quotaManager
+ * Accounts cooling down are left to the health probe
+ * @returns {Promise<{processed: number, errors: Array}>}
+ */
+async function pollQuotas() {
+  const tokens = (await tokenManager.getEnabledTokens())
+    .filter(token => tokenManager.health.isAvailable(token.refresh_token));
+  return runAccounts(tokens, async (token) => {
+    if (tokenManager.isExpired(token)) {
+      await tokenManager.refreshAccount(token);
+    }
+    const quotas = await getModelsWithQuotas(token);
+    // An empty model list carries no quota information, keep the cached one
+    if (Object.keys(quotas).length > 0) {
+      quotaManager.updateQuota(token.refresh_token, quotas);
+    }
+  });
+}
+
+/**
+ * Probe accounts whose cooldown is over
+ * @returns {Promise<{processed: number, errors: Array}>}
+ */
+async function probeAccounts() {
+  const processed = await tokenManager.probeAccounts();
+  return { processed, errors: [] };
+}
+
+/**
+ * Scheduler job definitions, interval and scheduler.enabled are read from config on every run (hot reload)
+ * The health probe always runs, accounts would stay cooling down without it
+ */
+const JOBS = {
+  tokenRefresh: { run: refreshTokens, getInterval: () => config.scheduler.tokenRefreshInterval, optional: true },
+  quotaPoll: { run: pollQuotas, getInterval: () => config.scheduler.quotaPollInterval, optional: true },
+  healthProbe: { run: probeAccounts, getInterval: () => ACCOUNT_PROBE_INTERVAL, optional: false }
+};
+
+/**
+ * Account scheduler class
+ */
+class AccountScheduler {
+  constructor() {
+    this.isRunning = false;
+    /** @type {Map<string, NodeJS.Timeout>} */
+    this.timers = new Map();
+    /** @type {Map<string, Promise<Object>>} Job name -> run in progress */
+    this.runs = new Map();
+    /** @type {Object<string, Object>} Job name -> status of the last run */
+    this.status = Object.fromEntries(Object.keys(JOBS).map(name => [name, {
+      running: false,
+      lastRunAt: null,
+      lastDuration: null,
+      lastProcessed: 0,
+      lastErrors: [],
+      nextRunAt: null
+    }]));
+  }
+
+  /**
+   * Start all jobs, the first run happens right away
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    Object.keys(JOBS).forEach(name => this._schedule(name, 0));
+    if (config.scheduler.enabled) {
+      logger.info(`Account scheduler started (token refresh every ${config.scheduler.tokenRefreshInterval / 1000}s, quota polling every ${config.scheduler.quotaPollInterval / 1000}s)`);
+    } else {
+      logger.info('Account scheduler started, background token refresh and quota polling are disabled');
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    Object.values(this.status).forEach(status => { status.nextRunAt = null; });
+  }
+
+  _schedule(name, delay) {
+    if (!this.isRunning) return;
+    const timer = setTimeout(async () => {
+      if (!JOBS[name].optional || config.scheduler.enabled) {
+        await this.runJob(name);
+      }
+      this._schedule(name, JOBS[name].getInterval());
+    }, delay);
+    timer.unref?.();
+    this.timers.set(name, timer);
+    this.status[name].nextRunAt = Date.now() + delay;
+  }
+
+  /**
+   * Run a job now, while the same job is still running its current run is awaited instead
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} Job status, null for unknown jobs
+   */
+  async runJob(name) {
+    if (!JOBS[name]) return null;
+    if (!this.runs.has(name)) {
+      this.runs.set(name, this._run(name).finally(() => this.runs.delete(name)));
+    }
+    return this.runs.get(name);
+  }
+
+  async _run(name) {
+    const job = JOBS[name];
+    const status = this.status[name];
+    status.running = true;
+    const startedAt = Date.now();
+    try {
+      const { processed, errors } = await job.run();
+      status.lastProcessed = processed;
+      status.lastErrors = errors.map(error => ({ ...error, at: Date.now() }));
+      if (errors.length > 0) {
+        logger.warn(`Scheduler ${name}: ${errors.length} of ${processed} accounts failed`);
+      }
+    } catch (error) {
+      status.lastErrors = [{ account: null, message: error.message, at: Date.now() }];
+      logger.error(`Scheduler ${name} failed:`, error.message);
+    } finally {
+      status.running = false;
+      status.lastRunAt = startedAt;
+      status.lastDuration = Date.now() - startedAt;
+    }
+    return { name, ...status };
+  }
+
+  /**
+   * Status of all jobs
+   * @returns {{running: boolean, enabled: boolean, concurrency: number, jobs: Array<Object>}}
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      enabled: config.scheduler.enabled,
+      concurrency: config.scheduler.concurrency,
+      jobs: Object.keys(JOBS).map(name => ({ name, interval: JOBS[name].getInterval(), ...this.status[name] }))
+    };
+  }
+}
+
+const accountScheduler = new AccountScheduler();
+export default accountScheduler;
@@ -0,0 +1,202 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import apiKeyStore from './api_key_store.js';
+import { getRoutePools } from './account_pools.js';
+import { verifyToken } from './jwt.js';
+import {
+  AuthenticationError,
+  AuthorizationError,
+  RateLimitError,
+  buildOpenAIErrorPayload,
+  buildClaudeErrorPayload,
+  buildGeminiErrorPayload
+} from '../utils/errors.js';
+
+// Callers that are not managed keys, for usage attribution
+const ANONYMOUS_CALLER = { type: 'anonymous', id: 'anonymous', name: 'Anonymous' };
+const LEGACY_KEY_CALLER = { type: 'api_key', id: 'legacy', name: 'API_KEY' };
+
+/**
+ * Collect the keys a request presents
+ * @param {import('express').Request} req - Request object
+ * @param {'openai'|'gemini'|'sd'} surface - API surface
+ * @returns {Array<string>} Candidate keys, in header order
+ */
+function extractCredentials(req, surface) {
+  const credentials = [];
+  const authHeader = req.headers.authorization;
+
+  if (surface === 'gemini') {
+    credentials.push(req.query.key, req.headers['x-goog-api-key']);
+  }
+  if (authHeader?.startsWith('Bearer ')) {
+    credentials.push(authHeader.slice(7));
+  } else if (authHeader?.startsWith('Basic ') && surface === 'sd') {
+    // SD WebUI clients use --api-auth user:password, the password carries the key
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    credentials.push(decoded.slice(decoded.indexOf(':') + 1));
+  } else if (surface !== 'gemini') {
+    credentials.push(authHeader);
+  }
+  credentials.push(req.headers['x-api-key']);
+
+  return [...new Set(credentials.filter(value => typeof value === 'string' && value))];
+}
+
+/**
+ * Model a request targets
+ * @param {import('express').Request} req - Request object
+ * @param {'openai'|'gemini'|'sd'} surface - API surface
+ * @returns {string|null} null for requests without a model (model list etc.)
+ */
+function getRequestModel(req, surface) {
+  if (surface === 'gemini') {
+    const match = req.path.match(/\/models\/([^/:]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+  if (surface === 'sd') {
+    return req.body?.model || 'gemini-3-pro-image';
+  }
+  return typeof req.body?.model === 'string' ? req.body.model : null;
+}
+
+/**
+ * Reply with an auth error in the format of the called API
+ * @param {import('express').Request} req - Request object
+ * @param {import('express').Response} res - Response object
+ * @param {'openai'|'gemini'|'sd'} surface - API surface
+ * @param {import('../utils/errors.js').AppError} error - Error to send
+ */
+function sendAuthError(req, res, surface, error) {
+  const statusCode = error.statusCode;
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+
+  if (surface === 'gemini') {
+    return res.status(statusCode).json(buildGeminiErrorPayload(error, statusCode));
+  }
+  if (surface === 'sd') {
+    return res.status(statusCode).json({ error: error.message });
+  }
+  if (req.path.startsWith('/messages')) {
+    return res.status(statusCode).json(buildClaudeErrorPayload(error, statusCode));
+  }
+  return res.status(statusCode).json(buildOpenAIErrorPayload(error, statusCode));
+}
+
+/**
+ * Seconds until the current local day / month ends (budget reset)
+ * @param {'day'|'month'} period - Budget period
+ * @returns {number}
+ */
+function secondsUntilReset(period) {
+  const now = new Date();
+  const reset = period === 'month'
+    ? new Date(now.getFullYear(), now.getMonth() + 1, 1)
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  return Math.max(1, Math.ceil((reset.getTime() - now.getTime()) / 1000));
+}
+
+/**
+ * Check a managed key against its expiry, model allowlist, usage budgets and rate limit
+ * @param {import('./api_key_store.js').ApiKeyRecord} record - Key record
+ * @param {string|null} model - Requested model
+ * @returns {import('../utils/errors.js').AppError|null} Error to send, null when allowed
+ */
+function checkManagedKey(record, model) {
+  if (record.revoked) return new AuthenticationError('API key has been revoked');
+  if (apiKeyStore.isExpired(record)) return new AuthenticationError('API key has expired');
+  if (!apiKeyStore.isModelAllowed(record, model)) {
+    return new AuthorizationError(`API key is not allowed to use model ${model}`);
+  }
+  const budget = apiKeyStore.getExceededBudget(record);
+  if (budget) {
+    return new RateLimitError(`API key ${budget.label} budget of ${budget.limit} exceeded`, secondsUntilReset(budget.period));
+  }
+  const rate = apiKeyStore.consumeRequest(record);
+  if (!rate.allowed) {
+    return new RateLimitError(`API key rate limit of ${record.rpm} requests per minute exceeded`, rate.retryAfter);
+  }
+  return null;
+}
+
+/**
+ * Attribute a request to its caller and bind the account pools it rotates over
+ * Pools of the API key win over the route binding, without either every account is used
+ * @param {import('express').Request} req - Request object
+ * @param {{type: string, id: string, name: string}} caller - Caller
+ * @param {Array<string>|null} [keyPools] - Pools of the managed API key
+ */
+function bindCaller(req, caller, keyPools = null) {
+  req.caller = caller;
+  req.accountPools = keyPools?.length ? keyPools : getRoutePools(req.originalUrl.split('?')[0]);
+}
+
+/**
+ * Whether the caller of a request may use a model, for models chosen after auth (fallback chains)
+ * Only managed API keys have a model allowlist
+ * @param {{type: string, id: string}|null} caller - req.caller
+ * @param {string} model - Model
+ * @returns {boolean}
+ */
+export function isCallerModelAllowed(caller, model) {
+  if (caller?.type !== 'api_key') return true;
+  const record = apiKeyStore.get(caller.id);
+  return !record || apiKeyStore.isModelAllowed(record, model);
+}
+
+/**
+ * Create the API auth middleware of an API surface
+ * Accepts the legacy API_KEY, managed API keys and admin JWTs. Auth is skipped while
+ * neither API_KEY nor any managed key is configured, and on the SD surface while sd.requireApiKey is off.
+ * Sets req.caller = { type, id, name } for usage attribution and req.accountPools for account selection,
+ * admin JWTs also set req.user
+ * @param {'openai'|'gemini'|'sd'} surface - openai: /v1 (OpenAI + Claude), gemini: /v1beta, sd: /sdapi/v1
+ * @returns {Function} Express middleware
+ */
+export function createApiAuth(surface) {
+  return (req, res, next) => {
+    const legacyKey = config.security?.apiKey;
+    // SD WebUI clients without --api-auth keep working when SD generation is left open
+    const open = surface === 'sd' && !config.sd.requireApiKey;
+    if (open || (!legacyKey && !apiKeyStore.hasKeys())) {
+      bindCaller(req, ANONYMOUS_CALLER);
+      return next();
+    }
+
+    const credentials = extractCredentials(req, surface);
+    if (legacyKey && credentials.includes(legacyKey)) {
+      bindCaller(req, LEGACY_KEY_CALLER);
+      return next();
+    }
+
+    for (const credential of credentials) {
+      const record = apiKeyStore.findByKey(credential);
+      if (!record) continue;
+
+      const error = checkManagedKey(record, getRequestModel(req, surface));
+      if (error) {
+        logger.warn(`API key ${record.name} (${record.id}) rejected: ${req.method} ${req.originalUrl.split('?')[0]} - ${error.message}`);
+        return sendAuthError(req, res, surface, error);
+      }
+      bindCaller(req, { type: 'api_key', id: record.id, name: record.name }, record.pools);
+      return next();
+    }
+
+    // Admin JWT (used by the management UI playground)
+    for (const credential of credentials) {
+      try {
+        req.user = verifyToken(credential);
+        bindCaller(req, { type: 'user', id: `user:${req.user.username}`, name: req.user.username });
+        return next();
+      } catch (e) {
+        // Not a valid JWT, try the next credential
+      }
+    }
+
+    const providedKey = credentials[0];
+    logger.warn(`API Key validation failed: ${req.method} ${req.originalUrl.split('?')[0]} (Provided Key: ${providedKey ? providedKey.substring(0, 10) + '...' : 'none'})`);
+    return sendAuthError(req, res, surface, new AuthenticationError('Invalid API Key'));
+  };
+}
+
+export default createApiAuth;
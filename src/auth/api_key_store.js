@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { log } from '../utils/logger.js';
+import { getDataDir } from '../utils/paths.js';
+import { getCallerTotals } from '../utils/usageStore.js';
+import { normalizePoolNames } from './account_pools.js';
+import { matchesModelPattern } from '../utils/modelRouting.js';
+import { API_KEY_PREFIX, API_KEY_RATE_WINDOW } from '../constants/index.js';
+
+/**
+ * Managed API key record (persisted without the plaintext key)
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id - Key ID (key_xxx)
+ * @property {string} name - Display name
+ * @property {string} keyHash - sha256 of the key
+ * @property {string} preview - Masked key for display
+ * @property {Array<string>} models - Model allowlist, empty allows every model ('*' wildcards and /regex/ supported)
+ * @property {Array<string>} pools - Account pools the key rotates over in priority order, empty uses the route binding / every account
+ * @property {number|null} expiresAt - Expiry timestamp, null never expires
+ * @property {number|null} rpm - Requests per minute, null is unlimited
+ * @property {number|null} dailyTokenBudget - Tokens per local day, null is unlimited
+ * @property {number|null} monthlyTokenBudget - Tokens per local month, null is unlimited
+ * @property {number|null} dailyRequestBudget - Requests per local day, null is unlimited
+ * @property {number|null} monthlyRequestBudget - Requests per local month, null is unlimited
+ * @property {boolean} revoked - Revoked keys no longer authenticate
+ * @property {number} createdAt - Creation timestamp
+ * @property {number|null} lastUsedAt - Last successful authentication
+ */
+
+// Usage budgets, counted from the usage rollups (see utils/usageStore.js)
+const BUDGETS = [
+  { field: 'dailyTokenBudget', period: 'day', counter: 'totalTokens', label: 'daily token' },
+  { field: 'monthlyTokenBudget', period: 'month', counter: 'totalTokens', label: 'monthly token' },
+  { field: 'dailyRequestBudget', period: 'day', counter: 'requests', label: 'daily request' },
+  { field: 'monthlyRequestBudget', period: 'month', counter: 'requests', label: 'monthly request' }
+];
+
+function hashKey(rawKey) {
+  return createHash('sha256').update(rawKey).digest('hex');
+}
+
+function generateKey() {
+  return `${API_KEY_PREFIX}${randomBytes(24).toString('hex')}`;
+}
+
+function maskKey(rawKey) {
+  return `${rawKey.slice(0, API_KEY_PREFIX.length + 4)}...${rawKey.slice(-4)}`;
+}
+
+/**
+ * Normalize user-supplied key settings
+ * @param {Object} input - Raw settings from the admin API
+ * @returns {Object} Settings with only known fields
+ */
+function normalizeSettings(input) {
+  const settings = {};
+  if (input.name !== undefined) settings.name = String(input.name || '').trim() || 'Unnamed key';
+  if (input.models !== undefined) {
+    const models = Array.isArray(input.models) ? input.models : String(input.models || '').split(',');
+    settings.models = models.map(model => String(model).trim()).filter(Boolean);
+  }
+  if (input.pools !== undefined) settings.pools = normalizePoolNames(input.pools);
+  if (input.expiresAt !== undefined) {
+    const expiresAt = input.expiresAt ? new Date(input.expiresAt).getTime() : null;
+    if (expiresAt !== null && !Number.isFinite(expiresAt)) throw new Error('Invalid expiresAt');
+    settings.expiresAt = expiresAt;
+  }
+  for (const field of ['rpm', ...BUDGETS.map(budget => budget.field)]) {
+    if (input[field] === undefined) continue;
+    const value = input[field] === null || input[field] === '' ? null : Number(input[field]);
+    if (value !== null && (!Number.isInteger(value) || value <= 0)) throw new Error(`${field} must be a positive integer`);
+    settings[field] = value;
+  }
+  return settings;
+}
+
+class ApiKeyStore {
+  /**
+   * @param {string} filePath - API key data file path
+   */
+  constructor(filePath = path.join(getDataDir(), 'api_keys.json')) {
+    this.filePath = filePath;
+    /** @type {Array<ApiKeyRecord>} */
+    this.keys = [];
+    /** @type {Map<string, Array<number>>} key ID -> request timestamps inside the rate window */
+    this.requestTimes = new Map();
+    this.loadFromFile();
+  }
+
+  loadFromFile() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.keys = Array.isArray(parsed.keys) ? parsed.keys : [];
+    } catch (error) {
+      log.error('Failed to load API key file:', error.message);
+    }
+  }
+
+  saveToFile() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this.filePath, JSON.stringify({ keys: this.keys }, null, 2), 'utf8');
+    } catch (error) {
+      log.error('Failed to save API key file:', error.message);
+    }
+  }
+
+  /**
+   * Public view of a key record (no hash) with its current day / month usage
+   * @param {ApiKeyRecord} record - Key record
+   * @returns {Object}
+   */
+  toPublic(record) {
+    const { keyHash, ...rest } = record;
+    return {
+      ...rest,
+      expired: this.isExpired(record),
+      usage: {
+        day: getCallerTotals(record.id, 'day'),
+        month: getCallerTotals(record.id, 'month')
+      }
+    };
+  }
+
+  isExpired(record) {
+    return record.expiresAt !== null && record.expiresAt <= Date.now();
+  }
+
+  /**
+   * Whether any managed key exists (auth stays required even after every key is revoked)
+   * @returns {boolean}
+   */
+  hasKeys() {
+    return this.keys.length > 0;
+  }
+
+  list() {
+    return this.keys.map(record => this.toPublic(record));
+  }
+
+  get(id) {
+    return this.keys.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Create a key, the plaintext key is only returned here
+   * @param {Object} input - name, models, pools, expiresAt, rpm and budgets
+   * @returns {{key: string, record: Object}}
+   */
+  create(input = {}) {
+    const key = generateKey();
+    const record = {
+      id: `key_${randomBytes(6).toString('hex')}`,
+      name: 'Unnamed key',
+      keyHash: hashKey(key),
+      preview: maskKey(key),
+      models: [],
+      pools: [],
+      expiresAt: null,
+      rpm: null,
+      ...Object.fromEntries(BUDGETS.map(budget => [budget.field, null])),
+      ...normalizeSettings(input),
+      revoked: false,
+      createdAt: Date.now(),
+      lastUsedAt: null
+    };
+    this.keys.push(record);
+    this.saveToFile();
+    log.info(`API key created: ${record.name} (${record.id})`);
+    return { key, record: this.toPublic(record) };
+  }
+
+  /**
+   * Update key settings (name, allowlist, pools, expiry, limits)
+   * @param {string} id - Key ID
+   * @param {Object} input - Settings to change
+   * @returns {Object|null} Updated record, null if not found
+   */
+  update(id, input = {}) {
+    const record = this.get(id);
+    if (!record) return null;
+    Object.assign(record, normalizeSettings(input));
+    this.saveToFile();
+    return this.toPublic(record);
+  }
+
+  /**
+   * Revoke a key, it stays listed for reference but no longer authenticates
+   * @param {string} id - Key ID
+   * @returns {Object|null} Revoked record, null if not found
+   */
+  revoke(id) {
+    const record = this.get(id);
+    if (!record) return null;
+    record.revoked = true;
+    this.requestTimes.delete(id);
+    this.saveToFile();
+    log.info(`API key revoked: ${record.name} (${record.id})`);
+    return this.toPublic(record);
+  }
+
+  /**
+   * Replace the secret of a key, settings and usage are kept
+   * @param {string} id - Key ID
+   * @returns {{key: string, record: Object}|null} null if not found
+   */
+  rotate(id) {
+    const record = this.get(id);
+    if (!record) return null;
+    const key = generateKey();
+    record.keyHash = hashKey(key);
+    record.preview = maskKey(key);
+    record.revoked = false;
+    this.saveToFile();
+    log.info(`API key rotated: ${record.name} (${record.id})`);
+    return { key, record: this.toPublic(record) };
+  }
+
+  /**
+   * Find the record of a plaintext key
+   * @param {string} rawKey - Key from the request
+   * @returns {ApiKeyRecord|null} Matching record (may be revoked or expired)
+   */
+  findByKey(rawKey) {
+    if (!rawKey || !rawKey.startsWith(API_KEY_PREFIX)) return null;
+    const hash = hashKey(rawKey);
+    return this.keys.find(record => record.keyHash === hash) || null;
+  }
+
+  /**
+   * Whether a key may use a model
+   * @param {ApiKeyRecord} record - Key record
+   * @param {string|null} model - Requested model, null for requests without a model (e.g. model list)
+   * @returns {boolean}
+   */
+  isModelAllowed(record, model) {
+    if (!model || record.models.length === 0) return true;
+    const name = model.replace(/^models\//, '');
+    return record.models.some(pattern => matchesModelPattern(name, pattern));
+  }
+
+  /**
+   * Count a request against the requests-per-minute limit
+   * @param {ApiKeyRecord} record - Key record
+   * @returns {{allowed: boolean, retryAfter?: number}} retryAfter in seconds
+   */
+  consumeRequest(record) {
+    const now = Date.now();
+    const times = (this.requestTimes.get(record.id) || []).filter(time => now - time < API_KEY_RATE_WINDOW);
+    if (record.rpm && times.length >= record.rpm) {
+      this.requestTimes.set(record.id, times);
+      return { allowed: false, retryAfter: Math.max(1, Math.ceil((times[0] + API_KEY_RATE_WINDOW - now) / 1000)) };
+    }
+    times.push(now);
+    this.requestTimes.set(record.id, times);
+    record.lastUsedAt = now;
+    return { allowed: true };
+  }
+
+  /**
+   * First usage budget the key has used up
+   * @param {ApiKeyRecord} record - Key record
+   * @returns {{field: string, period: 'day'|'month', label: string, limit: number}|null} null while within budget
+   */
+  getExceededBudget(record) {
+    for (const budget of BUDGETS) {
+      const limit = record[budget.field];
+      if (limit && getCallerTotals(record.id, budget.period)[budget.counter] >= limit) {
+        return { ...budget, limit };
+      }
+    }
+    return null;
+  }
+}
+
+const apiKeyStore = new ApiKeyStore();
+export default apiKeyStore;
@@ -80,6 +80,28 @@ class QuotaManager {
     return data;
   }
 
+  /**
+   * Get cached quota of a single model
+   * Cache TTL is ignored: a fraction stays meaningful until its reset time, after which the quota reads as full
+   * @param {string} refreshToken - Account refresh_token
+   * @param {string} modelId - Upstream model ID
+   * @returns {{remainingFraction: number, resetTime: number|null}|null} null if unknown
+   */
+  getModelQuota(refreshToken, modelId) {
+    const quota = this.cache.get(refreshToken)?.models?.[modelId];
+    if (!quota) return null;
+
+    const resetTime = quota.t ? Date.parse(quota.t) : NaN;
+    if (Number.isFinite(resetTime) && resetTime <= Date.now()) {
+      return { remainingFraction: 1, resetTime: null };
+    }
+    // Upstream omits remainingFraction once it reaches 0
+    return {
+      remainingFraction: typeof quota.r === 'number' ? quota.r : 0,
+      resetTime: Number.isFinite(resetTime) ? resetTime : null
+    };
+  }
+
   cleanup() {
     const now = Date.now();
     let cleaned = 0;
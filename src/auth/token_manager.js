@@ -6,18 +6,43 @@ import { OAUTH_CONFIG } from '../constants/oauth.js';
 import { buildAxiosRequestConfig } from '../utils/httpClient.js';
 import {
   DEFAULT_REQUEST_COUNT_PER_TOKEN,
-  TOKEN_REFRESH_BUFFER
+  TOKEN_REFRESH_BUFFER,
+  QUOTA_EXHAUSTED_COOLDOWN,
+  DEFAULT_ACCOUNT_POOL
 } from '../constants/index.js';
 import TokenStore from './token_store.js';
+import quotaManager from './quota_manager.js';
 import { TokenError } from '../utils/errors.js';
+import { resolveModelName } from '../utils/utils.js';
+import { getAccountPools, normalizePoolNames } from './account_pools.js';
+import AccountHealthTracker, { AccountHealth, isInvalidGrantError } from './account_health.js';
 
 // Rotation strategy enum
 const RotationStrategy = {
   ROUND_ROBIN: 'round_robin',           // Load balancing: switch on each request
   QUOTA_EXHAUSTED: 'quota_exhausted',   // Switch only when quota exhausted
-  REQUEST_COUNT: 'request_count'        // Switch after custom count
+  REQUEST_COUNT: 'request_count',       // Switch after custom count
+  QUOTA_AWARE: 'quota_aware'            // Pick the account with the most remaining quota for the model
 };
 
+/**
+ * Rotation state of an account list
+ * @typedef {Object} RotationState
+ * @property {string} strategy - Rotation strategy
+ * @property {number} requestCount - Requests per account before switching (request_count)
+ * @property {number} currentIndex - Rotation position in the account list
+ * @property {Map<string, number>} requestCounts - refresh_token -> requests since the last switch
+ */
+
+/**
+ * @param {string} strategy - Rotation strategy
+ * @param {number} requestCount - Requests per account before switching
+ * @returns {RotationState}
+ */
+function createRotationState(strategy, requestCount) {
+  return { strategy, requestCount, currentIndex: 0, requestCounts: new Map() };
+}
+
 /**
  * Token Manager
  * Responsible for token storage, rotation, refresh, etc.
@@ -30,22 +55,22 @@ class TokenManager {
     this.store = new TokenStore(filePath);
     /** @type {Array<Object>} */
     this.tokens = [];
-    /** @type {number} */
-    this.currentIndex = 0;
 
     // Rotation strategy related - use atomic operations to avoid locks
-    /** @type {string} */
-    this.rotationStrategy = RotationStrategy.ROUND_ROBIN;
-    /** @type {number} */
-    this.requestCountPerToken = DEFAULT_REQUEST_COUNT_PER_TOKEN;
-    /** @type {Map<string, number>} */
-    this.tokenRequestCounts = new Map();
-
-    // Available token index cache for quota exhausted strategy (optimized for large-scale accounts)
-    /** @type {number[]} */
-    this.availableQuotaTokenIndices = [];
-    /** @type {number} */
-    this.currentQuotaIndex = 0;
+    // Callers without pools rotate over every account, callers bound to pools use the state of each pool
+    /** @type {RotationState} */
+    this.rotation = createRotationState(RotationStrategy.ROUND_ROBIN, DEFAULT_REQUEST_COUNT_PER_TOKEN);
+    /** @type {Object<string, {strategy?: string, requestCount?: number}>} Per-pool settings (config.json rotation.pools) */
+    this.poolSettings = {};
+    /** @type {Map<string, RotationState>} */
+    this.poolStates = new Map();
+
+    // Per-model quota exhaustion: refresh_token -> (model -> reset timestamp)
+    /** @type {Map<string, Map<string, number>>} */
+    this.exhaustedModelQuotas = new Map();
+
+    // Account health (circuit breaker), kept across reloads
+    this.health = new AccountHealthTracker();
 
     /** @type {Promise<void>|null} */
     this._initPromise = null;
@@ -61,9 +86,9 @@ class TokenManager {
         sessionId: generateSessionId()
       }));
 
-      this.currentIndex = 0;
-      this.tokenRequestCounts.clear();
-      this._rebuildAvailableQuotaTokens();
+      this.rotation.currentIndex = 0;
+      this.rotation.requestCounts.clear();
+      this.poolStates.clear();
 
       // Load rotation strategy config
       this.loadRotationConfig();
@@ -74,10 +99,14 @@ class TokenManager {
         log.warn('  Method 2: Visit the frontend management page to add accounts');
       } else {
         log.info(`Successfully loaded ${this.tokens.length} available tokens`);
-        if (this.rotationStrategy === RotationStrategy.REQUEST_COUNT) {
-          log.info(`Rotation strategy: ${this.rotationStrategy}, switch after ${this.requestCountPerToken} requests per token`);
+        if (this.rotation.strategy === RotationStrategy.REQUEST_COUNT) {
+          log.info(`Rotation strategy: ${this.rotation.strategy}, switch after ${this.rotation.requestCount} requests per token`);
         } else {
-          log.info(`Rotation strategy: ${this.rotationStrategy}`);
+          log.info(`Rotation strategy: ${this.rotation.strategy}`);
+        }
+        const pools = this.getPoolStatus();
+        if (pools.some(pool => pool.name !== DEFAULT_ACCOUNT_POOL)) {
+          log.info(`Account pools: ${pools.map(pool => `${pool.name} (${pool.accounts})`).join(', ')}`);
         }
 
         // Concurrently refresh all expired tokens
@@ -122,12 +151,13 @@ class TokenManager {
       } else {
         failCount++;
         log.error(`...${token.access_token?.slice(-8) || 'unknown'} refresh failed:`, result.reason?.message || result.reason);
+        this.reportAccountFailure(token, `Refresh failed: ${result.reason?.message || result.reason}`, true);
       }
     });
 
-    // Batch disable invalid tokens
+    // Batch disable revoked tokens
     for (const token of tokensToDisable) {
-      this.disableToken(token);
+      this.disableToken(token, 'invalid_grant: refresh token revoked');
     }
 
     const elapsed = Date.now() - startTime;
@@ -135,9 +165,9 @@ class TokenManager {
   }
 
   /**
-   * Safely refresh a single token (doesn't throw exception)
+   * Refresh a single token, a revoked refresh token (invalid_grant) resolves to 'disable'
    * @param {Object} token - Token object
-   * @returns {Promise<'success'|'disable'|'skip'>} Refresh result
+   * @returns {Promise<'success'|'disable'>} Refresh result, other failures reject
    * @private
    */
   async _refreshTokenSafe(token) {
@@ -145,8 +175,8 @@ class TokenManager {
       await this.refreshToken(token);
       return 'success';
     } catch (error) {
-      if (error.statusCode === 403 || error.statusCode === 400) {
-        log.warn(`...${token.access_token?.slice(-8) || 'unknown'}: Token expired, will be disabled`);
+      if (isInvalidGrantError(error)) {
+        log.warn(`...${token.access_token?.slice(-8) || 'unknown'}: Refresh token revoked, will be disabled`);
         return 'disable';
       }
       throw error;
@@ -165,8 +195,9 @@ class TokenManager {
     try {
       const jsonConfig = getConfigJson();
       if (jsonConfig.rotation) {
-        this.rotationStrategy = jsonConfig.rotation.strategy || RotationStrategy.ROUND_ROBIN;
-        this.requestCountPerToken = jsonConfig.rotation.requestCount || 10;
+        this.rotation.strategy = jsonConfig.rotation.strategy || RotationStrategy.ROUND_ROBIN;
+        this.rotation.requestCount = jsonConfig.rotation.requestCount || 10;
+        this.poolSettings = jsonConfig.rotation.pools || {};
       }
     } catch (error) {
       log.warn('Failed to load rotation config, using defaults:', error.message);
@@ -174,46 +205,23 @@ class TokenManager {
   }
 
   // Update rotation strategy (hot reload)
-  updateRotationConfig(strategy, requestCount) {
+  updateRotationConfig(strategy, requestCount, pools = null) {
     if (strategy && Object.values(RotationStrategy).includes(strategy)) {
-      this.rotationStrategy = strategy;
+      this.rotation.strategy = strategy;
     }
     if (requestCount && requestCount > 0) {
-      this.requestCountPerToken = requestCount;
+      this.rotation.requestCount = requestCount;
     }
-    // Reset counters
-    this.tokenRequestCounts.clear();
-    if (this.rotationStrategy === RotationStrategy.REQUEST_COUNT) {
-      log.info(`Rotation strategy updated: ${this.rotationStrategy}, switch after ${this.requestCountPerToken} requests per token`);
-    } else {
-      log.info(`Rotation strategy updated: ${this.rotationStrategy}`);
+    if (pools) {
+      this.poolSettings = pools;
     }
-  }
-
-  // Rebuild available token list for quota exhausted strategy
-  _rebuildAvailableQuotaTokens() {
-    this.availableQuotaTokenIndices = [];
-    this.tokens.forEach((token, index) => {
-      if (token.enable !== false && token.hasQuota !== false) {
-        this.availableQuotaTokenIndices.push(index);
-      }
-    });
-
-    if (this.availableQuotaTokenIndices.length === 0) {
-      this.currentQuotaIndex = 0;
+    // Reset counters, pool states are recreated with the new settings
+    this.rotation.requestCounts.clear();
+    this.poolStates.clear();
+    if (this.rotation.strategy === RotationStrategy.REQUEST_COUNT) {
+      log.info(`Rotation strategy updated: ${this.rotation.strategy}, switch after ${this.rotation.requestCount} requests per token`);
     } else {
-      this.currentQuotaIndex = this.currentQuotaIndex % this.availableQuotaTokenIndices.length;
-    }
-  }
-
-  // Remove specified index from quota exhausted strategy available list
-  _removeQuotaIndex(tokenIndex) {
-    const pos = this.availableQuotaTokenIndices.indexOf(tokenIndex);
-    if (pos !== -1) {
-      this.availableQuotaTokenIndices.splice(pos, 1);
-      if (this.currentQuotaIndex >= this.availableQuotaTokenIndices.length) {
-        this.currentQuotaIndex = 0;
-      }
+      log.info(`Rotation strategy updated: ${this.rotation.strategy}`);
     }
   }
 
@@ -236,12 +244,13 @@ class TokenManager {
   /**
    * Check if token is expired
    * @param {Object} token - Token object
+   * @param {number} [buffer] - Count tokens expiring within this time (ms) as expired
    * @returns {boolean} Whether expired
    */
-  isExpired(token) {
+  isExpired(token, buffer = TOKEN_REFRESH_BUFFER) {
     if (!token.timestamp || !token.expires_in) return true;
     const expiresAt = token.timestamp + (token.expires_in * 1000);
-    return Date.now() >= expiresAt - TOKEN_REFRESH_BUFFER;
+    return Date.now() >= expiresAt - buffer;
   }
 
   async refreshToken(token) {
@@ -275,8 +284,31 @@ class TokenManager {
       const statusCode = error.response?.status;
       const rawBody = error.response?.data;
       const suffix = token.access_token ? token.access_token.slice(-8) : null;
-      const message = typeof rawBody === 'string' ? rawBody : (rawBody?.error?.message || error.message || 'Failed to refresh token');
-      throw new TokenError(message, suffix, statusCode || 500);
+      // OAuth errors look like { error: 'invalid_grant', error_description: '...' }
+      const oauthError = typeof rawBody?.error === 'string'
+        ? rawBody.error
+        : (typeof rawBody === 'string' && rawBody.includes('invalid_grant') ? 'invalid_grant' : null);
+      const message = typeof rawBody === 'string'
+        ? rawBody
+        : (rawBody?.error_description || rawBody?.error?.message || oauthError || error.message || 'Failed to refresh token');
+      const tokenError = new TokenError(message, suffix, statusCode || 500);
+      tokenError.oauthError = oauthError;
+      throw tokenError;
+    }
+  }
+
+  /**
+   * Refresh an account outside the request path (background scheduler)
+   * Failures cool the account down (a revoked refresh token disables it) and are rethrown
+   * @param {Object} token - Token object
+   * @returns {Promise<Object>} Refreshed token
+   */
+  async refreshAccount(token) {
+    try {
+      return await this.refreshToken(token);
+    } catch (error) {
+      this._handleTokenError(error, token);
+      throw error;
     }
   }
 
@@ -287,47 +319,58 @@ class TokenManager {
     });
   }
 
-  disableToken(token) {
-    log.warn(`Disabling token ...${token.access_token.slice(-8)}`)
+  /**
+   * Disable an account permanently (only for a revoked refresh token)
+   * @param {Object} token - Token object
+   * @param {string|null} [reason] - Saved as disabledReason and shown on the account
+   */
+  disableToken(token, reason = null) {
+    log.warn(`Disabling token ...${token.access_token.slice(-8)}${reason ? `: ${reason}` : ''}`)
     token.enable = false;
+    if (reason) {
+      token.disabledReason = reason;
+      this.health.markDead(token.refresh_token, reason);
+    }
     this.saveToFile();
     this.tokens = this.tokens.filter(t => t.refresh_token !== token.refresh_token);
-    this.currentIndex = this.currentIndex % Math.max(this.tokens.length, 1);
-    // Rebuild available list for quota exhausted strategy when tokens structure changes
-    this._rebuildAvailableQuotaTokens();
+    this.rotation.currentIndex = this.rotation.currentIndex % Math.max(this.tokens.length, 1);
   }
 
   // Atomic operation: get and increment request count
-  incrementRequestCount(tokenKey) {
-    const current = this.tokenRequestCounts.get(tokenKey) || 0;
+  incrementRequestCount(tokenKey, state = this.rotation) {
+    const current = state.requestCounts.get(tokenKey) || 0;
     const newCount = current + 1;
-    this.tokenRequestCounts.set(tokenKey, newCount);
+    state.requestCounts.set(tokenKey, newCount);
     return newCount;
   }
 
   // Atomic operation: reset request count
-  resetRequestCount(tokenKey) {
-    this.tokenRequestCounts.set(tokenKey, 0);
+  resetRequestCount(tokenKey, state = this.rotation) {
+    state.requestCounts.set(tokenKey, 0);
   }
 
-  // Determine if should rotate to next token
-  shouldRotate(token) {
-    switch (this.rotationStrategy) {
+  // Determine if should rotate to next token (state: rotation state of the account list the token was picked from)
+  shouldRotate(token, state = this.rotation) {
+    switch (state.strategy) {
       case RotationStrategy.ROUND_ROBIN:
         // Load balancing: switch after each request
         return true;
 
       case RotationStrategy.QUOTA_EXHAUSTED:
-        // Switch only when quota exhausted: check token's hasQuota flag
-        // If hasQuota is false, quota is exhausted, need to switch
-        return token.hasQuota === false;
+        // Switch only when quota exhausted: keep the current token,
+        // accounts without quota for the requested model are skipped during selection
+        return false;
+
+      case RotationStrategy.QUOTA_AWARE:
+        // Accounts are ordered by remaining quota, rotate so ties are balanced
+        return true;
 
       case RotationStrategy.REQUEST_COUNT:
         // Switch after custom count
         const tokenKey = token.refresh_token;
-        const count = this.incrementRequestCount(tokenKey);
-        if (count >= this.requestCountPerToken) {
-          this.resetRequestCount(tokenKey);
+        const count = this.incrementRequestCount(tokenKey, state);
+        if (count >= state.requestCount) {
+          this.resetRequestCount(tokenKey, state);
           return true;
         }
         return false;
@@ -337,32 +380,207 @@ class TokenManager {
     }
   }
 
-  // Mark token quota exhausted
-  markQuotaExhausted(token) {
-    token.hasQuota = false;
-    this.saveToFile(token);
-    log.warn(`...${token.access_token.slice(-8)}: Quota exhausted, marked as no quota`);
+  /**
+   * Record a failed request or refresh, the account cools down (see account_health.js)
+   * @param {Object} token - Token object
+   * @param {string} reason - Failure description
+   * @param {boolean} [immediate] - Cool down right away instead of after repeated failures
+   * @param {boolean} [fromRequest] - The failure came from an upstream request (the probe then puts the account on trial)
+   */
+  reportAccountFailure(token, reason, immediate = false, fromRequest = false) {
+    const wasAvailable = this.health.isAvailable(token.refresh_token);
+    const entry = this.health.recordFailure(token.refresh_token, reason, immediate, fromRequest);
+    if (wasAvailable && entry.state === AccountHealth.COOLING_DOWN) {
+      log.warn(`...${token.access_token?.slice(-8) || 'unknown'}: cooling down until ${new Date(entry.cooldownUntil).toISOString()} (${reason})`);
+    }
+  }
+
+  /**
+   * Record a successful request, resets the account's failures and backoff
+   * @param {Object} token - Token object
+   */
+  reportAccountSuccess(token) {
+    this.health.recordSuccess(token.refresh_token);
+  }
 
-    if (this.rotationStrategy === RotationStrategy.QUOTA_EXHAUSTED) {
-      const tokenIndex = this.tokens.findIndex(t => t.refresh_token === token.refresh_token);
-      if (tokenIndex !== -1) {
-        this._removeQuotaIndex(tokenIndex);
+  /**
+   * Probe accounts whose cooldown is over (run by the background scheduler)
+   * The probe refreshes the access token when needed and calls loadCodeAssist; that cannot tell whether a failed
+   * request (e.g. a 403 on generation) would work again, so such accounts only return on trial
+   * @returns {Promise<number>} Number of accounts probed
+   */
+  async probeAccounts() {
+    const due = this.health.takeDueForProbe();
+    for (const key of due) {
+      const token = this.tokens.find(t => t.refresh_token === key);
+      if (!token) {
+        this.health.reset(key);
+        continue;
       }
-      this.currentIndex = (this.currentIndex + 1) % Math.max(this.tokens.length, 1);
+
+      const suffix = token.access_token?.slice(-8) || 'unknown';
+      try {
+        if (this.isExpired(token)) {
+          await this.refreshToken(token);
+        }
+        if ((await this.fetchProjectId(token)) === undefined && !token.projectId) {
+          throw new Error('Not eligible to get projectId');
+        }
+        if (this.health.get(key).fromRequest) {
+          this.health.startTrial(key);
+          log.info(`...${suffix}: probe succeeded, account is back in rotation on trial until a request succeeds`);
+        } else {
+          this.health.markRecovered(key);
+          log.info(`...${suffix}: probe succeeded, account is back in rotation`);
+        }
+      } catch (error) {
+        if (isInvalidGrantError(error)) {
+          this.disableToken(token, `invalid_grant: ${error.message}`);
+          continue;
+        }
+        const entry = this.health.recordFailure(key, `Probe failed: ${error.message}`, true, this.health.get(key).fromRequest);
+        log.warn(`...${suffix}: probe failed (${error.message}), cooling down until ${new Date(entry.cooldownUntil).toISOString()}`);
+      }
+    }
+    return due.length;
+  }
+
+  /**
+   * Health shown on the account: disabled accounts keep their disable reason
+   * @param {Object} token - Token object (from accounts.json)
+   * @returns {{state: string, reason: string|null, failures: number, cooldownUntil: number|null}}
+   */
+  getAccountHealth(token) {
+    if (token.enable === false) {
+      return { state: AccountHealth.DEAD, reason: token.disabledReason || null, failures: 0, cooldownUntil: null };
     }
+    const { state, reason, failures, cooldownUntil } = this.health.get(token.refresh_token);
+    return { state, reason, failures, cooldownUntil };
   }
 
-  // Restore token quota (for after quota reset)
-  restoreQuota(token) {
-    token.hasQuota = true;
-    this.saveToFile(token);
-    log.info(`...${token.access_token.slice(-8)}: Quota restored`);
+  /**
+   * Mark a model's quota as exhausted for an account
+   * The account stays usable for other models and is restored automatically at the reset time
+   * @param {Object} token - Token object
+   * @param {string} model - Model name
+   * @param {number|null} [resetAt] - Reset timestamp (ms), falls back to the cached quota resetTime
+   */
+  markQuotaExhausted(token, model, resetAt = null) {
+    const modelId = resolveModelName(model);
+    const until = resetAt
+      || quotaManager.getModelQuota(token.refresh_token, modelId)?.resetTime
+      || Date.now() + QUOTA_EXHAUSTED_COOLDOWN;
+
+    let models = this.exhaustedModelQuotas.get(token.refresh_token);
+    if (!models) {
+      models = new Map();
+      this.exhaustedModelQuotas.set(token.refresh_token, models);
+    }
+    models.set(modelId, until);
+    log.warn(`...${token.access_token?.slice(-8) || 'unknown'}: ${modelId} quota exhausted until ${new Date(until).toISOString()}`);
+  }
+
+  /**
+   * Restore a model's quota for an account (called automatically once the reset time passed)
+   * @param {Object} token - Token object
+   * @param {string} model - Model name
+   */
+  restoreQuota(token, model) {
+    const modelId = resolveModelName(model);
+    const models = this.exhaustedModelQuotas.get(token.refresh_token);
+    if (!models?.delete(modelId)) return;
+    if (models.size === 0) this.exhaustedModelQuotas.delete(token.refresh_token);
+    log.info(`...${token.access_token?.slice(-8) || 'unknown'}: ${modelId} quota restored`);
+  }
+
+  /**
+   * Whether an account has quota left for a model
+   * Uses exhaustion marks from failed requests and the cached upstream quota (remainingFraction / resetTime)
+   * @param {Object} token - Token object
+   * @param {string} model - Model name
+   * @returns {boolean}
+   */
+  hasModelQuota(token, model) {
+    const modelId = resolveModelName(model);
+    const resetAt = this.exhaustedModelQuotas.get(token.refresh_token)?.get(modelId);
+    if (resetAt !== undefined) {
+      if (resetAt > Date.now()) return false;
+      this.restoreQuota(token, modelId);
+    }
+    const quota = quotaManager.getModelQuota(token.refresh_token, modelId);
+    return !quota || quota.remainingFraction > 0;
+  }
+
+  /**
+   * Cached remaining quota fraction of a model (unknown quota counts as full)
+   * @param {Object} token - Token object
+   * @param {string} model - Model name
+   * @returns {number} 0 - 1
+   */
+  getRemainingFraction(token, model) {
+    if (!model) return 1;
+    if (!this.hasModelQuota(token, model)) return 0;
+    return quotaManager.getModelQuota(token.refresh_token, resolveModelName(model))?.remainingFraction ?? 1;
+  }
+
+  /**
+   * Model x account quota matrix of the enabled accounts
+   * Built from the cached upstream quota and the exhaustion marks, accounts without cached quota for a model are left out of it
+   * @returns {Promise<{accounts: Array<Object>, models: Array<Object>}>}
+   */
+  async getQuotaOverview() {
+    const tokens = await this.getEnabledTokens();
+    const models = new Map();
+
+    const accounts = tokens.map(token => {
+      const id = token.refresh_token.substring(0, 8);
+      const modelIds = new Set([
+        ...Object.keys(quotaManager.cache.get(token.refresh_token)?.models || {}),
+        ...(this.exhaustedModelQuotas.get(token.refresh_token)?.keys() || [])
+      ]);
+
+      modelIds.forEach(modelId => {
+        const remaining = this.getRemainingFraction(token, modelId);
+        const resetTime = this.exhaustedModelQuotas.get(token.refresh_token)?.get(modelId)
+          ?? quotaManager.getModelQuota(token.refresh_token, modelId)?.resetTime
+          ?? null;
+
+        let entry = models.get(modelId);
+        if (!entry) {
+          entry = { model: modelId, totalRemaining: 0, accounts: 0, earliestReset: null, exhausted: [], quotas: {} };
+          models.set(modelId, entry);
+        }
+        entry.totalRemaining += remaining;
+        entry.accounts++;
+        if (remaining <= 0) entry.exhausted.push(id);
+        // Only a partly used quota resets to more capacity
+        if (remaining < 1 && resetTime && (!entry.earliestReset || resetTime < entry.earliestReset)) {
+          entry.earliestReset = resetTime;
+        }
+        entry.quotas[id] = { remaining, resetTime };
+      });
+
+      return {
+        id,
+        email: token.email || null,
+        pools: getAccountPools(token),
+        health: this.health.get(token.refresh_token).state,
+        lastUpdated: quotaManager.cache.get(token.refresh_token)?.lastUpdated || null
+      };
+    });
+
+    return {
+      accounts,
+      models: [...models.values()]
+        .map(entry => ({ ...entry, totalRemaining: Math.round(entry.totalRemaining * 100) / 100 }))
+        .sort((a, b) => a.model.localeCompare(b.model))
+    };
   }
 
   /**
    * Prepare a single token (refresh + get projectId)
    * @param {Object} token - Token object
-   * @returns {Promise<'ready'|'skip'|'disable'>} Processing result
+   * @returns {Promise<'ready'>} Rejects when the account cannot be used
    * @private
    */
   async _prepareToken(token) {
@@ -380,8 +598,7 @@ class TokenManager {
       } else {
         const projectId = await this.fetchProjectId(token);
         if (projectId === undefined) {
-          log.warn(`...${token.access_token.slice(-8)}: Not eligible to get projectId, disabling account`);
-          return 'disable';
+          throw new TokenError('Not eligible to get projectId', token.access_token.slice(-8), 403);
         }
         token.projectId = projectId;
         this.saveToFile(token);
@@ -393,150 +610,176 @@ class TokenManager {
 
   /**
    * Handle errors during token preparation
+   * Revoked refresh tokens disable the account, auth errors cool it down, other errors count as failures
    * @param {Error} error - Error object
    * @param {Object} token - Token object
-   * @returns {'disable'|'skip'} Processing result
    * @private
    */
   _handleTokenError(error, token) {
     const suffix = token.access_token?.slice(-8) || 'unknown';
-    if (error.statusCode === 403 || error.statusCode === 400) {
-      log.warn(`...${suffix}: Token expired or invalid, auto-disabled this account`);
-      return 'disable';
+    if (isInvalidGrantError(error)) {
+      log.warn(`...${suffix}: Refresh token revoked, auto-disabled this account`);
+      this.disableToken(token, `invalid_grant: ${error.message}`);
+      return;
     }
     log.error(`...${suffix} operation failed:`, error.message);
-    return 'skip';
+    this.reportAccountFailure(token, error.message, error.statusCode === 403 || error.statusCode === 400);
   }
 
   /**
-   * Reset quota status for all tokens
-   * @private
+   * Get an available token according to the rotation strategy
+   * Accounts cooling down and accounts without quota left for the requested model are skipped; when no account has quota,
+   * all accounts are tried anyway (unless failing over) and the upstream decides
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.model] - Requested model (per-model quota)
+   * @param {Set<string>|null} [options.excludeKeys] - refresh_tokens to skip (accounts already tried by the current request)
+   * @param {string|null} [options.preferredKey] - refresh_token to use while it is available (conversation affinity)
+   * @param {Array<string>|null} [options.pools] - Caller's account pools in priority order, null uses every account
+   * @returns {Promise<Object|null>} Token object, null if none available
    */
-  _resetAllQuotas() {
-    log.warn('All token quotas exhausted, resetting quota status');
-    this.tokens.forEach(t => {
-      t.hasQuota = true;
-    });
-    this.saveToFile();
-    this._rebuildAvailableQuotaTokens();
-  }
-
-  async getToken() {
+  async getToken({ model = null, excludeKeys = null, preferredKey = null, pools = null } = {}) {
     await this._ensureInitialized();
     if (this.tokens.length === 0) return null;
 
-    // Special high-performance handling for quota exhausted strategy
-    if (this.rotationStrategy === RotationStrategy.QUOTA_EXHAUSTED) {
-      return this._getTokenForQuotaExhaustedStrategy();
+    const candidates = this._getCandidates(model, excludeKeys, this._getRotationScopes(pools));
+    const preferredIndex = preferredKey ? candidates.findIndex(c => c.token.refresh_token === preferredKey) : -1;
+    if (preferredIndex > 0) {
+      candidates.unshift(...candidates.splice(preferredIndex, 1));
     }
 
-    return this._getTokenForDefaultStrategy();
-  }
+    for (const { token, scope } of candidates) {
+      if (!(await this._prepareCandidate(token))) continue;
 
-  /**
-   * Token retrieval for quota exhausted strategy
-   * @private
-   */
-  async _getTokenForQuotaExhaustedStrategy() {
-    // If no available tokens currently, try to reset quotas
-    if (this.availableQuotaTokenIndices.length === 0) {
-      this._resetAllQuotas();
-    }
+      // Sticky conversation: leave the rotation position to the other requests
+      if (token.refresh_token === preferredKey) return token;
 
-    const totalAvailable = this.availableQuotaTokenIndices.length;
-    if (totalAvailable === 0) {
-      return null;
+      // Update the index of the account list, then decide whether to switch based on its strategy
+      const { state, tokens } = scope;
+      state.currentIndex = tokens.indexOf(token);
+      if (this.shouldRotate(token, state)) {
+        state.currentIndex = (state.currentIndex + 1) % tokens.length;
+      }
+      return token;
     }
 
-    const startIndex = this.currentQuotaIndex % totalAvailable;
+    return null;
+  }
 
-    for (let i = 0; i < totalAvailable; i++) {
-      const listIndex = (startIndex + i) % totalAvailable;
-      const tokenIndex = this.availableQuotaTokenIndices[listIndex];
-      const token = this.tokens[tokenIndex];
+  /**
+   * Pick an account for a read-only upstream call (count_tokens) without touching any account
+   * Only accounts that are ready are returned (access token valid, projectId known): nothing is refreshed or fetched,
+   * no failure is recorded and the rotation position stays as it is
+   * @param {Object} [options] - Options
+   * @param {Array<string>|null} [options.pools] - Caller's account pools in priority order, null uses every account
+   * @returns {Promise<Object|null>} Token object, null when no account is ready
+   */
+  async peekToken({ pools = null } = {}) {
+    await this._ensureInitialized();
+    const ready = this._getCandidates(null, null, this._getRotationScopes(pools)).find(({ token }) =>
+      this.health.isAvailable(token.refresh_token) && token.projectId && !this.isExpired(token));
+    return ready?.token || null;
+  }
 
-      try {
-        const result = await this._prepareToken(token);
-        if (result === 'disable') {
-          this.disableToken(token);
-          this._rebuildAvailableQuotaTokens();
-          if (this.tokens.length === 0 || this.availableQuotaTokenIndices.length === 0) {
-            return null;
-          }
-          continue;
-        }
+  /**
+   * Account lists a caller rotates over, each with its own rotation state
+   * @param {Array<string>|null} pools - Pool names, null for every account
+   * @returns {Array<{state: RotationState, tokens: Array<Object>}>}
+   * @private
+   */
+  _getRotationScopes(pools) {
+    if (!pools?.length) return [{ state: this.rotation, tokens: this.tokens }];
+    return pools.map(name => ({
+      state: this._getPoolState(name),
+      tokens: this.tokens.filter(token => getAccountPools(token).includes(name))
+    }));
+  }
 
-        this.currentIndex = tokenIndex;
-        this.currentQuotaIndex = listIndex;
-        return token;
-      } catch (error) {
-        const action = this._handleTokenError(error, token);
-        if (action === 'disable') {
-          this.disableToken(token);
-          this._rebuildAvailableQuotaTokens();
-          if (this.tokens.length === 0 || this.availableQuotaTokenIndices.length === 0) {
-            return null;
-          }
-        }
-        // skip: continue to try next token
-      }
+  /**
+   * Rotation state of a pool, created from its settings (falls back to the global strategy)
+   * @param {string} name - Pool name
+   * @returns {RotationState}
+   * @private
+   */
+  _getPoolState(name) {
+    let state = this.poolStates.get(name);
+    if (!state) {
+      const settings = this.poolSettings[name] || {};
+      const strategy = Object.values(RotationStrategy).includes(settings.strategy) ? settings.strategy : this.rotation.strategy;
+      state = createRotationState(strategy, settings.requestCount > 0 ? settings.requestCount : this.rotation.requestCount);
+      this.poolStates.set(name, state);
     }
-
-    // All available tokens unavailable, reset quota status
-    this._resetAllQuotas();
-    return this.tokens[0] || null;
+    return state;
   }
 
   /**
-   * Token retrieval for default strategy (round_robin / request_count)
+   * Candidate tokens in selection order (pools in the caller's order, then rotation order)
+   * @param {string|null} model - Requested model
+   * @param {Set<string>|null} excludeKeys - refresh_tokens to skip
+   * @param {Array<{state: RotationState, tokens: Array<Object>}>} scopes - Account lists from _getRotationScopes
+   * @returns {Array<{token: Object, scope: Object, order: number}>}
    * @private
    */
-  async _getTokenForDefaultStrategy() {
-    const totalTokens = this.tokens.length;
-    const startIndex = this.currentIndex;
-
-    for (let i = 0; i < totalTokens; i++) {
-      const index = (startIndex + i) % totalTokens;
-      const token = this.tokens[index];
-
-      try {
-        const result = await this._prepareToken(token);
-        if (result === 'disable') {
-          this.disableToken(token);
-          if (this.tokens.length === 0) return null;
-          continue;
-        }
-
-        // Update current index
-        this.currentIndex = index;
-
-        // Decide whether to switch based on strategy
-        if (this.shouldRotate(token)) {
-          this.currentIndex = (this.currentIndex + 1) % this.tokens.length;
-        }
-
-        return token;
-      } catch (error) {
-        const action = this._handleTokenError(error, token);
-        if (action === 'disable') {
-          this.disableToken(token);
-          if (this.tokens.length === 0) return null;
-        }
-        // skip: continue to try next token
+  _getCandidates(model, excludeKeys, scopes) {
+    const seen = new Set();
+    const allowed = [];
+    scopes.forEach((scope, order) => {
+      const total = scope.tokens.length;
+      for (let i = 0; i < total; i++) {
+        const token = scope.tokens[(scope.state.currentIndex + i) % total];
+        // An account in several of the caller's pools is taken from the first one
+        if (excludeKeys?.has(token.refresh_token) || seen.has(token)) continue;
+        seen.add(token);
+        allowed.push({ token, scope, order });
       }
-    }
+    });
 
-    return null;
+    // Accounts cooling down are skipped; when every account is cooling down they are tried anyway (unless failing over)
+    const healthy = allowed.filter(({ token }) => this.health.isAvailable(token.refresh_token));
+    const available = healthy.length > 0 || excludeKeys?.size > 0 ? healthy : allowed;
+    if (!model) return available;
+
+    const withQuota = available.filter(({ token }) => this.hasModelQuota(token, model));
+    // Retrying on another account: never fall back to accounts known to be exhausted
+    const candidates = withQuota.length > 0 || excludeKeys?.size > 0 ? withQuota : available;
+
+    if (candidates.some(({ scope }) => scope.state.strategy === RotationStrategy.QUOTA_AWARE)) {
+      // Stable sort inside each pool: accounts with equal quota keep rotation order
+      const fractions = new Map(candidates.map(({ token, scope }) => [
+        token,
+        scope.state.strategy === RotationStrategy.QUOTA_AWARE ? this.getRemainingFraction(token, model) : 0
+      ]));
+      candidates.sort((a, b) => a.order - b.order || fractions.get(b.token) - fractions.get(a.token));
+    }
+    return candidates;
   }
 
-  disableCurrentToken(token) {
-    const found = this.tokens.find(t => t.access_token === token.access_token);
-    if (found) {
-      this.disableToken(found);
+  /**
+   * Prepare a candidate token, cooling it down (or disabling it when revoked) on failure
+   * @param {Object} token - Token object
+   * @returns {Promise<boolean>} Whether the token is ready to use
+   * @private
+   */
+  async _prepareCandidate(token) {
+    try {
+      await this._prepareToken(token);
+      return true;
+    } catch (error) {
+      this._handleTokenError(error, token);
+      // Continue to try next token
+      return false;
     }
   }
 
   // API management methods
+  /**
+   * Enabled accounts in rotation order
+   * @returns {Promise<Array<Object>>}
+   */
+  async getEnabledTokens() {
+    await this._ensureInitialized();
+    return [...this.tokens];
+  }
+
   async reload() {
     this._initPromise = this._initialize();
     await this._initPromise;
@@ -564,6 +807,9 @@ class TokenManager {
       if (tokenData.hasQuota !== undefined) {
         newToken.hasQuota = tokenData.hasQuota;
       }
+      if (tokenData.pools !== undefined) {
+        newToken.pools = normalizePoolNames(tokenData.pools);
+      }
 
       allTokens.push(newToken);
       await this.store.writeAll(allTokens);
@@ -585,7 +831,16 @@ class TokenManager {
         return { success: false, message: 'Token does not exist' };
       }
 
-      allTokens[index] = { ...allTokens[index], ...updates };
+      const changes = { ...updates };
+      if (changes.pools !== undefined) {
+        changes.pools = normalizePoolNames(changes.pools);
+      }
+      // Enabled by hand: start over as a healthy account
+      if (changes.enable === true) {
+        changes.disabledReason = undefined;
+        this.health.reset(refreshToken);
+      }
+      allTokens[index] = { ...allTokens[index], ...changes };
       await this.store.writeAll(allTokens);
 
       await this.reload();
@@ -606,6 +861,7 @@ class TokenManager {
       }
 
       await this.store.writeAll(filteredTokens);
+      this.health.reset(refreshToken);
 
       await this.reload();
       return { success: true, message: 'Token deleted successfully' };
@@ -628,7 +884,9 @@ class TokenManager {
         enable: token.enable !== false,
         projectId: token.projectId || null,
         email: token.email || null,
-        hasQuota: token.hasQuota !== false
+        hasQuota: token.hasQuota !== false,
+        pools: normalizePoolNames(token.pools),
+        health: this.getAccountHealth(token)
       }));
     } catch (error) {
       log.error('Failed to get token list:', error.message);
@@ -638,17 +896,44 @@ class TokenManager {
 
   // Get current rotation config
   getRotationConfig() {
+    const exhaustedModels = {};
+    this.exhaustedModelQuotas.forEach((models, refreshToken) => {
+      exhaustedModels[refreshToken.substring(0, 8)] = Object.fromEntries(models);
+    });
     return {
-      strategy: this.rotationStrategy,
-      requestCount: this.requestCountPerToken,
-      currentIndex: this.currentIndex,
-      tokenCounts: Object.fromEntries(this.tokenRequestCounts)
+      strategy: this.rotation.strategy,
+      requestCount: this.rotation.requestCount,
+      currentIndex: this.rotation.currentIndex,
+      tokenCounts: Object.fromEntries(this.rotation.requestCounts),
+      exhaustedModels,
+      pools: this.getPoolStatus(),
+      routes: config.rotation?.routes || {}
     };
   }
+
+  /**
+   * Pools that have accounts or settings, with their rotation state
+   * @returns {Array<{name: string, strategy: string, requestCount: number, currentIndex: number, accounts: number}>}
+   */
+  getPoolStatus() {
+    const names = new Set(Object.keys(this.poolSettings));
+    this.tokens.forEach(token => getAccountPools(token).forEach(name => names.add(name)));
+    return [...names].sort().map(name => {
+      const [{ state, tokens }] = this._getRotationScopes([name]);
+      return {
+        name,
+        strategy: state.strategy,
+        requestCount: state.requestCount,
+        currentIndex: state.currentIndex,
+        accounts: tokens.length
+      };
+    });
+  }
 }
 
 // Export strategy enum
 export { RotationStrategy };
 
 const tokenManager = new TokenManager();
+
 export default tokenManager;
@@ -10,10 +10,21 @@ import {
   DEFAULT_HEARTBEAT_INTERVAL,
   DEFAULT_TIMEOUT,
   DEFAULT_RETRY_TIMES,
+  DEFAULT_STRUCTURED_OUTPUT_RETRIES,
+  DEFAULT_EMPTY_RESPONSE_RETRIES,
+  DEFAULT_UNSUPPORTED_PARAMETER_POLICY,
   DEFAULT_MAX_REQUEST_SIZE,
   DEFAULT_MAX_IMAGES,
+  DEFAULT_MEDIA_ALLOWED_HOSTS,
+  DEFAULT_MEDIA_MAX_BYTES,
+  DEFAULT_MEDIA_FETCH_TIMEOUT,
   MODEL_LIST_CACHE_TTL,
-  DEFAULT_GENERATION_PARAMS
+  DEFAULT_GENERATION_PARAMS,
+  DEFAULT_TOKEN_REFRESH_INTERVAL,
+  DEFAULT_QUOTA_POLL_INTERVAL,
+  DEFAULT_SCHEDULER_CONCURRENCY,
+  DEFAULT_MODEL_ALIASES,
+  DEFAULT_THINKING_MODELS
 } from '../constants/index.js';
 
 // Cache for generated credentials
@@ -133,7 +144,21 @@ export function buildConfig(jsonConfig) {
     },
     rotation: {
       strategy: jsonConfig.rotation?.strategy || 'round_robin',
-      requestCount: jsonConfig.rotation?.requestCount || 10
+      requestCount: jsonConfig.rotation?.requestCount || 10,
+      pools: jsonConfig.rotation?.pools || {},
+      routes: jsonConfig.rotation?.routes || {}
+    },
+    scheduler: {
+      enabled: jsonConfig.scheduler?.enabled !== false,
+      tokenRefreshInterval: jsonConfig.scheduler?.tokenRefreshInterval || DEFAULT_TOKEN_REFRESH_INTERVAL,
+      quotaPollInterval: jsonConfig.scheduler?.quotaPollInterval || DEFAULT_QUOTA_POLL_INTERVAL,
+      concurrency: jsonConfig.scheduler?.concurrency || DEFAULT_SCHEDULER_CONCURRENCY
+    },
+    models: {
+      aliases: Array.isArray(jsonConfig.models?.aliases) ? jsonConfig.models.aliases : DEFAULT_MODEL_ALIASES,
+      thinking: Array.isArray(jsonConfig.models?.thinking) ? jsonConfig.models.thinking : DEFAULT_THINKING_MODELS,
+      virtual: Array.isArray(jsonConfig.models?.virtual) ? jsonConfig.models.virtual : [],
+      fallbacks: Array.isArray(jsonConfig.models?.fallbacks) ? jsonConfig.models.fallbacks : []
     },
     imageBaseUrl: process.env.IMAGE_BASE_URL || null,
     maxImages: jsonConfig.other?.maxImages || DEFAULT_MAX_IMAGES,
@@ -141,6 +166,7 @@ export function buildConfig(jsonConfig) {
       url: jsonConfig.api?.url || 'https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:streamGenerateContent?alt=sse',
       modelsUrl: jsonConfig.api?.modelsUrl || 'https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:fetchAvailableModels',
       noStreamUrl: jsonConfig.api?.noStreamUrl || 'https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:generateContent',
+      countTokensUrl: jsonConfig.api?.countTokensUrl || 'https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:countTokens',
       host: jsonConfig.api?.host || 'daily-cloudcode-pa.sandbox.googleapis.com',
       userAgent: jsonConfig.api?.userAgent || 'antigravity/1.11.3 windows/amd64'
     },
@@ -159,6 +185,20 @@ export function buildConfig(jsonConfig) {
     useNativeAxios: jsonConfig.other?.useNativeAxios !== false,
     timeout: jsonConfig.other?.timeout || DEFAULT_TIMEOUT,
     retryTimes: Number.isFinite(jsonConfig.other?.retryTimes) ? jsonConfig.other.retryTimes : DEFAULT_RETRY_TIMES,
+    emptyResponseRetries: Number.isFinite(jsonConfig.other?.emptyResponseRetries) ? jsonConfig.other.emptyResponseRetries : DEFAULT_EMPTY_RESPONSE_RETRIES,
+    unsupportedParameters: ['warn', 'reject'].includes(jsonConfig.other?.unsupportedParameters) ? jsonConfig.other.unsupportedParameters : DEFAULT_UNSUPPORTED_PARAMETER_POLICY,
+    structuredOutput: {
+      validate: jsonConfig.structuredOutput?.validate === true,
+      maxRetries: Number.isFinite(jsonConfig.structuredOutput?.maxRetries) ? jsonConfig.structuredOutput.maxRetries : DEFAULT_STRUCTURED_OUTPUT_RETRIES
+    },
+    sd: {
+      requireApiKey: jsonConfig.sd?.requireApiKey !== false
+    },
+    media: {
+      allowedHosts: Array.isArray(jsonConfig.media?.allowedHosts) ? jsonConfig.media.allowedHosts : DEFAULT_MEDIA_ALLOWED_HOSTS,
+      maxBytes: jsonConfig.media?.maxBytes > 0 ? jsonConfig.media.maxBytes : DEFAULT_MEDIA_MAX_BYTES,
+      timeout: jsonConfig.media?.timeout > 0 ? jsonConfig.media.timeout : DEFAULT_MEDIA_FETCH_TIMEOUT
+    },
     proxy: getProxyConfig(),
     systemInstruction: process.env.SYSTEM_INSTRUCTION || '',
     skipProjectIdFetch: jsonConfig.other?.skipProjectIdFetch === true,
@@ -180,8 +220,19 @@ export function getConfigJson() {
   return {};
 }
 
-export function saveConfigJson(data) {
+/**
+ * Save settings to config.json, objects are merged into the existing file
+ * @param {Object} data - Settings to save
+ * @param {Array<string>} [replaceKeys] - Dotted paths (e.g. 'rotation.pools') written as given instead of
+ *   merged, so entries left out of data are removed from the file
+ */
+export function saveConfigJson(data, replaceKeys = []) {
   const existing = getConfigJson();
+  for (const key of replaceKeys) {
+    const path = key.split('.');
+    const parent = path.slice(0, -1).reduce((node, part) => node?.[part], existing);
+    if (parent && typeof parent === 'object') delete parent[path[path.length - 1]];
+  }
   const merged = deepMerge(existing, data);
   fs.writeFileSync(configJsonPath, JSON.stringify(merged, null, 2), 'utf8');
 }
\ No newline at end of file
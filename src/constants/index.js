@@ -89,12 +89,68 @@ export const DEFAULT_TIMEOUT = 300000;
  */
 export const DEFAULT_RETRY_TIMES = 3;
 
+/**
+ * Cooldown for a model quota exhausted without a known reset time (milliseconds)
+ * @type {number}
+ */
+export const QUOTA_EXHAUSTED_COOLDOWN = 5 * 60 * 1000;
+
+/**
+ * Base delay for exponential backoff between retry attempts (milliseconds)
+ * @type {number}
+ */
+export const RETRY_BASE_DELAY = 500;
+
+/**
+ * Maximum exponential backoff delay between retry attempts (milliseconds)
+ * @type {number}
+ */
+export const RETRY_MAX_DELAY = 8000;
+
+/**
+ * Maximum upstream retryDelay / Retry-After honored when retrying on the same account (milliseconds)
+ * @type {number}
+ */
+export const RETRY_AFTER_MAX_DELAY = 30000;
+
+/**
+ * Default number of extra accounts to try when structured output fails schema validation
+ * @type {number}
+ */
+export const DEFAULT_STRUCTURED_OUTPUT_RETRIES = 2;
+
+/**
+ * Default number of retries for completions without text or tool calls
+ * @type {number}
+ */
+export const DEFAULT_EMPTY_RESPONSE_RETRIES = 2;
+
 /**
  * Default max request body size
  * @type {string}
  */
 export const DEFAULT_MAX_REQUEST_SIZE = '50mb';
 
+// ==================== API key related constants ====================
+
+/**
+ * Prefix of managed API keys
+ * @type {string}
+ */
+export const API_KEY_PREFIX = 'sk-ag-';
+
+/**
+ * Window of the per-key requests-per-minute limit (milliseconds)
+ * @type {number}
+ */
+export const API_KEY_RATE_WINDOW = 60 * 1000;
+
+/**
+ * Days of per-caller daily usage rollups kept (monthly rollups are kept forever)
+ * @type {number}
+ */
+export const USAGE_DAILY_RETENTION_DAYS = 93;
+
 // ==================== Token rotation related constants ====================
 
 /**
@@ -109,6 +165,117 @@ export const DEFAULT_REQUEST_COUNT_PER_TOKEN = 50;
  */
 export const TOKEN_REFRESH_BUFFER = 300000;
 
+/**
+ * Pool of accounts without pool tags
+ * @type {string}
+ */
+export const DEFAULT_ACCOUNT_POOL = 'default';
+
+/**
+ * First cooldown of an account after a failure (milliseconds), doubled on each further failure
+ * @type {number}
+ */
+export const ACCOUNT_COOLDOWN_BASE = 60 * 1000;
+
+/**
+ * Maximum account cooldown (milliseconds)
+ * @type {number}
+ */
+export const ACCOUNT_COOLDOWN_MAX = 60 * 60 * 1000;
+
+/**
+ * Consecutive upstream 5xx / network failures before an account cools down
+ * @type {number}
+ */
+export const ACCOUNT_FAILURE_THRESHOLD = 3;
+
+/**
+ * Interval of the probe that brings cooled down accounts back (milliseconds)
+ * @type {number}
+ */
+export const ACCOUNT_PROBE_INTERVAL = 30 * 1000;
+
+// ==================== Background scheduler related constants ====================
+
+/**
+ * Default interval of the background token refresh (milliseconds)
+ * Tokens expiring before the next run (plus TOKEN_REFRESH_BUFFER) are refreshed
+ * @type {number}
+ */
+export const DEFAULT_TOKEN_REFRESH_INTERVAL = 60 * 1000;
+
+/**
+ * Default interval of the background quota polling (milliseconds)
+ * @type {number}
+ */
+export const DEFAULT_QUOTA_POLL_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Default number of accounts refreshed / polled at the same time
+ * @type {number}
+ */
+export const DEFAULT_SCHEDULER_CONCURRENCY = 3;
+
+/**
+ * Errors kept per scheduler job run
+ * @type {number}
+ */
+export const SCHEDULER_MAX_ERRORS = 20;
+
+// ==================== Model routing related constants ====================
+
+/**
+ * Default model aliases (config.json models.aliases replaces the list)
+ * match is an exact name, a '*' wildcard or a /regex/, the first matching entry wins
+ * @type {Array<{match: string, target: string}>}
+ */
+export const DEFAULT_MODEL_ALIASES = [
+  // Claude 4.5 opus -> thinking variant
+  { match: 'claude-opus-4-5', target: 'claude-opus-4-5-thinking' },
+  { match: '/^claude-opus-4-5-\\d{8}$/', target: 'claude-opus-4-5-thinking' },
+  // Claude 4.5 haiku -> claude-sonnet-4-5 (haiku not available)
+  { match: 'claude-haiku-4-5*', target: 'claude-sonnet-4-5' },
+  // Dated Claude 4.5 sonnet snapshots -> claude-sonnet-4-5
+  { match: '/^claude-sonnet-4-5-\\d{8}$/', target: 'claude-sonnet-4-5' }
+];
+
+/**
+ * Upstream models that think by default (config.json models.thinking replaces the list)
+ * @type {string[]}
+ */
+export const DEFAULT_THINKING_MODELS = [
+  '*-thinking',
+  'gemini-2.5-pro',
+  'gemini-3-pro-*',
+  'rev19-uic3-1p',
+  'gpt-oss-120b-medium'
+];
+
+/**
+ * Local model capability table, filled in where the upstream model list has no metadata
+ * match is an exact name, a '*' wildcard or a /regex/ on the upstream model, the first matching entry wins
+ * parameters lists the optional sampling parameters the model accepts (n means more than one candidate)
+ * @type {Array<{match: string, contextWindow: number, maxOutputTokens: number, vision: boolean, tools: boolean, parameters: Array<string>}>}
+ */
+export const MODEL_CAPABILITIES = [
+  { match: 'claude-*', contextWindow: 200000, maxOutputTokens: 64000, vision: true, tools: true, parameters: ['stop'] },
+  { match: 'gemini-*-image*', contextWindow: 65536, maxOutputTokens: 32768, vision: true, tools: false, parameters: ['stop', 'seed'] },
+  { match: 'gemini-3-pro-*', contextWindow: 1048576, maxOutputTokens: 65535, vision: true, tools: true, parameters: ['stop', 'seed', 'presence_penalty', 'frequency_penalty', 'n'] },
+  { match: 'gemini-2.5-*', contextWindow: 1048576, maxOutputTokens: 65535, vision: true, tools: true, parameters: ['stop', 'seed', 'presence_penalty', 'frequency_penalty', 'n'] },
+  { match: 'gpt-oss-*', contextWindow: 131072, maxOutputTokens: 32768, vision: false, tools: true, parameters: ['stop', 'seed'] }
+];
+
+/**
+ * Capabilities of models neither the upstream nor MODEL_CAPABILITIES describe
+ */
+export const DEFAULT_MODEL_CAPABILITIES = {
+  contextWindow: 32768,
+  maxOutputTokens: 8192,
+  vision: false,
+  tools: true,
+  parameters: ['stop']
+};
+
 // ==================== Generation parameter defaults ====================
 
 /**
@@ -122,6 +289,24 @@ export const DEFAULT_GENERATION_PARAMS = {
   thinking_budget: 1024
 };
 
+/**
+ * Maximum stop sequences accepted by the upstream
+ * @type {number}
+ */
+export const MAX_STOP_SEQUENCES = 5;
+
+/**
+ * Maximum candidateCount accepted by the upstream
+ * @type {number}
+ */
+export const MAX_CANDIDATE_COUNT = 8;
+
+/**
+ * Default handling of sampling parameters the target model does not support: 'warn' (drop and log) or 'reject' (400)
+ * @type {string}
+ */
+export const DEFAULT_UNSUPPORTED_PARAMETER_POLICY = 'warn';
+
 /**
  * reasoning_effort to thinkingBudget mapping
  */
@@ -149,10 +334,58 @@ export const MIME_TO_EXT = {
   'image/webp': 'webp'
 };
 
+// ==================== Media ingestion constants ====================
+
+/**
+ * Default hosts remote media may be fetched from ('*' any public host, '*.example.com' its subdomains)
+ * Empty: remote media URLs are refused until hosts are configured
+ * @type {Array<string>}
+ */
+export const DEFAULT_MEDIA_ALLOWED_HOSTS = [];
+
+/**
+ * Redirects followed by a remote media fetch, each target is checked again
+ * @type {number}
+ */
+export const MAX_MEDIA_REDIRECTS = 5;
+
+/**
+ * Address ranges remote media may not be fetched from: [network, prefix length]
+ * Loopback, private, CGNAT, link-local (cloud metadata), IPv4-mapped / NAT64, multicast and reserved ranges
+ * @type {{ipv4: Array<[string, number]>, ipv6: Array<[string, number]>}}
+ */
+export const MEDIA_BLOCKED_SUBNETS = {
+  ipv4: [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+  ],
+  ipv6: [
+    ['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+  ]
+};
+
+/**
+ * Default size limit of one media item, fetched or inline (bytes, upstream inlineData limit)
+ * @type {number}
+ */
+export const DEFAULT_MEDIA_MAX_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Default timeout of a remote media fetch (milliseconds)
+ * @type {number}
+ */
+export const DEFAULT_MEDIA_FETCH_TIMEOUT = 30000;
+
+/**
+ * MIME types upstream accepts as inlineData (prefixes end with '/')
+ * @type {Array<string>}
+ */
+export const SUPPORTED_MEDIA_TYPES = ['image/', 'audio/', 'video/', 'application/pdf', 'text/plain'];
+
 // ==================== Stop sequences ====================
 
 /**
- * Default stop sequences
+ * Default stop sequences of OpenAI / Claude format requests that set none
  * @type {string[]}
  */
 export const DEFAULT_STOP_SEQUENCES = [
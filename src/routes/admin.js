@@ -1,7 +1,11 @@
 import express from 'express';
 import { generateToken, authMiddleware } from '../auth/jwt.js';
-import tokenManager from '../auth/token_manager.js';
+import tokenManager, { RotationStrategy } from '../auth/token_manager.js';
 import quotaManager from '../auth/quota_manager.js';
+import accountScheduler from '../auth/account_scheduler.js';
+import apiKeyStore from '../auth/api_key_store.js';
+import { normalizePoolNames } from '../auth/account_pools.js';
+import { normalizeModelRouting } from '../utils/modelRouting.js';
 import oauthManager from '../auth/oauth_manager.js';
 import config, { getConfigJson, saveConfigJson } from '../config/config.js';
 import logger from '../utils/logger.js';
@@ -11,6 +15,7 @@ import { deepMerge } from '../utils/deepMerge.js';
 import { getModelsWithQuotas } from '../api/client.js';
 import { getEnvPath } from '../utils/paths.js';
 import requestLogger from '../utils/requestLogger.js';
+import usageStore from '../utils/usageStore.js';
 import chatSessionStorage from '../utils/chatSessionStorage.js';
 import galleryStorage from '../utils/galleryStorage.js';
 import dotenv from 'dotenv';
@@ -265,26 +270,39 @@ router.get('/rotation', authMiddleware, (req, res) => {
 // Update rotation strategy configuration
 router.put('/rotation', authMiddleware, (req, res) => {
   try {
-    const { strategy, requestCount } = req.body;
+    const { strategy, requestCount, pools, routes } = req.body;
 
-    // Validate strategy value
-    const validStrategies = ['round_robin', 'quota_exhausted', 'request_count'];
-    if (strategy && !validStrategies.includes(strategy)) {
+    // Validate strategy value (global and per pool)
+    const validStrategies = Object.values(RotationStrategy);
+    const invalidStrategy = [strategy, ...Object.values(pools || {}).map(pool => pool?.strategy)]
+      .find(value => value && !validStrategies.includes(value));
+    if (invalidStrategy) {
       return res.status(400).json({
         success: false,
         message: `Invalid strategy, valid options: ${validStrategies.join(', ')}`
       });
     }
 
+    // Pool settings: { name: { strategy, requestCount } }, missing values use the global ones
+    const poolSettings = pools ? Object.fromEntries(Object.entries(pools).map(([name, pool]) => [name.trim(), {
+      ...(pool?.strategy ? { strategy: pool.strategy } : {}),
+      ...(pool?.requestCount > 0 ? { requestCount: Number(pool.requestCount) } : {})
+    }]).filter(([name]) => name)) : null;
+    // Route bindings: { pathPrefix: [pool, ...] }
+    const routePools = routes ? Object.fromEntries(Object.entries(routes)
+      .map(([prefix, names]) => [prefix.trim(), normalizePoolNames(names)])
+      .filter(([prefix, names]) => prefix && names.length > 0)) : null;
+
     // Update in-memory configuration
-    tokenManager.updateRotationConfig(strategy, requestCount);
+    tokenManager.updateRotationConfig(strategy, requestCount, poolSettings);
 
-    // Save to config.json
-    const currentConfig = getConfigJson();
-    if (!currentConfig.rotation) currentConfig.rotation = {};
-    if (strategy) currentConfig.rotation.strategy = strategy;
-    if (requestCount) currentConfig.rotation.requestCount = requestCount;
-    saveConfigJson(currentConfig);
+    // Save to config.json, pools and routes replace the saved ones so removed entries stay removed
+    const rotation = {};
+    if (strategy) rotation.strategy = strategy;
+    if (requestCount) rotation.requestCount = requestCount;
+    if (poolSettings) rotation.pools = poolSettings;
+    if (routePools) rotation.routes = routePools;
+    saveConfigJson({ rotation }, [poolSettings && 'rotation.pools', routePools && 'rotation.routes'].filter(Boolean));
 
     // Reload configuration to memory
     reloadConfig();
@@ -297,6 +315,63 @@ router.put('/rotation', authMiddleware, (req, res) => {
   }
 });
 
+// Get model routing (aliases, thinking models, virtual models, fallback chains)
+router.get('/models/routing', authMiddleware, (req, res) => {
+  res.json({ success: true, data: config.models });
+});
+
+// Replace model routing, each list given replaces the current one
+router.put('/models/routing', authMiddleware, (req, res) => {
+  let routing;
+  try {
+    routing = normalizeModelRouting({ ...config.models, ...req.body });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  try {
+    saveConfigJson({ models: routing });
+    reloadConfig();
+    logger.info(`Model routing updated: ${routing.aliases.length} aliases, ${routing.virtual.length} virtual models, ${routing.fallbacks.length} fallback chains`);
+    res.json({ success: true, message: 'Model routing updated', data: config.models });
+  } catch (error) {
+    logger.error('Failed to update model routing:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Background scheduler status (last run, processed accounts and errors of each job)
+router.get('/scheduler', authMiddleware, (req, res) => {
+  res.json({ success: true, data: accountScheduler.getStatus() });
+});
+
+// Run a scheduler job now (tokenRefresh, quotaPoll, healthProbe)
+router.post('/scheduler/:job/run', authMiddleware, async (req, res) => {
+  try {
+    const status = await accountScheduler.runJob(req.params.job);
+    if (!status) {
+      return res.status(404).json({ success: false, message: 'Scheduler job not found' });
+    }
+    res.json({ success: true, data: status });
+  } catch (error) {
+    logger.error('Failed to run scheduler job:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Quota overview: model x account matrix of all enabled accounts
+// ?refresh=true polls every account first (concurrency limited, same as the scheduler quotaPoll job)
+router.get('/quotas', authMiddleware, async (req, res) => {
+  try {
+    if (req.query.refresh === 'true') {
+      await accountScheduler.runJob('quotaPoll');
+    }
+    res.json({ success: true, data: await tokenManager.getQuotaOverview() });
+  } catch (error) {
+    logger.error('Failed to get quota overview:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get model quotas for specified token
 router.get('/tokens/:refreshToken/quotas', authMiddleware, async (req, res) => {
   try {
@@ -409,6 +484,71 @@ router.delete('/history', authMiddleware, (req, res) => {
   }
 });
 
+// ==================== API Keys ====================
+
+// List managed API keys (secrets are never returned here)
+router.get('/api-keys', authMiddleware, (req, res) => {
+  try {
+    res.json({ success: true, data: apiKeyStore.list() });
+  } catch (error) {
+    logger.error('Failed to get API keys:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create an API key, the plaintext key is only returned in this response
+router.post('/api-keys', authMiddleware, (req, res) => {
+  try {
+    const { key, record } = apiKeyStore.create(req.body);
+    res.json({ success: true, data: { ...record, key }, message: 'API key created' });
+  } catch (error) {
+    logger.error('Failed to create API key:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Update API key name, model allowlist, expiry, rate limit and budgets
+router.put('/api-keys/:id', authMiddleware, (req, res) => {
+  try {
+    const record = apiKeyStore.update(req.params.id, req.body);
+    if (!record) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+    res.json({ success: true, data: record, message: 'API key updated' });
+  } catch (error) {
+    logger.error('Failed to update API key:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Revoke an API key
+router.delete('/api-keys/:id', authMiddleware, (req, res) => {
+  try {
+    const record = apiKeyStore.revoke(req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+    res.json({ success: true, data: record, message: 'API key revoked' });
+  } catch (error) {
+    logger.error('Failed to revoke API key:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Rotate an API key: issue a new secret, the old one stops working immediately
+router.post('/api-keys/:id/rotate', authMiddleware, (req, res) => {
+  try {
+    const result = apiKeyStore.rotate(req.params.id);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+    res.json({ success: true, data: { ...result.record, key: result.key }, message: 'API key rotated' });
+  } catch (error) {
+    logger.error('Failed to rotate API key:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ==================== Dashboard ====================
 
 // Get dashboard statistics
@@ -423,6 +563,25 @@ router.get('/dashboard', authMiddleware, (req, res) => {
   }
 });
 
+// Get per-caller (API key / admin user) usage of a day or month
+router.get('/usage', authMiddleware, (req, res) => {
+  try {
+    const period = req.query.period === 'month' ? 'month' : 'day';
+    const report = usageStore.getUsageReport(period, req.query.date || null);
+    // Attach the budgets of managed keys so the dashboard can show how much is left
+    const callers = report.callers.map(caller => {
+      const record = apiKeyStore.get(caller.id);
+      if (!record) return caller;
+      const { dailyTokenBudget, monthlyTokenBudget, dailyRequestBudget, monthlyRequestBudget } = record;
+      return { ...caller, budgets: { dailyTokenBudget, monthlyTokenBudget, dailyRequestBudget, monthlyRequestBudget } };
+    });
+    res.json({ success: true, data: { ...report, callers, periods: usageStore.getUsagePeriods() } });
+  } catch (error) {
+    logger.error('Failed to get usage:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get available dates for dashboard
 router.get('/dashboard/dates', authMiddleware, (req, res) => {
   try {
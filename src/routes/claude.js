@@ -1,31 +1,46 @@
 /**
  * Claude API routes
- * Handle /v1/messages and /v1/models endpoints for Anthropic API compatibility
+ * Handle /v1/messages, /v1/messages/count_tokens and /v1/models endpoints for Anthropic API compatibility
  */
 
 import { Router } from 'express';
-import { handleClaudeRequest } from '../server/handlers/claude.js';
-import { getAvailableModels } from '../api/client.js';
+import { handleClaudeRequest, handleClaudeCountTokens } from '../server/handlers/claude.js';
+import { getModelCatalog, getModelInfo } from '../api/client.js';
 import logger from '../utils/logger.js';
 
 const router = Router();
 
+/**
+ * Convert a model catalog entry to Anthropic format (limits and capabilities as extra fields)
+ * @param {Object} entry - Catalog entry
+ * @returns {Object}
+ */
+const toAnthropicModel = (entry) => ({
+  id: entry.id,
+  created_at: new Date(entry.created * 1000).toISOString(),
+  display_name: entry.displayName,
+  type: "model",
+  max_input_tokens: entry.contextWindow,
+  max_tokens: entry.maxOutputTokens,
+  capabilities: {
+    vision: entry.capabilities.vision,
+    tools: entry.capabilities.tools,
+    thinking: entry.capabilities.thinking,
+    image_output: entry.capabilities.imageOutput
+  }
+});
+
+// Anthropic clients always send anthropic-version, other /v1/models requests get the OpenAI format
+const isAnthropicRequest = (req) => Boolean(req.headers['anthropic-version']);
+
 /**
  * GET /v1/models
  * Return models list in Anthropic format for Claude Code CLI compatibility
  */
-router.get('/models', async (req, res) => {
+router.get('/models', async (req, res, next) => {
+  if (!isAnthropicRequest(req)) return next();
   try {
-    const models = await getAvailableModels();
-    const modelsData = models.data || [];
-    
-    // Convert to Anthropic format
-    const anthropicModels = modelsData.map(m => ({
-      id: m.id,
-      created_at: new Date((m.created || Date.now() / 1000) * 1000).toISOString(),
-      display_name: m.id,
-      type: "model"
-    }));
+    const anthropicModels = (await getModelCatalog()).map(toAnthropicModel);
 
     res.json({
       data: anthropicModels,
@@ -39,6 +54,24 @@ router.get('/models', async (req, res) => {
   }
 });
 
+/**
+ * GET /v1/models/:model
+ * Return a single model in Anthropic format
+ */
+router.get('/models/:model', async (req, res, next) => {
+  if (!isAnthropicRequest(req)) return next();
+  try {
+    const model = await getModelInfo(req.params.model);
+    if (!model) {
+      return res.status(404).json({ type: 'error', error: { type: 'not_found_error', message: `model: ${req.params.model}` } });
+    }
+    res.json(toAnthropicModel(model));
+  } catch (error) {
+    logger.error('Failed to get model detail:', error.message);
+    res.status(500).json({ error: { type: 'api_error', message: error.message } });
+  }
+});
+
 /**
  * POST /v1/messages
  * Handle Claude message requests
@@ -48,4 +81,10 @@ router.post('/messages', (req, res) => {
   handleClaudeRequest(req, res, isStream);
 });
 
+/**
+ * POST /v1/messages/count_tokens
+ * Count prompt tokens for a Claude message request
+ */
+router.post('/messages/count_tokens', handleClaudeCountTokens);
+
 export default router;
\ No newline at end of file
@@ -4,7 +4,7 @@
  */
 
 import { Router } from 'express';
-import { handleGeminiModelsList, handleGeminiModelDetail, handleGeminiRequest } from '../server/handlers/gemini.js';
+import { handleGeminiModelsList, handleGeminiModelDetail, handleGeminiRequest, handleGeminiCountTokens } from '../server/handlers/gemini.js';
 
 const router = Router();
 
@@ -39,4 +39,13 @@ router.post('/models/:model\\:generateContent', (req, res) => {
   handleGeminiRequest(req, res, modelName, isStream);
 });
 
+/**
+ * POST /v1beta/models/:model:countTokens
+ * Count prompt tokens
+ */
+router.post('/models/:model\\:countTokens', (req, res) => {
+  const modelName = req.params.model;
+  handleGeminiCountTokens(req, res, modelName);
+});
+
 export default router;
\ No newline at end of file
@@ -1,11 +1,13 @@
 /**
  * OpenAI API routes
- * Handle /v1/chat/completions and /v1/models endpoints
+ * Handle /v1/chat/completions, /v1/responses and /v1/models endpoints
  */
 
 import { Router } from 'express';
-import { getAvailableModels } from '../api/client.js';
+import { getAvailableModels, getModelInfo } from '../api/client.js';
+import { toOpenAIModel } from '../utils/modelCatalog.js';
 import { handleOpenAIRequest } from '../server/handlers/openai.js';
+import { handleResponsesRequest } from '../server/handlers/responses.js';
 import logger from '../utils/logger.js';
 
 const router = Router();
@@ -24,10 +26,33 @@ router.get('/models', async (req, res) => {
   }
 });
 
+/**
+ * GET /v1/models/:model
+ * Get a single model with its limits and capabilities
+ */
+router.get('/models/:model', async (req, res) => {
+  try {
+    const model = await getModelInfo(req.params.model);
+    if (!model) {
+      return res.status(404).json({ error: { message: `The model '${req.params.model}' does not exist`, type: 'invalid_request_error', code: 'model_not_found' } });
+    }
+    res.json(toOpenAIModel(model));
+  } catch (error) {
+    logger.error('Failed to get model detail:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /v1/chat/completions
  * Handle chat completion requests
  */
 router.post('/chat/completions', handleOpenAIRequest);
 
+/**
+ * POST /v1/responses
+ * Handle OpenAI Responses API requests
+ */
+router.post('/responses', handleResponsesRequest);
+
 export default router;
\ No newline at end of file
@@ -1,8 +1,10 @@
 import express from 'express';
 import { getAvailableModels, generateImageForSD } from '../api/client.js';
 import { generateRequestBody, prepareImageRequest } from '../utils/utils.js';
+import { isImageGenerationModel } from '../utils/modelRouting.js';
 import tokenManager from '../auth/token_manager.js';
 import logger from '../utils/logger.js';
+import requestLogger from '../utils/requestLogger.js';
 
 const router = express.Router();
 
@@ -72,7 +74,20 @@ const SD_MOCK_DATA = {
 function buildImageRequestBody(prompt, token, model = 'gemini-3-pro-image') {
   const messages = [{ role: 'user', content: prompt }];
   const requestBody = generateRequestBody(messages, model, {}, null, token);
-  return prepareImageRequest(requestBody);
+  return prepareImageRequest(requestBody, model);
+}
+
+// Record an image generation in history and the caller's usage
+function logImageRequest(req, model, startTime, token, error = null) {
+  requestLogger.logRequest({
+    model,
+    tokenId: token?.refresh_token?.substring(0, 8) || null,
+    status: error ? 'error' : 'success',
+    statusCode: error ? 500 : 200,
+    duration: Date.now() - startTime,
+    errorMessage: error?.message || null,
+    caller: req.caller
+  });
 }
 
 // GET routes
@@ -80,7 +95,7 @@ router.get('/sd-models', async (req, res) => {
   try {
     const models = await getAvailableModels();
     const imageModels = models.data
-      .filter(m => m.id.includes('-image'))
+      .filter(m => isImageGenerationModel(m.id))
       .map(m => ({
         title: m.id,
         model_name: m.id,
@@ -115,13 +130,16 @@ router.get('/memory', (req, res) => res.json({ ram: { free: 8589934592, used: 85
 // POST routes
 router.post('/img2img', async (req, res) => {
   const { prompt, init_images } = req.body;
+  const model = req.body.model || 'gemini-3-pro-image';
+  const startTime = Date.now();
+  let token = null;
 
   try {
     if (!prompt) {
       return res.status(400).json({ error: 'prompt is required' });
     }
 
-    const token = await tokenManager.getToken();
+    token = await tokenManager.getToken({ pools: req.accountPools });
     if (!token) {
       throw new Error('No available token');
     }
@@ -136,9 +154,9 @@ router.post('/img2img', async (req, res) => {
     }
 
     const messages = [{ role: 'user', content }];
-    const model = req.body.model || 'gemini-3-pro-image';
     const requestBody = prepareImageRequest(
-      generateRequestBody(messages, model, {}, null, token)
+      generateRequestBody(messages, model, {}, null, token),
+      model
     );
 
     const images = await generateImageForSD(requestBody, token);
@@ -152,26 +170,30 @@ router.post('/img2img', async (req, res) => {
       parameters: req.body,
       info: JSON.stringify({ prompt })
     });
+    logImageRequest(req, model, startTime, token);
   } catch (error) {
     logger.error('SD img2img failed:', error.message);
+    logImageRequest(req, model, startTime, token, error);
     res.status(500).json({ error: error.message });
   }
 });
 
 router.post('/txt2img', async (req, res) => {
   const { prompt, negative_prompt, steps, cfg_scale, width, height, seed, sampler_name } = req.body;
+  const model = req.body.model || 'gemini-3-pro-image';
+  const startTime = Date.now();
+  let token = null;
 
   try {
     if (!prompt) {
       return res.status(400).json({ error: 'prompt is required' });
     }
 
-    const token = await tokenManager.getToken();
+    token = await tokenManager.getToken({ pools: req.accountPools });
     if (!token) {
       throw new Error('No available token');
     }
 
-    const model = req.body.model || 'gemini-3-pro-image';
     const requestBody = buildImageRequestBody(prompt, token, model);
     const images = await generateImageForSD(requestBody, token);
 
@@ -184,8 +206,10 @@ router.post('/txt2img', async (req, res) => {
       parameters: { prompt, negative_prompt, steps, cfg_scale, width, height, seed, sampler_name },
       info: JSON.stringify({ prompt, seed: seed || -1 })
     });
+    logImageRequest(req, model, startTime, token);
   } catch (error) {
     logger.error('SD txt2img failed:', error.message);
+    logImageRequest(req, model, startTime, token, error);
     res.status(500).json({ error: error.message });
   }
 });
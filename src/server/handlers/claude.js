@@ -3,18 +3,24 @@
  * Handles /v1/messages requests, supports streaming and non-streaming responses
  */
 
-import { generateAssistantResponse, generateAssistantResponseNoStream } from '../../api/client.js';
-import { generateClaudeRequestBody, prepareImageRequest } from '../../utils/utils.js';
+import { generateAssistantResponse, generateAssistantResponseNoStream, countTokens } from '../../api/client.js';
+import { generateClaudeRequestBody, inlineClaudeMedia, prepareImageRequest } from '../../utils/utils.js';
+import { isImageGenerationModel } from '../../utils/modelRouting.js';
 import { normalizeClaudeParameters } from '../../utils/parameterNormalizer.js';
+import { toClaudeStopReason } from '../../utils/finishReason.js';
 import { buildClaudeErrorPayload } from '../../utils/errors.js';
+import { resolveConversation, withConversationSession } from '../../utils/conversationAffinity.js';
 import logger from '../../utils/logger.js';
 import config from '../../config/config.js';
 import tokenManager from '../../auth/token_manager.js';
 import requestLogger from '../../utils/requestLogger.js';
 import {
-  setStreamHeaders,
-  createHeartbeat,
-  with429Retry
+  createPendingStream,
+  withAccountFailover,
+  setFallbackModelHeader,
+  createDisconnectSignal,
+  getTokenId,
+  getFailureStatus
 } from '../stream.js';
 
 /**
@@ -112,67 +118,102 @@ export const createClaudeResponse = (id, model, content, reasoning, reasoningSig
 export const handleClaudeRequest = async (req, res, isStream) => {
   const { messages, model, system, tools, ...rawParams } = req.body;
   const startTime = Date.now();
+  // Cancels the upstream request once the client is gone
+  const signal = createDisconnectSignal(res);
   let tokenId = null;
+  let attempts = null;
   let usageData = null;
+  let servedModel = model;
 
   try {
     if (!messages) {
       return res.status(400).json(buildClaudeErrorPayload({ message: 'messages is required' }, 400));
     }
+    // Remote image / document URLs are fetched once, before any account is tried
+    const resolvedMessages = await inlineClaudeMedia(messages, signal);
 
-    const token = await tokenManager.getToken();
+    // Keep the conversation on its account and give it its own upstream sessionId
+    const conversation = resolveConversation({ headers: req.headers, caller: req.caller, userId: rawParams.metadata?.user_id, system, messages });
+    const token = await tokenManager.getToken({ model, preferredKey: conversation.refreshToken, pools: req.accountPools });
     if (!token) {
       throw new Error('No available token. Please run npm run login to get a token');
     }
-    tokenId = token.refresh_token?.substring(0, 8) || 'unknown';
+    tokenId = getTokenId(token);
 
     // Use unified parameter normalization module to handle Claude format parameters
     const parameters = normalizeClaudeParameters(rawParams);
 
-    const isImageModel = model.includes('-image');
-    const requestBody = generateClaudeRequestBody(messages, model, parameters, tools, system, token);
-
-    if (isImageModel) {
-      prepareImageRequest(requestBody);
-    }
+    const isImageModel = isImageGenerationModel(model);
+    const buildRequestBody = (currentToken) => {
+      const body = generateClaudeRequestBody(resolvedMessages, servedModel, parameters, tools, system, withConversationSession(currentToken, conversation));
+      if (isImageModel) {
+        prepareImageRequest(body, servedModel);
+      }
+      return body;
+    };
+    const requestBody = buildRequestBody(token);
+    // Failover attempts rebuild the body for their own account (projectId / sessionId) and model
+    const getRequestBody = (currentToken) => (currentToken === token && servedModel === model ? requestBody : buildRequestBody(currentToken));
+    // Fallback chains may serve the request with another model, reported in the response
+    const onFallback = (fallbackModel) => {
+      servedModel = fallbackModel;
+      setFallbackModelHeader(res, fallbackModel);
+    };
 
     const msgId = `msg_${Date.now()}`;
     const maxRetries = Number(config.retryTimes || 0);
     const safeRetries = maxRetries > 0 ? Math.floor(maxRetries) : 0;
 
     if (isStream) {
-      setStreamHeaders(res);
-      const heartbeatTimer = createHeartbeat(res);
+      // Hold the response until the first content block, heartbeats keep the connection open meanwhile
+      const pending = createPendingStream(res);
 
       try {
         let contentIndex = 0;
-        let usageData = null;
         let hasToolCall = false;
         let currentBlockType = null;
         let reasoningSent = false;
-
-        // Send message_start
-        res.write(createClaudeStreamEvent('message_start', {
-          type: "message_start",
-          message: {
-            id: msgId,
-            type: "message",
-            role: "assistant",
-            content: [],
-            model: model,
-            stop_reason: null,
-            stop_sequence: null,
-            usage: { input_tokens: 0, output_tokens: 0 }
-          }
-        }));
+        let finishReason = null;
+        let messageStarted = false;
+
+        // Send message_start with the first output, once a fallback model is settled
+        // Deferred thinking blocks follow it
+        const sendMessageStart = () => {
+          if (messageStarted) return;
+          messageStarted = true;
+          pending.commit(() => res.write(createClaudeStreamEvent('message_start', {
+            type: "message_start",
+            message: {
+              id: msgId,
+              type: "message",
+              role: "assistant",
+              content: [],
+              model: servedModel,
+              stop_reason: null,
+              stop_sequence: null,
+              usage: { input_tokens: 0, output_tokens: 0 }
+            }
+          })));
+        };
 
         if (isImageModel) {
           // Image model: get result non-streaming then return in streaming format
-          const { content, usage } = await with429Retry(
-            () => generateAssistantResponseNoStream(requestBody, token),
-            safeRetries,
-            'claude.stream.image '
-          );
+          const { result, token: usedToken, attempts: usedAttempts } = await withAccountFailover({
+            token,
+            model,
+            conversation,
+            pools: req.accountPools,
+            caller: req.caller,
+            execute: (currentToken) => generateAssistantResponseNoStream(getRequestBody(currentToken), currentToken, signal),
+            maxRetries: safeRetries,
+            onFallback,
+            loggerPrefix: 'claude.stream.image '
+          });
+          const { content, usage, finishReason } = result;
+          tokenId = getTokenId(usedToken);
+          attempts = usedAttempts;
+          usageData = usage;
+          sendMessageStart();
 
           // Send text block
           res.write(createClaudeStreamEvent('content_block_start', {
@@ -193,118 +234,154 @@ export const handleClaudeRequest = async (req, res, isStream) => {
           // Send message_delta and message_stop
           res.write(createClaudeStreamEvent('message_delta', {
             type: "message_delta",
-            delta: { stop_reason: 'end_turn', stop_sequence: null },
+            delta: { stop_reason: toClaudeStopReason(finishReason, false), stop_sequence: null },
             usage: usage ? { output_tokens: usage.completion_tokens || 0 } : { output_tokens: 0 }
           }));
           res.write(createClaudeStreamEvent('message_stop', {
             type: "message_stop"
           }));
 
-          clearInterval(heartbeatTimer);
+          pending.stop();
           res.end();
+
+          requestLogger.logRequest({
+            model,
+            fallbackModel: servedModel !== model ? servedModel : null,
+            tokenId,
+            status: 'success',
+            statusCode: 200,
+            duration: Date.now() - startTime,
+            inputTokens: usage?.prompt_tokens || 0,
+            outputTokens: usage?.completion_tokens || 0,
+            isStream: true,
+            attempts,
+            caller: req.caller
+          });
           return;
         }
 
-        await with429Retry(
-          () => generateAssistantResponse(requestBody, token, (data) => {
-            if (data.type === 'usage') {
-              usageData = data.usage;
-            } else if (data.type === 'reasoning') {
-              // Chain of thought content - use thinking type
-              if (!reasoningSent) {
-                // Start thinking block
-                const contentBlock = { type: "thinking", thinking: "" };
-                if (data.thoughtSignature && config.passSignatureToClient) {
-                  contentBlock.signature = data.thoughtSignature;
-                }
-                res.write(createClaudeStreamEvent('content_block_start', {
-                  type: "content_block_start",
-                  index: contentIndex,
-                  content_block: contentBlock
-                }));
-                currentBlockType = 'thinking';
-                reasoningSent = true;
-              }
-              // Send thinking delta
-              const delta = { type: "thinking_delta", thinking: data.reasoning_content || '' };
-              if (data.thoughtSignature && config.passSignatureToClient) {
-                delta.signature = data.thoughtSignature;
-              }
-              res.write(createClaudeStreamEvent('content_block_delta', {
-                type: "content_block_delta",
-                index: contentIndex,
-                delta: delta
-              }));
-            } else if (data.type === 'tool_calls') {
-              hasToolCall = true;
-              // End previous block (if any)
-              if (currentBlockType) {
-                res.write(createClaudeStreamEvent('content_block_stop', {
-                  type: "content_block_stop",
-                  index: contentIndex
-                }));
-                contentIndex++;
-              }
-              // Tool calls
-              for (const tc of data.tool_calls) {
-                try {
-                  const inputObj = JSON.parse(tc.function.arguments);
-                  const toolContentBlock = { type: "tool_use", id: tc.id, name: tc.function.name, input: {} };
-                  if (tc.thoughtSignature && config.passSignatureToClient) {
-                    toolContentBlock.signature = tc.thoughtSignature;
+        const { token: usedToken, attempts: usedAttempts } = await withAccountFailover({
+          token,
+          model,
+          conversation,
+          pools: req.accountPools,
+          caller: req.caller,
+          execute: (currentToken) => {
+            // Thinking of a failed attempt never reached the client, the retry starts over
+            pending.discard();
+            return generateAssistantResponse(getRequestBody(currentToken), currentToken, (data) => {
+              if (data.type === 'usage') {
+                usageData = data.usage;
+              } else if (data.type === 'finish') {
+                finishReason = data.finishReason;
+              } else if (data.type === 'reasoning') {
+                // Chain of thought content - use thinking type
+                // Held back until the answer starts, a thinking-only stream is retried
+                pending.defer(() => {
+                  if (!reasoningSent) {
+                    // Start thinking block
+                    const contentBlock = { type: "thinking", thinking: "" };
+                    if (data.thoughtSignature && config.passSignatureToClient) {
+                      contentBlock.signature = data.thoughtSignature;
+                    }
+                    res.write(createClaudeStreamEvent('content_block_start', {
+                      type: "content_block_start",
+                      index: contentIndex,
+                      content_block: contentBlock
+                    }));
+                    currentBlockType = 'thinking';
+                    reasoningSent = true;
+                  }
+                  // Send thinking delta
+                  const delta = { type: "thinking_delta", thinking: data.reasoning_content || '' };
+                  if (data.thoughtSignature && config.passSignatureToClient) {
+                    delta.signature = data.thoughtSignature;
                   }
-                  res.write(createClaudeStreamEvent('content_block_start', {
-                    type: "content_block_start",
-                    index: contentIndex,
-                    content_block: toolContentBlock
-                  }));
-                  // Send input delta
                   res.write(createClaudeStreamEvent('content_block_delta', {
                     type: "content_block_delta",
                     index: contentIndex,
-                    delta: { type: "input_json_delta", partial_json: JSON.stringify(inputObj) }
+                    delta: delta
                   }));
+                });
+              } else if (data.type === 'tool_calls') {
+                sendMessageStart();
+                hasToolCall = true;
+                // End previous block (if any)
+                if (currentBlockType) {
                   res.write(createClaudeStreamEvent('content_block_stop', {
                     type: "content_block_stop",
                     index: contentIndex
                   }));
                   contentIndex++;
-                } catch (e) {
-                  // Parse failed, skip
                 }
-              }
-              currentBlockType = null;
-            } else {
-              // Normal text content
-              if (currentBlockType === 'thinking') {
-                // End thinking block
-                res.write(createClaudeStreamEvent('content_block_stop', {
-                  type: "content_block_stop",
-                  index: contentIndex
-                }));
-                contentIndex++;
+                // Tool calls
+                for (const tc of data.tool_calls) {
+                  try {
+                    const inputObj = JSON.parse(tc.function.arguments);
+                    const toolContentBlock = { type: "tool_use", id: tc.id, name: tc.function.name, input: {} };
+                    if (tc.thoughtSignature && config.passSignatureToClient) {
+                      toolContentBlock.signature = tc.thoughtSignature;
+                    }
+                    res.write(createClaudeStreamEvent('content_block_start', {
+                      type: "content_block_start",
+                      index: contentIndex,
+                      content_block: toolContentBlock
+                    }));
+                    // Send input delta
+                    res.write(createClaudeStreamEvent('content_block_delta', {
+                      type: "content_block_delta",
+                      index: contentIndex,
+                      delta: { type: "input_json_delta", partial_json: JSON.stringify(inputObj) }
+                    }));
+                    res.write(createClaudeStreamEvent('content_block_stop', {
+                      type: "content_block_stop",
+                      index: contentIndex
+                    }));
+                    contentIndex++;
+                  } catch (e) {
+                    // Parse failed, skip
+                  }
+                }
                 currentBlockType = null;
-              }
-              if (currentBlockType !== 'text') {
-                // Start text block
-                res.write(createClaudeStreamEvent('content_block_start', {
-                  type: "content_block_start",
+              } else {
+                sendMessageStart();
+                // Normal text content
+                if (currentBlockType === 'thinking') {
+                  // End thinking block
+                  res.write(createClaudeStreamEvent('content_block_stop', {
+                    type: "content_block_stop",
+                    index: contentIndex
+                  }));
+                  contentIndex++;
+                  currentBlockType = null;
+                }
+                if (currentBlockType !== 'text') {
+                  // Start text block
+                  res.write(createClaudeStreamEvent('content_block_start', {
+                    type: "content_block_start",
+                    index: contentIndex,
+                    content_block: { type: "text", text: "" }
+                  }));
+                  currentBlockType = 'text';
+                }
+                // Send text delta
+                res.write(createClaudeStreamEvent('content_block_delta', {
+                  type: "content_block_delta",
                   index: contentIndex,
-                  content_block: { type: "text", text: "" }
+                  delta: { type: "text_delta", text: data.content || '' }
                 }));
-                currentBlockType = 'text';
               }
-              // Send text delta
-              res.write(createClaudeStreamEvent('content_block_delta', {
-                type: "content_block_delta",
-                index: contentIndex,
-                delta: { type: "text_delta", text: data.content || '' }
-              }));
-            }
-          }),
-          safeRetries,
-          'claude.stream '
-        );
+            }, signal);
+          },
+          maxRetries: safeRetries,
+          onFallback,
+          // Once a content block reached the client the request can no longer move to another account
+          canRetry: () => !messageStarted,
+          loggerPrefix: 'claude.stream '
+        });
+        tokenId = getTokenId(usedToken);
+        attempts = usedAttempts;
+        sendMessageStart();
 
         // End last content block
         if (currentBlockType) {
@@ -315,7 +392,7 @@ export const handleClaudeRequest = async (req, res, isStream) => {
         }
 
         // Send message_delta
-        const stopReason = hasToolCall ? 'tool_use' : 'end_turn';
+        const stopReason = toClaudeStopReason(finishReason, hasToolCall);
         res.write(createClaudeStreamEvent('message_delta', {
           type: "message_delta",
           delta: { stop_reason: stopReason, stop_sequence: null },
@@ -327,45 +404,57 @@ export const handleClaudeRequest = async (req, res, isStream) => {
           type: "message_stop"
         }));
 
-        clearInterval(heartbeatTimer);
+        pending.stop();
         res.end();
 
         // Log success for streaming
         requestLogger.logRequest({
           model,
+          fallbackModel: servedModel !== model ? servedModel : null,
           tokenId,
           status: 'success',
           statusCode: 200,
           duration: Date.now() - startTime,
           inputTokens: usageData?.prompt_tokens || 0,
           outputTokens: usageData?.completion_tokens || 0,
-          isStream: true
+          isStream: true,
+          attempts,
+          caller: req.caller
         });
       } catch (error) {
-        clearInterval(heartbeatTimer);
-        if (!res.writableEnded) {
+        pending.stop();
+        // Headers already went out (heartbeat or output): fail inside the stream, logged below
+        if (res.headersSent && !res.writableEnded && !error.isCancelled) {
           const statusCode = error.statusCode || error.status || 500;
           res.write(createClaudeStreamEvent('error', buildClaudeErrorPayload(error, statusCode)));
           res.end();
         }
-        logger.error('Claude stream request failed:', error.message);
-        return;
+        throw error;
       }
     } else {
       // Non-streaming request
       req.setTimeout(0);
       res.setTimeout(0);
 
-      const { content, reasoningContent, reasoningSignature, toolCalls, usage } = await with429Retry(
-        () => generateAssistantResponseNoStream(requestBody, token),
-        safeRetries,
-        'claude.no_stream '
-      );
+      const { result, token: usedToken, attempts: usedAttempts } = await withAccountFailover({
+        token,
+        model,
+        conversation,
+        pools: req.accountPools,
+        caller: req.caller,
+        execute: (currentToken) => generateAssistantResponseNoStream(getRequestBody(currentToken), currentToken, signal),
+        maxRetries: safeRetries,
+        onFallback,
+        loggerPrefix: 'claude.no_stream '
+      });
+      const { content, reasoningContent, reasoningSignature, toolCalls, usage, finishReason } = result;
+      tokenId = getTokenId(usedToken);
+      attempts = usedAttempts;
 
-      const stopReason = toolCalls.length > 0 ? 'tool_use' : 'end_turn';
+      const stopReason = toClaudeStopReason(finishReason, toolCalls.length > 0);
       const response = createClaudeResponse(
         msgId,
-        model,
+        servedModel,
         content,
         reasoningContent,
         reasoningSignature,
@@ -379,33 +468,79 @@ export const handleClaudeRequest = async (req, res, isStream) => {
       // Log success for non-streaming
       requestLogger.logRequest({
         model,
+        fallbackModel: servedModel !== model ? servedModel : null,
         tokenId,
         status: 'success',
         statusCode: 200,
         duration: Date.now() - startTime,
         inputTokens: usage?.prompt_tokens || 0,
         outputTokens: usage?.completion_tokens || 0,
-        isStream: false
+        isStream: false,
+        attempts,
+        caller: req.caller
       });
     }
   } catch (error) {
-    logger.error('Claude request failed:', error.message);
+    // Client disconnected: the upstream request was cancelled
+    const cancelled = error.isCancelled === true;
+    if (cancelled) {
+      logger.info('Client disconnected, upstream request cancelled');
+    } else {
+      logger.error('Claude request failed:', error.message);
+    }
     const statusCode = error.statusCode || error.status || 500;
+    if (error.attempts) {
+      attempts = error.attempts;
+      tokenId = attempts[attempts.length - 1].tokenId;
+    }
 
     // Log error
     requestLogger.logRequest({
       model,
+      fallbackModel: servedModel !== model ? servedModel : null,
       tokenId,
-      status: 'error',
+      status: getFailureStatus(error),
       statusCode,
       duration: Date.now() - startTime,
-      inputTokens: 0,
-      outputTokens: 0,
+      // Usage streamed before the failure, if any
+      inputTokens: usageData?.prompt_tokens || 0,
+      outputTokens: usageData?.completion_tokens || 0,
       errorMessage: error.message,
-      isStream
+      isStream,
+      attempts,
+      caller: req.caller
     });
 
-    if (res.headersSent) return;
+    if (res.headersSent || cancelled) return;
     res.status(statusCode).json(buildClaudeErrorPayload(error, statusCode));
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Handle Claude count_tokens request
+ * Runs the same conversion as /v1/messages and returns the prompt token count
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+export const handleClaudeCountTokens = async (req, res) => {
+  const { messages, model, system, tools, ...rawParams } = req.body;
+
+  try {
+    if (!messages || !model) {
+      return res.status(400).json(buildClaudeErrorPayload({ message: 'model and messages are required' }, 400));
+    }
+
+    // Counting works without an account (local estimate), session/project are only needed upstream
+    // Only an account that is ready is used: counting never refreshes, rotates or cools down accounts
+    const token = await tokenManager.peekToken({ pools: req.accountPools });
+    const parameters = normalizeClaudeParameters(rawParams);
+    const requestBody = generateClaudeRequestBody(messages, model, parameters, tools, system, token || {});
+
+    const { totalTokens } = await countTokens(requestBody, token);
+    res.json({ input_tokens: totalTokens });
+  } catch (error) {
+    logger.error('Claude count tokens failed:', error.message);
+    const statusCode = error.statusCode || error.status || 500;
+    res.status(statusCode).json(buildClaudeErrorPayload(error, statusCode));
+  }
+};
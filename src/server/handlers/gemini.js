@@ -3,31 +3,42 @@
  * Handles /v1beta/models/* requests, supports streaming and non-streaming responses
  */
 
-import { generateAssistantResponse, generateAssistantResponseNoStream, getAvailableModels } from '../../api/client.js';
-import { generateGeminiRequestBody, prepareImageRequest } from '../../utils/utils.js';
+import { generateAssistantResponse, generateAssistantResponseNoStream, getModelCatalog, getModelInfo, countTokens } from '../../api/client.js';
+import { generateGeminiRequestBody, inlineGeminiMedia, prepareImageRequest } from '../../utils/utils.js';
+import { isImageGenerationModel, resolveModel } from '../../utils/modelRouting.js';
+import { resolveGeminiResponseFormat, resolveCandidatePlan } from '../../utils/parameterNormalizer.js';
+import { createStructuredOutputValidator } from '../../utils/structuredOutput.js';
 import { buildGeminiErrorPayload } from '../../utils/errors.js';
+import { toGeminiFinishReason } from '../../utils/finishReason.js';
+import { resolveConversation, withConversationSession } from '../../utils/conversationAffinity.js';
 import logger from '../../utils/logger.js';
 import config from '../../config/config.js';
 import tokenManager from '../../auth/token_manager.js';
+import requestLogger from '../../utils/requestLogger.js';
 import {
-  setStreamHeaders,
-  createHeartbeat,
+  createPendingStream,
   writeStreamData,
   endStream,
-  with429Retry
+  withCandidateFailover,
+  sumUsage,
+  setFallbackModelHeader,
+  createDisconnectSignal,
+  getTokenId,
+  getFailureStatus
 } from '../stream.js';
 
 /**
- * Create Gemini format response
+ * Create a Gemini format candidate
  * @param {string|null} content - Text content
  * @param {string|null} reasoning - Chain of thought content
  * @param {string|null} reasoningSignature - Chain of thought signature
  * @param {Array|null} toolCalls - Tool calls
- * @param {string|null} finishReason - Finish reason
- * @param {Object|null} usage - Usage statistics
+ * @param {string|null} finishReason - Upstream finish reason (null for intermediate stream chunks)
+ * @param {Array|null} [safetyRatings] - Upstream safety ratings
+ * @param {number} [index] - Candidate index (candidateCount > 1)
  * @returns {Object}
  */
-export const createGeminiResponse = (content, reasoning, reasoningSignature, toolCalls, finishReason, usage) => {
+export const createGeminiCandidate = (content, reasoning, reasoningSignature, toolCalls, finishReason, safetyRatings = null, index = 0) => {
   const parts = [];
 
   if (reasoning) {
@@ -47,6 +58,7 @@ export const createGeminiResponse = (content, reasoning, reasoningSignature, too
       try {
         const functionCallPart = {
           functionCall: {
+            id: tc.id,
             name: tc.function.name,
             args: JSON.parse(tc.function.arguments)
           }
@@ -61,16 +73,30 @@ export const createGeminiResponse = (content, reasoning, reasoningSignature, too
     });
   }
 
-  const response = {
-    candidates: [{
-      content: {
-        parts: parts,
-        role: "model"
-      },
-      finishReason: finishReason || "STOP",
-      index: 0
-    }]
+  const candidate = {
+    content: {
+      parts: parts,
+      role: "model"
+    },
+    index
   };
+  if (finishReason) {
+    candidate.finishReason = toGeminiFinishReason(finishReason);
+  }
+  if (safetyRatings) {
+    candidate.safetyRatings = safetyRatings;
+  }
+  return candidate;
+};
+
+/**
+ * Create Gemini format response from candidates
+ * @param {Array<Object>} candidates - Candidates from createGeminiCandidate
+ * @param {Object|null} usage - Usage statistics
+ * @returns {Object}
+ */
+export const createGeminiCandidatesResponse = (candidates, usage) => {
+  const response = { candidates };
 
   if (usage) {
     response.usageMetadata = {
@@ -84,25 +110,46 @@ export const createGeminiResponse = (content, reasoning, reasoningSignature, too
 };
 
 /**
- * Convert OpenAI model list to Gemini format
- * @param {Object} openaiModels - OpenAI format model list
+ * Create Gemini format response with a single candidate
+ * @param {string|null} content - Text content
+ * @param {string|null} reasoning - Chain of thought content
+ * @param {string|null} reasoningSignature - Chain of thought signature
+ * @param {Array|null} toolCalls - Tool calls
+ * @param {string|null} finishReason - Upstream finish reason (null for intermediate stream chunks)
+ * @param {Object|null} usage - Usage statistics
+ * @param {Array|null} [safetyRatings] - Upstream safety ratings
+ * @param {number} [index] - Candidate index (candidateCount > 1)
  * @returns {Object}
  */
-export const convertToGeminiModelList = (openaiModels) => {
-  const models = openaiModels.data.map(model => ({
-    name: `models/${model.id}`,
-    version: "001",
-    displayName: model.id,
-    description: "Imported model",
-    inputTokenLimit: 32768, // Default value
-    outputTokenLimit: 8192, // Default value
-    supportedGenerationMethods: ["generateContent", "countTokens"],
-    temperature: 0.9,
-    topP: 1.0,
-    topK: 40
-  }));
-  return { models };
-};
+export const createGeminiResponse = (content, reasoning, reasoningSignature, toolCalls, finishReason, usage, safetyRatings = null, index = 0) =>
+  createGeminiCandidatesResponse([createGeminiCandidate(content, reasoning, reasoningSignature, toolCalls, finishReason, safetyRatings, index)], usage);
+
+/**
+ * Convert a model catalog entry to Gemini format
+ * Sampling defaults are the ones this proxy applies when the request leaves them out
+ * @param {Object} entry - Catalog entry
+ * @returns {Object}
+ */
+export const toGeminiModel = (entry) => ({
+  name: `models/${entry.id}`,
+  version: "001",
+  displayName: entry.displayName,
+  description: entry.target ? `Virtual model on ${entry.target}` : `${entry.displayName} via Antigravity`,
+  inputTokenLimit: entry.contextWindow,
+  outputTokenLimit: entry.maxOutputTokens,
+  supportedGenerationMethods: ["generateContent", "streamGenerateContent", "countTokens"],
+  temperature: config.defaults.temperature,
+  topP: config.defaults.top_p,
+  topK: config.defaults.top_k,
+  thinking: entry.capabilities.thinking
+});
+
+/**
+ * Convert the model catalog to a Gemini format model list
+ * @param {Array<Object>} catalog - Catalog entries
+ * @returns {Object}
+ */
+export const convertToGeminiModelList = (catalog) => ({ models: catalog.map(toGeminiModel) });
 
 /**
  * Get Gemini format model list
@@ -111,9 +158,7 @@ export const convertToGeminiModelList = (openaiModels) => {
  */
 export const handleGeminiModelsList = async (req, res) => {
   try {
-    const openaiModels = await getAvailableModels();
-    const geminiModels = convertToGeminiModelList(openaiModels);
-    res.json(geminiModels);
+    res.json(convertToGeminiModelList(await getModelCatalog()));
   } catch (error) {
     logger.error('Failed to get model list:', error.message);
     res.status(500).json({ error: { code: 500, message: error.message, status: "INTERNAL" } });
@@ -128,23 +173,10 @@ export const handleGeminiModelsList = async (req, res) => {
 export const handleGeminiModelDetail = async (req, res) => {
   try {
     const modelId = req.params.model.replace(/^models\//, '');
-    const openaiModels = await getAvailableModels();
-    const model = openaiModels.data.find(m => m.id === modelId);
+    const model = await getModelInfo(modelId);
 
     if (model) {
-      const geminiModel = {
-        name: `models/${model.id}`,
-        version: "001",
-        displayName: model.id,
-        description: "Imported model",
-        inputTokenLimit: 32768,
-        outputTokenLimit: 8192,
-        supportedGenerationMethods: ["generateContent", "countTokens"],
-        temperature: 0.9,
-        topP: 1.0,
-        topK: 40
-      };
-      res.json(geminiModel);
+      res.json(toGeminiModel(model));
     } else {
       res.status(404).json({ error: { code: 404, message: `Model ${modelId} not found`, status: "NOT_FOUND" } });
     }
@@ -164,101 +196,236 @@ export const handleGeminiModelDetail = async (req, res) => {
 export const handleGeminiRequest = async (req, res, modelName, isStream) => {
   const maxRetries = Number(config.retryTimes || 0);
   const safeRetries = maxRetries > 0 ? Math.floor(maxRetries) : 0;
+  const startTime = Date.now();
+  // Cancels the upstream request once the client is gone
+  const signal = createDisconnectSignal(res);
+  let tokenId = null;
+  let attempts = null;
+  let usageData = null;
+  let servedModel = modelName;
+
+  // Record the outcome in history and the caller's usage
+  const logResult = (status, statusCode, errorMessage = null) => {
+    requestLogger.logRequest({
+      model: modelName,
+      fallbackModel: servedModel !== modelName ? servedModel : null,
+      tokenId,
+      status,
+      statusCode,
+      duration: Date.now() - startTime,
+      inputTokens: usageData?.prompt_tokens || 0,
+      outputTokens: usageData?.completion_tokens || 0,
+      errorMessage,
+      isStream,
+      attempts,
+      caller: req.caller
+    });
+  };
 
   try {
-    const token = await tokenManager.getToken();
+    // candidateCount > 1: upstream candidateCount, or one request per candidate for models without it
+    const candidatePlan = resolveCandidatePlan(req.body.generationConfig?.candidateCount, 'generationConfig.candidateCount', resolveModel(modelName).model);
+    // Remote fileData URLs are fetched once, before any account is tried
+    const geminiBody = { ...req.body, contents: await inlineGeminiMedia(req.body.contents, signal) };
+    if (candidatePlan.fanOut) {
+      geminiBody.generationConfig = { ...req.body.generationConfig, candidateCount: 1 };
+    }
+
+    // Keep the conversation on its account and give it its own upstream sessionId
+    const conversation = resolveConversation({ headers: req.headers, caller: req.caller, system: req.body.systemInstruction, messages: req.body.contents });
+    const token = await tokenManager.getToken({ model: modelName, preferredKey: conversation.refreshToken, pools: req.accountPools });
     if (!token) {
       throw new Error('No available token. Please run npm run login to get a token');
     }
+    tokenId = getTokenId(token);
 
-    const isImageModel = modelName.includes('-image');
-    const requestBody = generateGeminiRequestBody(req.body, modelName, token);
-
-    if (isImageModel) {
-      prepareImageRequest(requestBody);
-    }
+    const isImageModel = isImageGenerationModel(modelName);
+    const buildRequestBody = (currentToken) => {
+      const body = generateGeminiRequestBody(geminiBody, servedModel, withConversationSession(currentToken, conversation));
+      if (isImageModel) {
+        prepareImageRequest(body, servedModel);
+      }
+      return body;
+    };
+    const requestBody = buildRequestBody(token);
+    // Failover attempts rebuild the body for their own account (projectId / sessionId) and model
+    const getRequestBody = (currentToken) => (currentToken === token && servedModel === modelName ? requestBody : buildRequestBody(currentToken));
+    // Fallback chains may serve the request with another model, reported as modelVersion and a header
+    const onFallback = (fallbackModel) => {
+      servedModel = fallbackModel;
+      setFallbackModelHeader(res, fallbackModel);
+    };
+    const withServedModel = (response) => {
+      if (servedModel !== modelName) response.modelVersion = servedModel;
+      return response;
+    };
+    const failoverOptions = {
+      token,
+      model: modelName,
+      conversation,
+      pools: req.accountPools,
+      caller: req.caller,
+      count: candidatePlan.count,
+      fanOut: candidatePlan.fanOut,
+      signal,
+      maxRetries: safeRetries,
+      onFallback
+    };
 
     if (isStream) {
-      setStreamHeaders(res);
-      const heartbeatTimer = createHeartbeat(res);
+      // Hold the response until the first chunk, heartbeats keep the connection open meanwhile
+      const pending = createPendingStream(res);
 
       try {
         if (isImageModel) {
           // Image model: get result non-streaming then return at once
-          const { content, usage } = await with429Retry(
-            () => generateAssistantResponseNoStream(requestBody, token),
-            safeRetries,
-            'gemini.stream.image '
-          );
-          const chunk = createGeminiResponse(content, null, null, null, 'STOP', usage);
-          writeStreamData(res, chunk);
-          clearInterval(heartbeatTimer);
+          const { results, token: usedToken, attempts: usedAttempts } = await withCandidateFailover({
+            ...failoverOptions,
+            execute: (currentToken, index, candidateSignal) => generateAssistantResponseNoStream(getRequestBody(currentToken), currentToken, candidateSignal),
+            loggerPrefix: 'gemini.stream.image '
+          });
+          tokenId = getTokenId(usedToken);
+          attempts = usedAttempts;
+          usageData = sumUsage(results.map(result => result.usage));
+          const candidates = results.flatMap(result => result.candidates).map(({ content, finishReason, safetyRatings }, index) =>
+            createGeminiCandidate(content, null, null, null, toGeminiFinishReason(finishReason), safetyRatings, index));
+          const chunk = createGeminiCandidatesResponse(candidates, usageData);
+          pending.commit();
+          writeStreamData(res, withServedModel(chunk));
+          pending.stop();
           endStream(res, false);
+          logResult('success', 200);
           return;
         }
 
-        let usageData = null;
-        let hasToolCall = false;
-
-        await with429Retry(
-          () => generateAssistantResponse(requestBody, token, (data) => {
-            if (data.type === 'usage') {
-              usageData = data.usage;
-            } else if (data.type === 'reasoning') {
-              // Gemini thinking content
-              const chunk = createGeminiResponse(null, data.reasoning_content, data.thoughtSignature, null, null, null);
-              writeStreamData(res, chunk);
-            } else if (data.type === 'tool_calls') {
-              hasToolCall = true;
-              // Gemini tool calls
-              const chunk = createGeminiResponse(null, null, null, data.tool_calls, null, null);
-              writeStreamData(res, chunk);
-            } else {
-              // Normal text
-              const chunk = createGeminiResponse(data.content, null, null, null, null, null);
-              writeStreamData(res, chunk);
-            }
-          }),
-          safeRetries,
-          'gemini.stream '
-        );
-
-        // Send finish chunk and usage
-        const finishReason = hasToolCall ? "STOP" : "STOP"; // Gemini tool calls also use STOP
-        const finalChunk = createGeminiResponse(null, null, null, null, finishReason, usageData);
-        writeStreamData(res, finalChunk);
-
-        clearInterval(heartbeatTimer);
+        // Per candidate: finish event; per request: usage
+        const finishInfos = [];
+        const usages = [];
+
+        const { token: usedToken, attempts: usedAttempts } = await withCandidateFailover({
+          ...failoverOptions,
+          // A fan-out request streams a single candidate, its index is the request index
+          execute: (currentToken, offset, candidateSignal) => {
+            // Thoughts of a failed attempt never reached the client, the retry starts over
+            pending.discard(offset);
+            return generateAssistantResponse(getRequestBody(currentToken), currentToken, (data) => {
+              const index = offset + (data.candidate || 0);
+              if (data.type === 'usage') {
+                usages[offset] = data.usage;
+                usageData = sumUsage(usages);
+              } else if (data.type === 'finish') {
+                finishInfos[index] = data;
+              } else if (data.type === 'reasoning') {
+                // Gemini thinking content, held back until the answer starts: a thought-only stream is retried
+                const chunk = createGeminiResponse(null, data.reasoning_content, data.thoughtSignature, null, null, null, null, index);
+                pending.defer(() => writeStreamData(res, withServedModel(chunk)), offset);
+              } else if (data.type === 'tool_calls') {
+                pending.commit();
+                // Gemini tool calls
+                const chunk = createGeminiResponse(null, null, null, data.tool_calls, null, null, null, index);
+                writeStreamData(res, withServedModel(chunk));
+              } else {
+                pending.commit();
+                // Normal text
+                const chunk = createGeminiResponse(data.content, null, null, null, null, null, null, index);
+                writeStreamData(res, withServedModel(chunk));
+              }
+            }, candidateSignal);
+          },
+          // Once a chunk reached the client the request can no longer move to another account
+          canRetry: () => !pending.isCommitted(),
+          loggerPrefix: 'gemini.stream '
+        });
+        tokenId = getTokenId(usedToken);
+        attempts = usedAttempts;
+        // Thought-only output that was accepted (e.g. token limit) goes out now
+        pending.commit();
+
+        // Send finish chunk of every candidate and usage (Gemini tool calls also finish with STOP)
+        const finalCandidates = Array.from({ length: candidatePlan.count }, (_, index) =>
+          createGeminiCandidate(null, null, null, null, toGeminiFinishReason(finishInfos[index]?.finishReason), finishInfos[index]?.safetyRatings, index));
+        writeStreamData(res, withServedModel(createGeminiCandidatesResponse(finalCandidates, usageData)));
+
+        pending.stop();
         endStream(res);
+        logResult('success', 200);
       } catch (error) {
-        clearInterval(heartbeatTimer);
-        if (!res.writableEnded) {
+        pending.stop();
+        // Headers already went out (heartbeat or output): fail inside the stream, logged below
+        if (res.headersSent && !res.writableEnded && !error.isCancelled) {
           const statusCode = error.statusCode || error.status || 500;
           writeStreamData(res, buildGeminiErrorPayload(error, statusCode));
-          endStream(res);
+          endStream(res, false);
         }
-        logger.error('Gemini stream request failed:', error.message);
-        return;
+        throw error;
       }
     } else {
       // Non-streaming
       req.setTimeout(0);
       res.setTimeout(0);
 
-      const { content, reasoningContent, reasoningSignature, toolCalls, usage } = await with429Retry(
-        () => generateAssistantResponseNoStream(requestBody, token),
-        safeRetries,
-        'gemini.no_stream '
-      );
+      // Structured outputs may be validated and retried on the next account
+      const { results, token: usedToken, attempts: usedAttempts } = await withCandidateFailover({
+        ...failoverOptions,
+        execute: (currentToken, index, candidateSignal) => generateAssistantResponseNoStream(getRequestBody(currentToken), currentToken, candidateSignal),
+        validate: createStructuredOutputValidator(resolveGeminiResponseFormat(req.body.generationConfig || {})),
+        maxInvalidRetries: config.structuredOutput.maxRetries,
+        loggerPrefix: 'gemini.no_stream '
+      });
+      tokenId = getTokenId(usedToken);
+      attempts = usedAttempts;
+      usageData = sumUsage(results.map(result => result.usage));
 
-      const finishReason = toolCalls.length > 0 ? "STOP" : "STOP";
-      const response = createGeminiResponse(content, reasoningContent, reasoningSignature, toolCalls, finishReason, usage);
-      res.json(response);
+      const candidates = results.flatMap(result => result.candidates).map((candidate, index) =>
+        createGeminiCandidate(candidate.content, candidate.reasoningContent, candidate.reasoningSignature, candidate.toolCalls,
+          toGeminiFinishReason(candidate.finishReason), candidate.safetyRatings, index));
+      res.json(withServedModel(createGeminiCandidatesResponse(candidates, usageData)));
+      logResult('success', 200);
     }
   } catch (error) {
-    logger.error('Gemini request failed:', error.message);
-    if (res.headersSent) return;
+    // Client disconnected: the upstream request was cancelled
+    const cancelled = error.isCancelled === true;
+    if (cancelled) {
+      logger.info('Client disconnected, upstream request cancelled');
+    } else {
+      logger.error('Gemini request failed:', error.message);
+    }
     const statusCode = error.statusCode || error.status || 500;
+    if (error.attempts) {
+      attempts = error.attempts;
+      tokenId = attempts[attempts.length - 1].tokenId;
+    }
+    logResult(getFailureStatus(error), statusCode, error.message);
+
+    if (res.headersSent || cancelled) return;
     res.status(statusCode).json(buildGeminiErrorPayload(error, statusCode));
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Handle Gemini countTokens request
+ * Accepts either { contents } or { generateContentRequest } and returns the prompt token count
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {string} modelName - Model name
+ */
+export const handleGeminiCountTokens = async (req, res, modelName) => {
+  try {
+    const geminiBody = req.body?.generateContentRequest || req.body || {};
+    if (!Array.isArray(geminiBody.contents)) {
+      return res.status(400).json(buildGeminiErrorPayload({ message: 'contents is required' }, 400));
+    }
+
+    // Counting works without an account (local estimate), session/project are only needed upstream
+    // Only an account that is ready is used: counting never refreshes, rotates or cools down accounts
+    const token = await tokenManager.peekToken({ pools: req.accountPools });
+    const requestBody = generateGeminiRequestBody(geminiBody, modelName, token || {});
+
+    const { totalTokens } = await countTokens(requestBody, token);
+    res.json({ totalTokens });
+  } catch (error) {
+    logger.error('Gemini count tokens failed:', error.message);
+    const statusCode = error.statusCode || error.status || 500;
+    res.status(statusCode).json(buildGeminiErrorPayload(error, statusCode));
+  }
+};
@@ -4,21 +4,30 @@
  */
 
 import { generateAssistantResponse, generateAssistantResponseNoStream } from '../../api/client.js';
-import { generateRequestBody, prepareImageRequest } from '../../utils/utils.js';
+import { generateRequestBody, inlineOpenAIMedia, prepareImageRequest } from '../../utils/utils.js';
+import { isImageGenerationModel, resolveModel } from '../../utils/modelRouting.js';
+import { resolveOpenAIResponseFormat, resolveCandidatePlan } from '../../utils/parameterNormalizer.js';
+import { createStructuredOutputValidator } from '../../utils/structuredOutput.js';
 import { buildOpenAIErrorPayload } from '../../utils/errors.js';
+import { toOpenAIFinishReason } from '../../utils/finishReason.js';
+import { resolveConversation, withConversationSession } from '../../utils/conversationAffinity.js';
 import logger from '../../utils/logger.js';
 import config from '../../config/config.js';
 import tokenManager from '../../auth/token_manager.js';
 import requestLogger from '../../utils/requestLogger.js';
 import {
   createResponseMeta,
-  setStreamHeaders,
-  createHeartbeat,
+  createPendingStream,
   getChunkObject,
   releaseChunkObject,
   writeStreamData,
   endStream,
-  with429Retry
+  withCandidateFailover,
+  sumUsage,
+  setFallbackModelHeader,
+  createDisconnectSignal,
+  getTokenId,
+  getFailureStatus
 } from '../stream.js';
 
 /**
@@ -29,19 +38,44 @@ import {
  * @param {string} model - Model name
  * @param {Object} delta - Delta content
  * @param {string|null} finish_reason - Finish reason
+ * @param {number} [index] - Choice index (n > 1)
  * @returns {Object}
  */
-export const createStreamChunk = (id, created, model, delta, finish_reason = null) => {
+export const createStreamChunk = (id, created, model, delta, finish_reason = null, index = 0) => {
   const chunk = getChunkObject();
   chunk.id = id;
   chunk.object = 'chat.completion.chunk';
   chunk.created = created;
   chunk.model = model;
+  chunk.choices[0].index = index;
   chunk.choices[0].delta = delta;
   chunk.choices[0].finish_reason = finish_reason;
   return chunk;
 };
 
+/**
+ * Create the assistant message of a non-streaming choice
+ * DeepSeek format: reasoning_content comes before content
+ * @param {Object} candidate - Parsed candidate { content, reasoningContent, reasoningSignature, toolCalls }
+ * @returns {Object}
+ */
+const createChoiceMessage = ({ content, reasoningContent, reasoningSignature, toolCalls }) => {
+  const message = { role: 'assistant' };
+  if (reasoningContent) message.reasoning_content = reasoningContent;
+  if (reasoningSignature && config.passSignatureToClient) message.thoughtSignature = reasoningSignature;
+  message.content = content;
+
+  if (toolCalls.length > 0) {
+    // Decide whether to pass through tool call signature based on config
+    if (config.passSignatureToClient) {
+      message.tool_calls = toolCalls;
+    } else {
+      message.tool_calls = toolCalls.map(({ thoughtSignature, ...rest }) => rest);
+    }
+  }
+  return message;
+};
+
 /**
  * Handle OpenAI format chat request
  * @param {Request} req - Express request object
@@ -50,101 +84,177 @@ export const createStreamChunk = (id, created, model, delta, finish_reason = nul
 export const handleOpenAIRequest = async (req, res) => {
   const { messages, model, stream = false, tools, ...params } = req.body;
   const startTime = Date.now();
+  // Cancels the upstream request once the client is gone
+  const signal = createDisconnectSignal(res);
   let tokenId = null;
+  let attempts = null;
   let usageData = null;
+  let servedModel = model;
 
   try {
     if (!messages) {
       return res.status(400).json({ error: 'messages is required' });
     }
+    // n > 1: upstream candidateCount, or one request per choice for models without it
+    const candidatePlan = resolveCandidatePlan(params.n, 'n', resolveModel(model).model);
+    const requestParams = candidatePlan.fanOut ? { ...params, n: 1 } : params;
+    // Remote image URLs are fetched once, before any account is tried
+    const resolvedMessages = await inlineOpenAIMedia(messages, signal);
 
-    const token = await tokenManager.getToken();
+    // Keep the conversation on its account and give it its own upstream sessionId
+    const conversation = resolveConversation({ headers: req.headers, caller: req.caller, userId: params.user, messages });
+    const token = await tokenManager.getToken({ model, preferredKey: conversation.refreshToken, pools: req.accountPools });
     if (!token) {
       throw new Error('No available token. Please run npm run login to get a token');
     }
-    tokenId = token.refresh_token?.substring(0, 8) || 'unknown';
+    tokenId = getTokenId(token);
 
-    const isImageModel = model.includes('-image');
-    const requestBody = generateRequestBody(messages, model, params, tools, token);
-
-    if (isImageModel) {
-      prepareImageRequest(requestBody);
-    }
+    const isImageModel = isImageGenerationModel(model);
+    const buildRequestBody = (currentToken) => {
+      const body = generateRequestBody(resolvedMessages, servedModel, requestParams, tools, withConversationSession(currentToken, conversation));
+      if (isImageModel) {
+        prepareImageRequest(body, servedModel);
+      }
+      return body;
+    };
+    const requestBody = buildRequestBody(token);
+    // Failover attempts rebuild the body for their own account (projectId / sessionId) and model
+    const getRequestBody = (currentToken) => (currentToken === token && servedModel === model ? requestBody : buildRequestBody(currentToken));
+    // Fallback chains may serve the request with another model, reported in the response
+    const onFallback = (fallbackModel) => {
+      servedModel = fallbackModel;
+      setFallbackModelHeader(res, fallbackModel);
+    };
     //console.log(JSON.stringify(requestBody,null,2));
     const { id, created } = createResponseMeta();
     const maxRetries = Number(config.retryTimes || 0);
     const safeRetries = maxRetries > 0 ? Math.floor(maxRetries) : 0;
+    const failoverOptions = {
+      token,
+      model,
+      conversation,
+      pools: req.accountPools,
+      caller: req.caller,
+      count: candidatePlan.count,
+      fanOut: candidatePlan.fanOut,
+      signal,
+      maxRetries: safeRetries,
+      onFallback
+    };
 
     if (stream) {
-      setStreamHeaders(res);
-
-      // Start heartbeat to prevent Cloudflare timeout disconnect
-      const heartbeatTimer = createHeartbeat(res);
+      // Hold the response until the first chunk, heartbeats prevent Cloudflare timeout disconnect meanwhile
+      const pending = createPendingStream(res);
 
       try {
         if (isImageModel) {
-          const { content, usage } = await with429Retry(
-            () => generateAssistantResponseNoStream(requestBody, token),
-            safeRetries,
-            'chat.stream.image '
-          );
-          usageData = usage;
-          writeStreamData(res, createStreamChunk(id, created, model, { content }));
-          writeStreamData(res, { ...createStreamChunk(id, created, model, {}, 'stop'), usage });
+          const { results, token: usedToken, attempts: usedAttempts } = await withCandidateFailover({
+            ...failoverOptions,
+            execute: (currentToken, index, candidateSignal) => generateAssistantResponseNoStream(getRequestBody(currentToken), currentToken, candidateSignal),
+            loggerPrefix: 'chat.stream.image '
+          });
+          const candidates = results.flatMap(result => result.candidates);
+          tokenId = getTokenId(usedToken);
+          attempts = usedAttempts;
+          usageData = sumUsage(results.map(result => result.usage));
+          pending.commit();
+          candidates.forEach(({ content }, index) => {
+            writeStreamData(res, createStreamChunk(id, created, servedModel, { content }, null, index));
+          });
+          candidates.forEach(({ finishReason }, index) => {
+            const chunk = createStreamChunk(id, created, servedModel, {}, toOpenAIFinishReason(finishReason, false), index);
+            writeStreamData(res, index === candidates.length - 1 ? { ...chunk, usage: usageData } : chunk);
+          });
         } else {
-          let hasToolCall = false;
-
-          await with429Retry(
-            () => generateAssistantResponse(requestBody, token, (data) => {
-              if (data.type === 'usage') {
-                usageData = data.usage;
-              } else if (data.type === 'reasoning') {
-                const delta = { reasoning_content: data.reasoning_content };
-                if (data.thoughtSignature && config.passSignatureToClient) {
-                  delta.thoughtSignature = data.thoughtSignature;
-                }
-                writeStreamData(res, createStreamChunk(id, created, model, delta));
-              } else if (data.type === 'tool_calls') {
-                hasToolCall = true;
-                // Decide whether to pass through tool call signature based on config
-                const toolCallsWithIndex = data.tool_calls.map((toolCall, index) => {
-                  if (config.passSignatureToClient) {
-                    return { index, ...toolCall };
-                  } else {
-                    const { thoughtSignature, ...rest } = toolCall;
-                    return { index, ...rest };
+          // Per choice: finish reason and whether it called tools; per request: usage
+          const finishReasons = [];
+          const hasToolCalls = [];
+          const usages = [];
+
+          const { token: usedToken, attempts: usedAttempts } = await withCandidateFailover({
+            ...failoverOptions,
+            // A fan-out request streams a single candidate, its choice index is the request index
+            execute: (currentToken, offset, candidateSignal) => {
+              // Thoughts of a failed attempt never reached the client, the retry starts over
+              pending.discard(offset);
+              return generateAssistantResponse(getRequestBody(currentToken), currentToken, (data) => {
+                const index = offset + (data.candidate || 0);
+                if (data.type === 'usage') {
+                  usages[offset] = data.usage;
+                  usageData = sumUsage(usages);
+                } else if (data.type === 'finish') {
+                  finishReasons[index] = data.finishReason;
+                } else if (data.type === 'reasoning') {
+                  // Held back until the answer starts, a thought-only stream is retried
+                  const delta = { reasoning_content: data.reasoning_content };
+                  if (data.thoughtSignature && config.passSignatureToClient) {
+                    delta.thoughtSignature = data.thoughtSignature;
                   }
-                });
-                const delta = { tool_calls: toolCallsWithIndex };
-                writeStreamData(res, createStreamChunk(id, created, model, delta));
-              } else {
-                const delta = { content: data.content };
-                writeStreamData(res, createStreamChunk(id, created, model, delta));
-              }
-            }),
-            safeRetries,
-            'chat.stream '
-          );
-
-          writeStreamData(res, { ...createStreamChunk(id, created, model, {}, hasToolCall ? 'tool_calls' : 'stop'), usage: usageData });
+                  pending.defer(() => writeStreamData(res, createStreamChunk(id, created, servedModel, delta, null, index)), offset);
+                } else if (data.type === 'tool_calls') {
+                  pending.commit();
+                  hasToolCalls[index] = true;
+                  // Tool calls arrive one by one with a stable index assigned by the stream parser
+                  // Decide whether to pass through tool call signature based on config
+                  const toolCallsWithIndex = data.tool_calls.map((toolCall) => {
+                    const { index, ...rest } = toolCall;
+                    if (config.passSignatureToClient) {
+                      return { index, ...rest };
+                    } else {
+                      const { thoughtSignature, ...withoutSignature } = rest;
+                      return { index, ...withoutSignature };
+                    }
+                  });
+                  const delta = { tool_calls: toolCallsWithIndex };
+                  writeStreamData(res, createStreamChunk(id, created, servedModel, delta, null, index));
+                } else {
+                  pending.commit();
+                  const delta = { content: data.content };
+                  writeStreamData(res, createStreamChunk(id, created, servedModel, delta, null, index));
+                }
+              }, candidateSignal);
+            },
+            // Once anything reached the client the request can no longer move to another account
+            canRetry: () => !pending.isCommitted(),
+            loggerPrefix: 'chat.stream '
+          });
+          tokenId = getTokenId(usedToken);
+          attempts = usedAttempts;
+          // Thought-only output that was accepted (e.g. token limit) goes out now
+          pending.commit();
+
+          // One finish chunk per choice, usage goes with the last one
+          for (let index = 0; index < candidatePlan.count; index++) {
+            const chunk = createStreamChunk(id, created, servedModel, {}, toOpenAIFinishReason(finishReasons[index] ?? null, hasToolCalls[index] === true), index);
+            writeStreamData(res, index === candidatePlan.count - 1 ? { ...chunk, usage: usageData } : chunk);
+          }
         }
 
-        clearInterval(heartbeatTimer);
+        pending.stop();
         endStream(res);
 
         // Log success
         requestLogger.logRequest({
           model,
+          fallbackModel: servedModel !== model ? servedModel : null,
           tokenId,
           status: 'success',
           statusCode: 200,
           duration: Date.now() - startTime,
           inputTokens: usageData?.prompt_tokens || 0,
           outputTokens: usageData?.completion_tokens || 0,
-          isStream: true
+          isStream: true,
+          attempts,
+          caller: req.caller
         });
       } catch (error) {
-        clearInterval(heartbeatTimer);
+        pending.stop();
+        // Headers already went out (heartbeat or output): fail inside the stream, logged below
+        if (res.headersSent && !res.writableEnded && !error.isCancelled) {
+          const statusCode = error.statusCode || error.status || 500;
+          writeStreamData(res, buildOpenAIErrorPayload(error, statusCode));
+          endStream(res, false);
+        }
         throw error;
       }
     } else {
@@ -152,40 +262,30 @@ export const handleOpenAIRequest = async (req, res) => {
       req.setTimeout(0); // Disable request timeout
       res.setTimeout(0); // Disable response timeout
 
-      const { content, reasoningContent, reasoningSignature, toolCalls, usage } = await with429Retry(
-        () => generateAssistantResponseNoStream(requestBody, token),
-        safeRetries,
-        'chat.no_stream '
-      );
-      usageData = usage;
-
-      // DeepSeek format: reasoning_content comes before content
-      const message = { role: 'assistant' };
-      if (reasoningContent) message.reasoning_content = reasoningContent;
-      if (reasoningSignature && config.passSignatureToClient) message.thoughtSignature = reasoningSignature;
-      message.content = content;
-
-      if (toolCalls.length > 0) {
-        // Decide whether to pass through tool call signature based on config
-        if (config.passSignatureToClient) {
-          message.tool_calls = toolCalls;
-        } else {
-          message.tool_calls = toolCalls.map(({ thoughtSignature, ...rest }) => rest);
-        }
-      }
+      // Structured outputs may be validated and retried on the next account
+      const { results, token: usedToken, attempts: usedAttempts } = await withCandidateFailover({
+        ...failoverOptions,
+        execute: (currentToken, index, candidateSignal) => generateAssistantResponseNoStream(getRequestBody(currentToken), currentToken, candidateSignal),
+        validate: createStructuredOutputValidator(resolveOpenAIResponseFormat(params.response_format)),
+        maxInvalidRetries: config.structuredOutput.maxRetries,
+        loggerPrefix: 'chat.no_stream '
+      });
+      tokenId = getTokenId(usedToken);
+      attempts = usedAttempts;
+      usageData = sumUsage(results.map(result => result.usage));
 
       // Use pre-built response object to reduce memory allocation
       const response = {
         id,
         object: 'chat.completion',
         created,
-        model,
-        choices: [{
-          index: 0,
-          message,
-          finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
-        }],
-        usage
+        model: servedModel,
+        choices: results.flatMap(result => result.candidates).map((candidate, index) => ({
+          index,
+          message: createChoiceMessage(candidate),
+          finish_reason: toOpenAIFinishReason(candidate.finishReason, candidate.toolCalls.length > 0)
+        })),
+        usage: usageData
       };
 
       res.json(response);
@@ -193,33 +293,50 @@ export const handleOpenAIRequest = async (req, res) => {
       // Log success
       requestLogger.logRequest({
         model,
+        fallbackModel: servedModel !== model ? servedModel : null,
         tokenId,
         status: 'success',
         statusCode: 200,
         duration: Date.now() - startTime,
         inputTokens: usageData?.prompt_tokens || 0,
         outputTokens: usageData?.completion_tokens || 0,
-        isStream: false
+        isStream: false,
+        attempts,
+        caller: req.caller
       });
     }
   } catch (error) {
-    logger.error('Failed to generate response:', error.message);
+    // Client disconnected: the upstream request was cancelled
+    const cancelled = error.isCancelled === true;
+    if (cancelled) {
+      logger.info('Client disconnected, upstream request cancelled');
+    } else {
+      logger.error('Failed to generate response:', error.message);
+    }
     const statusCode = error.statusCode || error.status || 500;
+    if (error.attempts) {
+      attempts = error.attempts;
+      tokenId = attempts[attempts.length - 1].tokenId;
+    }
 
     // Log error
     requestLogger.logRequest({
       model,
+      fallbackModel: servedModel !== model ? servedModel : null,
       tokenId,
-      status: 'error',
+      status: getFailureStatus(error),
       statusCode,
       duration: Date.now() - startTime,
-      inputTokens: 0,
-      outputTokens: 0,
+      // Usage streamed before the failure, if any
+      inputTokens: usageData?.prompt_tokens || 0,
+      outputTokens: usageData?.completion_tokens || 0,
       errorMessage: error.message,
-      isStream: stream
+      isStream: stream,
+      attempts,
+      caller: req.caller
     });
 
-    if (res.headersSent) return;
+    if (res.headersSent || cancelled) return;
     return res.status(statusCode).json(buildOpenAIErrorPayload(error, statusCode));
   }
 };
\ No newline at end of file
@@ -0,0 +1,512 @@
+/**
+ * OpenAI Responses format handler
+ * Handles /v1/responses requests, supports streaming (typed events) and non-streaming responses
+ */
+
+import { randomUUID } from 'crypto';
+import { generateAssistantResponse, generateAssistantResponseNoStream } from '../../api/client.js';
+import { generateResponsesRequestBody, inlineResponsesMedia, prepareImageRequest } from '../../utils/utils.js';
+import { isImageGenerationModel } from '../../utils/modelRouting.js';
+import { responsesTextFormatToOpenAI } from '../../utils/converters/responses.js';
+import { resolveOpenAIResponseFormat } from '../../utils/parameterNormalizer.js';
+import { createStructuredOutputValidator } from '../../utils/structuredOutput.js';
+import { buildOpenAIErrorPayload } from '../../utils/errors.js';
+import { toResponsesIncompleteDetails } from '../../utils/finishReason.js';
+import { resolveConversation, withConversationSession } from '../../utils/conversationAffinity.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import tokenManager from '../../auth/token_manager.js';
+import requestLogger from '../../utils/requestLogger.js';
+import {
+  createPendingStream,
+  withAccountFailover,
+  setFallbackModelHeader,
+  createDisconnectSignal,
+  getTokenId,
+  getFailureStatus
+} from '../stream.js';
+
+/**
+ * Generate output item ID
+ * @param {string} prefix - ID prefix (rs / msg / fc)
+ * @returns {string}
+ */
+const createItemId = (prefix) => `${prefix}_${randomUUID().replace(/-/g, '')}`;
+
+/**
+ * Create Responses stream event
+ * @param {string} eventType - Event type
+ * @param {Object} data - Event data
+ * @returns {string}
+ */
+export const createResponsesStreamEvent = (eventType, data) => {
+  return `event: ${eventType}\ndata: ${JSON.stringify({ type: eventType, ...data })}\n\n`;
+};
+
+/**
+ * Convert internal usage to Responses usage format
+ * @param {Object|null} usage - Usage statistics
+ * @returns {Object}
+ */
+const toResponsesUsage = (usage) => ({
+  input_tokens: usage?.prompt_tokens || 0,
+  output_tokens: usage?.completion_tokens || 0,
+  total_tokens: usage?.total_tokens || 0
+});
+
+/**
+ * Create reasoning output item
+ * @param {string} text - Reasoning text
+ * @param {string|null} signature - Thought signature
+ * @returns {Object}
+ */
+const createReasoningItem = (text, signature) => {
+  const item = {
+    id: createItemId('rs'),
+    type: 'reasoning',
+    summary: text ? [{ type: 'summary_text', text }] : []
+  };
+  if (signature && config.passSignatureToClient) {
+    item.encrypted_content = signature;
+  }
+  return item;
+};
+
+/**
+ * Create assistant message output item
+ * @param {string} text - Message text
+ * @param {string} status - Item status
+ * @returns {Object}
+ */
+const createMessageItem = (text, status = 'completed') => ({
+  id: createItemId('msg'),
+  type: 'message',
+  status,
+  role: 'assistant',
+  content: text !== null ? [{ type: 'output_text', text, annotations: [] }] : []
+});
+
+/**
+ * Create function call output item
+ * @param {Object} toolCall - Tool call in OpenAI format
+ * @param {string} status - Item status
+ * @returns {Object}
+ */
+const createFunctionCallItem = (toolCall, status = 'completed') => {
+  const item = {
+    id: createItemId('fc'),
+    type: 'function_call',
+    status,
+    call_id: toolCall.id,
+    name: toolCall.function.name,
+    arguments: status === 'completed' ? toolCall.function.arguments : ''
+  };
+  if (toolCall.thoughtSignature && config.passSignatureToClient) {
+    item.thoughtSignature = toolCall.thoughtSignature;
+  }
+  return item;
+};
+
+/**
+ * Create Responses response object
+ * @param {string} id - Response ID
+ * @param {number} createdAt - Created timestamp
+ * @param {Object} body - Original request body
+ * @param {string} status - Response status
+ * @param {Array} output - Output items
+ * @param {Object|null} usage - Usage statistics
+ * @param {Object|null} [incompleteDetails] - Reason when status is incomplete
+ * @returns {Object}
+ */
+export const createResponsesResponse = (id, createdAt, body, status, output, usage, incompleteDetails = null) => ({
+  id,
+  object: 'response',
+  created_at: createdAt,
+  status,
+  incomplete_details: incompleteDetails,
+  model: body.model,
+  instructions: body.instructions ?? null,
+  max_output_tokens: body.max_output_tokens ?? null,
+  temperature: body.temperature ?? null,
+  top_p: body.top_p ?? null,
+  tools: body.tools || [],
+  tool_choice: body.tool_choice || 'auto',
+  parallel_tool_calls: body.parallel_tool_calls ?? true,
+  reasoning: body.reasoning || null,
+  text: body.text || { format: { type: 'text' } },
+  metadata: body.metadata || {},
+  output,
+  usage: usage ? toResponsesUsage(usage) : null
+});
+
+/**
+ * Build output items from a non-streaming result
+ * @param {Object} result - Result of generateAssistantResponseNoStream
+ * @returns {Array}
+ */
+const buildOutputItems = ({ content, reasoningContent, reasoningSignature, toolCalls }) => {
+  const output = [];
+  if (reasoningContent) output.push(createReasoningItem(reasoningContent, reasoningSignature));
+  if (content) output.push(createMessageItem(content));
+  for (const toolCall of toolCalls || []) {
+    output.push(createFunctionCallItem(toolCall));
+  }
+  return output;
+};
+
+/**
+ * Create streaming writer that tracks open output items and emits typed events
+ * @param {Response} res - Express response object
+ * @returns {Object}
+ */
+const createResponsesStreamWriter = (res) => {
+  const output = [];
+  let sequenceNumber = 0;
+  let current = null; // { item, outputIndex, text }
+
+  const write = (eventType, data) => {
+    res.write(createResponsesStreamEvent(eventType, { sequence_number: sequenceNumber++, ...data }));
+  };
+
+  const closeCurrent = () => {
+    if (!current) return;
+    const { item, outputIndex, text } = current;
+
+    if (item.type === 'reasoning') {
+      const part = { type: 'summary_text', text };
+      write('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text });
+      write('response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part });
+      item.summary = [part];
+    } else if (item.type === 'message') {
+      const part = { type: 'output_text', text, annotations: [] };
+      write('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text });
+      write('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+      item.content = [part];
+      item.status = 'completed';
+    }
+
+    write('response.output_item.done', { output_index: outputIndex, item });
+    current = null;
+  };
+
+  const openItem = (item) => {
+    closeCurrent();
+    const outputIndex = output.length;
+    output.push(item);
+    write('response.output_item.added', { output_index: outputIndex, item });
+    current = { item, outputIndex, text: '' };
+    return current;
+  };
+
+  return {
+    output,
+    write,
+
+    appendReasoning(delta, signature) {
+      if (current?.item.type !== 'reasoning') {
+        const { item, outputIndex } = openItem(createReasoningItem('', signature));
+        write('response.reasoning_summary_part.added', {
+          item_id: item.id,
+          output_index: outputIndex,
+          summary_index: 0,
+          part: { type: 'summary_text', text: '' }
+        });
+      }
+      if (signature && config.passSignatureToClient) current.item.encrypted_content = signature;
+      if (!delta) return;
+      current.text += delta;
+      write('response.reasoning_summary_text.delta', {
+        item_id: current.item.id,
+        output_index: current.outputIndex,
+        summary_index: 0,
+        delta
+      });
+    },
+
+    appendText(delta) {
+      if (current?.item.type !== 'message') {
+        const { item, outputIndex } = openItem(createMessageItem(null, 'in_progress'));
+        write('response.content_part.added', {
+          item_id: item.id,
+          output_index: outputIndex,
+          content_index: 0,
+          part: { type: 'output_text', text: '', annotations: [] }
+        });
+      }
+      if (!delta) return;
+      current.text += delta;
+      write('response.output_text.delta', {
+        item_id: current.item.id,
+        output_index: current.outputIndex,
+        content_index: 0,
+        delta
+      });
+    },
+
+    addFunctionCall(toolCall) {
+      const { item, outputIndex } = openItem(createFunctionCallItem(toolCall, 'in_progress'));
+      const args = toolCall.function.arguments || '';
+      write('response.function_call_arguments.delta', { item_id: item.id, output_index: outputIndex, delta: args });
+      write('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: args });
+      item.arguments = args;
+      item.status = 'completed';
+      write('response.output_item.done', { output_index: outputIndex, item });
+      current = null;
+    },
+
+    closeCurrent
+  };
+};
+
+/**
+ * Handle OpenAI Responses format request
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+export const handleResponsesRequest = async (req, res) => {
+  const body = req.body || {};
+  const { model, input, stream = false } = body;
+  const startTime = Date.now();
+  // Cancels the upstream request once the client is gone
+  const signal = createDisconnectSignal(res);
+  let tokenId = null;
+  let attempts = null;
+  let usageData = null;
+  let servedModel = model;
+
+  try {
+    if (!model) {
+      return res.status(400).json(buildOpenAIErrorPayload({ message: 'model is required' }, 400));
+    }
+    if (input === undefined || input === null) {
+      return res.status(400).json(buildOpenAIErrorPayload({ message: 'input is required' }, 400));
+    }
+    if (body.previous_response_id) {
+      return res.status(400).json(buildOpenAIErrorPayload({ message: 'previous_response_id is not supported, send the full conversation in input' }, 400));
+    }
+    // Remote image / file URLs are fetched once, before any account is tried
+    const resolvedInput = await inlineResponsesMedia(input, signal);
+
+    // Keep the conversation on its account and give it its own upstream sessionId
+    const conversation = resolveConversation({ headers: req.headers, caller: req.caller, userId: body.user, system: body.instructions, messages: input });
+    const token = await tokenManager.getToken({ model, preferredKey: conversation.refreshToken, pools: req.accountPools });
+    if (!token) {
+      throw new Error('No available token. Please run npm run login to get a token');
+    }
+    tokenId = getTokenId(token);
+
+    // Request as served: the model is swapped once a fallback chain takes over
+    const getServedBody = () => (servedModel === model ? body : { ...body, model: servedModel });
+    const isImageModel = isImageGenerationModel(model);
+    const buildRequestBody = (currentToken) => {
+      const requestBody = generateResponsesRequestBody({ ...getServedBody(), input: resolvedInput }, withConversationSession(currentToken, conversation));
+      if (isImageModel) {
+        prepareImageRequest(requestBody, servedModel);
+      }
+      return requestBody;
+    };
+    const requestBody = buildRequestBody(token);
+    // Failover attempts rebuild the body for their own account (projectId / sessionId) and model
+    const getRequestBody = (currentToken) => (currentToken === token && servedModel === model ? requestBody : buildRequestBody(currentToken));
+    // Fallback chains may serve the request with another model, reported in the response
+    const onFallback = (fallbackModel) => {
+      servedModel = fallbackModel;
+      setFallbackModelHeader(res, fallbackModel);
+    };
+
+    const responseId = `resp_${randomUUID().replace(/-/g, '')}`;
+    const createdAt = Math.floor(Date.now() / 1000);
+    const maxRetries = Number(config.retryTimes || 0);
+    const safeRetries = maxRetries > 0 ? Math.floor(maxRetries) : 0;
+
+    if (stream) {
+      // Hold the response until the first output item, heartbeats keep the connection open meanwhile
+      const pending = createPendingStream(res);
+      const writer = createResponsesStreamWriter(res);
+
+      let finishReason = null;
+
+      // Send response.created with the first output, once a fallback model is settled
+      // Deferred thoughts follow it
+      const startResponse = () => {
+        pending.commit(() => {
+          const initial = createResponsesResponse(responseId, createdAt, getServedBody(), 'in_progress', [], null);
+          writer.write('response.created', { response: initial });
+          writer.write('response.in_progress', { response: initial });
+        });
+      };
+
+      try {
+
+        if (isImageModel) {
+          const { result, token: usedToken, attempts: usedAttempts } = await withAccountFailover({
+            token,
+            model,
+            conversation,
+            pools: req.accountPools,
+            caller: req.caller,
+            execute: (currentToken) => generateAssistantResponseNoStream(getRequestBody(currentToken), currentToken, signal),
+            maxRetries: safeRetries,
+            onFallback,
+            loggerPrefix: 'responses.stream.image '
+          });
+          const { content, usage, finishReason: imageFinishReason } = result;
+          tokenId = getTokenId(usedToken);
+          attempts = usedAttempts;
+          usageData = usage;
+          finishReason = imageFinishReason;
+          startResponse();
+          writer.appendText(content || '');
+        } else {
+          const { token: usedToken, attempts: usedAttempts } = await withAccountFailover({
+            token,
+            model,
+            conversation,
+            pools: req.accountPools,
+            caller: req.caller,
+            execute: (currentToken) => {
+              // Thoughts of a failed attempt never reached the client, the retry starts over
+              pending.discard();
+              return generateAssistantResponse(getRequestBody(currentToken), currentToken, (data) => {
+                if (data.type === 'usage') {
+                  usageData = data.usage;
+                } else if (data.type === 'finish') {
+                  finishReason = data.finishReason;
+                } else if (data.type === 'reasoning') {
+                  // Held back until the answer starts, a thought-only stream is retried
+                  pending.defer(() => writer.appendReasoning(data.reasoning_content, data.thoughtSignature));
+                } else if (data.type === 'tool_calls') {
+                  startResponse();
+                  for (const toolCall of data.tool_calls) {
+                    writer.addFunctionCall(toolCall);
+                  }
+                } else {
+                  startResponse();
+                  writer.appendText(data.content);
+                }
+              }, signal);
+            },
+            maxRetries: safeRetries,
+            onFallback,
+            // Once an event reached the client the request can no longer move to another account
+            canRetry: () => !pending.isCommitted(),
+            loggerPrefix: 'responses.stream '
+          });
+          tokenId = getTokenId(usedToken);
+          attempts = usedAttempts;
+          // Thought-only output that was accepted (e.g. token limit) goes out now
+          startResponse();
+        }
+
+        writer.closeCurrent();
+        // Truncated (max tokens) or filtered output finishes as incomplete
+        const incompleteDetails = toResponsesIncompleteDetails(finishReason);
+        const status = incompleteDetails ? 'incomplete' : 'completed';
+        const final = createResponsesResponse(responseId, createdAt, getServedBody(), status, writer.output, usageData, incompleteDetails);
+        writer.write(`response.${status}`, { response: final });
+
+        pending.stop();
+        res.end();
+
+        requestLogger.logRequest({
+          model,
+          fallbackModel: servedModel !== model ? servedModel : null,
+          tokenId,
+          status: 'success',
+          statusCode: 200,
+          duration: Date.now() - startTime,
+          inputTokens: usageData?.prompt_tokens || 0,
+          outputTokens: usageData?.completion_tokens || 0,
+          isStream: true,
+          attempts,
+          caller: req.caller
+        });
+      } catch (error) {
+        pending.stop();
+        // Headers already went out (heartbeat or output): fail inside the stream, logged below
+        // Cancelled: nobody is left to send response.failed to
+        if (res.headersSent && !res.writableEnded && !error.isCancelled) {
+          startResponse();
+          const statusCode = error.statusCode || error.status || 500;
+          const { error: errorBody } = buildOpenAIErrorPayload(error, statusCode);
+          const failed = createResponsesResponse(responseId, createdAt, getServedBody(), 'failed', writer.output, usageData);
+          failed.error = { code: String(errorBody.code), message: errorBody.message };
+          writer.write('response.failed', { response: failed });
+          res.end();
+        }
+        throw error;
+      }
+    } else {
+      req.setTimeout(0);
+      res.setTimeout(0);
+
+      // Structured outputs may be validated and retried on the next account
+      const { result, token: usedToken, attempts: usedAttempts } = await withAccountFailover({
+        token,
+        model,
+        conversation,
+        pools: req.accountPools,
+        caller: req.caller,
+        execute: (currentToken) => generateAssistantResponseNoStream(getRequestBody(currentToken), currentToken, signal),
+        maxRetries: safeRetries,
+        onFallback,
+        validate: createStructuredOutputValidator(resolveOpenAIResponseFormat(responsesTextFormatToOpenAI(body.text?.format))),
+        maxInvalidRetries: config.structuredOutput.maxRetries,
+        loggerPrefix: 'responses.no_stream '
+      });
+      tokenId = getTokenId(usedToken);
+      attempts = usedAttempts;
+      usageData = result.usage;
+
+      const output = buildOutputItems(result);
+      const incompleteDetails = toResponsesIncompleteDetails(result.finishReason);
+      res.json(createResponsesResponse(responseId, createdAt, getServedBody(), incompleteDetails ? 'incomplete' : 'completed', output, usageData, incompleteDetails));
+
+      requestLogger.logRequest({
+        model,
+        fallbackModel: servedModel !== model ? servedModel : null,
+        tokenId,
+        status: 'success',
+        statusCode: 200,
+        duration: Date.now() - startTime,
+        inputTokens: usageData?.prompt_tokens || 0,
+        outputTokens: usageData?.completion_tokens || 0,
+        isStream: false,
+        attempts,
+        caller: req.caller
+      });
+    }
+  } catch (error) {
+    // Client disconnected: the upstream request was cancelled
+    const cancelled = error.isCancelled === true;
+    if (cancelled) {
+      logger.info('Client disconnected, upstream request cancelled');
+    } else {
+      logger.error('Responses request failed:', error.message);
+    }
+    const statusCode = error.statusCode || error.status || 500;
+    if (error.attempts) {
+      attempts = error.attempts;
+      tokenId = attempts[attempts.length - 1].tokenId;
+    }
+
+    requestLogger.logRequest({
+      model,
+      fallbackModel: servedModel !== model ? servedModel : null,
+      tokenId,
+      status: getFailureStatus(error),
+      statusCode,
+      duration: Date.now() - startTime,
+      // Usage streamed before the failure, if any
+      inputTokens: usageData?.prompt_tokens || 0,
+      outputTokens: usageData?.completion_tokens || 0,
+      errorMessage: error.message,
+      isStream: stream,
+      attempts,
+      caller: req.caller
+    });
+
+    if (res.headersSent || cancelled) return;
+    return res.status(statusCode).json(buildOpenAIErrorPayload(error, statusCode));
+  }
+};
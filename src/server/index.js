@@ -14,6 +14,7 @@ import memoryManager from '../utils/memoryManager.js';
 import { getPublicDir, getRelativePath } from '../utils/paths.js';
 import { MEMORY_CHECK_INTERVAL } from '../constants/index.js';
 import { errorHandler } from '../utils/errors.js';
+import { flushUsage } from '../utils/usageStore.js';
 import { getChunkPoolSize, clearChunkPool } from './stream.js';
 
 // Route modules
@@ -22,7 +23,8 @@ import sdRouter from '../routes/sd.js';
 import openaiRouter from '../routes/openai.js';
 import geminiRouter from '../routes/gemini.js';
 import claudeRouter from '../routes/claude.js';
-import { verifyToken } from '../auth/jwt.js';
+import { createApiAuth } from '../auth/api_key_auth.js';
+import accountScheduler from '../auth/account_scheduler.js';
 
 const publicDir = getPublicDir();
 
@@ -68,66 +70,15 @@ app.use((req, res, next) => {
   next();
 });
 
-// SD API routes
-app.use('/sdapi/v1', sdRouter);
-
 // ==================== API Key Validation Middleware ====================
-// Validates API Key or JWT token for /v1/* and /v1beta/* routes
-const validateApiAuth = (req, res, next) => {
-  const apiKey = config.security?.apiKey;
-
-  // Skip validation if no API_KEY configured
-  if (!apiKey) return next();
-
-  const authHeader = req.headers.authorization || req.headers['x-api-key'];
-  const providedKey = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-
-  // Check if it's a valid API Key
-  if (providedKey === apiKey) return next();
-
-  // Check if it's a valid JWT token (for admin users)
-  if (providedKey) {
-    try {
-      verifyToken(providedKey);
-      return next(); // Valid JWT, allow access
-    } catch (e) {
-      // Not a valid JWT, continue to reject
-    }
-  }
-
-  logger.warn(`API Key validation failed: ${req.method} ${req.path} (Provided Key: ${providedKey ? providedKey.substring(0, 10) + '...' : 'none'})`);
-  return res.status(401).json({ error: 'Invalid API Key' });
-};
-
-app.use((req, res, next) => {
-  if (req.path.startsWith('/v1/')) {
-    return validateApiAuth(req, res, next);
-  } else if (req.path.startsWith('/v1beta/')) {
-    const apiKey = config.security?.apiKey;
-    if (apiKey) {
-      // Check query param or header for Gemini-style API key
-      const providedKey = req.query.key || req.headers['x-goog-api-key'];
-      if (providedKey === apiKey) return next();
-
-      // Also check Authorization header for JWT token
-      const authHeader = req.headers.authorization;
-      const bearerToken = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
-      if (bearerToken) {
-        try {
-          verifyToken(bearerToken);
-          return next(); // Valid JWT, allow access
-        } catch (e) {
-          // Not a valid JWT
-        }
-      }
-
-      logger.warn(`API Key validation failed: ${req.method} ${req.path} (Provided Key: ${providedKey ? providedKey.substring(0, 10) + '...' : 'none'})`);
-      return res.status(401).json({ error: 'Invalid API Key' });
-    }
-  }
-  next();
-});
+// Validates API_KEY, managed API keys or JWT token for /v1/*, /v1beta/* and SD image generation
+// SD info endpoints stay open so WebUI clients can probe them, generation is open too with sd.requireApiKey off
+app.use(['/sdapi/v1/txt2img', '/sdapi/v1/img2img'], createApiAuth('sd'));
+app.use('/v1', createApiAuth('openai'));
+app.use('/v1beta', createApiAuth('gemini'));
 
+// SD API routes
+app.use('/sdapi/v1', sdRouter);
 
 // ==================== API Routes ====================
 
@@ -135,7 +86,7 @@ app.use((req, res, next) => {
 // Handles /v1/messages and /v1/models for Claude Code CLI
 app.use('/v1', claudeRouter);
 
-// OpenAI compatible API (handles /v1/chat/completions, /v1/models as fallback)
+// OpenAI compatible API (handles /v1/chat/completions, /v1/responses, /v1/models as fallback)
 app.use('/v1', openaiRouter);
 
 // Gemini compatible API
@@ -166,6 +117,7 @@ app.get('/health', (req, res) => {
 // ==================== Server Startup ====================
 const server = app.listen(config.server.port, config.server.host, () => {
   logger.info(`Server started: ${config.server.host}:${config.server.port}`);
+  accountScheduler.start();
 });
 
 server.on('error', (error) => {
@@ -189,6 +141,9 @@ const shutdown = () => {
   memoryManager.stop();
   logger.info('Memory manager stopped');
 
+  // Stop background account jobs
+  accountScheduler.stop();
+
   // Close subprocess requester
   closeRequester();
   logger.info('Subprocess requester closed');
@@ -197,6 +152,9 @@ const shutdown = () => {
   clearChunkPool();
   logger.info('Object pools cleared');
 
+  // Write pending usage rollups
+  flushUsage();
+
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -1,12 +1,22 @@
 /**
  * SSE streaming response and heartbeat mechanism utility module
- * Provides unified streaming response handling, heartbeat keep-alive, 429 retry, etc.
+ * Provides unified streaming response handling, heartbeat keep-alive, cross-account failover, etc.
  */
 
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
+import tokenManager from '../auth/token_manager.js';
+import { createApiError, RequestCancelledError } from '../utils/errors.js';
+import { bindConversation } from '../utils/conversationAffinity.js';
+import { getFallbackChain } from '../utils/modelRouting.js';
+import { isCallerModelAllowed } from '../auth/api_key_auth.js';
 import memoryManager, { registerMemoryPoolCleanup } from '../utils/memoryManager.js';
-import { DEFAULT_HEARTBEAT_INTERVAL } from '../constants/index.js';
+import {
+  DEFAULT_HEARTBEAT_INTERVAL,
+  RETRY_BASE_DELAY,
+  RETRY_MAX_DELAY,
+  RETRY_AFTER_MAX_DELAY
+} from '../constants/index.js';
 
 // ==================== Heartbeat mechanism (prevent CF timeout) ====================
 const HEARTBEAT_INTERVAL = config.server.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL;
@@ -15,11 +25,13 @@ const SSE_HEARTBEAT = Buffer.from(': heartbeat\n\n');
 /**
  * Create heartbeat timer
  * @param {Response} res - Express response object
+ * @param {Function|null} [beforeWrite] - Called before each heartbeat is written
  * @returns {NodeJS.Timeout} Timer
  */
-export const createHeartbeat = (res) => {
+export const createHeartbeat = (res, beforeWrite = null) => {
   const timer = setInterval(() => {
     if (!res.writableEnded) {
+      if (beforeWrite) beforeWrite();
       res.write(SSE_HEARTBEAT);
     } else {
       clearInterval(timer);
@@ -33,6 +45,22 @@ export const createHeartbeat = (res) => {
   return timer;
 };
 
+// ==================== Client disconnect ====================
+
+/**
+ * Abort signal that fires when the client disconnects before the response is complete
+ * Passed to the upstream call so abandoned requests stop using quota; it aborts with a RequestCancelledError
+ * @param {Response} res - Express response object
+ * @returns {AbortSignal}
+ */
+export const createDisconnectSignal = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort(new RequestCancelledError());
+  });
+  return controller.signal;
+};
+
 // ==================== Pre-compiled constant strings (avoid repeated creation) ====================
 const SSE_PREFIX = Buffer.from('data: ');
 const SSE_SUFFIX = Buffer.from('\n\n');
@@ -58,6 +86,64 @@ export const setStreamHeaders = (res) => {
   res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
 };
 
+// ==================== Pre-commit phase ====================
+
+/**
+ * Streaming response held back until the first meaningful upstream chunk
+ * - Before commit: nothing but heartbeats reaches the client (the SSE headers go out with the first one),
+ *   so failures can still move to another account, and fail as a plain JSON error while no heartbeat was sent
+ * - Thought chunks are deferred until the first text / tool call or the end of the stream: a thought-only
+ *   stream fails as an empty response once it ends, and must still be retryable then
+ * - After commit: the response belongs to one upstream stream, failures must be sent as in-stream error events
+ * @param {Response} res - Express response object
+ * @returns {{commit: Function, defer: Function, discard: Function, isCommitted: Function, stop: Function}}
+ */
+export const createPendingStream = (res) => {
+  let committed = false;
+  /** @type {Array<{group: number, write: Function}>} Writes waiting for the commit, in arrival order */
+  let deferred = [];
+  const open = () => {
+    if (!res.headersSent) setStreamHeaders(res);
+  };
+  const heartbeatTimer = createHeartbeat(res, open);
+
+  return {
+    /**
+     * Open the stream for output, call before writing the first meaningful chunk
+     * @param {Function|null} [writeStart] - Writes the start of the response (e.g. message_start), before the deferred chunks
+     */
+    commit(writeStart = null) {
+      open();
+      if (committed) return;
+      committed = true;
+      if (writeStart) writeStart();
+      const writes = deferred;
+      deferred = [];
+      for (const { write } of writes) write();
+    },
+    /**
+     * Write once the stream commits, at once when it already did
+     * @param {Function} write - Writes the chunk
+     * @param {number} [group] - Upstream request the chunk belongs to (fan-out candidate)
+     */
+    defer(write, group = 0) {
+      if (committed) write();
+      else deferred.push({ group, write });
+    },
+    /**
+     * Drop the deferred chunks of a failed attempt before it is retried
+     * @param {number} [group] - Upstream request (fan-out candidate)
+     */
+    discard(group = 0) {
+      deferred = deferred.filter(entry => entry.group !== group);
+    },
+    /** Whether output reached the client (the request can no longer be retried) */
+    isCommitted: () => committed,
+    /** Stop the heartbeat once the response is complete */
+    stop: () => clearInterval(heartbeatTimer)
+  };
+};
+
 // ==================== Object Pool (reduce GC) ====================
 const chunkPool = [];
 
@@ -114,32 +200,376 @@ export const endStream = (res, isWriteDone = true) => {
   res.end();
 };
 
-// ==================== Generic Retry Utility (handle 429) ====================
+// ==================== Cross-account Failover (429 / 5xx / empty) ====================
+
+// Response header naming the model that served a request in place of the requested one
+const FALLBACK_MODEL_HEADER = 'X-Fallback-Model';
+
+// Maximum length of an error message kept in the attempt log
+const ATTEMPT_ERROR_MAX_LENGTH = 200;
+
+/**
+ * Short token identifier used in logs and request history (full token is never stored)
+ * @param {Object} token - Token object
+ * @returns {string}
+ */
+export const getTokenId = (token) => token?.refresh_token?.substring(0, 8) || 'unknown';
+
+/**
+ * Request history status of a failed request
+ * @param {Error} error - Error the request failed with
+ * @returns {'cancelled'|'empty_response'|'error'}
+ */
+export const getFailureStatus = (error) => {
+  if (error.isCancelled) return 'cancelled';
+  if (error.isEmptyResponse) return 'empty_response';
+  return 'error';
+};
+
+/**
+ * Normalize a retry count from config
+ * @param {number} value - Configured value
+ * @returns {number}
+ */
+const normalizeRetries = (value) => (Number.isFinite(value) && value > 0 ? Math.floor(value) : 0);
+
+/**
+ * Get HTTP status from multiple error formats: error.status, error.statusCode, error.response?.status
+ * @param {Error} error - Error object
+ * @returns {number}
+ */
+const getErrorStatus = (error) => Number(error.status || error.statusCode || error.response?.status) || 500;
+
+/**
+ * Whether an upstream status should trigger failover
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Whether a 429 means the model quota of the account is used up (not a short rate limit)
+ * Upstream reports exhausted quota with a reset delay far beyond ordinary rate limit hints
+ * @param {Error} error - Error object
+ * @returns {boolean}
+ */
+const isQuotaExhaustedError = (error) =>
+  /exhausted your capacity/i.test(error.message || '') ||
+  (Number.isFinite(error.retryAfterMs) && error.retryAfterMs > RETRY_AFTER_MAX_DELAY);
+
+// Upstream reasons that reject the model itself, other 400s naming a model (e.g. token limits) are client errors
+const MODEL_REJECTED_PATTERN = /\bNOT_FOUND\b|models?\b[^.]*\b(not found|not supported|unsupported|does not exist|is not available)\b|\b(unknown|unsupported|invalid) model\b/i;
+
+/**
+ * Whether the upstream rejects the model itself (404, or 400 with a model not found / unsupported reason), whatever the account
+ * @param {number} status - HTTP status
+ * @param {Error} error - Error object
+ * @returns {boolean}
+ */
+const isModelRejectedError = (status, error) =>
+  status === 404 || (status === 400 && MODEL_REJECTED_PATTERN.test(error.message || ''));
+
+/**
+ * Mark a response as served by a fallback model (no-op once the headers went out)
+ * @param {Response} res - Express response
+ * @param {string} model - Model that serves the request
+ */
+export const setFallbackModelHeader = (res, model) => {
+  if (!res.headersSent) res.setHeader(FALLBACK_MODEL_HEADER, model);
+};
+
+/**
+ * Delay before the next attempt: exponential backoff, extended to the upstream
+ * retryDelay / Retry-After when the next account was already rate limited in this request
+ * @param {number} retryIndex - Zero-based retry index
+ * @param {number|undefined} retryAt - Timestamp the next account asked to be retried at
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (retryIndex, retryAt) => {
+  const backoff = Math.min(RETRY_BASE_DELAY * 2 ** retryIndex, RETRY_MAX_DELAY);
+  if (!retryAt) return backoff;
+  return Math.max(backoff, Math.min(retryAt - Date.now(), RETRY_AFTER_MAX_DELAY));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create an attempt log entry
+ * @param {Object} token - Token used by the attempt
+ * @param {number} statusCode - Resulting status
+ * @param {string} [errorMessage] - Failure reason
+ * @param {string|null} [model] - Fallback model used by the attempt, omitted for the requested model
+ * @returns {{tokenId: string, statusCode: number, error?: string, model?: string}}
+ */
+const createAttempt = (token, statusCode, errorMessage, model = null) => {
+  const attempt = { tokenId: getTokenId(token), statusCode };
+  if (errorMessage) attempt.error = String(errorMessage).slice(0, ATTEMPT_ERROR_MAX_LENGTH);
+  if (model) attempt.model = model;
+  return attempt;
+};
 
 /**
- * Executor with 429 retry
- * @param {Function} fn - Async function to execute, receives attempt parameter
- * @param {number} maxRetries - Maximum retry count
- * @param {string} loggerPrefix - Logger prefix
- * @returns {Promise<any>}
+ * Executor with cross-account failover
+ * - 429 / 5xx: retry on an account not tried yet (falls back to any available
+ *   account, including the current one), with exponential backoff
+ * - Empty response (EmptyResponseError): retry up to config.emptyResponseRetries times, preferring
+ *   an account not tried yet
+ * - Invalid output (validate): retry on an account not tried yet
+ * - Model exhausted on every account, or rejected by the upstream: continue with the next model of
+ *   its fallback chain (config.models.fallbacks), with a fresh retry budget
+ * - Cancelled by the client (RequestCancelledError): thrown at once
+ * The execute function receives the token of each attempt and must build the request body for it
+ * (projectId / sessionId differ per account), for the model last passed to onFallback
+ * @param {Object} options - Options
+ * @param {Object} options.token - Token used for the first attempt
+ * @param {string} options.model - Requested model (per-model quota tracking and account selection)
+ * @param {boolean} [options.fallback] - false keeps the request on the requested model (no fallback chain)
+ * @param {Function|null} [options.onFallback] - (model) => void, called before the first attempt on a fallback model
+ * @param {Object|null} [options.conversation] - Conversation from resolveConversation, bound to the account that succeeded
+ * @param {Array<string>|null} [options.pools] - Caller's account pools, failover stays inside them
+ * @param {Object|null} [options.caller] - Caller of the request, fallback models outside its API key model allowlist are skipped
+ * @param {Function} options.execute - Async function (token) => result
+ * @param {number} options.maxRetries - Maximum failover attempts for 429 / 5xx
+ * @param {Function|null} [options.canRetry] - () => boolean, return false once output reached the client
+ * @param {Function|null} [options.validate] - (result) => error message, null when valid
+ * @param {number} [options.maxInvalidRetries] - Maximum extra accounts to try for invalid output
+ * @param {string} [options.loggerPrefix] - Logger prefix
+ * @returns {Promise<{result: any, token: Object, attempts: Array, model: string}>} Result, token that produced it,
+ *   attempt log and the model that served the request
+ * @throws {Error} Last error, with error.attempts set to the attempt log
  */
-export const with429Retry = async (fn, maxRetries, loggerPrefix = '') => {
-  const retries = Number.isFinite(maxRetries) && maxRetries > 0 ? Math.floor(maxRetries) : 0;
-  let attempt = 0;
-  // First execution + up to retries times
+export const withAccountFailover = async ({
+  token,
+  model,
+  conversation = null,
+  pools = null,
+  caller = null,
+  execute,
+  maxRetries,
+  canRetry = null,
+  validate = null,
+  maxInvalidRetries = 0,
+  fallback = true,
+  onFallback = null,
+  loggerPrefix = ''
+}) => {
+  const fallbackModels = fallback ? getFallbackChain(model).filter(name => isCallerModelAllowed(caller, name)) : [];
+  const retries = normalizeRetries(maxRetries);
+  const invalidRetries = normalizeRetries(maxInvalidRetries);
+  const emptyRetries = normalizeRetries(config.emptyResponseRetries);
+  const triedKeys = new Set();
+  // refresh_token -> timestamp from the upstream retry hint
+  const retryAtByKey = new Map();
+  const attempts = [];
+  let currentToken = token;
+  let retryCount = 0;
+  let invalidCount = 0;
+  let emptyCount = 0;
+  // Model of the fallback chain in use, null while the requested model is tried
+  let fallbackModel = null;
+
+  // Next model of the chain with an account that has quota left for it (getToken prefers those)
+  const getFallbackToken = async () => {
+    while (fallbackModels.length > 0) {
+      const nextModel = fallbackModels.shift();
+      const nextToken = await tokenManager.getToken({ model: nextModel, pools });
+      if (nextToken && tokenManager.hasModelQuota(nextToken, nextModel)) return { model: nextModel, token: nextToken };
+    }
+    return null;
+  };
+
   while (true) {
+    triedKeys.add(currentToken.refresh_token);
+
+    let result;
+    let error = null;
     try {
-      return await fn(attempt);
-    } catch (error) {
-      // Compatible with multiple error formats: error.status, error.statusCode, error.response?.status
-      const status = Number(error.status || error.statusCode || error.response?.status);
-      if (status === 429 && attempt < retries) {
-        const nextAttempt = attempt + 1;
-        logger.warn(`${loggerPrefix}Received 429, performing retry ${nextAttempt} of ${retries}`);
-        attempt = nextAttempt;
+      result = await execute(currentToken);
+    } catch (e) {
+      error = e;
+    }
+
+    if (!error) {
+      const validationError = validate ? validate(result) : null;
+      if (!validationError) {
+        attempts.push(createAttempt(currentToken, 200, null, fallbackModel));
+        tokenManager.reportAccountSuccess(currentToken);
+        if (conversation) bindConversation(conversation, currentToken);
+        return { result, token: currentToken, attempts, model };
+      }
+
+      attempts.push(createAttempt(currentToken, 502, `Invalid output: ${validationError}`, fallbackModel));
+      const nextToken = invalidCount < invalidRetries ? await tokenManager.getToken({ model, excludeKeys: triedKeys, pools }) : null;
+      if (!nextToken) {
+        const validationFailure = createApiError(`Structured output failed schema validation: ${validationError}`, 502);
+        validationFailure.attempts = attempts;
+        throw validationFailure;
+      }
+      invalidCount++;
+      logger.warn(`${loggerPrefix}Structured output failed validation (${validationError}), retry ${invalidCount} of ${invalidRetries} on next account`);
+      currentToken = nextToken;
+      continue;
+    }
+
+    // Client disconnected: nothing left to retry for
+    if (error.isCancelled) {
+      attempts.push(createAttempt(currentToken, error.statusCode, error.message, fallbackModel));
+      error.attempts = attempts;
+      throw error;
+    }
+
+    const status = getErrorStatus(error);
+    attempts.push(createAttempt(currentToken, status, error.message, fallbackModel));
+    if (Number.isFinite(error.retryAfterMs)) {
+      retryAtByKey.set(currentToken.refresh_token, Date.now() + error.retryAfterMs);
+    }
+    const quotaExhausted = status === 429 && isQuotaExhaustedError(error);
+    if (quotaExhausted) {
+      tokenManager.markQuotaExhausted(currentToken, model, Number.isFinite(error.retryAfterMs) ? Date.now() + error.retryAfterMs : null);
+    }
+    if (canRetry && !canRetry()) {
+      error.attempts = attempts;
+      throw error;
+    }
+
+    // Empty completions have their own retry budget, another account may well answer
+    if (error.isEmptyResponse) {
+      if (emptyCount >= emptyRetries) {
+        error.attempts = attempts;
+        throw error;
+      }
+      emptyCount++;
+      const nextToken = (await tokenManager.getToken({ model, excludeKeys: triedKeys, pools }))
+        || (await tokenManager.getToken({ model, pools }))
+        || currentToken;
+      const sameAccount = nextToken.refresh_token === currentToken.refresh_token;
+      logger.warn(`${loggerPrefix}${error.message}, retry ${emptyCount} of ${emptyRetries} on ${sameAccount ? 'the same' : 'another'} account`);
+      currentToken = nextToken;
+      continue;
+    }
+
+    const retryable = isRetryableStatus(status) && retryCount < retries;
+    // Accounts not tried yet that still have quota for the model
+    const untriedToken = retryable || (fallbackModels.length > 0 && quotaExhausted)
+      ? await tokenManager.getToken({ model, excludeKeys: triedKeys, pools })
+      : null;
+
+    // Next model of the chain once no account has quota left for this one, or the model is rejected
+    if (fallbackModels.length > 0 && ((quotaExhausted && !untriedToken) || isModelRejectedError(status, error))) {
+      const next = await getFallbackToken();
+      if (next) {
+        logger.warn(`${loggerPrefix}${model} unavailable (${status}), falling back to ${next.model}`);
+        model = next.model;
+        fallbackModel = next.model;
+        currentToken = next.token;
+        triedKeys.clear();
+        retryAtByKey.clear();
+        retryCount = 0;
+        invalidCount = 0;
+        if (onFallback) onFallback(model);
         continue;
       }
+    }
+    if (!retryable) {
+      error.attempts = attempts;
       throw error;
     }
+
+    const nextToken = untriedToken
+      || (await tokenManager.getToken({ model, pools }))
+      || currentToken;
+    const sameAccount = nextToken.refresh_token === currentToken.refresh_token;
+    const delay = getRetryDelay(retryCount, retryAtByKey.get(nextToken.refresh_token));
+    retryCount++;
+    logger.warn(`${loggerPrefix}Received ${status}, failover ${retryCount} of ${retries} to ${sameAccount ? 'the same' : 'another'} account in ${delay}ms`);
+    await sleep(delay);
+    currentToken = nextToken;
   }
-};
\ No newline at end of file
+};
+
+// ==================== Multiple candidates (OpenAI n / Gemini candidateCount) ====================
+
+/**
+ * Add up the usage of several upstream requests
+ * @param {Array<Object|null>} usages - Usage of each request
+ * @returns {Object|null} null when no request reported usage
+ */
+export const sumUsage = (usages) => {
+  const reported = usages.filter(Boolean);
+  if (reported.length === 0) return null;
+  return reported.reduce((total, usage) => ({
+    prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage.total_tokens || 0)
+  }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+};
+
+/**
+ * Executor producing several candidates
+ * - Upstream candidateCount: a single withAccountFailover run
+ * - Fan-out (models without candidateCount): one withAccountFailover run per candidate in parallel, each
+ *   starting on an account of its own while the pools have enough; the first failure cancels the others.
+ *   Fallback chains are off: every candidate must come from the requested model
+ * @param {Object} options - Options of withAccountFailover, plus:
+ * @param {number} [options.count] - Number of candidates
+ * @param {boolean} [options.fanOut] - Whether to send one request per candidate
+ * @param {AbortSignal|null} [options.signal] - Client disconnect signal
+ * @param {Function} options.execute - Async function (token, index, signal) => result, with the candidate of a
+ *   fan-out request (0 otherwise) and the signal to pass upstream
+ * @returns {Promise<{results: Array, token: Object, attempts: Array, model: string}>} One result per request,
+ *   token and model of the first request, attempt log of all requests
+ * @throws {Error} First failure, with error.attempts set to the attempt log of all requests
+ */
+export const withCandidateFailover = async ({ count = 1, fanOut = false, signal = null, execute, ...options }) => {
+  if (!fanOut || count <= 1) {
+    const run = await withAccountFailover({ ...options, execute: (currentToken) => execute(currentToken, 0, signal) });
+    return { results: [run.result], token: run.token, attempts: run.attempts, model: run.model };
+  }
+
+  const { token, model, pools = null, conversation = null, loggerPrefix = '' } = options;
+  // Spread the candidates over accounts, the first one stays on the conversation's account
+  const startTokens = [token];
+  const usedKeys = new Set([token.refresh_token]);
+  while (startTokens.length < count) {
+    const nextToken = (await tokenManager.getToken({ model, excludeKeys: usedKeys, pools }))
+      || startTokens[startTokens.length % usedKeys.size];
+    usedKeys.add(nextToken.refresh_token);
+    startTokens.push(nextToken);
+  }
+
+  // A failed candidate fails the request, the other candidates stop using quota
+  const controller = new AbortController();
+  const cancel = (reason) => {
+    if (!controller.signal.aborted) controller.abort(reason);
+  };
+  const onDisconnect = () => cancel(signal.reason);
+  if (signal?.aborted) onDisconnect();
+  else signal?.addEventListener('abort', onDisconnect, { once: true });
+  const attempts = [];
+
+  try {
+    const runs = await Promise.all(startTokens.map((startToken, index) =>
+      withAccountFailover({
+        ...options,
+        token: startToken,
+        conversation: index === 0 ? conversation : null,
+        fallback: false,
+        execute: (currentToken) => execute(currentToken, index, controller.signal),
+        loggerPrefix: `${loggerPrefix}[candidate ${index}] `
+      }).then((run) => {
+        attempts.push(...run.attempts);
+        return run;
+      }, (error) => {
+        attempts.push(...(error.attempts || []));
+        cancel(new RequestCancelledError('Cancelled after another candidate failed'));
+        throw error;
+      })
+    ));
+    return { results: runs.map(run => run.result), token: runs[0].token, attempts, model: runs[0].model };
+  } catch (error) {
+    error.attempts = attempts;
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', onDisconnect);
+  }
+};
@@ -0,0 +1,130 @@
+// Conversation affinity: map a conversation to its own upstream sessionId and a sticky account
+// Keeps multi-turn (tool) conversations on one account and stops unrelated conversations
+// from sharing signature / tool name cache entries
+
+import { createHash } from 'crypto';
+import memoryManager, { MemoryPressure } from './memoryManager.js';
+import { generateSessionId } from './idGenerator.js';
+
+// conversationKey -> { sessionId, refreshToken, ts }
+const conversations = new Map();
+
+const MAX_ENTRIES = 1024;
+const ENTRY_TTL_MS = 30 * 60 * 1000;      // 30 minutes, same as signature caches
+const CLEAN_INTERVAL_MS = 10 * 60 * 1000; // Clean every 10 minutes
+
+// Header a client can send to name its conversation explicitly
+export const SESSION_HEADER = 'x-session-id';
+
+function pruneSize(targetSize) {
+  if (conversations.size <= targetSize) return;
+  const removeCount = conversations.size - targetSize;
+  let removed = 0;
+  for (const key of conversations.keys()) {
+    conversations.delete(key);
+    removed++;
+    if (removed >= removeCount) break;
+  }
+}
+
+function pruneExpired(now) {
+  for (const [key, entry] of conversations.entries()) {
+    if (now - entry.ts > ENTRY_TTL_MS) {
+      conversations.delete(key);
+    }
+  }
+}
+
+// Shrink cache based on memory pressure
+memoryManager.registerCleanup((pressure) => {
+  if (pressure === MemoryPressure.MEDIUM) {
+    pruneSize(Math.floor(MAX_ENTRIES / 2));
+  } else if (pressure === MemoryPressure.HIGH) {
+    pruneSize(Math.floor(MAX_ENTRIES / 4));
+  } else if (pressure === MemoryPressure.CRITICAL) {
+    conversations.clear();
+  }
+});
+
+// Periodic cleanup by TTL
+setInterval(() => {
+  pruneExpired(Date.now());
+}, CLEAN_INTERVAL_MS).unref?.();
+
+/**
+ * Hash the start of a conversation: everything up to and including the first user message
+ * The prefix stays the same on every later turn of the conversation
+ * @param {string|null} userId - End user the client names (OpenAI user, Claude metadata.user_id)
+ * @param {string|null} system - Top-level system prompt (Claude system, Gemini systemInstruction, Responses instructions)
+ * @param {Array|string} messages - Messages / contents / input items
+ * @returns {string} Hex digest
+ */
+function hashConversationStart(userId, system, messages) {
+  const prefix = [];
+  const list = typeof messages === 'string' ? [{ role: 'user', content: messages }] : (Array.isArray(messages) ? messages : []);
+  for (const message of list) {
+    prefix.push(message);
+    if (message?.role === 'user') break;
+  }
+  return createHash('sha256').update(JSON.stringify([userId, system ?? null, prefix])).digest('hex');
+}
+
+/**
+ * Resolve the conversation a request belongs to
+ * Conversations are scoped to the caller (API key / admin user), so callers never share a session.
+ * The X-Session-Id header names the conversation, otherwise the conversation start is hashed together
+ * with the end user ID (a user has many conversations)
+ * @param {Object} options - Options
+ * @param {Object} options.headers - Request headers
+ * @param {{id: string}|null} [options.caller] - Caller of the request (req.caller)
+ * @param {string|null} [options.userId] - End user ID from the body (OpenAI user, Claude metadata.user_id)
+ * @param {string|null} [options.system] - Top-level system prompt
+ * @param {Array|string} options.messages - Conversation messages
+ * @returns {{key: string, sessionId: string, refreshToken: string|null}} Conversation
+ */
+export function resolveConversation({ headers, caller = null, userId = null, system = null, messages }) {
+  const headerId = headers?.[SESSION_HEADER];
+  const scope = caller?.id || 'anonymous';
+  const key = typeof headerId === 'string' && headerId
+    ? `${scope}:id:${headerId}`
+    : `${scope}:hash:${hashConversationStart(typeof userId === 'string' ? userId : null, system, messages)}`;
+
+  const now = Date.now();
+  let entry = conversations.get(key);
+  if (!entry || now - entry.ts > ENTRY_TTL_MS) {
+    entry = { sessionId: generateSessionId(), refreshToken: null, ts: now };
+  }
+  // Re-insert to keep the map in least recently used order for pruning
+  conversations.delete(key);
+  entry.ts = now;
+  conversations.set(key, entry);
+  pruneSize(MAX_ENTRIES);
+
+  return { key, sessionId: entry.sessionId, refreshToken: entry.refreshToken };
+}
+
+/**
+ * Remember the account that served a conversation
+ * @param {{key: string}} conversation - Conversation from resolveConversation
+ * @param {Object} token - Token object that handled the request
+ */
+export function bindConversation(conversation, token) {
+  const entry = conversations.get(conversation.key);
+  if (!entry || !token?.refresh_token) return;
+  entry.refreshToken = token.refresh_token;
+  entry.ts = Date.now();
+}
+
+/**
+ * Account view used to build request bodies: the account's projectId with the conversation's sessionId
+ * @param {Object} token - Token object
+ * @param {{sessionId: string}} conversation - Conversation from resolveConversation
+ * @returns {Object} Token copy with the conversation sessionId
+ */
+export function withConversationSession(token, conversation) {
+  return { ...token, sessionId: conversation.sessionId };
+}
+
+export function clearConversations() {
+  conversations.clear();
+}
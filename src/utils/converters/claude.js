@@ -1,6 +1,9 @@
 // Claude format conversion utility
-import config from '../../config/config.js';
-import { convertClaudeToolsToAntigravity } from '../toolConverter.js';
+import { convertClaudeToolsToAntigravity, convertClaudeToolChoice } from '../toolConverter.js';
+import { getBaseSystemInstruction } from '../utils.js';
+import { applyModelPreset } from '../modelRouting.js';
+import { createInlineData, createMediaFetcher, inlineRemoteParts } from '../mediaIngestion.js';
+import { ValidationError } from '../errors.js';
 import {
   getSignatureContext,
   pushUserMessage,
@@ -18,12 +21,13 @@ import {
 } from './common.js';
 
 /**
- * Extract images from Claude message content
+ * Extract media and text from Claude message content
+ * Remote url sources must have been inlined by inlineClaudeMedia first, they are skipped here
  * @param {string|Array} content - Claude format message content
- * @returns {Object} Extracted content { text, images }
+ * @returns {Object} Extracted content { text, media }
  */
-function extractImagesFromClaudeContent(content) {
-  const result = { text: '', images: [] };
+function extractMediaFromClaudeContent(content) {
+  const result = { text: '', media: [] };
   if (typeof content === 'string') {
     result.text = content;
     return result;
@@ -32,15 +36,18 @@ function extractImagesFromClaudeContent(content) {
     for (const item of content) {
       if (item.type === 'text') {
         result.text += item.text || '';
-      } else if (item.type === 'image') {
-        const source = item.source;
-        if (source && source.type === 'base64' && source.data) {
-          result.images.push({
-            inlineData: {
-              mimeType: source.media_type || 'image/png',
-              data: source.data
-            }
-          });
+      } else if (item.type === 'image' || item.type === 'document') {
+        const source = item.source || {};
+        if (source.type === 'base64') {
+          const mimeType = source.media_type || (item.type === 'image' ? 'image/png' : 'application/pdf');
+          result.media.push(createInlineData(source.data, { mimeType, source: item.type }));
+        } else if (source.type === 'text') {
+          // Plain text documents are sent as text
+          result.text += source.data || '';
+        } else if (source.type === 'content' && Array.isArray(source.content)) {
+          result.text += source.content.filter(block => block.type === 'text').map(block => block.text || '').join('');
+        } else if (source.type === 'file') {
+          throw new ValidationError(`${item.type} file sources are not supported, send base64 or url`);
         }
       }
     }
@@ -48,6 +55,25 @@ function extractImagesFromClaudeContent(content) {
   return result;
 }
 
+/**
+ * Fetch the url sources of Claude image and document blocks into base64 sources
+ * @param {Array} claudeMessages - Claude format messages
+ * @param {AbortSignal|null} [signal] - Client disconnect signal
+ * @returns {Promise<Array>} Messages with inline media, unchanged messages are kept as is
+ */
+export async function inlineClaudeMedia(claudeMessages, signal = null) {
+  const fetchMedia = createMediaFetcher(signal);
+  return Promise.all(claudeMessages.map(async (message) => {
+    const content = await inlineRemoteParts(
+      message?.content,
+      (part) => ((part?.type === 'image' || part?.type === 'document') && part.source?.type === 'url' ? part.source.url : null),
+      (part, inlineData) => ({ ...part, source: { type: 'base64', media_type: inlineData.mimeType, data: inlineData.data } }),
+      fetchMedia
+    );
+    return content === message?.content ? message : { ...message, content };
+  }));
+}
+
 /**
  * Handle assistant messages in Claude format
  * @param {Object} message - Claude format message
@@ -131,7 +157,7 @@ function claudeMessageToAntigravity(claudeMessages, enableThinking, actualModelN
       if (Array.isArray(content) && content.some(item => item.type === 'tool_result')) {
         handleClaudeToolResult(message, antigravityMessages);
       } else {
-        const extracted = extractImagesFromClaudeContent(content);
+        const extracted = extractMediaFromClaudeContent(content);
         pushUserMessage(extracted, antigravityMessages);
       }
     } else if (message.role === 'assistant') {
@@ -152,16 +178,20 @@ function claudeMessageToAntigravity(claudeMessages, enableThinking, actualModelN
  * @returns {Object} Generated request body
  */
 export function generateClaudeRequestBody(claudeMessages, modelName, parameters, claudeTools, systemPrompt, token) {
-  // IMPORTANT: Map model first, then check thinking based on mapped model
   const actualModelName = modelMapping(modelName);
+  // Presets of a virtual model fill the parameters the request left out
+  const params = applyModelPreset(modelName, parameters);
   // Prioritize thinking_budget from request (Claude API thinking parameter) over model name check
-  const enableThinking = (parameters.thinking_budget !== undefined && parameters.thinking_budget > 0) || isEnableThinking(actualModelName);
-  const mergedSystem = mergeSystemInstruction(config.systemInstruction || '', systemPrompt);
+  const enableThinking = (params.thinking_budget !== undefined && params.thinking_budget > 0) || isEnableThinking(modelName);
+  const mergedSystem = mergeSystemInstruction(getBaseSystemInstruction(modelName), systemPrompt);
+
+  const tools = convertClaudeToolsToAntigravity(claudeTools, token.sessionId, actualModelName);
 
   return buildRequestBody({
     contents: claudeMessageToAntigravity(claudeMessages, enableThinking, actualModelName, token.sessionId),
-    tools: convertClaudeToolsToAntigravity(claudeTools, token.sessionId, actualModelName),
-    generationConfig: generateGenerationConfig(parameters, enableThinking, actualModelName),
+    tools,
+    toolConfig: convertClaudeToolChoice(params.tool_choice, tools),
+    generationConfig: generateGenerationConfig(params, enableThinking, actualModelName),
     sessionId: token.sessionId,
     systemInstruction: mergedSystem
   }, token, actualModelName);
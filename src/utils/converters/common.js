@@ -3,6 +3,7 @@ import config from '../../config/config.js';
 import { generateRequestId } from '../idGenerator.js';
 import { getReasoningSignature, getToolSignature } from '../thoughtSignatureCache.js';
 import { setToolNameMapping } from '../toolNameCache.js';
+import { getDefaultToolConfig } from '../toolConverter.js';
 import { getThoughtSignatureForModel, getToolSignatureForModel, sanitizeToolName, modelMapping, isEnableThinking, generateGenerationConfig } from '../utils.js';
 
 /**
@@ -23,13 +24,13 @@ export function getSignatureContext(sessionId, actualModelName) {
 
 /**
  * Add user message to antigravityMessages
- * @param {Object} extracted - Extracted content { text, images }
+ * @param {Object} extracted - Extracted content { text, media }
  * @param {Array} antigravityMessages - Target message array
  */
 export function pushUserMessage(extracted, antigravityMessages) {
   antigravityMessages.push({
     role: 'user',
-    parts: [{ text: extracted.text }, ...extracted.images]
+    parts: [{ text: extracted.text }, ...extracted.media]
   });
 }
 
@@ -150,6 +151,7 @@ export function pushModelMessage({ parts, toolCalls, hasContent }, antigravityMe
  * @param {Object} options - Options
  * @param {Array} options.contents - Message contents
  * @param {Array} options.tools - Tool list
+ * @param {Object} options.toolConfig - Tool config (defaults to VALIDATED function calling)
  * @param {Object} options.generationConfig - Generation config
  * @param {string} options.sessionId - Session ID
  * @param {string} options.systemInstruction - System instruction
@@ -157,14 +159,14 @@ export function pushModelMessage({ parts, toolCalls, hasContent }, antigravityMe
  * @param {string} actualModelName - Actual model name
  * @returns {Object} Request body
  */
-export function buildRequestBody({ contents, tools, generationConfig, sessionId, systemInstruction }, token, actualModelName) {
+export function buildRequestBody({ contents, tools, toolConfig, generationConfig, sessionId, systemInstruction }, token, actualModelName) {
   const requestBody = {
     project: token.projectId,
     requestId: generateRequestId(),
     request: {
       contents,
       tools: tools || [],
-      toolConfig: { functionCallingConfig: { mode: 'VALIDATED' } },
+      toolConfig: toolConfig || getDefaultToolConfig(),
       generationConfig,
       sessionId
     },
@@ -204,6 +206,8 @@ export { sanitizeToolName, modelMapping, isEnableThinking, generateGenerationCon
 
 // Re-export parameter normalization functions
 export {
+  resolveOpenAIResponseFormat,
+  resolveGeminiResponseFormat,
   normalizeOpenAIParameters,
   normalizeClaudeParameters,
   normalizeGeminiParameters,
@@ -1,9 +1,11 @@
 // Gemini format conversion utility
-import config from '../../config/config.js';
 import { generateRequestId } from '../idGenerator.js';
-import { convertGeminiToolsToAntigravity } from '../toolConverter.js';
+import { convertGeminiToolsToAntigravity, normalizeGeminiToolConfig } from '../toolConverter.js';
 import { getSignatureContext, createThoughtPart, modelMapping, isEnableThinking } from './common.js';
 import { normalizeGeminiParameters, toGenerationConfig } from '../parameterNormalizer.js';
+import { getBaseSystemInstruction } from '../utils.js';
+import { applyModelPreset } from '../modelRouting.js';
+import { createMediaFetcher, inlineRemoteParts } from '../mediaIngestion.js';
 
 /**
  * Generate unique ID for functionCall
@@ -116,6 +118,26 @@ function processModelThoughts(content, reasoningSignature, toolSignature) {
   }
 }
 
+/**
+ * Fetch the http(s) fileData parts of Gemini contents into inlineData parts
+ * @param {Array} contents - Gemini format contents
+ * @param {AbortSignal|null} [signal] - Client disconnect signal
+ * @returns {Promise<Array>} Contents with inline media, unchanged contents are kept as is
+ */
+export async function inlineGeminiMedia(contents, signal = null) {
+  if (!Array.isArray(contents)) return contents;
+  const fetchMedia = createMediaFetcher(signal);
+  return Promise.all(contents.map(async (content) => {
+    const parts = await inlineRemoteParts(
+      content?.parts,
+      (part) => part?.fileData?.fileUri,
+      ({ fileData, ...part }, inlineData) => ({ ...part, inlineData }),
+      fetchMedia
+    );
+    return parts === content?.parts ? content : { ...content, parts };
+  }));
+}
+
 /**
  * Generate request body for Gemini format
  * @param {Object} geminiBody - User requested Gemini body
@@ -142,8 +164,21 @@ export function generateGeminiRequestBody(geminiBody, modelName, token) {
     }
   }
 
+  // Presets of a virtual model fill the parameters the request left out
+  const preset = applyModelPreset(modelName, {});
+  const generationConfig = {
+    maxOutputTokens: preset.max_tokens,
+    temperature: preset.temperature,
+    topP: preset.top_p,
+    topK: preset.top_k,
+    ...request.generationConfig
+  };
+  if (preset.thinking_budget !== undefined && !generationConfig.thinkingConfig) {
+    generationConfig.thinkingConfig = { thinkingBudget: preset.thinking_budget };
+  }
+
   // Use unified parameter normalization module to handle Gemini format parameters
-  const normalizedParams = normalizeGeminiParameters(request.generationConfig || {});
+  const normalizedParams = normalizeGeminiParameters(generationConfig);
 
   // Convert to generationConfig format
   request.generationConfig = toGenerationConfig(normalizedParams, enableThinking, actualModelName);
@@ -155,13 +190,17 @@ export function generateGeminiRequestBody(geminiBody, modelName, token) {
     request.tools = convertGeminiToolsToAntigravity(request.tools, token.sessionId, actualModelName);
   }
 
-  // Add tool configuration
-  if (request.tools && request.tools.length > 0 && !request.toolConfig) {
-    request.toolConfig = { functionCallingConfig: { mode: 'VALIDATED' } };
+  // Validate tool configuration (function calling mode / allowed function names)
+  const toolConfig = normalizeGeminiToolConfig(request.toolConfig, request.tools);
+  if (toolConfig) {
+    request.toolConfig = toolConfig;
+  } else {
+    delete request.toolConfig;
   }
 
   const existingText = request.systemInstruction?.parts?.[0]?.text || '';
-  const mergedText = existingText ? `${config.systemInstruction}\n\n${existingText}` : config.systemInstruction ?? "";
+  const baseSystem = getBaseSystemInstruction(modelName);
+  const mergedText = existingText ? `${baseSystem}\n\n${existingText}` : baseSystem;
   request.systemInstruction = {
     role: 'user',
     parts: [{ text: mergedText }]
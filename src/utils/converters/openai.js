@@ -1,7 +1,10 @@
 // OpenAI format conversion utility
 import config from '../../config/config.js';
 import { extractSystemInstruction } from '../utils.js';
-import { convertOpenAIToolsToAntigravity } from '../toolConverter.js';
+import { applyModelPreset } from '../modelRouting.js';
+import { convertOpenAIToolsToAntigravity, convertOpenAIToolChoice } from '../toolConverter.js';
+import { parseDataUri, toDataUri, createInlineData, createMediaFetcher, inlineRemoteParts } from '../mediaIngestion.js';
+import { ValidationError } from '../errors.js';
 import {
   getSignatureContext,
   pushUserMessage,
@@ -18,12 +21,30 @@ import {
 } from './common.js';
 
 /**
- * Extract images and text from OpenAI message content
+ * Build inlineData from an OpenAI file part (file_data as data URI or raw base64)
+ * @param {Object} file - OpenAI file object { file_data, filename, file_id }
+ * @returns {Object} Upstream inlineData part
+ */
+function createFileInlineData(file = {}) {
+  if (!file.file_data && file.file_id) {
+    throw new ValidationError('file_id is not supported, send the file as file_data');
+  }
+  const dataUri = parseDataUri(file.file_data);
+  return createInlineData(dataUri ? dataUri.data : file.file_data, {
+    mimeType: dataUri?.mimeType,
+    name: file.filename,
+    source: file.filename || 'file'
+  });
+}
+
+/**
+ * Extract media and text from OpenAI message content
+ * Remote image URLs must have been inlined by inlineOpenAIMedia first, they are skipped here
  * @param {string|Array} content - OpenAI format message content
- * @returns {Object} Extracted content { text, images }
+ * @returns {Object} Extracted content { text, media }
  */
-function extractImagesFromContent(content) {
-  const result = { text: '', images: [] };
+function extractMediaFromContent(content) {
+  const result = { text: '', media: [] };
   if (typeof content === 'string') {
     result.text = content;
     return result;
@@ -33,22 +54,40 @@ function extractImagesFromContent(content) {
       if (item.type === 'text') {
         result.text += item.text;
       } else if (item.type === 'image_url') {
-        const imageUrl = item.image_url?.url || '';
-        const match = imageUrl.match(/^data:image\/(\w+);base64,(.+)$/);
-        if (match) {
-          result.images.push({
-            inlineData: {
-              mimeType: `image/${match[1].toLowerCase() === 'jpg' ? 'jpeg' : match[1].toLowerCase()}`,
-              data: match[2]
-            }
-          });
+        const dataUri = parseDataUri(item.image_url?.url);
+        if (dataUri) {
+          result.media.push(createInlineData(dataUri.data, { mimeType: dataUri.mimeType, source: 'image_url' }));
         }
+      } else if (item.type === 'file') {
+        result.media.push(createFileInlineData(item.file));
+      } else if (item.type === 'input_audio') {
+        const format = item.input_audio?.format;
+        result.media.push(createInlineData(item.input_audio?.data, { mimeType: format ? `audio/${format}` : null, source: 'input_audio' }));
       }
     }
   }
   return result;
 }
 
+/**
+ * Fetch the remote image URLs of OpenAI messages into data URIs
+ * @param {Array} openaiMessages - OpenAI format messages
+ * @param {AbortSignal|null} [signal] - Client disconnect signal
+ * @returns {Promise<Array>} Messages with inline media, unchanged messages are kept as is
+ */
+export async function inlineOpenAIMedia(openaiMessages, signal = null) {
+  const fetchMedia = createMediaFetcher(signal);
+  return Promise.all(openaiMessages.map(async (message) => {
+    const content = await inlineRemoteParts(
+      message?.content,
+      (part) => (part?.type === 'image_url' ? part.image_url?.url : null),
+      (part, inlineData) => ({ ...part, image_url: { ...part.image_url, url: toDataUri(inlineData) } }),
+      fetchMedia
+    );
+    return content === message?.content ? message : { ...message, content };
+  }));
+}
+
 /**
  * Handle assistant messages
  * @param {Object} message - OpenAI format message
@@ -104,7 +143,7 @@ function openaiMessageToAntigravity(openaiMessages, enableThinking, actualModelN
   const antigravityMessages = [];
   for (const message of openaiMessages) {
     if (message.role === 'user' || message.role === 'system') {
-      const extracted = extractImagesFromContent(message.content);
+      const extracted = extractMediaFromContent(message.content);
       pushUserMessage(extracted, antigravityMessages);
     } else if (message.role === 'assistant') {
       handleAssistantMessage(message, antigravityMessages, enableThinking, actualModelName, sessionId);
@@ -127,7 +166,9 @@ function openaiMessageToAntigravity(openaiMessages, enableThinking, actualModelN
 export function generateRequestBody(openaiMessages, modelName, parameters, openaiTools, token) {
   const enableThinking = isEnableThinking(modelName);
   const actualModelName = modelMapping(modelName);
-  const mergedSystemInstruction = extractSystemInstruction(openaiMessages);
+  const mergedSystemInstruction = extractSystemInstruction(openaiMessages, modelName);
+  // Presets of a virtual model fill the parameters the request left out
+  const params = applyModelPreset(modelName, parameters);
 
   let filteredMessages = openaiMessages;
   let startIndex = 0;
@@ -143,10 +184,13 @@ export function generateRequestBody(openaiMessages, modelName, parameters, opena
     }
   }
 
+  const tools = convertOpenAIToolsToAntigravity(openaiTools, token.sessionId, actualModelName);
+
   return buildRequestBody({
     contents: openaiMessageToAntigravity(filteredMessages, enableThinking, actualModelName, token.sessionId),
-    tools: convertOpenAIToolsToAntigravity(openaiTools, token.sessionId, actualModelName),
-    generationConfig: generateGenerationConfig(parameters, enableThinking, actualModelName),
+    tools,
+    toolConfig: convertOpenAIToolChoice(params.tool_choice, tools),
+    generationConfig: generateGenerationConfig(params, enableThinking, actualModelName),
     sessionId: token.sessionId,
     systemInstruction: mergedSystemInstruction
   }, token, actualModelName);
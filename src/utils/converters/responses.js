@@ -0,0 +1,243 @@
+// OpenAI Responses format conversion utility
+// Converts Responses API input items into Chat Completions messages and reuses the OpenAI converter
+import { generateRequestBody } from './openai.js';
+import { toDataUri, createMediaFetcher, inlineRemoteParts } from '../mediaIngestion.js';
+
+/**
+ * Remote URL of a Responses input_image or input_file part
+ * @param {Object} part - Responses content part
+ * @returns {string|null}
+ */
+function getResponsesMediaUrl(part) {
+  if (part?.type === 'input_image') return typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+  if (part?.type === 'input_file') return part.file_url;
+  return null;
+}
+
+/**
+ * Replace a remote Responses media part with its inline form
+ * @param {Object} part - input_image or input_file part
+ * @param {Object} inlineData - Fetched inlineData
+ * @returns {Object}
+ */
+function toInlineResponsesPart(part, inlineData) {
+  if (part.type === 'input_image') return { ...part, image_url: toDataUri(inlineData) };
+  const { file_url: fileUrl, ...rest } = part;
+  return { ...rest, file_data: toDataUri(inlineData), filename: part.filename || new URL(fileUrl).pathname.split('/').pop() };
+}
+
+/**
+ * Fetch the remote input_image / input_file URLs of Responses input items into data URIs
+ * @param {string|Array} input - Responses format input
+ * @param {AbortSignal|null} [signal] - Client disconnect signal
+ * @returns {Promise<string|Array>} Input with inline media, unchanged items are kept as is
+ */
+export async function inlineResponsesMedia(input, signal = null) {
+  if (!Array.isArray(input)) return input;
+  const fetchMedia = createMediaFetcher(signal);
+  return Promise.all(input.map(async (item) => {
+    const content = await inlineRemoteParts(item?.content, getResponsesMediaUrl, toInlineResponsesPart, fetchMedia);
+    return content === item?.content ? item : { ...item, content };
+  }));
+}
+
+/**
+ * Convert Responses content parts to Chat Completions content
+ * @param {string|Array} content - Responses format content
+ * @returns {string|Array} Chat Completions format content
+ */
+function convertResponsesContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  const converted = [];
+  for (const part of content) {
+    if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+      converted.push({ type: 'text', text: part.text || '' });
+    } else if (part.type === 'input_image') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      if (url) converted.push({ type: 'image_url', image_url: { url } });
+    } else if (part.type === 'input_file') {
+      converted.push({ type: 'file', file: { file_data: part.file_data, file_id: part.file_id, filename: part.filename } });
+    } else if (part.type === 'refusal') {
+      converted.push({ type: 'text', text: part.refusal || '' });
+    }
+  }
+
+  // Plain text only: collapse to string so assistant messages keep the trimming logic
+  if (converted.every(p => p.type === 'text')) {
+    return converted.map(p => p.text).join('');
+  }
+  return converted;
+}
+
+/**
+ * Extract reasoning summary text from a reasoning item
+ * @param {Object} item - Responses reasoning item
+ * @returns {string} Summary text
+ */
+function extractReasoningText(item) {
+  const summary = Array.isArray(item.summary) ? item.summary : [];
+  const content = Array.isArray(item.content) ? item.content : [];
+  return [...summary, ...content]
+    .filter(p => p && typeof p.text === 'string')
+    .map(p => p.text)
+    .join('\n');
+}
+
+/**
+ * Convert Responses input items to Chat Completions messages
+ * Supports message, function_call, function_call_output and reasoning items
+ * @param {string|Array} input - Responses format input
+ * @param {string} instructions - Top-level instructions
+ * @returns {Array} Chat Completions format messages
+ */
+export function responsesInputToMessages(input, instructions) {
+  const messages = [];
+  if (typeof instructions === 'string' && instructions.trim()) {
+    messages.push({ role: 'system', content: instructions });
+  }
+
+  if (typeof input === 'string') {
+    messages.push({ role: 'user', content: input });
+    return messages;
+  }
+  if (!Array.isArray(input)) return messages;
+
+  // Reasoning items precede the assistant turn they belong to
+  let pendingReasoning = null;
+
+  const getAssistantMessage = () => {
+    const last = messages[messages.length - 1];
+    if (last?.role === 'assistant') return last;
+    const message = { role: 'assistant', content: '' };
+    messages.push(message);
+    return message;
+  };
+
+  const applyPendingReasoning = (message) => {
+    if (!pendingReasoning) return;
+    if (pendingReasoning.text) message.reasoning_content = pendingReasoning.text;
+    if (pendingReasoning.signature) message.thoughtSignature = pendingReasoning.signature;
+    pendingReasoning = null;
+  };
+
+  for (const item of input) {
+    if (!item || typeof item !== 'object') continue;
+    const type = item.type || (item.role ? 'message' : null);
+
+    if (type === 'message') {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      const content = convertResponsesContent(item.content);
+      if (role === 'assistant') {
+        const message = getAssistantMessage();
+        message.content = typeof message.content === 'string' && typeof content === 'string'
+          ? message.content + content
+          : content;
+        applyPendingReasoning(message);
+      } else if (role === 'user' || role === 'system') {
+        messages.push({ role, content });
+      }
+    } else if (type === 'reasoning') {
+      pendingReasoning = {
+        text: extractReasoningText(item),
+        signature: item.encrypted_content || null
+      };
+    } else if (type === 'function_call') {
+      const message = getAssistantMessage();
+      applyPendingReasoning(message);
+      if (!message.tool_calls) message.tool_calls = [];
+      const toolCall = {
+        id: item.call_id || item.id,
+        type: 'function',
+        function: {
+          name: item.name,
+          arguments: typeof item.arguments === 'string' ? item.arguments : JSON.stringify(item.arguments || {})
+        }
+      };
+      if (item.thoughtSignature) toolCall.thoughtSignature = item.thoughtSignature;
+      message.tool_calls.push(toolCall);
+    } else if (type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output ?? '')
+      });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Convert Responses function tools to Chat Completions tools
+ * Built-in tools (web_search, file_search, etc.) are not supported upstream and are skipped
+ * @param {Array} tools - Responses format tools
+ * @returns {Array} Chat Completions format tools
+ */
+export function responsesToolsToOpenAI(tools) {
+  if (!Array.isArray(tools)) return [];
+  return tools
+    .filter(tool => tool && tool.type === 'function')
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+}
+
+/**
+ * Convert Responses text.format to Chat Completions response_format
+ * Responses flattens the json_schema fields into the format object
+ * @param {Object|undefined} format - Responses text.format
+ * @returns {Object|undefined} Chat Completions response_format
+ */
+export function responsesTextFormatToOpenAI(format) {
+  if (!format) return undefined;
+  if (format.type === 'json_schema') {
+    return {
+      type: 'json_schema',
+      json_schema: { name: format.name, description: format.description, schema: format.schema, strict: format.strict }
+    };
+  }
+  return { type: format.type };
+}
+
+/**
+ * Convert Responses request parameters to Chat Completions parameters
+ * @param {Object} body - Responses request body
+ * @returns {Object} Chat Completions parameters
+ */
+export function responsesParamsToOpenAI(body) {
+  const params = {};
+  if (body.max_output_tokens !== undefined) params.max_tokens = body.max_output_tokens;
+  if (body.temperature !== undefined) params.temperature = body.temperature;
+  if (body.top_p !== undefined) params.top_p = body.top_p;
+  if (body.top_k !== undefined) params.top_k = body.top_k;
+  if (body.reasoning?.effort) params.reasoning_effort = body.reasoning.effort;
+  if (body.thinking_budget !== undefined) params.thinking_budget = body.thinking_budget;
+  if (body.text?.format) params.response_format = responsesTextFormatToOpenAI(body.text.format);
+  if (body.tool_choice !== undefined) {
+    // Responses uses { type: 'function', name } instead of Chat Completions' nested function object
+    params.tool_choice = body.tool_choice?.type === 'function' && body.tool_choice.name
+      ? { type: 'function', function: { name: body.tool_choice.name } }
+      : body.tool_choice;
+  }
+  return params;
+}
+
+/**
+ * Generate request body for OpenAI Responses format
+ * @param {Object} body - Responses request body
+ * @param {Object} token - Token object
+ * @returns {Object} Generated request body
+ */
+export function generateResponsesRequestBody(body, token) {
+  const messages = responsesInputToMessages(body.input, body.instructions);
+  const tools = responsesToolsToOpenAI(body.tools);
+  const parameters = responsesParamsToOpenAI(body);
+  return generateRequestBody(messages, body.model, parameters, tools, token);
+}
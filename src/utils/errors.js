@@ -124,6 +124,34 @@ export class TokenError extends AppError {
   }
 }
 
+/**
+ * Client disconnected before the response completed, the upstream request is cancelled
+ */
+export class RequestCancelledError extends AppError {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message = 'Client disconnected') {
+    super(message, 499, 'request_cancelled');
+    this.name = 'RequestCancelledError';
+    this.isCancelled = true;
+  }
+}
+
+/**
+ * Upstream completed without an answer: no text and no tool call (thought-only counts as empty)
+ */
+export class EmptyResponseError extends AppError {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message = 'Upstream returned an empty response') {
+    super(message, 502, 'empty_response');
+    this.name = 'EmptyResponseError';
+    this.isEmptyResponse = true;
+  }
+}
+
 /**
  * Create upstream API error (factory function)
  * @param {string} message - Error message
@@ -208,11 +236,18 @@ export function buildOpenAIErrorPayload(error, statusCode) {
  * @returns {{error: {code: number, message: string, status: string}}}
  */
 export function buildGeminiErrorPayload(error, statusCode) {
+  const status = statusCode === 400 ? "INVALID_ARGUMENT" :
+    statusCode === 401 ? "UNAUTHENTICATED" :
+      statusCode === 403 ? "PERMISSION_DENIED" :
+        statusCode === 404 ? "NOT_FOUND" :
+          statusCode === 429 ? "RESOURCE_EXHAUSTED" :
+            "INTERNAL";
+
   return {
     error: {
       code: statusCode,
       message: extractErrorMessage(error),
-      status: "INTERNAL"
+      status
     }
   };
 }
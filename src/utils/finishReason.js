@@ -0,0 +1,100 @@
+/**
+ * Upstream finishReason mapping
+ * Converts Gemini-style finishReason values to OpenAI / Claude / Responses stop reasons
+ * @module utils/finishReason
+ */
+
+// Upstream reasons meaning the output was blocked or cut by a content filter
+const CONTENT_FILTER_REASONS = new Set([
+  'SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII',
+  'IMAGE_SAFETY', 'IMAGE_PROHIBITED_CONTENT', 'IMAGE_RECITATION'
+]);
+
+// Upstream reasons meaning the output hit the token limit
+const LENGTH_REASONS = new Set(['MAX_TOKENS']);
+
+/**
+ * Extract finish information from an upstream response
+ * A prompt blocked before generation has no candidate, only promptFeedback.blockReason
+ * @param {Object} response - Upstream response (data.response)
+ * @param {number} [position] - Position of the candidate in response.candidates
+ * @returns {{finishReason: string|null, safetyRatings: Array|null}}
+ */
+export function extractFinishInfo(response, position = 0) {
+  const candidate = response?.candidates?.[position];
+  const blockReason = response?.promptFeedback?.blockReason;
+  const finishReason = candidate?.finishReason || (blockReason ? (CONTENT_FILTER_REASONS.has(blockReason) ? blockReason : 'SAFETY') : null);
+  const safetyRatings = candidate?.safetyRatings || response?.promptFeedback?.safetyRatings || null;
+  return { finishReason, safetyRatings };
+}
+
+/**
+ * Whether the upstream finishReason means content was filtered
+ * @param {string|null} finishReason - Upstream finishReason
+ * @returns {boolean}
+ */
+export function isContentFiltered(finishReason) {
+  return CONTENT_FILTER_REASONS.has(finishReason);
+}
+
+/**
+ * Whether the upstream finishReason means the output hit the token limit
+ * @param {string|null} finishReason - Upstream finishReason
+ * @returns {boolean}
+ */
+export function isLengthLimited(finishReason) {
+  return LENGTH_REASONS.has(finishReason);
+}
+
+/**
+ * Map upstream finishReason to OpenAI finish_reason
+ * @param {string|null} finishReason - Upstream finishReason
+ * @param {boolean} hasToolCall - Whether tool calls were produced
+ * @returns {'stop'|'length'|'content_filter'|'tool_calls'}
+ */
+export function toOpenAIFinishReason(finishReason, hasToolCall) {
+  if (LENGTH_REASONS.has(finishReason)) return 'length';
+  if (CONTENT_FILTER_REASONS.has(finishReason)) return 'content_filter';
+  return hasToolCall ? 'tool_calls' : 'stop';
+}
+
+/**
+ * Map upstream finishReason to Claude stop_reason
+ * @param {string|null} finishReason - Upstream finishReason
+ * @param {boolean} hasToolCall - Whether tool calls were produced
+ * @returns {'end_turn'|'max_tokens'|'refusal'|'tool_use'}
+ */
+export function toClaudeStopReason(finishReason, hasToolCall) {
+  if (LENGTH_REASONS.has(finishReason)) return 'max_tokens';
+  if (CONTENT_FILTER_REASONS.has(finishReason)) return 'refusal';
+  return hasToolCall ? 'tool_use' : 'end_turn';
+}
+
+/**
+ * Map upstream finishReason to Gemini finishReason (native values are kept)
+ * @param {string|null} finishReason - Upstream finishReason
+ * @returns {string}
+ */
+export function toGeminiFinishReason(finishReason) {
+  return finishReason || 'STOP';
+}
+
+/**
+ * Map upstream finishReason to Responses API incomplete_details
+ * @param {string|null} finishReason - Upstream finishReason
+ * @returns {{reason: string}|null} null when the response completed normally
+ */
+export function toResponsesIncompleteDetails(finishReason) {
+  if (LENGTH_REASONS.has(finishReason)) return { reason: 'max_output_tokens' };
+  if (CONTENT_FILTER_REASONS.has(finishReason)) return { reason: 'content_filter' };
+  return null;
+}
+
+export default {
+  extractFinishInfo,
+  isContentFiltered,
+  toOpenAIFinishReason,
+  toClaudeStopReason,
+  toGeminiFinishReason,
+  toResponsesIncompleteDetails
+};
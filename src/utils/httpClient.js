@@ -48,7 +48,7 @@ function buildProxyConfig() {
 }
 
 // Build unified request configuration for axios
-export function buildAxiosRequestConfig({ method = 'POST', url, headers, data = null, timeout = config.timeout }) {
+export function buildAxiosRequestConfig({ method = 'POST', url, headers, data = null, timeout = config.timeout, signal = null }) {
   const axiosConfig = {
     method,
     url,
@@ -60,6 +60,8 @@ export function buildAxiosRequestConfig({ method = 'POST', url, headers, data =
   };
 
   if (data !== null) axiosConfig.data = data;
+  // AbortSignal cancels the request (client disconnected)
+  if (signal) axiosConfig.signal = signal;
   return axiosConfig;
 }
 
@@ -75,3 +77,19 @@ export async function httpStreamRequest(configOverrides) {
   axiosConfig.responseType = 'stream';
   return axios(axiosConfig);
 }
+
+// Binary GET download (remote media), fails once the body exceeds maxBytes
+// Redirects are not followed, 3xx responses are returned for the caller to check the target
+// lookup pins direct connections to checked addresses; through a proxy the proxy resolves the host
+export async function httpDownload({ url, timeout = config.timeout, signal = null, maxBytes, lookup = null }) {
+  const axiosConfig = buildAxiosRequestConfig({ method: 'GET', url, headers: { Accept: '*/*' }, timeout, signal });
+  axiosConfig.responseType = 'arraybuffer';
+  axiosConfig.maxContentLength = maxBytes;
+  axiosConfig.maxRedirects = 0;
+  axiosConfig.validateStatus = (status) => status >= 200 && status < 400;
+  if (lookup && !axiosConfig.proxy) {
+    axiosConfig.httpAgent = new http.Agent({ lookup });
+    axiosConfig.httpsAgent = new https.Agent({ lookup });
+  }
+  return axios(axiosConfig);
+}
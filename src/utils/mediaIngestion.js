@@ -0,0 +1,330 @@
+/**
+ * Media ingestion shared by the converters
+ * Upstream only takes media as base64 inlineData: remote URLs are fetched before conversion
+ * (config.media limits and host allowlist, through the configured proxy), MIME types are sniffed from the bytes
+ * @module utils/mediaIngestion
+ */
+
+import dns from 'dns';
+import net from 'net';
+import config from '../config/config.js';
+import { httpDownload } from './httpClient.js';
+import { ValidationError } from './errors.js';
+import { SUPPORTED_MEDIA_TYPES, MAX_MEDIA_REDIRECTS, MEDIA_BLOCKED_SUBNETS } from '../constants/index.js';
+
+// Base64 characters decoded for sniffing (24 bytes cover every signature below)
+const SNIFF_LENGTH = 32;
+
+// RIFF container form type -> MIME type
+const RIFF_TYPES = { WEBP: 'image/webp', WAVE: 'audio/wav', 'AVI ': 'video/avi' };
+
+// ISO base media (ftyp) brand -> MIME type, other brands are MP4 video
+const FTYP_TYPES = { 'M4A ': 'audio/mp4', 'qt  ': 'video/mov', heic: 'image/heic', heix: 'image/heic', mif1: 'image/heif' };
+
+// File extension -> MIME type, for media without a usable Content-Type
+const EXTENSION_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  heic: 'image/heic', heif: 'image/heif', pdf: 'application/pdf', txt: 'text/plain',
+  wav: 'audio/wav', mp3: 'audio/mp3', aac: 'audio/aac', ogg: 'audio/ogg', flac: 'audio/flac', aiff: 'audio/aiff', m4a: 'audio/mp4',
+  mp4: 'video/mp4', mov: 'video/mov', webm: 'video/webm', avi: 'video/avi', mpeg: 'video/mpeg', mpg: 'video/mpg',
+  wmv: 'video/wmv', flv: 'video/x-flv', '3gp': 'video/3gpp'
+};
+
+// Client spellings of MIME types -> the ones upstream expects
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/mpeg': 'audio/mp3',
+  'video/quicktime': 'video/mov'
+};
+
+// Non-public addresses, refused unless the host is allowed by exact name
+// Separate lists: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 subnets
+const createBlockList = (subnets, type) => {
+  const list = new net.BlockList();
+  for (const [network, prefix] of subnets) list.addSubnet(network, prefix, type);
+  return list;
+};
+const blockedIPv4 = createBlockList(MEDIA_BLOCKED_SUBNETS.ipv4, 'ipv4');
+const blockedIPv6 = createBlockList(MEDIA_BLOCKED_SUBNETS.ipv6, 'ipv6');
+
+/**
+ * Whether a string is an http(s) URL
+ * @param {*} url - Value to check
+ * @returns {boolean}
+ */
+export function isRemoteUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+/**
+ * Split a base64 data URI
+ * @param {string} uri - data:<mime>;base64,<data>
+ * @returns {{mimeType: string|null, data: string}|null} null when not a base64 data URI
+ */
+export function parseDataUri(uri) {
+  const match = typeof uri === 'string' ? /^data:([^;,]*)[^,]*;base64,(.*)$/s.exec(uri) : null;
+  return match ? { mimeType: match[1] || null, data: match[2] } : null;
+}
+
+/**
+ * Build a base64 data URI
+ * @param {{mimeType: string, data: string}} inlineData - Upstream inlineData
+ * @returns {string}
+ */
+export function toDataUri({ mimeType, data }) {
+  return `data:${mimeType};base64,${data}`;
+}
+
+/**
+ * Detect the MIME type from the leading bytes
+ * @param {Buffer} buffer - Leading bytes of the media
+ * @returns {string|null} null when no known signature matches
+ */
+export function sniffMimeType(buffer) {
+  const at = (offset, text) => buffer.length >= offset + text.length && buffer.toString('latin1', offset, offset + text.length) === text;
+
+  if (at(0, '\x89PNG')) return 'image/png';
+  if (at(0, '\xff\xd8\xff')) return 'image/jpeg';
+  if (at(0, 'GIF8')) return 'image/gif';
+  if (at(0, '%PDF-')) return 'application/pdf';
+  if (at(0, 'RIFF')) return RIFF_TYPES[buffer.toString('latin1', 8, 12)] || null;
+  if (at(0, 'FORM') && (at(8, 'AIFF') || at(8, 'AIFC'))) return 'audio/aiff';
+  if (at(4, 'ftyp')) {
+    const brand = buffer.toString('latin1', 8, 12);
+    return FTYP_TYPES[brand] || (brand.startsWith('3g') ? 'video/3gpp' : 'video/mp4');
+  }
+  if (at(0, '\x1aE\xdf\xa3')) return 'video/webm';
+  if (at(0, 'OggS')) return 'audio/ogg';
+  if (at(0, 'fLaC')) return 'audio/flac';
+  if (at(0, 'ID3')) return 'audio/mp3';
+  // MPEG audio frames: ADTS (AAC) or MP3 frame sync
+  if (buffer.length >= 2 && buffer[0] === 0xff) {
+    if ((buffer[1] & 0xf6) === 0xf0) return 'audio/aac';
+    if ((buffer[1] & 0xe0) === 0xe0) return 'audio/mp3';
+  }
+  return null;
+}
+
+/**
+ * Normalize a declared MIME type (parameters dropped, aliases resolved)
+ * @param {string|null|undefined} mimeType - Declared MIME type
+ * @returns {string|null} null when missing or generic (application/octet-stream)
+ */
+function normalizeMimeType(mimeType) {
+  if (typeof mimeType !== 'string') return null;
+  const type = mimeType.split(';')[0].trim().toLowerCase();
+  if (!type || type === 'application/octet-stream') return null;
+  return MIME_ALIASES[type] || type;
+}
+
+/**
+ * MIME type of a file name or URL path from its extension
+ * @param {string|null|undefined} name - File name or path
+ * @returns {string|null}
+ */
+function guessMimeType(name) {
+  const extension = typeof name === 'string' ? /\.([a-z0-9]+)$/i.exec(name)?.[1] : null;
+  return extension ? EXTENSION_TYPES[extension.toLowerCase()] || null : null;
+}
+
+/**
+ * Decoded size of base64 data
+ * @param {string} data - Base64 data
+ * @returns {number} Bytes
+ */
+function getBase64Size(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+/**
+ * Build an upstream inlineData part from base64 data
+ * The sniffed type wins over the declared one, the file name extension is the last resort
+ * @param {string} data - Base64 data
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.mimeType] - MIME type declared by the client or the remote server
+ * @param {string|null} [options.name] - File name or URL path
+ * @param {string} [options.source] - Where the media came from, for error messages
+ * @returns {{inlineData: {mimeType: string, data: string}}}
+ * @throws {ValidationError} When the data is missing, too large or of an unsupported type
+ */
+export function createInlineData(data, { mimeType = null, name = null, source = 'media' } = {}) {
+  if (typeof data !== 'string' || !data) {
+    throw new ValidationError(`${source} has no data`);
+  }
+  if (getBase64Size(data) > config.media.maxBytes) {
+    throw new ValidationError(`${source} is larger than ${config.media.maxBytes} bytes (media.maxBytes)`);
+  }
+
+  const resolved = sniffMimeType(Buffer.from(data.slice(0, SNIFF_LENGTH), 'base64'))
+    || normalizeMimeType(mimeType)
+    || guessMimeType(name);
+  if (!resolved || !SUPPORTED_MEDIA_TYPES.some(type => (type.endsWith('/') ? resolved.startsWith(type) : resolved === type))) {
+    throw new ValidationError(`${source} has an unsupported media type: ${resolved || 'unknown'}`);
+  }
+  return { inlineData: { mimeType: resolved, data } };
+}
+
+/**
+ * Whether a host matches a media.allowedHosts entry: '*', '*.example.com' (subdomains) or an exact name
+ * @param {string} host - Lowercase host name
+ * @param {string} pattern - Allowlist entry
+ * @returns {boolean}
+ */
+function matchesHost(host, pattern) {
+  const entry = String(pattern).trim().toLowerCase();
+  if (entry === '*') return true;
+  if (entry.startsWith('*.')) return host.endsWith(entry.slice(1));
+  return host === entry;
+}
+
+/**
+ * Whether an address is loopback, private, CGNAT, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  if (net.isIPv4(address)) return blockedIPv4.check(address, 'ipv4');
+  return net.isIPv6(address) ? blockedIPv6.check(address, 'ipv6') : true;
+}
+
+/**
+ * Check a host against media.allowedHosts and resolve it to the addresses to connect to
+ * Every resolved address must be public, unless an allowedHosts entry names the host exactly
+ * @param {string} hostname - URL host name
+ * @returns {Promise<Array<{address: string, family: number}>>}
+ * @throws {ValidationError}
+ */
+async function resolveAllowedHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const allowedHosts = config.media.allowedHosts;
+  if (allowedHosts.length === 0) {
+    throw new ValidationError('Remote media URLs are disabled (media.allowedHosts is empty)');
+  }
+  if (!allowedHosts.some(pattern => matchesHost(host, pattern))) {
+    throw new ValidationError(`Media host ${host} is not allowed (media.allowedHosts)`);
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new ValidationError(`Could not resolve media host ${host}: ${error.code || error.message}`);
+  }
+  const listed = allowedHosts.some(pattern => String(pattern).trim().toLowerCase() === host);
+  if (!listed && (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address)))) {
+    throw new ValidationError(`Media host ${host} resolves to a non-public address`);
+  }
+  return addresses;
+}
+
+/**
+ * DNS lookup that only returns already checked addresses (no second resolution between check and connect)
+ * @param {Array<{address: string, family: number}>} addresses - Checked addresses
+ * @returns {Function} net lookup function
+ */
+function createPinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    if (options?.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  };
+}
+
+/**
+ * Fetch remote media and build its inlineData part
+ * Redirects are followed here, every target goes through the host checks again
+ * @param {string} url - http(s) URL
+ * @param {string|null} mimeType - MIME type declared by the client
+ * @param {AbortSignal|null} signal - Cancels the fetch, which then fails with signal.reason
+ * @returns {Promise<{inlineData: {mimeType: string, data: string}}>}
+ * @throws {ValidationError} When the host is not allowed, the fetch fails or the media is rejected
+ */
+async function fetchRemoteMedia(url, mimeType, signal) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw new ValidationError(`Invalid media URL: ${url}`);
+  }
+  const source = `${target.host}${target.pathname}`;
+
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    const addresses = await resolveAllowedHost(target.hostname);
+    if (signal?.aborted) throw signal.reason;
+    try {
+      response = await httpDownload({
+        url: target.href,
+        timeout: config.media.timeout,
+        signal,
+        maxBytes: config.media.maxBytes,
+        lookup: createPinnedLookup(addresses)
+      });
+    } catch (error) {
+      // Cancelled by the client, not a media failure
+      if (signal?.aborted) throw signal.reason;
+      const reason = error.response
+        ? `HTTP ${error.response.status}`
+        : (/maxContentLength/i.test(error.message) ? `larger than ${config.media.maxBytes} bytes (media.maxBytes)` : error.message);
+      throw new ValidationError(`Could not fetch media ${source}: ${reason}`);
+    }
+    if (response.status < 300) break;
+
+    const location = response.headers?.location;
+    if (!location) throw new ValidationError(`Could not fetch media ${source}: HTTP ${response.status}`);
+    if (redirects >= MAX_MEDIA_REDIRECTS) throw new ValidationError(`Could not fetch media ${source}: too many redirects`);
+    target = new URL(location, target);
+    if (!isRemoteUrl(target.href)) throw new ValidationError(`Could not fetch media ${source}: redirect to ${target.protocol}`);
+  }
+
+  const data = Buffer.from(response.data).toString('base64');
+  return createInlineData(data, {
+    mimeType: normalizeMimeType(response.headers?.['content-type']) || mimeType,
+    name: target.pathname,
+    source
+  });
+}
+
+/**
+ * Create the media fetcher of a request, every URL is fetched at most once
+ * @param {AbortSignal|null} [signal] - Client disconnect signal
+ * @returns {Function} async (url, mimeType?) => {inlineData: {mimeType, data}}
+ */
+export function createMediaFetcher(signal = null) {
+  const fetches = new Map();
+  return (url, mimeType = null) => {
+    if (!fetches.has(url)) fetches.set(url, fetchRemoteMedia(url, mimeType, signal));
+    return fetches.get(url);
+  };
+}
+
+/**
+ * Replace the remote media parts of a content list with inline ones, fetched in parallel
+ * @param {Array|*} parts - Content parts of one message (anything else is returned as is)
+ * @param {Function} getUrl - (part) => remote URL of the part, or null
+ * @param {Function} replace - (part, inlineData) => inline replacement of the part
+ * @param {Function} fetchMedia - Fetcher from createMediaFetcher
+ * @returns {Promise<Array|*>} The same list when no part is remote
+ */
+export async function inlineRemoteParts(parts, getUrl, replace, fetchMedia) {
+  if (!Array.isArray(parts) || !parts.some(part => isRemoteUrl(getUrl(part)))) return parts;
+  return Promise.all(parts.map(async (part) => {
+    const url = getUrl(part);
+    if (!isRemoteUrl(url)) return part;
+    const { inlineData } = await fetchMedia(url, part?.fileData?.mimeType || null);
+    return replace(part, inlineData);
+  }));
+}
+
+export default {
+  isRemoteUrl,
+  parseDataUri,
+  toDataUri,
+  sniffMimeType,
+  isBlockedAddress,
+  createInlineData,
+  createMediaFetcher,
+  inlineRemoteParts
+};
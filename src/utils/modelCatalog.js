@@ -0,0 +1,113 @@
+// Model catalog: upstream fetchAvailableModels metadata merged with the local capability table
+// Entries are format neutral, the OpenAI / Anthropic / Gemini model lists are built from them
+
+import { MODEL_CAPABILITIES, DEFAULT_MODEL_CAPABILITIES } from '../constants/index.js';
+import { matchesModelPattern, resolveModel, isThinkingModel, isImageGenerationModel } from './modelRouting.js';
+
+/**
+ * @typedef {Object} ModelCatalogEntry
+ * @property {string} id - Model name clients request
+ * @property {string} displayName - Human readable name
+ * @property {string} ownedBy - 'google' for upstream models, 'virtual' for config.json virtual models
+ * @property {number} created - Unix timestamp (seconds)
+ * @property {number} contextWindow - Input token limit
+ * @property {number} maxOutputTokens - Output token limit
+ * @property {{vision: boolean, tools: boolean, thinking: boolean, imageOutput: boolean}} capabilities
+ * @property {string} [target] - Upstream model of a virtual model
+ */
+
+const isPositiveNumber = (value) => Number.isFinite(Number(value)) && Number(value) > 0;
+
+/**
+ * Capability table entry of an upstream model
+ * @param {string} model - Upstream model
+ * @returns {Object}
+ */
+function getLocalCapabilities(model) {
+  const entry = MODEL_CAPABILITIES.find(item => matchesModelPattern(model, item.match));
+  return { ...DEFAULT_MODEL_CAPABILITIES, ...entry };
+}
+
+/**
+ * Optional sampling parameters an upstream model accepts (stop, seed, presence_penalty, frequency_penalty, n)
+ * @param {string} model - Upstream model
+ * @returns {Array<string>}
+ */
+export function getSupportedParameters(model) {
+  return getLocalCapabilities(model).parameters;
+}
+
+/**
+ * Build a catalog entry, upstream metadata wins over the local table
+ * @param {string} id - Model name
+ * @param {Object|null} upstream - Model metadata from fetchAvailableModels (maxTokens, maxOutputTokens, supportsImages, ...)
+ * @param {number} created - Unix timestamp (seconds)
+ * @returns {ModelCatalogEntry}
+ */
+export function createCatalogEntry(id, upstream, created) {
+  const local = getLocalCapabilities(resolveModel(id).model);
+  const meta = upstream || {};
+  return {
+    id,
+    displayName: meta.displayName || id,
+    ownedBy: 'google',
+    created,
+    contextWindow: isPositiveNumber(meta.maxTokens) ? Number(meta.maxTokens) : local.contextWindow,
+    maxOutputTokens: isPositiveNumber(meta.maxOutputTokens) ? Number(meta.maxOutputTokens) : local.maxOutputTokens,
+    capabilities: {
+      vision: typeof meta.supportsImages === 'boolean' ? meta.supportsImages : local.vision,
+      tools: local.tools,
+      thinking: typeof meta.supportsThinking === 'boolean' ? meta.supportsThinking : isThinkingModel(id),
+      imageOutput: isImageGenerationModel(id)
+    }
+  };
+}
+
+/**
+ * Build the entry of a virtual model from the entry of its target
+ * @param {Object} virtual - Virtual model from config.json models.virtual
+ * @param {ModelCatalogEntry|undefined} targetEntry - Catalog entry of the target, if listed upstream
+ * @param {number} created - Unix timestamp (seconds)
+ * @returns {ModelCatalogEntry}
+ */
+export function createVirtualCatalogEntry(virtual, targetEntry, created) {
+  const base = targetEntry || createCatalogEntry(resolveModel(virtual.id).model, null, created);
+  return {
+    ...base,
+    id: virtual.id,
+    displayName: virtual.id,
+    ownedBy: 'virtual',
+    created,
+    maxOutputTokens: isPositiveNumber(virtual.maxTokens) ? Math.min(virtual.maxTokens, base.maxOutputTokens) : base.maxOutputTokens,
+    capabilities: {
+      ...base.capabilities,
+      thinking: isThinkingModel(virtual.id),
+      imageOutput: isImageGenerationModel(virtual.id)
+    },
+    target: virtual.target
+  };
+}
+
+/**
+ * Convert a catalog entry to an OpenAI model object (limits and capabilities as extra fields)
+ * @param {ModelCatalogEntry} entry - Catalog entry
+ * @returns {Object}
+ */
+export function toOpenAIModel(entry) {
+  const model = {
+    id: entry.id,
+    object: 'model',
+    created: entry.created,
+    owned_by: entry.ownedBy,
+    context_window: entry.contextWindow,
+    max_output_tokens: entry.maxOutputTokens,
+    capabilities: {
+      vision: entry.capabilities.vision,
+      tools: entry.capabilities.tools,
+      thinking: entry.capabilities.thinking,
+      image_output: entry.capabilities.imageOutput
+    }
+  };
+  if (entry.target) model.target = entry.target;
+  return model;
+}
@@ -0,0 +1,201 @@
+// Model routing from config.json `models`: aliases, thinking detection, virtual models and fallback chains
+// Requested name -> virtual model (preset parameters) -> alias -> upstream model
+
+import config from '../config/config.js';
+
+// Generation parameters a virtual model can preset: config field -> request parameter
+const PRESET_PARAMETERS = {
+  temperature: 'temperature',
+  topP: 'top_p',
+  topK: 'top_k',
+  maxTokens: 'max_tokens',
+  thinkingBudget: 'thinking_budget'
+};
+
+const IMAGE_SIZES = ['1K', '2K', '4K'];
+
+/** @type {Map<string, RegExp|null>} Compiled patterns, null for invalid regexes */
+const patternCache = new Map();
+
+const isRegexPattern = (pattern) => pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/');
+
+/**
+ * Compile a wildcard or /regex/ pattern
+ * @param {string} pattern - Pattern
+ * @returns {RegExp|null} null when the regex is invalid
+ */
+function compilePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    let regex = null;
+    try {
+      regex = isRegexPattern(pattern)
+        ? new RegExp(pattern.slice(1, -1))
+        : new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    } catch (e) {
+      // Invalid regex never matches
+    }
+    patternCache.set(pattern, regex);
+  }
+  return patternCache.get(pattern);
+}
+
+/**
+ * Whether a model matches a pattern: an exact name, '*' wildcards or a /regex/
+ * @param {string} model - Model name
+ * @param {string} pattern - Pattern
+ * @returns {boolean}
+ */
+export function matchesModelPattern(model, pattern) {
+  if (typeof pattern !== 'string' || !pattern) return false;
+  if (!pattern.includes('*') && !isRegexPattern(pattern)) return model === pattern;
+  return compilePattern(pattern)?.test(model) ?? false;
+}
+
+/**
+ * Virtual model definition of a requested model
+ * @param {string} modelName - Requested model
+ * @returns {Object|null} null for regular models
+ */
+export function getVirtualModel(modelName) {
+  if (!modelName) return null;
+  return config.models.virtual.find(model => model?.id === modelName) || null;
+}
+
+/**
+ * Virtual models to list next to the upstream models
+ * @returns {Array<Object>}
+ */
+export function listVirtualModels() {
+  return config.models.virtual.filter(model => model?.id && model.target);
+}
+
+/**
+ * Resolve a requested model to the upstream model
+ * @param {string} modelName - Requested model
+ * @returns {{model: string, virtual: Object|null}} Upstream model and the virtual model it came from
+ */
+export function resolveModel(modelName) {
+  const virtual = getVirtualModel(modelName);
+  const name = virtual ? virtual.target : modelName;
+  if (!name) return { model: name, virtual };
+  const alias = config.models.aliases.find(entry => matchesModelPattern(name, entry?.match));
+  return { model: alias?.target || name, virtual };
+}
+
+/**
+ * Whether a requested model thinks by default
+ * A virtual model's thinkingBudget decides, otherwise the upstream model is matched against models.thinking
+ * @param {string} modelName - Requested model
+ * @returns {boolean}
+ */
+export function isThinkingModel(modelName) {
+  const { model, virtual } = resolveModel(modelName);
+  if (typeof virtual?.thinkingBudget === 'number') return virtual.thinkingBudget > 0;
+  return !!model && config.models.thinking.some(pattern => matchesModelPattern(model, pattern));
+}
+
+/**
+ * Whether a requested model generates images
+ * @param {string} modelName - Requested model
+ * @returns {boolean}
+ */
+export function isImageGenerationModel(modelName) {
+  return resolveModel(modelName).model?.includes('-image') || false;
+}
+
+/**
+ * Models to try, in order, once a requested model is exhausted on every account or rejected
+ * The first models.fallbacks entry matching the requested name (or its upstream model) wins
+ * @param {string} modelName - Requested model
+ * @returns {Array<string>} Fallback models, empty when no chain is configured
+ */
+export function getFallbackChain(modelName) {
+  if (!modelName) return [];
+  const { model } = resolveModel(modelName);
+  const entry = config.models.fallbacks.find(item =>
+    matchesModelPattern(modelName, item?.match) || matchesModelPattern(model, item?.match));
+  if (!Array.isArray(entry?.chain)) return [];
+  return [...new Set(entry.chain)].filter(name => typeof name === 'string' && name && name !== modelName);
+}
+
+/**
+ * Fill parameters the request left out with the presets of a virtual model
+ * @param {string} modelName - Requested model
+ * @param {Object} parameters - Request parameters (OpenAI names)
+ * @returns {Object} Parameters, unchanged for regular models
+ */
+export function applyModelPreset(modelName, parameters) {
+  const virtual = getVirtualModel(modelName);
+  if (!virtual) return parameters;
+
+  const merged = { ...parameters };
+  for (const [field, param] of Object.entries(PRESET_PARAMETERS)) {
+    if (merged[param] !== undefined || typeof virtual[field] !== 'number') continue;
+    // An explicit reasoning_effort of the request wins over the preset budget
+    if (param === 'thinking_budget' && merged.reasoning_effort !== undefined) continue;
+    merged[param] = virtual[field];
+  }
+  return merged;
+}
+
+/**
+ * Validate and normalize model routing settings from the admin API
+ * @param {Object} input - { aliases, thinking, virtual, fallbacks }
+ * @returns {{aliases: Array<Object>, thinking: Array<string>, virtual: Array<Object>, fallbacks: Array<Object>}}
+ * @throws {Error} On invalid entries
+ */
+export function normalizeModelRouting(input) {
+  const checkPattern = (pattern, field) => {
+    if (typeof pattern !== 'string' || !pattern.trim()) throw new Error(`${field} must be a non-empty string`);
+    if (isRegexPattern(pattern.trim()) && !compilePattern(pattern.trim())) throw new Error(`${field} is not a valid regex: ${pattern}`);
+    return pattern.trim();
+  };
+  // Targets and chain entries are sent upstream as model names
+  const checkModelName = (name, field) => {
+    const model = checkPattern(name, field);
+    if (model.includes('*') || isRegexPattern(model)) throw new Error(`${field} must be a model name, not a pattern`);
+    return model;
+  };
+
+  const aliases = (input.aliases || []).map((entry, index) => ({
+    match: checkPattern(entry?.match, `aliases[${index}].match`),
+    target: checkModelName(entry?.target, `aliases[${index}].target`)
+  }));
+
+  const thinking = (Array.isArray(input.thinking) ? input.thinking : String(input.thinking || '').split(','))
+    .filter(pattern => String(pattern).trim())
+    .map((pattern, index) => checkPattern(String(pattern), `thinking[${index}]`));
+
+  const ids = new Set();
+  const virtual = (input.virtual || []).map((entry, index) => {
+    const id = checkPattern(entry?.id, `virtual[${index}].id`);
+    if (ids.has(id)) throw new Error(`Duplicate virtual model ${id}`);
+    ids.add(id);
+
+    const model = { id, target: checkModelName(entry.target, `virtual[${index}].target`) };
+    for (const field of Object.keys(PRESET_PARAMETERS)) {
+      if (entry[field] === undefined || entry[field] === null || entry[field] === '') continue;
+      const value = Number(entry[field]);
+      if (!Number.isFinite(value) || value < 0) throw new Error(`virtual[${index}].${field} must be a non-negative number`);
+      model[field] = value;
+    }
+    if (entry.systemPrompt) model.systemPrompt = String(entry.systemPrompt);
+    if (entry.imageSize) {
+      if (!IMAGE_SIZES.includes(entry.imageSize)) throw new Error(`virtual[${index}].imageSize must be one of ${IMAGE_SIZES.join(', ')}`);
+      model.imageSize = entry.imageSize;
+    }
+    return model;
+  });
+
+  // Chains may be given as arrays or comma separated strings
+  const fallbacks = (input.fallbacks || []).map((entry, index) => {
+    const match = checkPattern(entry?.match, `fallbacks[${index}].match`);
+    const chain = (Array.isArray(entry.chain) ? entry.chain : String(entry.chain || '').split(','))
+      .filter(model => String(model).trim())
+      .map((model, position) => checkModelName(String(model), `fallbacks[${index}].chain[${position}]`));
+    if (chain.length === 0) throw new Error(`fallbacks[${index}].chain must list at least one model`);
+    return { match, chain };
+  });
+
+  return { aliases, thinking, virtual, fallbacks };
+}
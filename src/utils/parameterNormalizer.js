@@ -2,7 +2,11 @@
 // Convert OpenAI, Claude, Gemini format parameters to internal format
 
 import config from '../config/config.js';
-import { REASONING_EFFORT_MAP } from '../constants/index.js';
+import logger from './logger.js';
+import { REASONING_EFFORT_MAP, MAX_STOP_SEQUENCES, MAX_CANDIDATE_COUNT } from '../constants/index.js';
+import { ValidationError } from './errors.js';
+import { transformSchema } from './schemaTransformer.js';
+import { getSupportedParameters } from './modelCatalog.js';
 
 /**
  * Internal unified parameter format
@@ -12,27 +16,219 @@ import { REASONING_EFFORT_MAP } from '../constants/index.js';
  * @property {number} top_p - Top-P sampling
  * @property {number} top_k - Top-K sampling
  * @property {number|undefined} thinking_budget - Thinking budget (undefined means use default)
+ * @property {StructuredOutput|undefined} structured_output - Requested output format (undefined means plain text)
+ * @property {Array<string>|undefined} stop - Stop sequences (undefined means use the defaults of the format)
+ * @property {number|undefined} seed - Sampling seed
+ * @property {number|undefined} presence_penalty - Presence penalty
+ * @property {number|undefined} frequency_penalty - Frequency penalty
+ * @property {number|undefined} n - Number of candidates
+ * @property {Object|undefined} logit_bias - Token biases (no upstream equivalent)
  */
 
+/**
+ * Requested structured output format
+ * @typedef {Object} StructuredOutput
+ * @property {string} mimeType - Response MIME type (e.g. application/json)
+ * @property {Object|null} schema - JSON Schema the output must follow, null for free-form JSON
+ */
+
+const JSON_MIME_TYPE = 'application/json';
+
+// Optional sampling parameters: normalized name -> upstream generationConfig field (null: no upstream equivalent)
+const SAMPLING_PARAMETERS = {
+  stop: 'stopSequences',
+  seed: 'seed',
+  presence_penalty: 'presencePenalty',
+  frequency_penalty: 'frequencyPenalty',
+  n: 'candidateCount',
+  logit_bias: null
+};
+
+// Request field of each sampling parameter per format
+const OPENAI_SAMPLING_FIELDS = {
+  stop: 'stop',
+  seed: 'seed',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty',
+  n: 'n',
+  logit_bias: 'logit_bias'
+};
+const CLAUDE_SAMPLING_FIELDS = { stop: 'stop_sequences' };
+const GEMINI_SAMPLING_FIELDS = {
+  stop: 'stopSequences',
+  seed: 'seed',
+  presence_penalty: 'presencePenalty',
+  frequency_penalty: 'frequencyPenalty',
+  n: 'candidateCount'
+};
+
+/**
+ * Validate a numeric parameter
+ * @param {*} value - Request value
+ * @param {string} field - Request field (for error messages)
+ * @param {{min?: number, max?: number, integer?: boolean}} [limits] - Allowed range
+ * @returns {number}
+ * @throws {ValidationError} On values outside the range
+ */
+function readNumber(value, field, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    const range = Number.isFinite(min) ? ` between ${min} and ${max}` : '';
+    throw new ValidationError(`${field} must be ${integer ? 'an integer' : 'a number'}${range}`);
+  }
+  return value;
+}
+
+/**
+ * Validate stop sequences, a single string is accepted as well
+ * @param {string|Array<string>} value - Request value
+ * @param {string} field - Request field (for error messages)
+ * @returns {Array<string>} Non-empty sequences, an empty list disables the defaults
+ * @throws {ValidationError} On non-string entries or too many sequences
+ */
+function readStopSequences(value, field) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some(item => typeof item !== 'string')) {
+    throw new ValidationError(`${field} must be a string or an array of strings`);
+  }
+  const sequences = list.filter(item => item.length > 0);
+  if (sequences.length > MAX_STOP_SEQUENCES) {
+    throw new ValidationError(`${field} accepts at most ${MAX_STOP_SEQUENCES} sequences`);
+  }
+  return sequences;
+}
+
+// Validation of each sampling parameter: (value, field) => normalized value
+const SAMPLING_PARAMETER_READERS = {
+  stop: readStopSequences,
+  seed: (value, field) => readNumber(value, field, { integer: true }),
+  presence_penalty: (value, field) => readNumber(value, field, { min: -2, max: 2 }),
+  frequency_penalty: (value, field) => readNumber(value, field, { min: -2, max: 2 }),
+  n: (value, field) => readNumber(value, field, { min: 1, max: MAX_CANDIDATE_COUNT, integer: true }),
+  logit_bias: (value, field) => {
+    if (typeof value !== 'object' || Array.isArray(value)) throw new ValidationError(`${field} must be an object`);
+    return value;
+  }
+};
+
+/**
+ * Read the optional sampling parameters of a request
+ * @param {Object} source - Request parameters
+ * @param {Object<string, string>} fields - Normalized name -> request field
+ * @returns {Object} Normalized sampling parameters that were set
+ * @throws {ValidationError} On invalid values
+ */
+function readSamplingParameters(source, fields) {
+  const parameters = {};
+  for (const [name, field] of Object.entries(fields)) {
+    const value = source[field];
+    if (value === undefined || value === null) continue;
+    parameters[name] = SAMPLING_PARAMETER_READERS[name](value, field);
+  }
+  return parameters;
+}
+
+/**
+ * Drop or reject the sampling parameters the target model does not support (config.unsupportedParameters)
+ * @param {NormalizedParameters} normalized - Normalized parameters
+ * @param {string} modelName - Upstream model
+ * @returns {NormalizedParameters} Parameters without the unsupported ones
+ * @throws {ValidationError} When the policy is 'reject'
+ */
+function applyParameterSupport(normalized, modelName) {
+  const supported = getSupportedParameters(modelName || '');
+  const result = { ...normalized };
+  for (const name of Object.keys(SAMPLING_PARAMETERS)) {
+    // A single candidate is what every model returns
+    if (result[name] === undefined || (name === 'n' && result.n === 1)) continue;
+    if (supported.includes(name)) continue;
+    if (config.unsupportedParameters === 'reject') {
+      throw new ValidationError(`${name} is not supported by ${modelName}`);
+    }
+    logger.warn(`${name} is not supported by ${modelName}, ignored`);
+    delete result[name];
+  }
+  return result;
+}
+
+/**
+ * How the requested number of candidates is produced: upstream candidateCount when the model supports it,
+ * otherwise one request per candidate (fan-out, each request then asks for a single candidate)
+ * @param {*} value - Requested number of candidates (OpenAI n / Gemini generationConfig.candidateCount)
+ * @param {string} field - Request field, for error messages
+ * @param {string} modelName - Upstream model
+ * @returns {{count: number, fanOut: boolean}}
+ * @throws {ValidationError} On an invalid count
+ */
+export function resolveCandidatePlan(value, field, modelName) {
+  const count = value === undefined || value === null ? 1 : SAMPLING_PARAMETER_READERS.n(value, field);
+  return { count, fanOut: count > 1 && !getSupportedParameters(modelName || '').includes('n') };
+}
+
+/**
+ * Resolve OpenAI response_format to structured output format
+ * - { type: 'text' } -> plain text
+ * - { type: 'json_object' } -> JSON without schema
+ * - { type: 'json_schema', json_schema: { schema } } -> JSON following schema
+ * @param {Object|undefined} responseFormat - OpenAI response_format
+ * @returns {StructuredOutput|null} null for plain text
+ * @throws {ValidationError} On unsupported response_format
+ */
+export function resolveOpenAIResponseFormat(responseFormat) {
+  if (!responseFormat) return null;
+
+  switch (responseFormat.type) {
+    case 'text':
+      return null;
+    case 'json_object':
+      return { mimeType: JSON_MIME_TYPE, schema: null };
+    case 'json_schema': {
+      const schema = responseFormat.json_schema?.schema;
+      if (!schema || typeof schema !== 'object') {
+        throw new ValidationError('response_format.json_schema.schema is required');
+      }
+      return { mimeType: JSON_MIME_TYPE, schema };
+    }
+    default:
+      throw new ValidationError(`Unsupported response_format type: ${responseFormat.type}`);
+  }
+}
+
+/**
+ * Resolve Gemini generationConfig output fields to structured output format
+ * Accepts responseMimeType together with responseSchema or responseJsonSchema
+ * @param {Object} generationConfig - Gemini format generationConfig object
+ * @returns {StructuredOutput|null} null for plain text
+ */
+export function resolveGeminiResponseFormat(generationConfig = {}) {
+  const schema = generationConfig.responseSchema ?? generationConfig.responseJsonSchema ?? null;
+  const mimeType = generationConfig.responseMimeType || (schema ? JSON_MIME_TYPE : null);
+  if (!mimeType || (mimeType === 'text/plain' && !schema)) return null;
+  return { mimeType, schema };
+}
+
 /**
  * Extract parameters from OpenAI format
  * OpenAI format parameters:
- * - max_tokens: number
+ * - max_tokens / max_completion_tokens: number (max_completion_tokens wins)
  * - temperature: number
  * - top_p: number
  * - top_k: number (non-standard, but supported)
  * - thinking_budget: number (extension)
  * - reasoning_effort: 'low' | 'medium' | 'high' (extension)
+ * - response_format: { type: 'text' | 'json_object' | 'json_schema' }
+ * - stop: string | string[], seed, presence_penalty, frequency_penalty, n, logit_bias
  * 
  * @param {Object} params - OpenAI format parameter object
  * @returns {NormalizedParameters}
+ * @throws {ValidationError} On invalid parameter values
  */
 export function normalizeOpenAIParameters(params = {}) {
   const normalized = {
-    max_tokens: params.max_tokens ?? config.defaults.max_tokens,
+    max_tokens: params.max_completion_tokens ?? params.max_tokens ?? config.defaults.max_tokens,
     temperature: params.temperature ?? config.defaults.temperature,
     top_p: params.top_p ?? config.defaults.top_p,
     top_k: params.top_k ?? config.defaults.top_k,
+    ...readSamplingParameters(params, OPENAI_SAMPLING_FIELDS)
   };
 
   // Handle thinking budget
@@ -42,6 +238,12 @@ export function normalizeOpenAIParameters(params = {}) {
     normalized.thinking_budget = REASONING_EFFORT_MAP[params.reasoning_effort];
   }
 
+  // Handle response_format (structured outputs)
+  const structuredOutput = resolveOpenAIResponseFormat(params.response_format);
+  if (structuredOutput) {
+    normalized.structured_output = structuredOutput;
+  }
+
   return normalized;
 }
 
@@ -53,18 +255,21 @@ export function normalizeOpenAIParameters(params = {}) {
  * - top_p: number
  * - top_k: number
  * - thinking: { type: 'enabled' | 'disabled', budget_tokens?: number }
+ * - stop_sequences: string[]
  * 
  * @param {Object} params - Claude format parameter object
  * @returns {NormalizedParameters}
+ * @throws {ValidationError} On invalid parameter values
  */
 export function normalizeClaudeParameters(params = {}) {
-  const { max_tokens, temperature, top_p, top_k, thinking, ...rest } = params;
+  const { max_tokens, temperature, top_p, top_k, thinking, stop_sequences, ...rest } = params;
 
   const normalized = {
     max_tokens: max_tokens ?? config.defaults.max_tokens,
     temperature: temperature ?? config.defaults.temperature,
     top_p: top_p ?? config.defaults.top_p,
     top_k: top_k ?? config.defaults.top_k,
+    ...readSamplingParameters({ stop_sequences }, CLAUDE_SAMPLING_FIELDS)
   };
 
   // Handle Claude's thinking parameter
@@ -92,9 +297,12 @@ export function normalizeClaudeParameters(params = {}) {
  * - topK: number
  * - maxOutputTokens: number
  * - thinkingConfig: { includeThoughts: boolean, thinkingBudget?: number }
+ * - responseMimeType: string, responseSchema / responseJsonSchema: Object
+ * - stopSequences: string[], seed, presencePenalty, frequencyPenalty, candidateCount
  * 
  * @param {Object} generationConfig - Gemini format generationConfig object
  * @returns {NormalizedParameters}
+ * @throws {ValidationError} On invalid parameter values
  */
 export function normalizeGeminiParameters(generationConfig = {}) {
   const normalized = {
@@ -102,6 +310,7 @@ export function normalizeGeminiParameters(generationConfig = {}) {
     temperature: generationConfig.temperature ?? config.defaults.temperature,
     top_p: generationConfig.topP ?? config.defaults.top_p,
     top_k: generationConfig.topK ?? config.defaults.top_k,
+    ...readSamplingParameters(generationConfig, GEMINI_SAMPLING_FIELDS)
   };
 
   // Handle Gemini's thinkingConfig parameter
@@ -114,6 +323,12 @@ export function normalizeGeminiParameters(generationConfig = {}) {
     }
   }
 
+  // Handle responseMimeType / responseSchema (structured outputs)
+  const structuredOutput = resolveGeminiResponseFormat(generationConfig);
+  if (structuredOutput) {
+    normalized.structured_output = structuredOutput;
+  }
+
   return normalized;
 }
 
@@ -138,12 +353,15 @@ export function normalizeParameters(params, format) {
 
 /**
  * Convert normalized parameters to Gemini generationConfig format
+ * Sampling parameters the model does not support are dropped with a warning or rejected (config.unsupportedParameters)
  * @param {NormalizedParameters} normalized - Normalized parameters
  * @param {boolean} enableThinking - Whether to enable thinking
  * @param {string} actualModelName - Actual model name
  * @returns {Object} Gemini generationConfig format
+ * @throws {ValidationError} On unsupported parameters when the policy is 'reject'
  */
 export function toGenerationConfig(normalized, enableThinking, actualModelName) {
+  const sampling = applyParameterSupport(normalized, actualModelName);
   const defaultThinkingBudget = config.defaults.thinking_budget ?? 1024;
   let thinkingBudget = 0;
   let actualEnableThinking = enableThinking;
@@ -165,13 +383,26 @@ export function toGenerationConfig(normalized, enableThinking, actualModelName)
     topK: normalized.top_k,
     temperature: normalized.temperature,
     candidateCount: 1,
-    maxOutputTokens: normalized.max_tokens || normalized.max_completion_tokens,
+    maxOutputTokens: normalized.max_tokens,
     thinkingConfig: {
       includeThoughts: actualEnableThinking,
       thinkingBudget: thinkingBudget
     }
   };
 
+  for (const [name, field] of Object.entries(SAMPLING_PARAMETERS)) {
+    if (field && sampling[name] !== undefined) generationConfig[field] = sampling[name];
+  }
+  if (generationConfig.stopSequences?.length === 0) delete generationConfig.stopSequences;
+
+  // Structured outputs: schema is converted the same way as tool parameters
+  if (normalized.structured_output) {
+    generationConfig.responseMimeType = normalized.structured_output.mimeType;
+    if (normalized.structured_output.schema) {
+      generationConfig.responseSchema = transformSchema(normalized.structured_output.schema, 'response schema');
+    }
+  }
+
   // Claude models don't support topP when thinking is enabled
   if (actualEnableThinking && actualModelName && actualModelName.includes('claude')) {
     delete generationConfig.topP;
@@ -181,9 +412,12 @@ export function toGenerationConfig(normalized, enableThinking, actualModelName)
 }
 
 export default {
+  resolveOpenAIResponseFormat,
+  resolveGeminiResponseFormat,
   normalizeOpenAIParameters,
   normalizeClaudeParameters,
   normalizeGeminiParameters,
   normalizeParameters,
+  resolveCandidatePlan,
   toGenerationConfig
 };
\ No newline at end of file
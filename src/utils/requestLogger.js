@@ -6,6 +6,7 @@ import fs from 'fs';
 import path from 'path';
 import { getDataDir } from './paths.js';
 import logger from './logger.js';
+import { recordUsage } from './usageStore.js';
 
 const DATA_DIR = getDataDir();
 const HISTORY_FILE = path.join(DATA_DIR, 'request_history.json');
@@ -53,16 +54,22 @@ export function logRequest(data) {
     id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
     timestamp: Date.now(),
     model: data.model || 'unknown',
+    fallbackModel: data.fallbackModel || null, // Model of the fallback chain that served the request in place of `model`
     tokenId: data.tokenId || null, // Short ID of the token (full ID not stored for security)
-    status: data.status || 'unknown', // 'success', 'error'
+    status: data.status || 'unknown', // 'success', 'error', 'cancelled' (client disconnected), 'empty_response' (empty after retries)
     statusCode: data.statusCode || null,
     duration: data.duration || 0, // ms
     inputTokens: data.inputTokens || 0,
     outputTokens: data.outputTokens || 0,
     errorMessage: data.errorMessage || null,
-    isStream: data.isStream || false
+    isStream: data.isStream || false,
+    attempts: data.attempts || null, // Failover attempt log: [{ tokenId, statusCode, error }]
+    caller: data.caller ? { id: data.caller.id, name: data.caller.name } : null // API key / admin user that made the request
   };
 
+  // Client requests count towards the caller's usage rollups (Playground-reported entries have no caller)
+  recordUsage(record);
+
   requestHistory.unshift(record);
 
   // Keep at most MAX_HISTORY_SIZE records
@@ -101,6 +108,8 @@ export function getStats() {
   const total = requestHistory.length;
   const success = requestHistory.filter(r => r.status === 'success').length;
   const error = requestHistory.filter(r => r.status === 'error').length;
+  const cancelled = requestHistory.filter(r => r.status === 'cancelled').length;
+  const emptyResponse = requestHistory.filter(r => r.status === 'empty_response').length;
   const totalDuration = requestHistory.reduce((sum, r) => sum + r.duration, 0);
   const avgDuration = total > 0 ? Math.round(totalDuration / total) : 0;
 
@@ -108,6 +117,8 @@ export function getStats() {
     total,
     success,
     error,
+    cancelled,
+    emptyResponse,
     avgDuration
   };
 }
@@ -0,0 +1,299 @@
+/**
+ * JSON Schema -> upstream schema transformer
+ * Upstream only accepts an OpenAPI-style subset of JSON Schema, so references are inlined
+ * and combinators are rewritten into equivalent (or closest) supported constructs
+ * @module utils/schemaTransformer
+ */
+
+import logger from './logger.js';
+
+// Keys the upstream schema understands, copied as-is after conversion
+const PASSTHROUGH_KEYS = new Set([
+  'type', 'format', 'title', 'description', 'nullable', 'enum',
+  'minimum', 'maximum', 'pattern', 'default', 'example'
+]);
+
+// Keys that carry no validation meaning, dropped without warning
+const SILENT_KEYS = new Set([
+  '$schema', '$id', '$comment', '$anchor', '$defs', 'definitions',
+  'examples', 'deprecated', 'readOnly', 'writeOnly'
+]);
+
+// Maximum number of remembered warnings (avoid logging the same tool on every request)
+const MAX_WARNED_ENTRIES = 500;
+const warnedEntries = new Set();
+
+/**
+ * Resolve a local $ref (#, #/$defs/X, #/definitions/X)
+ * @param {string} ref - Reference string
+ * @param {Object} root - Root schema
+ * @returns {Object|null} Referenced schema, null if not resolvable
+ */
+function resolveRef(ref, root) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+  let node = root;
+  for (const segment of ref.slice(1).split('/').filter(Boolean)) {
+    node = node?.[decodeURIComponent(segment.replace(/~1/g, '/').replace(/~0/g, '~'))];
+  }
+  return node && typeof node === 'object' ? node : null;
+}
+
+/**
+ * Whether a schema only describes null
+ * @param {Object} schema - Schema
+ * @returns {boolean}
+ */
+function isNullSchema(schema) {
+  if (!schema || typeof schema !== 'object') return false;
+  if (schema.type === 'null') return true;
+  return Array.isArray(schema.type) && schema.type.length === 1 && schema.type[0] === 'null';
+}
+
+/**
+ * Infer a JSON Schema type from a literal value
+ * @param {*} value - Literal value
+ * @returns {string|undefined}
+ */
+function inferType(value) {
+  if (value === null) return undefined;
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  if (typeof value === 'number') return 'number';
+  if (['string', 'boolean', 'object'].includes(typeof value)) return typeof value;
+  return undefined;
+}
+
+/**
+ * Merge converted object schemas (used by allOf and by object unions)
+ * @param {Array<Object>} schemas - Converted schemas
+ * @param {'union'|'intersection'} requiredMode - How required lists are combined
+ * @returns {Object} Merged schema
+ */
+function mergeSchemas(schemas, requiredMode) {
+  const merged = {};
+  let required = null;
+
+  for (const schema of schemas) {
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === 'properties') {
+        merged.properties = { ...(merged.properties || {}), ...value };
+      } else if (key !== 'required' && merged[key] === undefined) {
+        merged[key] = value;
+      }
+    }
+
+    const schemaRequired = Array.isArray(schema.required) ? schema.required : [];
+    if (required === null) {
+      required = [...schemaRequired];
+    } else if (requiredMode === 'union') {
+      required = [...new Set([...required, ...schemaRequired])];
+    } else {
+      required = required.filter(name => schemaRequired.includes(name));
+    }
+  }
+
+  if (required && required.length > 0) merged.required = required;
+  return merged;
+}
+
+/**
+ * Only keep required entries that are declared properties
+ * @param {Object} schema - Converted schema, changed in place
+ * @returns {Object} The schema
+ */
+function keepDeclaredRequired(schema) {
+  if (schema.required) {
+    const declared = schema.properties ? Object.keys(schema.properties) : [];
+    schema.required = schema.required.filter(name => declared.includes(name));
+    if (schema.required.length === 0) delete schema.required;
+  }
+  return schema;
+}
+
+/**
+ * Conversion context
+ * @typedef {Object} TransformContext
+ * @property {Object} root - Root schema (for $ref)
+ * @property {Array<string>} refStack - References being expanded (recursion guard)
+ * @property {Array<string>} dropped - Lossy drops, as "path: reason"
+ */
+
+/**
+ * Convert a list of anyOf / oneOf variants
+ * - [X, null] -> nullable X
+ * - literal-only variants -> single enum
+ * - object variants -> merged properties, required = intersection
+ * - anything else -> first variant (lossy)
+ * @param {Array} variants - Raw variants
+ * @param {TransformContext} ctx - Context
+ * @param {string} path - Current path
+ * @param {string} keyword - anyOf / oneOf
+ * @returns {Object} Converted schema
+ */
+function convertVariants(variants, ctx, path, keyword) {
+  const nullable = variants.some(isNullSchema);
+  const converted = variants
+    .filter(variant => !isNullSchema(variant))
+    .map((variant, index) => convertNode(variant, ctx, `${path}.${keyword}[${index}]`));
+
+  let result;
+  if (converted.length === 0) {
+    result = {};
+  } else if (converted.length === 1) {
+    result = converted[0];
+  } else if (converted.every(schema => Array.isArray(schema.enum) && (!schema.type || schema.type === converted[0].type))) {
+    result = { ...converted[0], enum: [...new Set(converted.flatMap(schema => schema.enum))] };
+  } else if (converted.every(schema => schema.type === 'object')) {
+    result = mergeSchemas(converted, 'intersection');
+  } else {
+    ctx.dropped.push(`${path}: ${keyword} alternatives reduced to the first variant`);
+    result = converted[0];
+  }
+
+  if (nullable) result = { ...result, nullable: true };
+  return result;
+}
+
+/**
+ * Convert a single schema node
+ * @param {Object} node - JSON Schema node
+ * @param {TransformContext} ctx - Context
+ * @param {string} path - Current path (for warnings)
+ * @returns {Object} Upstream schema node
+ */
+function convertNode(node, ctx, path) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return {};
+
+  // Inline $ref, sibling keys (e.g. description) override the referenced schema
+  if (node.$ref !== undefined) {
+    const { $ref, ...siblings } = node;
+    const resolved = resolveRef($ref, ctx.root);
+    if (!resolved) {
+      ctx.dropped.push(`${path}: unresolvable $ref ${$ref}`);
+      return convertNode(siblings, ctx, path);
+    }
+    if (ctx.refStack.includes($ref)) {
+      ctx.dropped.push(`${path}: recursive $ref ${$ref} replaced with a plain object`);
+      return { type: 'object', ...(siblings.description ? { description: siblings.description } : {}) };
+    }
+    ctx.refStack.push($ref);
+    const converted = convertNode({ ...resolved, ...siblings }, ctx, path);
+    ctx.refStack.pop();
+    return converted;
+  }
+
+  // allOf: merge every sub-schema into this node
+  const allOf = node.allOf || node.all_of;
+  if (Array.isArray(allOf) && allOf.length > 0) {
+    const rest = { ...node };
+    delete rest.allOf;
+    delete rest.all_of;
+    const parts = allOf.map((schema, index) => convertNode(schema, ctx, `${path}.allOf[${index}]`));
+    const merged = mergeSchemas([convertNode(rest, ctx, path), ...parts], 'union');
+    // Required names may refer to properties of another member: check them against the merged properties
+    const required = [node, ...allOf].flatMap(schema => (Array.isArray(schema?.required) ? schema.required : []));
+    if (required.length > 0) merged.required = [...new Set([...(merged.required || []), ...required])];
+    return keepDeclaredRequired(merged);
+  }
+
+  // anyOf / oneOf
+  const variantKeyword = ['anyOf', 'oneOf', 'any_of', 'one_of'].find(key => Array.isArray(node[key]));
+  if (variantKeyword) {
+    const { [variantKeyword]: variants, ...rest } = node;
+    const base = convertNode(rest, ctx, path);
+    const converted = convertVariants(variants, ctx, path, variantKeyword);
+    // Keep the outer description/title, take structure from the variants
+    const result = { ...converted, ...base, ...(converted.type ? { type: converted.type } : {}) };
+    if (converted.properties) result.properties = { ...converted.properties, ...(base.properties || {}) };
+    return result;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'properties') {
+      if (value && typeof value === 'object') {
+        result.properties = {};
+        for (const [propName, propSchema] of Object.entries(value)) {
+          result.properties[propName] = convertNode(propSchema, ctx, `${path}.${propName}`);
+        }
+      }
+    } else if (key === 'items') {
+      if (Array.isArray(value)) {
+        ctx.dropped.push(`${path}: tuple items reduced to the first item schema`);
+        result.items = convertNode(value[0], ctx, `${path}[]`);
+      } else {
+        result.items = convertNode(value, ctx, `${path}[]`);
+      }
+    } else if (key === 'required') {
+      if (Array.isArray(value)) result.required = [...value];
+    } else if (key === 'const') {
+      result.enum = [value];
+      if (node.type === undefined && inferType(value)) result.type = inferType(value);
+    } else if (key === 'additionalProperties') {
+      if (value && typeof value === 'object') {
+        ctx.dropped.push(`${path}: additionalProperties schema`);
+      }
+    } else if (PASSTHROUGH_KEYS.has(key)) {
+      result[key] = value;
+    } else if (!SILENT_KEYS.has(key)) {
+      ctx.dropped.push(`${path}: ${key}`);
+    }
+  }
+
+  // type: ["string", "null"] -> nullable string
+  if (Array.isArray(result.type)) {
+    const types = result.type.filter(type => type !== 'null');
+    if (types.length < result.type.length) result.nullable = true;
+    if (types.length > 1) ctx.dropped.push(`${path}: type union ${types.join('|')} reduced to ${types[0]}`);
+    if (types.length > 0) {
+      result.type = types[0];
+    } else {
+      delete result.type;
+    }
+  } else if (result.type === 'null') {
+    delete result.type;
+    result.nullable = true;
+  }
+
+  return keepDeclaredRequired(result);
+}
+
+/**
+ * Log lossy drops once per (label, drops) combination
+ * @param {string} label - Schema owner (e.g. tool name)
+ * @param {Array<string>} dropped - Lossy drops
+ */
+function warnDropped(label, dropped) {
+  const entry = `${label}\n${dropped.join('\n')}`;
+  if (warnedEntries.has(entry)) return;
+  if (warnedEntries.size >= MAX_WARNED_ENTRIES) warnedEntries.clear();
+  warnedEntries.add(entry);
+  logger.warn(`Schema for ${label} uses features not supported upstream, dropped: ${dropped.join('; ')}`);
+}
+
+/**
+ * Transform a JSON Schema into the upstream schema subset
+ * - Inlines $ref / $defs / definitions
+ * - anyOf [X, null] / type [X, "null"] -> nullable X
+ * - const -> single-value enum
+ * - allOf -> merged schema
+ * - Keeps descriptions
+ * @param {Object} schema - JSON Schema
+ * @param {string} [label] - Schema owner used in warnings (e.g. 'tool "get_weather"')
+ * @returns {Object} Upstream schema
+ */
+export function transformSchema(schema, label = 'schema') {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const ctx = { root: schema, refStack: [], dropped: [] };
+  const result = convertNode(schema, ctx, '$');
+
+  if (ctx.dropped.length > 0) {
+    warnDropped(label, ctx.dropped);
+  }
+  return result;
+}
+
+export default {
+  transformSchema
+};
@@ -0,0 +1,183 @@
+/**
+ * Structured output validation
+ * Checks final model content against the requested JSON Schema (optional, see config.structuredOutput)
+ * @module utils/structuredOutput
+ */
+
+import config from '../config/config.js';
+
+const JSON_MIME_TYPE = 'application/json';
+
+/**
+ * Resolve a local $ref (#/$defs/X, #/definitions/X)
+ * @param {string} ref - Reference string
+ * @param {Object} root - Root schema
+ * @returns {Object|null} Referenced schema
+ */
+function resolveRef(ref, root) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+  let node = root;
+  for (const segment of ref.slice(1).split('/').filter(Boolean)) {
+    node = node?.[decodeURIComponent(segment.replace(/~1/g, '/').replace(/~0/g, '~'))];
+  }
+  return node && typeof node === 'object' ? node : null;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (String(type).toLowerCase()) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema subset
+ * Supports type, nullable, enum, const, properties, required, additionalProperties, items,
+ * anyOf/oneOf/allOf, $ref and the common numeric/string/array bounds
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Current path (for error messages)
+ * @param {Object} [root] - Root schema (for $ref)
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+export function validateJsonSchema(value, schema, path = '$', root = schema) {
+  if (!schema || typeof schema !== 'object') return [];
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, root);
+    return resolved ? validateJsonSchema(value, resolved, path, root) : [];
+  }
+
+  const errors = [];
+
+  if (value === null && schema.nullable === true) return errors;
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}`];
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  for (const subSchema of schema.allOf || []) {
+    errors.push(...validateJsonSchema(value, subSchema, path, root));
+  }
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0 &&
+    !alternatives.some(subSchema => validateJsonSchema(value, subSchema, path, root).length === 0)) {
+    errors.push(`${path} does not match any allowed schema`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength}`);
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern).test(value)) errors.push(`${path} does not match pattern ${schema.pattern}`);
+      } catch {
+        // Patterns that JavaScript cannot compile are not enforced
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} is less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} is greater than ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} has fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} has more than ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`, root)));
+    }
+  }
+
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(propertyValue, properties[key], `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, `${path}.${key}`, root));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse model content as JSON, tolerating a surrounding markdown code fence
+ * @param {string} content - Model output
+ * @returns {{ok: boolean, value?: *}}
+ */
+function parseJsonContent(content) {
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch {
+    return { ok: false };
+  }
+}
+
+/**
+ * Create a validator for non-streaming results
+ * Returns null when validation is disabled or the request does not ask for JSON output
+ * Results with several candidates are valid only when every candidate is
+ * @param {import('./parameterNormalizer.js').StructuredOutput|null} structuredOutput - Requested output format
+ * @returns {Function|null} (result) => error message, or null when the result is valid
+ */
+export function createStructuredOutputValidator(structuredOutput) {
+  if (!config.structuredOutput?.validate || structuredOutput?.mimeType !== JSON_MIME_TYPE) {
+    return null;
+  }
+
+  const validateCandidate = ({ content, toolCalls }) => {
+    // The model chose to call a tool instead of answering, nothing to validate
+    if (toolCalls && toolCalls.length > 0) return null;
+
+    const parsed = parseJsonContent(content);
+    if (!parsed.ok) return 'content is not valid JSON';
+    if (!structuredOutput.schema) return null;
+
+    const errors = validateJsonSchema(parsed.value, structuredOutput.schema);
+    return errors.length > 0 ? errors.slice(0, 5).join('; ') : null;
+  };
+
+  return (result) => {
+    const candidates = result.candidates || [result];
+    for (let index = 0; index < candidates.length; index++) {
+      const error = validateCandidate(candidates[index]);
+      if (error) return candidates.length > 1 ? `candidate ${index}: ${error}` : error;
+    }
+    return null;
+  };
+}
+
+export default {
+  validateJsonSchema,
+  createStructuredOutputValidator
+};
@@ -0,0 +1,84 @@
+/**
+ * Local token estimator
+ * Rough token count for Antigravity request bodies, used when the upstream count call is unavailable
+ * @module utils/tokenEstimator
+ */
+
+// Approximate characters per token for Latin text
+const CHARS_PER_TOKEN = 4;
+// Fixed cost for inline media (upstream charges images at 258 tokens)
+const INLINE_DATA_TOKENS = 258;
+// Per-message overhead (role markers, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// CJK, kana and hangul characters are usually one token each
+const WIDE_CHAR_REGEX = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+/**
+ * Estimate tokens for a text string
+ * @param {string} text - Text content
+ * @returns {number} Estimated token count
+ */
+export function estimateTextTokens(text) {
+  if (!text || typeof text !== 'string') return 0;
+  const wideCount = (text.match(WIDE_CHAR_REGEX) || []).length;
+  const narrowLength = text.length - wideCount;
+  return wideCount + Math.ceil(narrowLength / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate tokens for a single content part
+ * @param {Object} part - Antigravity content part
+ * @returns {number} Estimated token count
+ */
+function estimatePartTokens(part) {
+  if (!part || typeof part !== 'object') return 0;
+  if (typeof part.text === 'string') return estimateTextTokens(part.text);
+  if (part.inlineData || part.fileData) return INLINE_DATA_TOKENS;
+  if (part.functionCall) return estimateTextTokens(`${part.functionCall.name}${JSON.stringify(part.functionCall.args || {})}`);
+  if (part.functionResponse) return estimateTextTokens(`${part.functionResponse.name}${JSON.stringify(part.functionResponse.response || {})}`);
+  return 0;
+}
+
+/**
+ * Estimate tokens for a list of contents
+ * @param {Array} contents - Antigravity contents
+ * @returns {number} Estimated token count
+ */
+function estimateContentsTokens(contents) {
+  if (!Array.isArray(contents)) return 0;
+  let total = 0;
+  for (const content of contents) {
+    total += MESSAGE_OVERHEAD_TOKENS;
+    for (const part of content?.parts || []) {
+      total += estimatePartTokens(part);
+    }
+  }
+  return total;
+}
+
+/**
+ * Estimate prompt tokens for an Antigravity request body
+ * Counts contents, system instruction and tool declarations
+ * @param {Object} requestBody - Antigravity request body
+ * @returns {number} Estimated token count
+ */
+export function estimateRequestTokens(requestBody) {
+  const request = requestBody?.request || {};
+  let total = estimateContentsTokens(request.contents);
+
+  for (const part of request.systemInstruction?.parts || []) {
+    total += estimatePartTokens(part);
+  }
+
+  if (Array.isArray(request.tools) && request.tools.length > 0) {
+    total += estimateTextTokens(JSON.stringify(request.tools));
+  }
+
+  return total;
+}
+
+export default {
+  estimateTextTokens,
+  estimateRequestTokens
+};
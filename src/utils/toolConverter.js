@@ -1,6 +1,12 @@
 // Tool conversion common module
-import { sanitizeToolName, cleanParameters } from './utils.js';
+import { sanitizeToolName } from './utils.js';
 import { setToolNameMapping } from './toolNameCache.js';
+import { transformSchema } from './schemaTransformer.js';
+import { ValidationError } from './errors.js';
+
+// Upstream functionCallingConfig modes
+const FUNCTION_CALLING_MODES = new Set(['AUTO', 'ANY', 'NONE', 'VALIDATED']);
+const DEFAULT_FUNCTION_CALLING_MODE = 'VALIDATED';
 
 /**
  * Convert a single tool definition to Antigravity format functionDeclaration
@@ -20,7 +26,7 @@ function convertSingleTool(name, description, parameters, sessionId, actualModel
   }
 
   const rawParams = parameters || {};
-  const cleanedParams = cleanParameters(rawParams) || {};
+  const cleanedParams = transformSchema(rawParams, `tool "${originalName}"`) || {};
   if (cleanedParams.type === undefined) cleanedParams.type = 'object';
   if (cleanedParams.type === 'object' && cleanedParams.properties === undefined) cleanedParams.properties = {};
 
@@ -125,4 +131,189 @@ export function convertGeminiToolsToAntigravity(geminiTools, sessionId, actualMo
     // Unknown format, return as is
     return tool;
   });
-}
\ No newline at end of file
+}
+
+// ==================== Tool Choice ====================
+
+/**
+ * Create upstream toolConfig
+ * @param {string} mode - Function calling mode
+ * @param {Array<string>} [allowedFunctionNames] - Allowed function names (safe names)
+ * @returns {Object} toolConfig object
+ */
+function createToolConfig(mode, allowedFunctionNames) {
+  const functionCallingConfig = { mode };
+  if (allowedFunctionNames && allowedFunctionNames.length > 0) {
+    functionCallingConfig.allowedFunctionNames = allowedFunctionNames;
+  }
+  return { functionCallingConfig };
+}
+
+/**
+ * Default toolConfig (model decides, arguments validated upstream)
+ * @returns {Object} toolConfig object
+ */
+export function getDefaultToolConfig() {
+  return createToolConfig(DEFAULT_FUNCTION_CALLING_MODE);
+}
+
+/**
+ * Collect declared (safe) function names from Antigravity tools
+ * @param {Array} antigravityTools - Antigravity format tool list
+ * @returns {Set<string>} Declared names
+ */
+function collectDeclaredNames(antigravityTools) {
+  const names = new Set();
+  for (const tool of antigravityTools || []) {
+    for (const declaration of tool.functionDeclarations || []) {
+      if (declaration?.name) names.add(declaration.name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Resolve requested tool names to declared safe names
+ * @param {Array<string>} names - Requested (original) tool names
+ * @param {Set<string>} declaredNames - Declared safe names
+ * @param {string} field - Request field name for error messages
+ * @returns {Array<string>} Safe names
+ */
+function resolveAllowedNames(names, declaredNames, field) {
+  if (names.length === 0) {
+    throw new ValidationError(`${field} must name at least one tool`);
+  }
+  return names.map(name => {
+    if (!name || typeof name !== 'string') {
+      throw new ValidationError(`${field} contains a tool without a name`);
+    }
+    const safeName = sanitizeToolName(name);
+    if (!declaredNames.has(safeName)) {
+      throw new ValidationError(`${field} references tool "${name}" which is not defined in tools`);
+    }
+    return safeName;
+  });
+}
+
+/**
+ * Ensure at least one tool is declared when a tool call is required
+ * @param {Set<string>} declaredNames - Declared safe names
+ * @param {string} field - Request field name for error messages
+ */
+function requireDeclaredTools(declaredNames, field) {
+  if (declaredNames.size === 0) {
+    throw new ValidationError(`${field} requires a tool call but no tools were provided`);
+  }
+}
+
+/**
+ * Convert OpenAI tool_choice to upstream toolConfig
+ * Supports "none" / "auto" / "required" / { type: 'function', function: { name } } / { type: 'allowed_tools' }
+ * @param {string|Object|undefined} toolChoice - OpenAI tool_choice
+ * @param {Array} antigravityTools - Converted Antigravity tool list
+ * @returns {Object} toolConfig object
+ * @throws {ValidationError} On unsupported tool_choice
+ */
+export function convertOpenAIToolChoice(toolChoice, antigravityTools) {
+  if (toolChoice === undefined || toolChoice === null || toolChoice === 'auto') {
+    return getDefaultToolConfig();
+  }
+  if (toolChoice === 'none') {
+    return createToolConfig('NONE');
+  }
+
+  const declaredNames = collectDeclaredNames(antigravityTools);
+
+  if (toolChoice === 'required') {
+    requireDeclaredTools(declaredNames, 'tool_choice "required"');
+    return createToolConfig('ANY');
+  }
+
+  if (toolChoice && typeof toolChoice === 'object') {
+    if (toolChoice.type === 'function') {
+      const name = toolChoice.function?.name ?? toolChoice.name;
+      return createToolConfig('ANY', resolveAllowedNames([name], declaredNames, 'tool_choice'));
+    }
+    if (toolChoice.type === 'allowed_tools') {
+      const { mode = 'auto', tools = [] } = toolChoice.allowed_tools || toolChoice;
+      const names = tools.map(tool => tool?.function?.name ?? tool?.name);
+      const allowed = resolveAllowedNames(names, declaredNames, 'tool_choice.allowed_tools');
+      if (mode === 'required') return createToolConfig('ANY', allowed);
+      if (mode === 'auto') return createToolConfig(DEFAULT_FUNCTION_CALLING_MODE, allowed);
+      throw new ValidationError(`Unsupported tool_choice.allowed_tools mode: ${mode}`);
+    }
+  }
+
+  throw new ValidationError(`Unsupported tool_choice: ${JSON.stringify(toolChoice)}`);
+}
+
+/**
+ * Convert Claude tool_choice to upstream toolConfig
+ * Supports { type: 'auto' | 'any' | 'none' } and { type: 'tool', name }
+ * @param {Object|undefined} toolChoice - Claude tool_choice
+ * @param {Array} antigravityTools - Converted Antigravity tool list
+ * @returns {Object} toolConfig object
+ * @throws {ValidationError} On unsupported tool_choice
+ */
+export function convertClaudeToolChoice(toolChoice, antigravityTools) {
+  if (toolChoice === undefined || toolChoice === null) {
+    return getDefaultToolConfig();
+  }
+
+  const declaredNames = collectDeclaredNames(antigravityTools);
+
+  switch (toolChoice?.type) {
+    case 'auto':
+      return getDefaultToolConfig();
+    case 'none':
+      return createToolConfig('NONE');
+    case 'any':
+      requireDeclaredTools(declaredNames, 'tool_choice "any"');
+      return createToolConfig('ANY');
+    case 'tool':
+      return createToolConfig('ANY', resolveAllowedNames([toolChoice.name], declaredNames, 'tool_choice'));
+    default:
+      throw new ValidationError(`Unsupported tool_choice: ${JSON.stringify(toolChoice)}`);
+  }
+}
+
+/**
+ * Validate and normalize Gemini toolConfig
+ * Mode is upper-cased, allowedFunctionNames are mapped to safe names
+ * @param {Object|undefined} toolConfig - Gemini toolConfig
+ * @param {Array} antigravityTools - Converted Antigravity tool list
+ * @returns {Object|null} toolConfig object, null when neither tools nor toolConfig are present
+ * @throws {ValidationError} On unsupported toolConfig
+ */
+export function normalizeGeminiToolConfig(toolConfig, antigravityTools) {
+  const hasTools = Array.isArray(antigravityTools) && antigravityTools.length > 0;
+  if (!toolConfig) {
+    return hasTools ? getDefaultToolConfig() : null;
+  }
+
+  const functionCallingConfig = toolConfig.functionCallingConfig;
+  if (!functionCallingConfig) {
+    return hasTools ? { ...toolConfig, ...getDefaultToolConfig() } : toolConfig;
+  }
+
+  let mode = String(functionCallingConfig.mode || 'AUTO').toUpperCase();
+  if (mode === 'MODE_UNSPECIFIED') mode = 'AUTO';
+  if (!FUNCTION_CALLING_MODES.has(mode)) {
+    throw new ValidationError(`Unsupported toolConfig.functionCallingConfig.mode: ${functionCallingConfig.mode}`);
+  }
+
+  const declaredNames = collectDeclaredNames(antigravityTools);
+  const names = functionCallingConfig.allowedFunctionNames;
+  let allowed;
+  if (Array.isArray(names) && names.length > 0) {
+    if (mode !== 'ANY' && mode !== 'VALIDATED') {
+      throw new ValidationError(`allowedFunctionNames requires mode ANY or VALIDATED, got ${mode}`);
+    }
+    allowed = resolveAllowedNames(names, declaredNames, 'toolConfig.functionCallingConfig.allowedFunctionNames');
+  }
+  if (mode === 'ANY') {
+    requireDeclaredTools(declaredNames, 'toolConfig mode ANY');
+  }
+
+  return { ...toolConfig, ...createToolConfig(mode, allowed) };
+}
@@ -0,0 +1,203 @@
+/**
+ * Usage Store - Persistent daily / monthly usage rollups per caller (API key or admin user) and model
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getDataDir } from './paths.js';
+import logger from './logger.js';
+import { FILE_SAVE_DELAY, USAGE_DAILY_RETENTION_DAYS } from '../constants/index.js';
+
+const DATA_DIR = getDataDir();
+const USAGE_FILE = path.join(DATA_DIR, 'usage.json');
+
+// Ensure data directory exists
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+/**
+ * Usage counters
+ * @typedef {Object} UsageCounters
+ * @property {number} requests - Finished requests
+ * @property {number} errors - Failed requests
+ * @property {number} inputTokens - Prompt tokens
+ * @property {number} outputTokens - Completion tokens
+ */
+
+// { daily: { 'YYYY-MM-DD': { callerId: { name, models: { model: UsageCounters } } } }, monthly: { 'YYYY-MM': ... } }
+let usage = { daily: {}, monthly: {} };
+let saveTimer = null;
+
+function loadUsage() {
+  try {
+    if (fs.existsSync(USAGE_FILE)) {
+      const parsed = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf-8'));
+      usage = { daily: parsed.daily || {}, monthly: parsed.monthly || {} };
+    }
+  } catch (e) {
+    logger.error('Failed to load usage data:', e.message);
+    usage = { daily: {}, monthly: {} };
+  }
+}
+
+// Drop daily rollups past the retention window (monthly rollups are kept)
+function pruneDaily() {
+  const cutoff = getDayKey(Date.now() - USAGE_DAILY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  for (const day of Object.keys(usage.daily)) {
+    if (day < cutoff) delete usage.daily[day];
+  }
+}
+
+function saveUsage() {
+  try {
+    pruneDaily();
+    fs.writeFileSync(USAGE_FILE, JSON.stringify(usage, null, 2), 'utf-8');
+  } catch (e) {
+    logger.error('Failed to save usage data:', e.message);
+  }
+}
+
+// Debounced save, usage is recorded on every request
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveUsage();
+  }, FILE_SAVE_DELAY);
+  saveTimer.unref?.();
+}
+
+// Load on module initialization
+loadUsage();
+
+/**
+ * Local date key
+ * @param {number} timestamp - Timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDayKey(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Local month key
+ * @param {number} timestamp - Timestamp
+ * @returns {string} YYYY-MM
+ */
+export function getMonthKey(timestamp = Date.now()) {
+  return getDayKey(timestamp).slice(0, 7);
+}
+
+function addTo(bucket, callerId, callerName, model, counters) {
+  if (!bucket[callerId]) bucket[callerId] = { name: callerName, models: {} };
+  const caller = bucket[callerId];
+  caller.name = callerName || caller.name;
+  if (!caller.models[model]) caller.models[model] = { requests: 0, errors: 0, inputTokens: 0, outputTokens: 0 };
+  const target = caller.models[model];
+  target.requests += counters.requests;
+  target.errors += counters.errors;
+  target.inputTokens += counters.inputTokens;
+  target.outputTokens += counters.outputTokens;
+}
+
+/**
+ * Add a finished request to the daily and monthly rollups
+ * @param {Object} data - Request information
+ * @param {{id: string, name: string}} data.caller - Caller the request is attributed to
+ * @param {string} data.model - Model
+ * @param {string} data.status - 'success' / 'error' / 'cancelled' / 'empty_response'
+ * @param {number} [data.inputTokens] - Prompt tokens
+ * @param {number} [data.outputTokens] - Completion tokens
+ * @param {number} [data.timestamp] - Request time
+ */
+export function recordUsage({ caller, model, status, inputTokens = 0, outputTokens = 0, timestamp = Date.now() }) {
+  if (!caller?.id) return;
+  const counters = { requests: 1, errors: status === 'error' || status === 'empty_response' ? 1 : 0, inputTokens, outputTokens };
+  const day = getDayKey(timestamp);
+  const month = getMonthKey(timestamp);
+  if (!usage.daily[day]) usage.daily[day] = {};
+  if (!usage.monthly[month]) usage.monthly[month] = {};
+  addTo(usage.daily[day], caller.id, caller.name, model || 'unknown', counters);
+  addTo(usage.monthly[month], caller.id, caller.name, model || 'unknown', counters);
+  scheduleSave();
+}
+
+function sumModels(models) {
+  const totals = { requests: 0, errors: 0, inputTokens: 0, outputTokens: 0 };
+  for (const counters of Object.values(models || {})) {
+    totals.requests += counters.requests;
+    totals.errors += counters.errors;
+    totals.inputTokens += counters.inputTokens;
+    totals.outputTokens += counters.outputTokens;
+  }
+  totals.totalTokens = totals.inputTokens + totals.outputTokens;
+  return totals;
+}
+
+/**
+ * Totals of one caller in the current (or given) day / month
+ * @param {string} callerId - Caller ID
+ * @param {'day'|'month'} period - Rollup period
+ * @param {number} [timestamp] - Time inside the period
+ * @returns {UsageCounters & {totalTokens: number}}
+ */
+export function getCallerTotals(callerId, period = 'day', timestamp = Date.now()) {
+  const bucket = period === 'month' ? usage.monthly[getMonthKey(timestamp)] : usage.daily[getDayKey(timestamp)];
+  return sumModels(bucket?.[callerId]?.models);
+}
+
+/**
+ * Per-caller usage report of a day or month
+ * @param {'day'|'month'} period - Rollup period
+ * @param {string|null} key - YYYY-MM-DD / YYYY-MM, defaults to the current period
+ * @returns {{period: string, key: string, callers: Array}} Callers sorted by token usage
+ */
+export function getUsageReport(period = 'day', key = null) {
+  const periodKey = key || (period === 'month' ? getMonthKey() : getDayKey());
+  const bucket = (period === 'month' ? usage.monthly : usage.daily)[periodKey] || {};
+
+  const callers = Object.entries(bucket).map(([id, caller]) => ({
+    id,
+    name: caller.name,
+    ...sumModels(caller.models),
+    models: Object.entries(caller.models)
+      .map(([model, counters]) => ({ model, ...counters, totalTokens: counters.inputTokens + counters.outputTokens }))
+      .sort((a, b) => b.totalTokens - a.totalTokens || b.requests - a.requests)
+  })).sort((a, b) => b.totalTokens - a.totalTokens || b.requests - a.requests);
+
+  return { period, key: periodKey, callers };
+}
+
+/**
+ * Periods that have usage data, newest first
+ * @returns {{days: Array<string>, months: Array<string>}}
+ */
+export function getUsagePeriods() {
+  return {
+    days: Object.keys(usage.daily).sort((a, b) => b.localeCompare(a)),
+    months: Object.keys(usage.monthly).sort((a, b) => b.localeCompare(a))
+  };
+}
+
+/**
+ * Write pending usage to disk (used on shutdown)
+ */
+export function flushUsage() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  saveUsage();
+}
+
+export default {
+  recordUsage,
+  getCallerTotals,
+  getUsageReport,
+  getUsagePeriods,
+  flushUsage,
+  getDayKey,
+  getMonthKey
+};
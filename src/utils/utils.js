@@ -3,7 +3,8 @@ import config from '../config/config.js';
 import os from 'os';
 import logger from './logger.js';
 import { REASONING_EFFORT_MAP, DEFAULT_STOP_SEQUENCES } from '../constants/index.js';
-import { toGenerationConfig } from './parameterNormalizer.js';
+import { toGenerationConfig, normalizeOpenAIParameters } from './parameterNormalizer.js';
+import { resolveModel, isThinkingModel, getVirtualModel } from './modelRouting.js';
 
 // ==================== Signature Constants ====================
 const CLAUDE_THOUGHT_SIGNATURE = 'RXNZRENrZ0lDaEFDR0FJcVFMZzVPTmZsd1ZHNmZKK3labDJ0TkNlRzc5QUpzUHV2OW9UZG1yc0JUUGNsUjFBQWhKNWlYcXhlU0dTaEtxeWJ1NUdaM2YvMXByaHJCSnk3OEhsWkxOd1NEREI5Mi8zQXFlYkUvY3RISEJvTXlGVHNzdzRJZXkxUTFkUURJakE3R3AwSXJQeW0xdWxLMVBXcFhuRElPdmJFRFd4LzV2cUZaQTg2NWU1SkM3QnY2dkxwZE43M2dLYkljaThobGR3cXF3S1VMbHE5b3NMdjc3QnNhZm5mbDhlbUd5NmJ6WVRpUnRWcXA0MDJabmZ2Tnl3T2hJd1BBV0l1SUNTdjFTemswZlNmemR0Z2R5eGgxaUJOZHhHNXVhZWhKdWhlUUwza3RDZWVxa2dMNFE0ZjRKWkFnR3pKOHNvaStjZ1pqRXJHT1lyNjJkdkxnUUVoT1E5MjN6bEUwRFd4aXdPU1JOK3VSRWdHZ0FKVkhZcjBKVzhrVTZvaEVaYk1IVkE4aG14ZElGMm9YK1ZxRnFUSGFDZWZEYWNQNTJVOW94VmJ0cFhrNnJUanQ2ZHpadEFMWThXQWs5RFI3bTJTbGova2VraXFzVVBRbFdIaFNUN3diZGpuVkYvdUVoODRWbXQ5WjdtaThtR2JEcTdaTHVOalF0T3hHMVpXbXJmeUpCMExwa0R1SnZDV01qZ3BqTHdsU0R4SUpmeEFoT2JzQlVpRzdLTDYwcUluanZaK1VTcXdjZGhmN0U3ZjgrN0l2ZXczRC9DZUYvdlptQ0JqU2JTcUdYYmFIQmdC';
@@ -37,81 +38,34 @@ export function sanitizeToolName(name) {
   return cleaned;
 }
 
-// ==================== Parameter Cleaning ====================
-const EXCLUDED_KEYS = new Set([
-  '$schema', 'additionalProperties', 'minLength', 'maxLength',
-  'minItems', 'maxItems', 'uniqueItems', 'exclusiveMaximum',
-  'exclusiveMinimum', 'const', 'anyOf', 'oneOf', 'allOf',
-  'any_of', 'one_of', 'all_of', 'multipleOf'
-]);
-
-export function cleanParameters(obj) {
-  if (!obj || typeof obj !== 'object') return obj;
-  const cleaned = Array.isArray(obj) ? [] : {};
-  for (const [key, value] of Object.entries(obj)) {
-    if (EXCLUDED_KEYS.has(key)) continue;
-    cleaned[key] = (value && typeof value === 'object') ? cleanParameters(value) : value;
-  }
-  return cleaned;
-}
-
 // ==================== Model Mapping ====================
-// Based on actual Gemini-supported models:
-// Claude: claude-opus-4-5-thinking, claude-sonnet-4-5, claude-sonnet-4-5-thinking, claude-opus-4-5
-// Gemini: gemini-3-pro-high, gemini-3-flash, gemini-3-pro-low, gemini-2.5-pro, gemini-2.5-flash
-
-const CLAUDE_MODEL_MAP = {
-  // Claude 4.5 opus -> thinking variant
-  'claude-opus-4-5': 'claude-opus-4-5-thinking',
-  'claude-opus-4-5-20251101': 'claude-opus-4-5-thinking',
-  
-  // Claude 4.5 haiku -> claude-sonnet-4-5 (haiku not available)
-  'claude-haiku-4-5': 'claude-sonnet-4-5',
-  'claude-haiku-4-5-20251001': 'claude-sonnet-4-5',
-  'claude-haiku-4-5-20251015': 'claude-sonnet-4-5',
-  
-  // Claude 4.5 sonnet -> keep as is (supported)
-  'claude-sonnet-4-5-20250929': 'claude-sonnet-4-5',
-  
-  // Thinking variants -> base model
-  'claude-sonnet-4-5-thinking': 'claude-sonnet-4-5-thinking',
-};
+// Aliases, thinking models and virtual models are configured in config.json `models` (see modelRouting.js)
+
+// Resolve the upstream model name without logging (used for per-model quota lookups)
+export function resolveModelName(modelName) {
+  return resolveModel(modelName).model;
+}
 
 export function modelMapping(modelName) {
-  // Check if model needs mapping
-  if (modelName && CLAUDE_MODEL_MAP[modelName]) {
-    const mapped = CLAUDE_MODEL_MAP[modelName];
-    logger.info(`Model mapping: ${modelName} -> ${mapped}`);
-    return mapped;
-  }
-  
-  // Log unmapped models for debugging
-  if (modelName && modelName.includes('claude')) {
+  const { model, virtual } = resolveModel(modelName);
+  if (model !== modelName) {
+    logger.info(`Model mapping: ${modelName} -> ${model}${virtual ? ' (virtual)' : ''}`);
+  } else if (modelName && modelName.includes('claude')) {
+    // Log unmapped models for debugging
     logger.info(`Model passthrough (no mapping): ${modelName}`);
   }
-  
-  return modelName;
+  return model;
 }
 
 export function isEnableThinking(modelName) {
-  return modelName.includes('-thinking') ||
-    modelName === 'gemini-2.5-pro' ||
-    modelName.startsWith('gemini-3-pro-') ||
-    modelName === 'claude-opus-4-5-thinking' ||
-    modelName === 'rev19-uic3-1p' ||
-    modelName === 'gpt-oss-120b-medium';
+  return isThinkingModel(modelName);
 }
 
 // ==================== Generation Config ====================
+// OpenAI format parameters (or parameters already normalized from the Claude format)
 export function generateGenerationConfig(parameters, enableThinking, actualModelName) {
   // Use config.defaults as fallback
-  const normalizedParams = {
-    temperature: parameters.temperature ?? config.defaults.temperature,
-    top_p: parameters.top_p ?? config.defaults.top_p,
-    top_k: parameters.top_k ?? config.defaults.top_k,
-    max_tokens: parameters.max_tokens ?? config.defaults.max_tokens,
-    thinking_budget: parameters.thinking_budget,
-  };
+  const normalizedParams = normalizeOpenAIParameters(parameters);
 
   // Handle reasoning_effort to thinking_budget conversion
   if (normalizedParams.thinking_budget === undefined && parameters.reasoning_effort !== undefined) {
@@ -119,18 +73,24 @@ export function generateGenerationConfig(parameters, enableThinking, actualModel
     normalizedParams.thinking_budget = REASONING_EFFORT_MAP[parameters.reasoning_effort] ?? defaultThinkingBudget;
   }
 
-  // Use unified parameter conversion function
-  const generationConfig = toGenerationConfig(normalizedParams, enableThinking, actualModelName);
-
-  // Add stopSequences
-  generationConfig.stopSequences = DEFAULT_STOP_SEQUENCES;
+  // Default stopSequences only when the request sets none (an empty list disables them)
+  if (normalizedParams.stop === undefined) {
+    normalizedParams.stop = DEFAULT_STOP_SEQUENCES;
+  }
 
-  return generationConfig;
+  // Use unified parameter conversion function
+  return toGenerationConfig(normalizedParams, enableThinking, actualModelName);
 }
 
 // ==================== System Instruction Extraction ====================
-export function extractSystemInstruction(openaiMessages) {
-  const baseSystem = config.systemInstruction || '';
+// Global system instruction followed by the system prompt of a virtual model
+export function getBaseSystemInstruction(modelName) {
+  const systemPrompt = getVirtualModel(modelName)?.systemPrompt;
+  return [config.systemInstruction, systemPrompt].filter(text => text?.trim()).join('\n\n');
+}
+
+export function extractSystemInstruction(openaiMessages, modelName) {
+  const baseSystem = getBaseSystemInstruction(modelName);
   if (!config.useContextSystemPrompt) return baseSystem;
 
   const systemTexts = [];
@@ -154,7 +114,8 @@ export function extractSystemInstruction(openaiMessages) {
 }
 
 // ==================== Image Request Preparation ====================
-export function prepareImageRequest(requestBody) {
+// modelName is the requested model, a virtual model's imageSize wins over the -2K / -4K suffix
+export function prepareImageRequest(requestBody, modelName = null) {
   if (!requestBody || !requestBody.request) return requestBody;
   let imageSize = "1K";
   if (requestBody.model.includes('4K')) {
@@ -167,6 +128,7 @@ export function prepareImageRequest(requestBody) {
   if (imageSize !== "1K") {
     requestBody.model = requestBody.model.slice(0, -3);
   }
+  imageSize = getVirtualModel(modelName)?.imageSize || imageSize;
   requestBody.request.generationConfig = {
     candidateCount: 1,
     imageConfig: {
@@ -201,6 +163,7 @@ export function getDefaultIp() {
 
 // Re-export main functions
 export { generateRequestId } from './idGenerator.js';
-export { generateRequestBody } from './converters/openai.js';
-export { generateClaudeRequestBody } from './converters/claude.js';
-export { generateGeminiRequestBody } from './converters/gemini.js';
+export { generateRequestBody, inlineOpenAIMedia } from './converters/openai.js';
+export { generateResponsesRequestBody, inlineResponsesMedia } from './converters/responses.js';
+export { generateClaudeRequestBody, inlineClaudeMedia } from './converters/claude.js';
+export { generateGeminiRequestBody, inlineGeminiMedia } from './converters/gemini.js';
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AccountHealthTracker, { AccountHealth, isInvalidGrantError } from '../src/auth/account_health.js';
+import {
+  ACCOUNT_COOLDOWN_BASE,
+  ACCOUNT_COOLDOWN_MAX,
+  ACCOUNT_FAILURE_THRESHOLD
+} from '../src/constants/index.js';
+
+// Tests for the account health state machine
+
+// Let the cooldown of an account run out without waiting
+function expireCooldown(tracker, key) {
+  tracker.entries.get(key).cooldownUntil = Date.now() - 1;
+}
+
+test('accounts without failures are healthy and available', () => {
+  const tracker = new AccountHealthTracker();
+  assert.equal(tracker.get('a').state, AccountHealth.HEALTHY);
+  assert.equal(tracker.isAvailable('a'), true);
+});
+
+test('the account cools down once the failure threshold is reached', () => {
+  const tracker = new AccountHealthTracker();
+  for (let i = 1; i < ACCOUNT_FAILURE_THRESHOLD; i++) {
+    assert.equal(tracker.recordFailure('a', 'HTTP 500').state, AccountHealth.HEALTHY);
+  }
+  const entry = tracker.recordFailure('a', 'HTTP 500');
+  assert.equal(entry.state, AccountHealth.COOLING_DOWN);
+  assert.equal(entry.cooldowns, 1);
+  assert.equal(entry.cooldownUntil - entry.since, ACCOUNT_COOLDOWN_BASE);
+  assert.equal(tracker.isAvailable('a'), false);
+});
+
+test('immediate failures cool down on the first failure', () => {
+  const tracker = new AccountHealthTracker();
+  assert.equal(tracker.recordFailure('a', 'HTTP 403', true).state, AccountHealth.COOLING_DOWN);
+});
+
+test('due accounts switch to probing, a failed probe doubles the cooldown', () => {
+  const tracker = new AccountHealthTracker();
+  tracker.recordFailure('a', 'HTTP 401', true);
+  tracker.recordFailure('b', 'HTTP 401', true);
+  expireCooldown(tracker, 'a');
+  assert.deepEqual(tracker.takeDueForProbe(), ['a']);
+  assert.equal(tracker.get('a').state, AccountHealth.PROBING);
+  assert.equal(tracker.isAvailable('a'), false);
+
+  const entry = tracker.recordFailure('a', 'probe failed');
+  assert.equal(entry.state, AccountHealth.COOLING_DOWN);
+  assert.equal(entry.cooldownUntil - entry.since, ACCOUNT_COOLDOWN_BASE * 2);
+});
+
+test('the cooldown is capped', () => {
+  const tracker = new AccountHealthTracker();
+  let entry;
+  for (let i = 0; i < 20; i++) entry = tracker.recordFailure('a', 'HTTP 500', true);
+  assert.equal(entry.cooldownUntil - entry.since, ACCOUNT_COOLDOWN_MAX);
+});
+
+test('a recovered account keeps its backoff until a request succeeds', () => {
+  const tracker = new AccountHealthTracker();
+  tracker.recordFailure('a', 'HTTP 500', true);
+  tracker.markRecovered('a');
+  assert.equal(tracker.isAvailable('a'), true);
+  assert.equal(tracker.get('a').cooldowns, 1);
+  const entry = tracker.recordFailure('a', 'HTTP 500', true);
+  assert.equal(entry.cooldownUntil - entry.since, ACCOUNT_COOLDOWN_BASE * 2);
+
+  tracker.recordSuccess('a');
+  assert.equal(tracker.entries.has('a'), false);
+});
+
+test('after a failed request the account returns on trial and the next failure cools it down at once', () => {
+  const tracker = new AccountHealthTracker();
+  tracker.recordFailure('a', '403: permission denied', true, true);
+  expireCooldown(tracker, 'a');
+  tracker.takeDueForProbe();
+  tracker.startTrial('a');
+
+  const trial = tracker.get('a');
+  assert.equal(trial.state, AccountHealth.TRIAL);
+  assert.equal(trial.reason, '403: permission denied');
+  assert.equal(trial.cooldowns, 1);
+  assert.equal(tracker.isAvailable('a'), true);
+
+  const entry = tracker.recordFailure('a', 'Upstream 500', false, true);
+  assert.equal(entry.state, AccountHealth.COOLING_DOWN);
+  assert.equal(entry.cooldownUntil - entry.since, ACCOUNT_COOLDOWN_BASE * 2);
+});
+
+test('a successful request ends the trial', () => {
+  const tracker = new AccountHealthTracker();
+  tracker.recordFailure('a', '403: permission denied', true, true);
+  tracker.startTrial('a');
+  tracker.recordSuccess('a');
+  assert.equal(tracker.get('a').state, AccountHealth.HEALTHY);
+  assert.equal(tracker.get('a').cooldowns, 0);
+});
+
+test('dead accounts stay dead until reset', () => {
+  const tracker = new AccountHealthTracker();
+  tracker.markDead('a', 'invalid_grant');
+  assert.equal(tracker.recordFailure('a', 'HTTP 500').state, AccountHealth.DEAD);
+  tracker.markRecovered('a');
+  tracker.startTrial('a');
+  assert.equal(tracker.get('a').state, AccountHealth.DEAD);
+  assert.equal(tracker.isAvailable('a'), false);
+  tracker.reset('a');
+  assert.equal(tracker.isAvailable('a'), true);
+});
+
+test('only a confirmed invalid_grant counts as revoked', () => {
+  assert.equal(isInvalidGrantError(Object.assign(new Error('revoked'), { oauthError: 'invalid_grant' })), true);
+  assert.equal(isInvalidGrantError(new Error('invalid_grant')), false);
+  assert.equal(isInvalidGrantError(null), false);
+});
@@ -0,0 +1,214 @@
+import { test, before, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/config.js';
+import requestLogger from '../src/utils/requestLogger.js';
+import { flushUsage } from '../src/utils/usageStore.js';
+import { createApiAuth, isCallerModelAllowed } from '../src/auth/api_key_auth.js';
+import { API_KEY_PREFIX } from '../src/constants/index.js';
+import { useApiKeys, keepDataInMemory, keyCaller } from './helpers/apiKeys.js';
+import { FakeResponse } from './helpers/response.js';
+
+// Tests for the API auth middleware: legacy API_KEY, managed keys and their limits
+
+const LEGACY_KEY = 'sk-legacy-test';
+const savedApiKey = config.security.apiKey;
+const savedSd = config.sd;
+let store;
+
+before(() => {
+  keepDataInMemory();
+});
+
+beforeEach(() => {
+  store = useApiKeys();
+  config.security.apiKey = LEGACY_KEY;
+});
+
+afterEach(() => {
+  config.security.apiKey = savedApiKey;
+  config.sd = savedSd;
+});
+
+after(() => {
+  // Drop the pending usage save while writes still go nowhere
+  flushUsage();
+  mock.restoreAll();
+});
+
+/**
+ * Run a request through the auth middleware of a surface
+ * @param {'openai'|'gemini'|'sd'} surface - API surface
+ * @param {Object} [request] - Request fields (headers, query, body, path)
+ * @returns {{req: Object, res: FakeResponse, passed: boolean}}
+ */
+const authenticate = (surface, { headers = {}, query = {}, body = {}, path = '/chat/completions' } = {}) => {
+  const req = { method: 'POST', headers, query, body, path, originalUrl: path };
+  const res = new FakeResponse();
+  let passed = false;
+  createApiAuth(surface)(req, res, () => { passed = true; });
+  return { req, res, passed };
+};
+
+const bearer = (key) => ({ authorization: `Bearer ${key}` });
+
+/**
+ * Record a finished request of a caller, as the handlers do
+ * @param {Object} caller - req.caller
+ * @param {number} [tokens] - Input tokens
+ */
+const logUsage = (caller, tokens = 0) => {
+  requestLogger.logRequest({ model: 'gemini-2.5-flash', status: 'success', statusCode: 200, inputTokens: tokens, caller });
+};
+
+test('auth is skipped while neither API_KEY nor a managed key is configured', () => {
+  config.security.apiKey = null;
+
+  const { req, passed } = authenticate('openai');
+
+  assert.equal(passed, true);
+  assert.equal(req.caller.type, 'anonymous');
+});
+
+test('the legacy API_KEY is accepted, anything else refused', () => {
+  assert.equal(authenticate('openai', { headers: bearer(LEGACY_KEY) }).req.caller.id, 'legacy');
+
+  const { res, passed } = authenticate('openai', { headers: bearer('sk-wrong') });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error.message, 'Invalid API Key');
+});
+
+test('a managed key authenticates as its caller with its account pools', () => {
+  const { key, record } = store.create({ name: 'team', pools: ['team-a'] });
+
+  const { req, passed } = authenticate('openai', { headers: bearer(key) });
+
+  assert.equal(passed, true);
+  assert.deepEqual(req.caller, { type: 'api_key', id: record.id, name: 'team' });
+  assert.deepEqual(req.accountPools, ['team-a']);
+});
+
+test('managed keys only match with their sk-ag- prefix', () => {
+  const { key } = store.create({ name: 'team' });
+  assert.ok(key.startsWith(API_KEY_PREFIX));
+
+  const { passed } = authenticate('openai', { headers: bearer(key.slice(API_KEY_PREFIX.length)) });
+  assert.equal(passed, false);
+});
+
+test('Gemini clients pass the key as ?key= or x-goog-api-key', () => {
+  const { key, record } = store.create({ name: 'gemini' });
+  const path = '/models/gemini-2.5-flash:generateContent';
+
+  assert.equal(authenticate('gemini', { path, query: { key } }).req.caller.id, record.id);
+  assert.equal(authenticate('gemini', { path, headers: { 'x-goog-api-key': key } }).req.caller.id, record.id);
+});
+
+test('revoked and expired keys are refused', () => {
+  const revoked = store.create({ name: 'revoked' });
+  store.revoke(revoked.record.id);
+  const expired = store.create({ name: 'expired', expiresAt: Date.now() - 1000 });
+
+  const first = authenticate('openai', { headers: bearer(revoked.key) });
+  assert.equal(first.res.statusCode, 401);
+  assert.match(first.res.body.error.message, /revoked/);
+  const second = authenticate('openai', { headers: bearer(expired.key) });
+  assert.equal(second.res.statusCode, 401);
+  assert.match(second.res.body.error.message, /expired/);
+});
+
+test('models outside the key allowlist are refused', () => {
+  const { key } = store.create({ name: 'flash only', models: ['gemini-*-flash'] });
+
+  assert.equal(authenticate('openai', { headers: bearer(key), body: { model: 'gemini-2.5-flash' } }).passed, true);
+
+  const { res, passed } = authenticate('openai', { headers: bearer(key), body: { model: 'claude-sonnet-4-5' } });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  // Gemini requests name the model in the path
+  const gemini = authenticate('gemini', { path: '/models/gemini-2.5-pro:generateContent', query: { key } });
+  assert.equal(gemini.res.statusCode, 403);
+});
+
+test('requests over the key rpm are refused with Retry-After', () => {
+  const { key } = store.create({ name: 'limited', rpm: 2 });
+
+  assert.equal(authenticate('openai', { headers: bearer(key) }).passed, true);
+  assert.equal(authenticate('openai', { headers: bearer(key) }).passed, true);
+  const { res, passed } = authenticate('openai', { headers: bearer(key) });
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers['Retry-After']) >= 1 && Number(res.headers['Retry-After']) <= 60);
+});
+
+test('a key is refused once the usage recorded for it exhausts its daily request budget', () => {
+  const { key } = store.create({ name: 'budget', dailyRequestBudget: 2 });
+
+  for (let i = 0; i < 2; i++) {
+    const { req, passed } = authenticate('openai', { headers: bearer(key) });
+    assert.equal(passed, true);
+    logUsage(req.caller);
+  }
+  const { res, passed } = authenticate('openai', { headers: bearer(key) });
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.match(res.body.error.message, /daily request budget of 2 exceeded/);
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+});
+
+test('a key is refused once its daily token budget is used up', () => {
+  const { key, record } = store.create({ name: 'tokens', dailyTokenBudget: 100 });
+  logUsage(keyCaller(record), 60);
+  assert.equal(authenticate('openai', { headers: bearer(key) }).passed, true);
+
+  logUsage(keyCaller(record), 40);
+  const { res } = authenticate('openai', { headers: bearer(key) });
+
+  assert.equal(res.statusCode, 429);
+  assert.match(res.body.error.message, /daily token budget/);
+});
+
+test('SD generation requires a key by default', () => {
+  const { res, passed } = authenticate('sd', { path: '/sdapi/v1/txt2img' });
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('SD clients may pass the key as the Basic auth password', () => {
+  const basic = Buffer.from(`user:${LEGACY_KEY}`).toString('base64');
+  const { req, passed } = authenticate('sd', { path: '/sdapi/v1/txt2img', headers: { authorization: `Basic ${basic}` } });
+
+  assert.equal(passed, true);
+  assert.equal(req.caller.id, 'legacy');
+});
+
+test('sd.requireApiKey off leaves SD generation open, as anonymous', () => {
+  config.sd = { ...savedSd, requireApiKey: false };
+
+  const { req, passed } = authenticate('sd', { path: '/sdapi/v1/img2img' });
+
+  assert.equal(passed, true);
+  assert.equal(req.caller.type, 'anonymous');
+});
+
+test('sd.requireApiKey does not open the other surfaces', () => {
+  config.sd = { ...savedSd, requireApiKey: false };
+
+  const { res, passed } = authenticate('openai');
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('isCallerModelAllowed only limits managed keys', () => {
+  const { record } = store.create({ name: 'flash only', models: ['gemini-2.5-flash'] });
+
+  assert.equal(isCallerModelAllowed(keyCaller(record), 'gemini-2.5-flash'), true);
+  assert.equal(isCallerModelAllowed(keyCaller(record), 'gemini-2.5-pro'), false);
+  assert.equal(isCallerModelAllowed({ type: 'api_key', id: 'legacy' }, 'gemini-2.5-pro'), true);
+  assert.equal(isCallerModelAllowed({ type: 'user', id: 'user:admin' }, 'gemini-2.5-pro'), true);
+  assert.equal(isCallerModelAllowed(null, 'gemini-2.5-pro'), true);
+});
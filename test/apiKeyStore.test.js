@@ -0,0 +1,144 @@
+import { test, before, beforeEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import requestLogger from '../src/utils/requestLogger.js';
+import { flushUsage, getCallerTotals } from '../src/utils/usageStore.js';
+import { API_KEY_PREFIX, API_KEY_RATE_WINDOW } from '../src/constants/index.js';
+import { useApiKeys, keepDataInMemory, keyCaller } from './helpers/apiKeys.js';
+
+// Tests for the managed API key store: hashing, lookup, allowlists, rate limit and budgets
+
+let store;
+
+before(() => {
+  keepDataInMemory();
+});
+
+beforeEach(() => {
+  store = useApiKeys();
+});
+
+after(() => {
+  // Drop the pending usage save while writes still go nowhere
+  flushUsage();
+  mock.restoreAll();
+});
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+test('only the hash of a created key is kept', () => {
+  const { key, record } = store.create({ name: 'team' });
+
+  assert.match(key, new RegExp(`^${API_KEY_PREFIX}[0-9a-f]{48}$`));
+  const stored = store.get(record.id);
+  assert.equal(stored.keyHash, sha256(key));
+  assert.ok(!JSON.stringify(store.keys).includes(key));
+  assert.equal(record.keyHash, undefined);
+  assert.ok(record.preview.startsWith(key.slice(0, API_KEY_PREFIX.length + 4)));
+  assert.ok(record.preview.endsWith(key.slice(-4)));
+});
+
+test('findByKey matches the exact key with its prefix only', () => {
+  const { key, record } = store.create({ name: 'team' });
+
+  assert.equal(store.findByKey(key).id, record.id);
+  assert.equal(store.findByKey(key.slice(API_KEY_PREFIX.length)), null);
+  assert.equal(store.findByKey(key.slice(0, -1) + (key.endsWith('0') ? '1' : '0')), null);
+  assert.equal(store.findByKey(''), null);
+  assert.equal(store.findByKey(null), null);
+});
+
+test('rotating a key replaces its secret and keeps its settings', () => {
+  const { key, record } = store.create({ name: 'team', rpm: 5 });
+
+  const rotated = store.rotate(record.id);
+
+  assert.notEqual(rotated.key, key);
+  assert.equal(store.findByKey(key), null);
+  assert.equal(store.findByKey(rotated.key).id, record.id);
+  assert.equal(rotated.record.rpm, 5);
+});
+
+test('settings are validated', () => {
+  assert.throws(() => store.create({ rpm: 0 }), /rpm must be a positive integer/);
+  assert.throws(() => store.create({ dailyTokenBudget: 1.5 }), /dailyTokenBudget must be a positive integer/);
+  assert.throws(() => store.create({ expiresAt: 'soon' }), /Invalid expiresAt/);
+  assert.deepEqual(store.create({ models: 'gemini-*, claude-sonnet-4-5 ,' }).record.models, ['gemini-*', 'claude-sonnet-4-5']);
+});
+
+test('the model allowlist supports exact names, wildcards and regexes', () => {
+  const { record } = store.create({ models: ['claude-sonnet-4-5', 'gemini-*-flash', '/^gpt-oss-/'] });
+  const stored = store.get(record.id);
+
+  assert.equal(store.isModelAllowed(stored, 'claude-sonnet-4-5'), true);
+  assert.equal(store.isModelAllowed(stored, 'gemini-2.5-flash'), true);
+  assert.equal(store.isModelAllowed(stored, 'models/gemini-2.5-flash'), true);
+  assert.equal(store.isModelAllowed(stored, 'gpt-oss-120b-medium'), true);
+  assert.equal(store.isModelAllowed(stored, 'claude-opus-4-5'), false);
+  assert.equal(store.isModelAllowed(stored, 'gemini-2.5-pro'), false);
+  // Requests without a model (model list) are not limited
+  assert.equal(store.isModelAllowed(stored, null), true);
+});
+
+test('an empty allowlist allows every model', () => {
+  const { record } = store.create({});
+
+  assert.equal(store.isModelAllowed(store.get(record.id), 'anything'), true);
+});
+
+test('consumeRequest enforces rpm over a sliding window', (t) => {
+  const { record } = store.create({ rpm: 2 });
+  const stored = store.get(record.id);
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+
+  assert.equal(store.consumeRequest(stored).allowed, true);
+  now += 10_000;
+  assert.equal(store.consumeRequest(stored).allowed, true);
+  const refused = store.consumeRequest(stored);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfter, (API_KEY_RATE_WINDOW - 10_000) / 1000);
+
+  // The first request leaves the window
+  now = 1_000_000 + API_KEY_RATE_WINDOW;
+  assert.equal(store.consumeRequest(stored).allowed, true);
+  assert.equal(store.consumeRequest(stored).allowed, false);
+});
+
+test('keys without rpm are not rate limited', () => {
+  const { record } = store.create({});
+  const stored = store.get(record.id);
+
+  for (let i = 0; i < 100; i++) assert.equal(store.consumeRequest(stored).allowed, true);
+});
+
+test('requests logged with their caller count towards the key usage and budgets', () => {
+  const { record } = store.create({ monthlyTokenBudget: 50, dailyRequestBudget: 10 });
+  const stored = store.get(record.id);
+  assert.equal(store.getExceededBudget(stored), null);
+
+  requestLogger.logRequest({ model: 'gemini-2.5-flash', status: 'success', inputTokens: 20, outputTokens: 10, caller: keyCaller(record) });
+  requestLogger.logRequest({ model: 'gemini-2.5-flash', status: 'error', caller: keyCaller(record) });
+
+  const totals = getCallerTotals(record.id, 'day');
+  assert.equal(totals.requests, 2);
+  assert.equal(totals.errors, 1);
+  assert.equal(totals.totalTokens, 30);
+  assert.equal(store.getExceededBudget(stored), null);
+
+  requestLogger.logRequest({ model: 'gemini-2.5-pro', status: 'success', inputTokens: 15, outputTokens: 5, caller: keyCaller(record) });
+
+  const exceeded = store.getExceededBudget(stored);
+  assert.equal(exceeded.field, 'monthlyTokenBudget');
+  assert.equal(exceeded.limit, 50);
+  assert.equal(store.toPublic(stored).usage.month.totalTokens, 50);
+});
+
+test('requests without a caller are not attributed', () => {
+  const { record } = store.create({ dailyRequestBudget: 1 });
+
+  requestLogger.logRequest({ model: 'gemini-2.5-flash', status: 'success', caller: null });
+
+  assert.equal(getCallerTotals(record.id, 'day').requests, 0);
+  assert.equal(store.getExceededBudget(store.get(record.id)), null);
+});
@@ -0,0 +1,62 @@
+import { startUpstream, jsonAnswer, errorAnswer, candidateResponse } from './helpers/upstream.js';
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import requestLogger from '../src/utils/requestLogger.js';
+import { flushUsage, getCallerTotals } from '../src/utils/usageStore.js';
+import { handleClaudeRequest } from '../src/server/handlers/claude.js';
+import { createToken, useAccounts, stopBackgroundTimers } from './helpers/accounts.js';
+import { useApiKeys, keepDataInMemory, keyCaller } from './helpers/apiKeys.js';
+import { FakeResponse } from './helpers/response.js';
+
+// Tests for the Claude handler: request history and usage attribution
+
+let upstream;
+
+before(async () => {
+  keepDataInMemory();
+  upstream = await startUpstream();
+});
+
+after(async () => {
+  await upstream.close();
+  // Drop the pending usage save while writes still go nowhere
+  flushUsage();
+  mock.restoreAll();
+  stopBackgroundTimers();
+});
+
+test('a streamed image request is logged with its attempts and counted for its caller', async () => {
+  useAccounts([createToken('first'), createToken('second')]);
+  const { record } = useApiKeys().create({ name: 'images' });
+  const logRequest = mock.method(requestLogger, 'logRequest');
+  upstream.script(
+    errorAnswer(503),
+    jsonAnswer({
+      ...candidateResponse([{ text: 'drawn' }], 'STOP'),
+      usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 30, totalTokenCount: 42 }
+    })
+  );
+
+  const req = {
+    body: { model: 'gemini-3-pro-image', max_tokens: 1024, messages: [{ role: 'user', content: 'a cat' }] },
+    headers: {},
+    caller: keyCaller(record),
+    accountPools: null
+  };
+  const res = new FakeResponse();
+  await handleClaudeRequest(req, res, true);
+
+  assert.ok(res.chunks.join('').includes('"text":"drawn"'));
+  assert.equal(logRequest.mock.callCount(), 1);
+  const [logged] = logRequest.mock.calls[0].arguments;
+  assert.equal(logged.status, 'success');
+  assert.equal(logged.isStream, true);
+  assert.deepEqual(logged.attempts.map(attempt => attempt.statusCode), [503, 200]);
+  assert.equal(logged.tokenId, logged.attempts[1].tokenId);
+  assert.deepEqual(logged.caller, req.caller);
+
+  const totals = getCallerTotals(record.id, 'day');
+  assert.equal(totals.requests, 1);
+  assert.equal(totals.inputTokens, 12);
+  assert.equal(totals.outputTokens, 30);
+});
@@ -0,0 +1,136 @@
+import { startUpstream, streamAnswer, jsonAnswer, candidateResponse } from './helpers/upstream.js';
+import { test, before, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/config.js';
+import requestLogger from '../src/utils/requestLogger.js';
+import { generateAssistantResponseNoStream } from '../src/api/client.js';
+import { handleOpenAIRequest } from '../src/server/handlers/openai.js';
+import { createToken, useAccounts, stopBackgroundTimers } from './helpers/accounts.js';
+import { FakeResponse } from './helpers/response.js';
+
+// Tests for the empty completion retry budget (config.emptyResponseRetries), streaming and non-streaming
+
+const MODEL = 'gemini-2.5-flash';
+const THOUGHT_ONLY = candidateResponse([{ text: 'thinking', thought: true }], 'STOP');
+const ANSWER = candidateResponse([{ text: 'answer' }], 'STOP');
+
+let upstream;
+let savedRetries;
+/** @type {Array<Object>} Records passed to the request history */
+let logged;
+
+before(async () => {
+  upstream = await startUpstream();
+  savedRetries = config.emptyResponseRetries;
+});
+
+beforeEach(() => {
+  useAccounts([createToken('first'), createToken('second'), createToken('third')]);
+  upstream.reset();
+  logged = [];
+  mock.method(requestLogger, 'logRequest', (record) => { logged.push(record); });
+});
+
+afterEach(() => {
+  config.emptyResponseRetries = savedRetries;
+  mock.restoreAll();
+});
+
+after(async () => {
+  await upstream.close();
+  stopBackgroundTimers();
+});
+
+/**
+ * Run a chat completion through the OpenAI handler
+ * @param {boolean} stream - Streaming request
+ * @returns {Promise<FakeResponse>}
+ */
+const chat = async (stream) => {
+  const req = {
+    body: { model: MODEL, stream, messages: [{ role: 'user', content: 'hi' }] },
+    headers: {},
+    caller: null,
+    accountPools: null,
+    setTimeout() {}
+  };
+  const res = new FakeResponse();
+  await handleOpenAIRequest(req, res);
+  return res;
+};
+
+test('streaming: empty completions are retried up to the budget, then logged as empty_response', async () => {
+  config.emptyResponseRetries = 1;
+  upstream.script(streamAnswer([THOUGHT_ONLY]), streamAnswer([THOUGHT_ONLY]), streamAnswer([ANSWER]));
+
+  const res = await chat(true);
+
+  assert.equal(upstream.requests.length, 2);
+  assert.equal(logged.length, 1);
+  assert.equal(logged[0].status, 'empty_response');
+  assert.equal(logged[0].statusCode, 502);
+  assert.deepEqual(logged[0].attempts.map(attempt => attempt.statusCode), [502, 502]);
+  // Nothing but the error reached the client, no thinking of the failed attempts
+  assert.ok(!res.chunks.join('').includes('thinking'));
+});
+
+test('streaming: the retry after an empty completion answers the request', async () => {
+  const planned = candidateResponse([{ text: 'plan', thought: true }, { text: 'answer' }], 'STOP');
+  upstream.script(streamAnswer([THOUGHT_ONLY]), streamAnswer([planned]));
+
+  const res = await chat(true);
+
+  assert.equal(upstream.requests.length, 2);
+  assert.equal(logged[0].status, 'success');
+  assert.deepEqual(logged[0].attempts.map(attempt => attempt.statusCode), [502, 200]);
+  assert.notEqual(logged[0].attempts[0].tokenId, logged[0].attempts[1].tokenId);
+  const output = res.chunks.join('');
+  // Thinking of the retry goes out before its answer, thinking of the failed attempt never does
+  assert.ok(output.indexOf('"reasoning_content":"plan"') < output.indexOf('"content":"answer"'));
+  assert.ok(output.includes('"reasoning_content":"plan"'));
+  assert.ok(!output.includes('thinking'));
+});
+
+test('non-streaming: empty completions are retried up to the budget, then logged as empty_response', async () => {
+  config.emptyResponseRetries = 2;
+  upstream.script(jsonAnswer(THOUGHT_ONLY), jsonAnswer(candidateResponse([])), jsonAnswer(THOUGHT_ONLY), jsonAnswer(ANSWER));
+
+  const res = await chat(false);
+
+  assert.equal(upstream.requests.length, 3);
+  assert.equal(res.statusCode, 502);
+  assert.equal(logged[0].status, 'empty_response');
+  assert.deepEqual(logged[0].attempts.map(attempt => attempt.statusCode), [502, 502, 502]);
+});
+
+test('non-streaming: no retry with a budget of 0', async () => {
+  config.emptyResponseRetries = 0;
+  upstream.script(jsonAnswer(THOUGHT_ONLY), jsonAnswer(ANSWER));
+
+  const res = await chat(false);
+
+  assert.equal(upstream.requests.length, 1);
+  assert.equal(res.statusCode, 502);
+  assert.equal(logged[0].status, 'empty_response');
+});
+
+test('non-streaming: the retry after an empty completion answers the request', async () => {
+  upstream.script(jsonAnswer(THOUGHT_ONLY), jsonAnswer(ANSWER));
+
+  const res = await chat(false);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.choices[0].message.content, 'answer');
+  assert.equal(logged[0].status, 'success');
+  assert.deepEqual(logged[0].attempts.map(attempt => attempt.statusCode), [502, 200]);
+});
+
+test('thought-only output cut by the token limit is accepted', async () => {
+  upstream.script(jsonAnswer(candidateResponse([{ text: 'thinking', thought: true }], 'MAX_TOKENS')));
+
+  const result = await generateAssistantResponseNoStream({ model: MODEL, request: {} }, createToken('first'));
+
+  assert.equal(result.content, '');
+  assert.equal(result.reasoningContent, 'thinking');
+  assert.equal(result.finishReason, 'MAX_TOKENS');
+});
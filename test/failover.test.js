@@ -0,0 +1,262 @@
+import { test, before, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/config.js';
+import { withAccountFailover, withCandidateFailover } from '../src/server/stream.js';
+import { createApiError, RequestCancelledError } from '../src/utils/errors.js';
+import { RETRY_BASE_DELAY } from '../src/constants/index.js';
+import { createToken, useAccounts, stopBackgroundTimers } from './helpers/accounts.js';
+import { useApiKeys, keyCaller } from './helpers/apiKeys.js';
+
+// Tests for cross-account failover, fallback chains and fan-out candidates (execute is stubbed)
+
+const MODEL = 'primary-model';
+const savedModels = config.models;
+
+before(() => {
+  config.models = {
+    ...savedModels,
+    aliases: [],
+    virtual: [],
+    fallbacks: [{ match: MODEL, chain: ['second-model', 'third-model'] }]
+  };
+});
+
+beforeEach(() => {
+  useAccounts([createToken('a'), createToken('b'), createToken('c')]);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+after(() => {
+  config.models = savedModels;
+  stopBackgroundTimers();
+});
+
+/**
+ * Upstream error as thrown by the API client
+ * @param {number} status - HTTP status
+ * @param {Object} [fields] - Extra fields (retryAfterMs)
+ * @returns {Error}
+ */
+const upstreamError = (status, fields = {}) => Object.assign(createApiError(`Upstream ${status}`, status, ''), fields);
+
+/**
+ * Execute that answers from a script, one entry per attempt (an Error is thrown, anything else returned)
+ * @param {Array<any>} script - Outcomes of the attempts in order
+ * @returns {{execute: Function, used: Array<string>}} used holds the account of each attempt
+ */
+const scriptedExecute = (script) => {
+  const used = [];
+  return {
+    used,
+    execute: async (token) => {
+      used.push(token.refresh_token);
+      const outcome = script[used.length - 1];
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    }
+  };
+};
+
+test('429 and 5xx move to accounts not tried yet', async () => {
+  const { execute, used } = scriptedExecute([upstreamError(429), upstreamError(503), 'ok']);
+
+  const run = await withAccountFailover({ token: createToken('a'), model: MODEL, execute, maxRetries: 3 });
+
+  assert.equal(run.result, 'ok');
+  assert.deepEqual(used, ['a', 'b', 'c']);
+  assert.equal(run.token.refresh_token, 'c');
+  assert.deepEqual(run.attempts.map(attempt => attempt.statusCode), [429, 503, 200]);
+});
+
+test('the last error is thrown with the attempt log once maxRetries is used up', async () => {
+  const { execute, used } = scriptedExecute([upstreamError(500), upstreamError(502), upstreamError(503)]);
+
+  await assert.rejects(
+    withAccountFailover({ token: createToken('a'), model: MODEL, execute, maxRetries: 1 }),
+    (error) => {
+      assert.equal(error.statusCode, 502);
+      assert.deepEqual(error.attempts.map(attempt => attempt.statusCode), [500, 502]);
+      return true;
+    }
+  );
+  assert.equal(used.length, 2);
+});
+
+test('client errors are not retried', async () => {
+  const { execute, used } = scriptedExecute([upstreamError(400), 'ok']);
+
+  await assert.rejects(withAccountFailover({ token: createToken('a'), model: MODEL, execute, maxRetries: 3 }), { statusCode: 400 });
+  assert.deepEqual(used, ['a']);
+});
+
+test('the retry waits for the upstream retry delay of the account it goes to', async () => {
+  useAccounts([createToken('a')]);
+  const { execute, used } = scriptedExecute([upstreamError(429, { retryAfterMs: RETRY_BASE_DELAY + 700 }), 'ok']);
+
+  const startedAt = Date.now();
+  const run = await withAccountFailover({ token: createToken('a'), model: MODEL, execute, maxRetries: 1 });
+
+  assert.equal(run.result, 'ok');
+  assert.deepEqual(used, ['a', 'a']);
+  assert.ok(Date.now() - startedAt >= RETRY_BASE_DELAY + 650);
+});
+
+test('no retry once output reached the client', async () => {
+  const { execute, used } = scriptedExecute([upstreamError(429), 'ok']);
+
+  await assert.rejects(
+    withAccountFailover({ token: createToken('a'), model: MODEL, execute, maxRetries: 3, canRetry: () => false }),
+    { statusCode: 429 }
+  );
+  assert.deepEqual(used, ['a']);
+});
+
+test('a model rejected by the upstream continues with its fallback chain', async () => {
+  const fallbacks = [];
+  let model = MODEL;
+  const execute = async () => {
+    if (model === MODEL) throw upstreamError(404);
+    return model;
+  };
+
+  const run = await withAccountFailover({
+    token: createToken('a'),
+    model: MODEL,
+    execute,
+    maxRetries: 3,
+    onFallback: (fallbackModel) => {
+      model = fallbackModel;
+      fallbacks.push(fallbackModel);
+    }
+  });
+
+  assert.deepEqual(fallbacks, ['second-model']);
+  assert.equal(run.model, 'second-model');
+  assert.equal(run.result, 'second-model');
+  assert.deepEqual(run.attempts.map(attempt => [attempt.statusCode, attempt.model ?? null]), [[404, null], [200, 'second-model']]);
+});
+
+test('fallback models outside the caller key allowlist are skipped', async () => {
+  const store = useApiKeys();
+  const { record } = store.create({ name: 'limited', models: [MODEL, 'third-model'] });
+  const fallbacks = [];
+  let model = MODEL;
+  const execute = async () => {
+    if (model === MODEL) throw upstreamError(404);
+    return model;
+  };
+
+  const run = await withAccountFailover({
+    token: createToken('a'),
+    model: MODEL,
+    caller: keyCaller(record),
+    execute,
+    maxRetries: 3,
+    onFallback: (fallbackModel) => {
+      model = fallbackModel;
+      fallbacks.push(fallbackModel);
+    }
+  });
+
+  assert.deepEqual(fallbacks, ['third-model']);
+  assert.equal(run.model, 'third-model');
+});
+
+test('no fallback model is tried when the caller key allows none of them', async () => {
+  const store = useApiKeys();
+  const { record } = store.create({ name: 'strict', models: [MODEL] });
+  const onFallback = mock.fn();
+
+  await assert.rejects(
+    withAccountFailover({
+      token: createToken('a'),
+      model: MODEL,
+      caller: keyCaller(record),
+      execute: async () => { throw upstreamError(404); },
+      maxRetries: 3,
+      onFallback
+    }),
+    { statusCode: 404 }
+  );
+  assert.equal(onFallback.mock.callCount(), 0);
+});
+
+test('fan-out candidates start on accounts of their own', async () => {
+  const started = [];
+
+  const run = await withCandidateFailover({
+    count: 3,
+    fanOut: true,
+    token: createToken('a'),
+    model: MODEL,
+    maxRetries: 0,
+    execute: async (token, index) => {
+      started.push(token.refresh_token);
+      return index;
+    }
+  });
+
+  assert.deepEqual(run.results, [0, 1, 2]);
+  assert.deepEqual([...started].sort(), ['a', 'b', 'c']);
+});
+
+test('a failed fan-out candidate cancels the others', async () => {
+  const signals = [];
+
+  await assert.rejects(
+    withCandidateFailover({
+      count: 2,
+      fanOut: true,
+      token: createToken('a'),
+      model: MODEL,
+      maxRetries: 0,
+      execute: (token, index, signal) => {
+        signals[index] = signal;
+        if (index === 0) return Promise.reject(upstreamError(400));
+        // Runs until it is cancelled
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        });
+      }
+    }),
+    (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.ok(error.attempts.some(attempt => attempt.statusCode === 400));
+      return true;
+    }
+  );
+  assert.ok(signals[1].aborted);
+  assert.ok(signals[1].reason instanceof RequestCancelledError);
+});
+
+test('a client disconnect cancels every fan-out candidate', async () => {
+  const controller = new AbortController();
+  const cancelled = [];
+  let started = 0;
+  let allStarted;
+  const running = new Promise(resolve => { allStarted = resolve; });
+
+  const pending = withCandidateFailover({
+    count: 2,
+    fanOut: true,
+    signal: controller.signal,
+    token: createToken('a'),
+    model: MODEL,
+    maxRetries: 3,
+    execute: (token, index, signal) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        cancelled.push(index);
+        reject(signal.reason);
+      }, { once: true });
+      if (++started === 2) allStarted();
+    })
+  });
+  await running;
+  controller.abort(new RequestCancelledError());
+
+  await assert.rejects(pending, { isCancelled: true });
+  assert.deepEqual(cancelled.sort(), [0, 1]);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractFinishInfo,
+  isContentFiltered,
+  isLengthLimited,
+  toOpenAIFinishReason,
+  toClaudeStopReason,
+  toGeminiFinishReason,
+  toResponsesIncompleteDetails
+} from '../src/utils/finishReason.js';
+
+// Tests for the upstream finishReason mapping
+
+test('finish info is read from the candidate at the requested position', () => {
+  const ratings = [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'LOW' }];
+  const response = { candidates: [{ finishReason: 'STOP' }, { finishReason: 'MAX_TOKENS', safetyRatings: ratings }] };
+  assert.deepEqual(extractFinishInfo(response), { finishReason: 'STOP', safetyRatings: null });
+  assert.deepEqual(extractFinishInfo(response, 1), { finishReason: 'MAX_TOKENS', safetyRatings: ratings });
+  assert.deepEqual(extractFinishInfo(undefined), { finishReason: null, safetyRatings: null });
+});
+
+test('a blocked prompt is reported as a content filter reason', () => {
+  assert.equal(extractFinishInfo({ promptFeedback: { blockReason: 'PROHIBITED_CONTENT' } }).finishReason, 'PROHIBITED_CONTENT');
+  assert.equal(extractFinishInfo({ promptFeedback: { blockReason: 'OTHER' } }).finishReason, 'SAFETY');
+});
+
+test('reasons are classified as filtered or length limited', () => {
+  assert.equal(isContentFiltered('SAFETY'), true);
+  assert.equal(isContentFiltered('IMAGE_SAFETY'), true);
+  assert.equal(isContentFiltered('STOP'), false);
+  assert.equal(isLengthLimited('MAX_TOKENS'), true);
+  assert.equal(isLengthLimited(null), false);
+});
+
+test('OpenAI finish_reason', () => {
+  assert.equal(toOpenAIFinishReason('STOP', false), 'stop');
+  assert.equal(toOpenAIFinishReason('STOP', true), 'tool_calls');
+  assert.equal(toOpenAIFinishReason('MAX_TOKENS', true), 'length');
+  assert.equal(toOpenAIFinishReason('RECITATION', false), 'content_filter');
+  assert.equal(toOpenAIFinishReason(null, false), 'stop');
+});
+
+test('Claude stop_reason', () => {
+  assert.equal(toClaudeStopReason('STOP', false), 'end_turn');
+  assert.equal(toClaudeStopReason('STOP', true), 'tool_use');
+  assert.equal(toClaudeStopReason('MAX_TOKENS', false), 'max_tokens');
+  assert.equal(toClaudeStopReason('SAFETY', true), 'refusal');
+});
+
+test('Gemini finishReason keeps native values', () => {
+  assert.equal(toGeminiFinishReason('RECITATION'), 'RECITATION');
+  assert.equal(toGeminiFinishReason(null), 'STOP');
+});
+
+test('Responses incomplete_details', () => {
+  assert.deepEqual(toResponsesIncompleteDetails('MAX_TOKENS'), { reason: 'max_output_tokens' });
+  assert.deepEqual(toResponsesIncompleteDetails('BLOCKLIST'), { reason: 'content_filter' });
+  assert.equal(toResponsesIncompleteDetails('STOP'), null);
+});
@@ -0,0 +1,44 @@
+// Test helpers: in-memory accounts for the token manager (accounts.json is never read or written)
+
+import { mock } from 'node:test';
+import tokenManager from '../../src/auth/token_manager.js';
+import quotaManager from '../../src/auth/quota_manager.js';
+
+/**
+ * Account that is ready to use: valid access token and known projectId
+ * @param {string} key - refresh_token
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Token object
+ */
+export const createToken = (key, fields = {}) => ({
+  refresh_token: key,
+  access_token: `access-${key}`,
+  timestamp: Date.now(),
+  expires_in: 3600,
+  projectId: `project-${key}`,
+  ...fields
+});
+
+/**
+ * Replace the accounts of the token manager with fresh state, restored by mock.restoreAll()
+ * @param {Array<Object>} tokens - Token objects
+ * @returns {Array<Object>} The tokens
+ */
+export function useAccounts(tokens) {
+  tokenManager._initPromise = Promise.resolve();
+  tokenManager.tokens = tokens;
+  tokenManager.health.clear();
+  tokenManager.exhaustedModelQuotas.clear();
+  tokenManager.rotation.currentIndex = 0;
+  tokenManager.rotation.requestCounts.clear();
+  tokenManager.poolStates.clear();
+  mock.method(tokenManager, 'saveToFile', () => {});
+  return tokens;
+}
+
+/**
+ * Stop the timers modules start on import, so the test process can exit
+ */
+export function stopBackgroundTimers() {
+  quotaManager.stopCleanupTimer();
+}
@@ -0,0 +1,30 @@
+// Test helpers: managed API keys kept in memory (api_keys.json is never written)
+
+import fs from 'node:fs';
+import { mock } from 'node:test';
+import apiKeyStore from '../../src/auth/api_key_store.js';
+
+/**
+ * Start from an empty key store, saving stays off until mock.restoreAll()
+ * @returns {Object} The key store
+ */
+export function useApiKeys() {
+  apiKeyStore.keys = [];
+  apiKeyStore.requestTimes.clear();
+  if (!apiKeyStore.saveToFile.mock) mock.method(apiKeyStore, 'saveToFile', () => {});
+  return apiKeyStore;
+}
+
+/**
+ * Keep usage rollups and request history in memory, no data file is written until mock.restoreAll()
+ */
+export function keepDataInMemory() {
+  mock.method(fs, 'writeFileSync', () => {});
+}
+
+/**
+ * Caller of a managed key, as set by the auth middleware
+ * @param {Object} record - Key record
+ * @returns {{type: 'api_key', id: string, name: string}}
+ */
+export const keyCaller = (record) => ({ type: 'api_key', id: record.id, name: record.name });
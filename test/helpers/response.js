@@ -0,0 +1,50 @@
+// Test helpers: stand-in for an Express response that records what was written
+
+import { EventEmitter } from 'node:events';
+
+export class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.headers = {};
+    this.headersSent = false;
+    this.writableEnded = false;
+    this.statusCode = 200;
+    this.body = undefined;
+    /** @type {Array<string>} */
+    this.chunks = [];
+  }
+
+  setHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  set(name, value) {
+    this.setHeader(name, value);
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  json(body) {
+    this.headersSent = true;
+    this.body = body;
+    this.end();
+    return this;
+  }
+
+  setTimeout() {}
+
+  write(chunk) {
+    this.headersSent = true;
+    this.chunks.push(String(chunk));
+    return true;
+  }
+
+  end() {
+    this.writableEnded = true;
+    this.emit('finish');
+  }
+}
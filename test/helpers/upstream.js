@@ -0,0 +1,94 @@
+// Test helpers: local stand-in for the upstream API, answering requests from a script
+// Import before the API client: the client picks its HTTP implementation when it loads
+
+import http from 'node:http';
+import config from '../../src/config/config.js';
+
+// axios talks to the local server directly (the native requester needs a binary and goes through the proxy)
+config.useNativeAxios = true;
+config.proxy = null;
+
+/**
+ * Streaming answer: one SSE line per chunk, in the upstream format (data: {"response": ...})
+ * @param {Array<Object>} chunks - Upstream responses (candidates / usageMetadata)
+ * @returns {Object} Scripted answer
+ */
+export const streamAnswer = (chunks) => ({ stream: chunks });
+
+/**
+ * Non-streaming answer
+ * @param {Object} response - Upstream response (candidates / usageMetadata)
+ * @returns {Object} Scripted answer
+ */
+export const jsonAnswer = (response) => ({ json: { response } });
+
+/**
+ * Failed answer
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - Error body, a generic one by default
+ * @returns {Object} Scripted answer
+ */
+export const errorAnswer = (status, body = undefined) => ({ status, body });
+
+/**
+ * Upstream response with a single candidate
+ * @param {Array<Object>} parts - Content parts ({text}, {text, thought: true}, {functionCall})
+ * @param {string|null} [finishReason] - Upstream finishReason
+ * @returns {Object}
+ */
+export const candidateResponse = (parts, finishReason = null) => ({
+  candidates: [{ content: { role: 'model', parts }, ...(finishReason ? { finishReason } : {}) }]
+});
+
+/**
+ * Start the local upstream and point the API client at it (restored by close)
+ * @returns {Promise<{script: Function, reset: Function, requests: Array<Object>, close: Function}>} script(...answers)
+ *   queues the answers of the next requests, requests holds the bodies received, reset clears both
+ */
+export async function startUpstream() {
+  const queue = [];
+  const requests = [];
+  const savedApi = { ...config.api };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(body ? JSON.parse(body) : null);
+      const answer = queue.shift();
+      if (!answer) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'No scripted answer left' } }));
+      } else if (answer.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const chunk of answer.stream) res.write(`data: ${JSON.stringify({ response: chunk })}\n\n`);
+        res.end();
+      } else if (answer.json) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(answer.json));
+      } else {
+        res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(answer.body ?? { error: { message: `Upstream ${answer.status}` } }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  config.api.url = `${base}/v1internal:streamGenerateContent?alt=sse`;
+  config.api.noStreamUrl = `${base}/v1internal:generateContent`;
+
+  return {
+    script: (...answers) => { queue.push(...answers); },
+    reset: () => {
+      queue.length = 0;
+      requests.length = 0;
+    },
+    requests,
+    close: async () => {
+      config.api = savedApi;
+      queue.length = 0;
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,139 @@
+import { test, before, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import dns from 'node:dns';
+import config from '../src/config/config.js';
+import { isBlockedAddress, createMediaFetcher } from '../src/utils/mediaIngestion.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+// Tests for the SSRF guard of remote media fetches (host allowlist, address checks, redirects, pinned DNS)
+
+const PNG = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.alloc(24)]);
+const savedMedia = config.media;
+const savedProxy = config.proxy;
+
+let server;
+let port;
+/** @type {Array<{path: string, host: string}>} Requests the media server received */
+let received;
+
+before(async () => {
+  // Connections go straight to the local media server
+  config.proxy = null;
+  server = http.createServer((req, res) => {
+    received.push({ path: req.url, host: req.headers.host });
+    if (req.url.startsWith('/redirect')) {
+      res.writeHead(302, { Location: new URL(req.url, 'http://localhost').searchParams.get('to') });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(PNG);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+afterEach(() => {
+  config.media = savedMedia;
+  received = [];
+  mock.restoreAll();
+});
+
+after(async () => {
+  config.proxy = savedProxy;
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Fetch one media URL with the given allowlist
+ * @param {string} url - Media URL
+ * @param {Array<string>} allowedHosts - media.allowedHosts
+ * @returns {Promise<Object>} inlineData part
+ */
+const fetchWith = (url, allowedHosts) => {
+  config.media = { ...savedMedia, allowedHosts };
+  received = [];
+  return createMediaFetcher()(url);
+};
+
+test('isBlockedAddress refuses private, loopback, link-local and CGNAT IPv4 addresses', () => {
+  for (const address of ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.16.0.1', '192.168.1.1', '100.64.0.1', '0.0.0.0']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  assert.equal(isBlockedAddress('8.8.8.8'), false);
+  assert.equal(isBlockedAddress('172.32.0.1'), false);
+});
+
+test('isBlockedAddress refuses loopback, unique local, link-local and IPv4-mapped IPv6 addresses', () => {
+  for (const address of ['::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', '::ffff:7f00:1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  assert.equal(isBlockedAddress('2001:4860:4860::8888'), false);
+});
+
+test('isBlockedAddress refuses anything that is not an IP address', () => {
+  assert.equal(isBlockedAddress('localhost'), true);
+  assert.equal(isBlockedAddress(''), true);
+});
+
+test('remote media is refused while media.allowedHosts is empty', async () => {
+  await assert.rejects(fetchWith(`http://localhost:${port}/image.png`, []), /disabled/);
+  assert.equal(received.length, 0);
+});
+
+test('hosts outside media.allowedHosts are refused', async () => {
+  await assert.rejects(fetchWith(`http://localhost:${port}/image.png`, ['*.example.com']), /not allowed/);
+  assert.equal(received.length, 0);
+});
+
+test('hosts resolving to a non-public address are refused, even under a wildcard', async () => {
+  await assert.rejects(fetchWith(`http://localhost:${port}/image.png`, ['*']), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.match(error.message, /non-public address/);
+    return true;
+  });
+  await assert.rejects(fetchWith(`http://127.0.0.1:${port}/image.png`, ['*']), /non-public address/);
+  assert.equal(received.length, 0);
+});
+
+test('a host is refused when any of its addresses is not public', async () => {
+  mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+  await assert.rejects(fetchWith('http://cdn.example.com/image.png', ['*.example.com']), /non-public address/);
+});
+
+test('a host named exactly in media.allowedHosts may be private', async () => {
+  const { inlineData } = await fetchWith(`http://localhost:${port}/image.png`, ['localhost']);
+
+  assert.equal(inlineData.mimeType, 'image/png');
+  assert.deepEqual(Buffer.from(inlineData.data, 'base64'), PNG);
+  assert.equal(received.length, 1);
+});
+
+test('a redirect to a blocked host is refused before it is followed', async () => {
+  const target = `http://127.0.0.1:${port}/secret.png`;
+  const url = `http://localhost:${port}/redirect?to=${encodeURIComponent(target)}`;
+
+  await assert.rejects(fetchWith(url, ['localhost', '*']), /127\.0\.0\.1 resolves to a non-public address/);
+  assert.deepEqual(received.map(request => request.path), [`/redirect?to=${encodeURIComponent(target)}`]);
+});
+
+test('a redirect to another scheme is refused', async () => {
+  const url = `http://localhost:${port}/redirect?to=${encodeURIComponent('file:///etc/passwd')}`;
+
+  await assert.rejects(fetchWith(url, ['localhost']), /redirect to file:/);
+});
+
+test('the connection goes to the checked address, the host is not resolved again', async () => {
+  // media.test does not exist: the request only reaches the server through the checked address
+  const lookup = mock.method(dns.promises, 'lookup', async () => [{ address: '127.0.0.1', family: 4 }]);
+
+  const { inlineData } = await fetchWith(`http://media.test:${port}/image.png`, ['media.test']);
+
+  assert.equal(inlineData.mimeType, 'image/png');
+  assert.equal(lookup.mock.callCount(), 1);
+  assert.equal(lookup.mock.calls[0].arguments[0], 'media.test');
+  assert.deepEqual(received, [{ path: '/image.png', host: `media.test:${port}` }]);
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/config.js';
+import {
+  matchesModelPattern,
+  resolveModel,
+  isThinkingModel,
+  getFallbackChain,
+  applyModelPreset,
+  normalizeModelRouting
+} from '../src/utils/modelRouting.js';
+
+// Tests for model aliases, virtual models and fallback chains
+
+// Routing used by the tests, the configured one is restored afterwards
+const ROUTING = {
+  aliases: [{ match: 'gpt-4*', target: 'gemini-2.5-pro' }],
+  thinking: ['*-thinking', '/^gemini-2\\.5-pro$/'],
+  virtual: [{ id: 'writer', target: 'gpt-4o', temperature: 0.9, thinkingBudget: 0 }],
+  fallbacks: [
+    { match: 'gemini-2.5-pro', chain: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.5-flash'] },
+    { match: 'claude-*', chain: ['gemini-2.5-pro'] }
+  ]
+};
+
+const savedModels = config.models;
+before(() => {
+  config.models = ROUTING;
+});
+after(() => {
+  config.models = savedModels;
+});
+
+test('patterns match exact names, wildcards and regexes', () => {
+  assert.equal(matchesModelPattern('gemini-2.5-pro', 'gemini-2.5-pro'), true);
+  assert.equal(matchesModelPattern('gemini-2.5-pro', 'gemini-2.5'), false);
+  assert.equal(matchesModelPattern('gemini-2.5-flash', 'gemini-*'), true);
+  assert.equal(matchesModelPattern('gemini2x5', 'gemini-2.5*'), false);
+  assert.equal(matchesModelPattern('claude-opus-4', '/^claude-(opus|sonnet)/'), true);
+  assert.equal(matchesModelPattern('anything', '/([/'), false);
+});
+
+test('aliases and virtual models resolve to the upstream model', () => {
+  assert.deepEqual(resolveModel('gpt-4o'), { model: 'gemini-2.5-pro', virtual: null });
+  assert.equal(resolveModel('writer').model, 'gemini-2.5-pro');
+  assert.equal(resolveModel('writer').virtual.id, 'writer');
+  assert.equal(resolveModel('gemini-2.5-flash').model, 'gemini-2.5-flash');
+});
+
+test('thinking follows the patterns unless a virtual model sets a budget', () => {
+  assert.equal(isThinkingModel('claude-sonnet-4-5-thinking'), true);
+  assert.equal(isThinkingModel('gpt-4o'), true);
+  assert.equal(isThinkingModel('writer'), false);
+  assert.equal(isThinkingModel('gemini-2.5-flash'), false);
+});
+
+test('fallback chains match the requested or upstream model, without duplicates or the model itself', () => {
+  assert.deepEqual(getFallbackChain('gemini-2.5-pro'), ['gemini-2.5-flash']);
+  assert.deepEqual(getFallbackChain('gpt-4o'), ['gemini-2.5-flash', 'gemini-2.5-pro']);
+  assert.deepEqual(getFallbackChain('claude-opus-4-5'), ['gemini-2.5-pro']);
+  assert.deepEqual(getFallbackChain('gemini-2.5-flash'), []);
+});
+
+test('virtual model presets only fill parameters the request left out', () => {
+  assert.deepEqual(applyModelPreset('writer', { temperature: 0.2 }), { temperature: 0.2, thinking_budget: 0 });
+  assert.deepEqual(applyModelPreset('writer', { reasoning_effort: 'high' }), { reasoning_effort: 'high', temperature: 0.9 });
+  const parameters = { top_p: 1 };
+  assert.equal(applyModelPreset('gpt-4o', parameters), parameters);
+});
+
+test('routing settings are trimmed and chains split', () => {
+  const routing = normalizeModelRouting({
+    aliases: [{ match: ' gpt-* ', target: ' gemini-2.5-pro ' }],
+    thinking: '*-thinking, /pro$/',
+    virtual: [{ id: 'fast', target: 'gemini-2.5-flash', temperature: '0.3', topK: '' }],
+    fallbacks: [{ match: 'gemini-*', chain: 'gemini-2.5-flash, claude-sonnet-4-5' }]
+  });
+  assert.deepEqual(routing, {
+    aliases: [{ match: 'gpt-*', target: 'gemini-2.5-pro' }],
+    thinking: ['*-thinking', '/pro$/'],
+    virtual: [{ id: 'fast', target: 'gemini-2.5-flash', temperature: 0.3 }],
+    fallbacks: [{ match: 'gemini-*', chain: ['gemini-2.5-flash', 'claude-sonnet-4-5'] }]
+  });
+});
+
+test('patterns are refused where a model name is required', () => {
+  assert.throws(() => normalizeModelRouting({ aliases: [{ match: 'gpt-*', target: 'gemini-*' }] }), /aliases\[0\]\.target/);
+  assert.throws(() => normalizeModelRouting({ virtual: [{ id: 'v', target: '/gemini/' }] }), /virtual\[0\]\.target/);
+  assert.throws(() => normalizeModelRouting({ fallbacks: [{ match: 'a', chain: ['b*'] }] }), /fallbacks\[0\]\.chain\[0\]/);
+});
+
+test('invalid routing entries are refused', () => {
+  assert.throws(() => normalizeModelRouting({ thinking: ['/([/'] }), /not a valid regex/);
+  assert.throws(() => normalizeModelRouting({ virtual: [{ id: 'v', target: 'a' }, { id: 'v', target: 'b' }] }), /Duplicate/);
+  assert.throws(() => normalizeModelRouting({ virtual: [{ id: 'v', target: 'a', temperature: -1 }] }), /non-negative/);
+  assert.throws(() => normalizeModelRouting({ virtual: [{ id: 'v', target: 'a', imageSize: '8K' }] }), /imageSize/);
+  assert.throws(() => normalizeModelRouting({ fallbacks: [{ match: 'a', chain: '' }] }), /at least one model/);
+});
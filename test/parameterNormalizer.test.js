@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/config.js';
+import { ValidationError } from '../src/utils/errors.js';
+import {
+  normalizeOpenAIParameters,
+  normalizeClaudeParameters,
+  normalizeGeminiParameters,
+  resolveCandidatePlan,
+  toGenerationConfig
+} from '../src/utils/parameterNormalizer.js';
+
+// Tests for request parameter normalization
+
+test('OpenAI stop, seed, penalties and n are read', () => {
+  const normalized = normalizeOpenAIParameters({ stop: 'END', seed: 7, presence_penalty: 0.5, frequency_penalty: -1, n: 2 });
+  assert.deepEqual(normalized.stop, ['END']);
+  assert.equal(normalized.seed, 7);
+  assert.equal(normalized.presence_penalty, 0.5);
+  assert.equal(normalized.frequency_penalty, -1);
+  assert.equal(normalized.n, 2);
+});
+
+test('max_completion_tokens wins over max_tokens', () => {
+  assert.equal(normalizeOpenAIParameters({ max_tokens: 100, max_completion_tokens: 200 }).max_tokens, 200);
+});
+
+test('invalid sampling values are rejected with ValidationError', () => {
+  assert.throws(() => normalizeOpenAIParameters({ seed: 1.5 }), ValidationError);
+  assert.throws(() => normalizeOpenAIParameters({ presence_penalty: 3 }), ValidationError);
+  assert.throws(() => normalizeOpenAIParameters({ stop: [1] }), ValidationError);
+  assert.throws(() => normalizeOpenAIParameters({ stop: ['a', 'b', 'c', 'd', 'e', 'f'] }), ValidationError);
+  assert.throws(() => normalizeOpenAIParameters({ response_format: { type: 'xml' } }), ValidationError);
+});
+
+test('Claude thinking and stop_sequences are mapped', () => {
+  const normalized = normalizeClaudeParameters({ thinking: { type: 'enabled', budget_tokens: 4096 }, stop_sequences: ['\n\nHuman:'] });
+  assert.equal(normalized.thinking_budget, 4096);
+  assert.deepEqual(normalized.stop, ['\n\nHuman:']);
+  assert.equal(normalizeClaudeParameters({ thinking: { type: 'disabled' } }).thinking_budget, 0);
+});
+
+test('Gemini generationConfig fields are mapped', () => {
+  const normalized = normalizeGeminiParameters({
+    maxOutputTokens: 512,
+    stopSequences: ['x'],
+    candidateCount: 3,
+    thinkingConfig: { includeThoughts: false },
+    responseMimeType: 'application/json'
+  });
+  assert.equal(normalized.max_tokens, 512);
+  assert.deepEqual(normalized.stop, ['x']);
+  assert.equal(normalized.n, 3);
+  assert.equal(normalized.thinking_budget, 0);
+  assert.deepEqual(normalized.structured_output, { mimeType: 'application/json', schema: null });
+});
+
+test('candidate plan uses upstream candidates when the model supports n', () => {
+  assert.deepEqual(resolveCandidatePlan(undefined, 'n', 'gemini-2.5-flash'), { count: 1, fanOut: false });
+  assert.deepEqual(resolveCandidatePlan(3, 'n', 'gemini-2.5-flash'), { count: 3, fanOut: false });
+  assert.deepEqual(resolveCandidatePlan(3, 'n', 'claude-sonnet-4-5'), { count: 3, fanOut: true });
+  assert.throws(() => resolveCandidatePlan(0, 'n', 'gemini-2.5-flash'), ValidationError);
+});
+
+test('generationConfig keeps supported parameters and drops the others', () => {
+  const previous = config.unsupportedParameters;
+  config.unsupportedParameters = 'ignore';
+  try {
+    const normalized = normalizeOpenAIParameters({ stop: ['END'], seed: 7, presence_penalty: 0.5 });
+    const gemini = toGenerationConfig(normalized, false, 'gemini-2.5-flash');
+    assert.deepEqual(gemini.stopSequences, ['END']);
+    assert.equal(gemini.seed, 7);
+    assert.equal(gemini.presencePenalty, 0.5);
+
+    const claude = toGenerationConfig(normalized, false, 'claude-sonnet-4-5');
+    assert.deepEqual(claude.stopSequences, ['END']);
+    assert.equal(claude.seed, undefined);
+    assert.equal(claude.presencePenalty, undefined);
+
+    config.unsupportedParameters = 'reject';
+    assert.throws(() => toGenerationConfig(normalized, false, 'claude-sonnet-4-5'), ValidationError);
+  } finally {
+    config.unsupportedParameters = previous;
+  }
+});
+
+test('thinking budget 0 disables thinking, Claude thinking drops topP', () => {
+  const off = toGenerationConfig(normalizeOpenAIParameters({ thinking_budget: 0 }), true, 'gemini-2.5-pro');
+  assert.deepEqual(off.thinkingConfig, { includeThoughts: false, thinkingBudget: 0 });
+  const claude = toGenerationConfig(normalizeOpenAIParameters({ thinking_budget: 2048 }), true, 'claude-opus-4-5-thinking');
+  assert.deepEqual(claude.thinkingConfig, { includeThoughts: true, thinkingBudget: 2048 });
+  assert.equal(claude.topP, undefined);
+});
+
+test('json_schema response_format becomes a converted responseSchema', () => {
+  const normalized = normalizeOpenAIParameters({
+    response_format: { type: 'json_schema', json_schema: { schema: { type: 'object', properties: { a: { const: 1 } } } } }
+  });
+  const generationConfig = toGenerationConfig(normalized, false, 'gemini-2.5-flash');
+  assert.equal(generationConfig.responseMimeType, 'application/json');
+  assert.deepEqual(generationConfig.responseSchema, { type: 'object', properties: { a: { enum: [1], type: 'integer' } } });
+});
@@ -0,0 +1,119 @@
+import { test, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPendingStream, withAccountFailover } from '../src/server/stream.js';
+import { EmptyResponseError } from '../src/utils/errors.js';
+import { createToken, useAccounts, stopBackgroundTimers } from './helpers/accounts.js';
+import { FakeResponse } from './helpers/response.js';
+
+// Tests for the streaming response held back until the answer starts
+
+beforeEach(() => {
+  useAccounts([createToken('first'), createToken('second')]);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+after(() => {
+  stopBackgroundTimers();
+});
+
+/**
+ * Stream the scripted chunks of an account the way the handlers do: thoughts deferred, text committed
+ * @param {Object} pending - Pending stream
+ * @param {FakeResponse} res - Response
+ * @param {Array<{thought?: string, text?: string}>} chunks - Upstream chunks
+ */
+const streamChunks = (pending, res, chunks) => {
+  pending.discard();
+  for (const chunk of chunks) {
+    if (chunk.thought) {
+      pending.defer(() => res.write(`thought:${chunk.thought}`));
+    } else {
+      pending.commit();
+      res.write(`text:${chunk.text}`);
+    }
+  }
+  if (!chunks.some(chunk => chunk.text)) throw new EmptyResponseError();
+};
+
+test('a thought-only stream is retried on another account without reaching the client', async () => {
+  const res = new FakeResponse();
+  const pending = createPendingStream(res);
+  const script = {
+    first: [{ thought: 'lost' }],
+    second: [{ thought: 'kept' }, { text: 'answer' }]
+  };
+  const used = [];
+
+  try {
+    const { token, attempts } = await withAccountFailover({
+      token: createToken('first'),
+      model: 'test-model',
+      fallback: false,
+      maxRetries: 0,
+      canRetry: () => !pending.isCommitted(),
+      execute: async (currentToken) => {
+        used.push(currentToken.refresh_token);
+        streamChunks(pending, res, script[currentToken.refresh_token]);
+      }
+    });
+    pending.commit();
+
+    assert.deepEqual(used, ['first', 'second']);
+    assert.equal(token.refresh_token, 'second');
+    assert.deepEqual(attempts.map(attempt => attempt.statusCode), [502, 200]);
+    assert.deepEqual(res.chunks, ['thought:kept', 'text:answer']);
+  } finally {
+    pending.stop();
+  }
+});
+
+test('accepted thought-only output is flushed on commit', () => {
+  const res = new FakeResponse();
+  const pending = createPendingStream(res);
+  try {
+    pending.defer(() => res.write('thought'));
+    assert.equal(res.chunks.length, 0);
+    assert.equal(pending.isCommitted(), false);
+
+    pending.commit();
+    assert.deepEqual(res.chunks, ['thought']);
+    assert.equal(pending.isCommitted(), true);
+
+    pending.defer(() => res.write('after'));
+    assert.deepEqual(res.chunks, ['thought', 'after']);
+  } finally {
+    pending.stop();
+  }
+});
+
+test('commit writes the start of the response before the deferred chunks, once', () => {
+  const res = new FakeResponse();
+  const pending = createPendingStream(res);
+  try {
+    pending.defer(() => res.write('thought'));
+    pending.commit(() => res.write('start'));
+    pending.commit(() => res.write('start'));
+    assert.deepEqual(res.chunks, ['start', 'thought']);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+  } finally {
+    pending.stop();
+  }
+});
+
+test('discard drops only the chunks of one candidate', () => {
+  const res = new FakeResponse();
+  const pending = createPendingStream(res);
+  try {
+    pending.defer(() => res.write('a0'), 0);
+    pending.defer(() => res.write('b1'), 1);
+    pending.defer(() => res.write('a1'), 0);
+    pending.discard(0);
+    pending.commit();
+    assert.deepEqual(res.chunks, ['b1']);
+  } finally {
+    pending.stop();
+  }
+});
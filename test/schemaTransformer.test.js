@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transformSchema } from '../src/utils/schemaTransformer.js';
+
+// Tests for the JSON Schema -> upstream schema transformer
+
+test('$ref and $defs are inlined, sibling description wins', () => {
+  const result = transformSchema({
+    type: 'object',
+    $defs: { City: { type: 'string', description: 'City name' } },
+    properties: { city: { $ref: '#/$defs/City', description: 'Target city' } }
+  });
+  assert.deepEqual(result, {
+    type: 'object',
+    properties: { city: { type: 'string', description: 'Target city' } }
+  });
+});
+
+test('recursive $ref is expanded once, then becomes a plain object', () => {
+  const result = transformSchema({
+    type: 'object',
+    properties: { child: { $ref: '#' } }
+  });
+  assert.deepEqual(result.properties.child, { type: 'object', properties: { child: { type: 'object' } } });
+});
+
+test('anyOf [X, null] and type [X, "null"] become nullable X', () => {
+  const result = transformSchema({
+    type: 'object',
+    properties: {
+      a: { anyOf: [{ type: 'string' }, { type: 'null' }] },
+      b: { type: ['integer', 'null'] }
+    }
+  });
+  assert.deepEqual(result.properties.a, { type: 'string', nullable: true });
+  assert.deepEqual(result.properties.b, { type: 'integer', nullable: true });
+});
+
+test('const becomes a single-value enum with an inferred type', () => {
+  assert.deepEqual(transformSchema({ const: 'fixed' }), { enum: ['fixed'], type: 'string' });
+});
+
+test('literal oneOf variants are merged into one enum', () => {
+  const result = transformSchema({ oneOf: [{ const: 'a' }, { const: 'b' }] });
+  assert.deepEqual(result.enum, ['a', 'b']);
+});
+
+test('object anyOf keeps only the names every variant requires', () => {
+  const result = transformSchema({
+    anyOf: [
+      { type: 'object', properties: { a: { type: 'string' }, b: { type: 'string' } }, required: ['a', 'b'] },
+      { type: 'object', properties: { a: { type: 'string' }, c: { type: 'string' } }, required: ['a', 'c'] }
+    ]
+  });
+  assert.deepEqual(Object.keys(result.properties), ['a', 'b', 'c']);
+  assert.deepEqual(result.required, ['a']);
+});
+
+test('allOf merges members and keeps required names declared by another member', () => {
+  const result = transformSchema({
+    allOf: [
+      { type: 'object', properties: { a: { type: 'string' } }, required: ['b'] },
+      { type: 'object', properties: { b: { type: 'number' } }, required: ['a'] }
+    ],
+    required: ['a', 'missing']
+  });
+  assert.deepEqual(Object.keys(result.properties), ['a', 'b']);
+  assert.deepEqual([...result.required].sort(), ['a', 'b']);
+});
+
+test('required names without a property are dropped', () => {
+  const result = transformSchema({ type: 'object', properties: { a: { type: 'string' } }, required: ['a', 'b'] });
+  assert.deepEqual(result.required, ['a']);
+});
+
+test('unsupported keys are dropped, descriptions are kept', () => {
+  const result = transformSchema({
+    type: 'object',
+    description: 'Arguments',
+    additionalProperties: false,
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    properties: { tags: { type: 'array', items: { type: 'string' }, uniqueItems: true } }
+  }, 'tool "test"');
+  assert.deepEqual(result, {
+    type: 'object',
+    description: 'Arguments',
+    properties: { tags: { type: 'array', items: { type: 'string' } } }
+  });
+});
@@ -0,0 +1,57 @@
+import { test, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import tokenManager from '../src/auth/token_manager.js';
+import { AccountHealth } from '../src/auth/account_health.js';
+import { createToken, useAccounts, stopBackgroundTimers } from './helpers/accounts.js';
+
+// Tests for account selection and the health probe
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+after(() => {
+  stopBackgroundTimers();
+});
+
+test('peekToken returns the first ready account without preparing any', async () => {
+  const refresh = mock.method(tokenManager, 'refreshToken', async () => {});
+  const fetchProjectId = mock.method(tokenManager, 'fetchProjectId', async () => 'project');
+  useAccounts([
+    createToken('expired', { timestamp: Date.now() - 7200 * 1000 }),
+    createToken('no-project', { projectId: undefined }),
+    createToken('cooling'),
+    createToken('ready')
+  ]);
+  tokenManager.health.recordFailure('cooling', 'HTTP 403', true);
+
+  const token = await tokenManager.peekToken();
+  assert.equal(token.refresh_token, 'ready');
+  assert.equal(refresh.mock.callCount(), 0);
+  assert.equal(fetchProjectId.mock.callCount(), 0);
+  assert.equal(tokenManager.rotation.currentIndex, 0);
+  assert.equal(tokenManager.health.get('expired').failures, 0);
+  assert.equal(tokenManager.health.get('no-project').failures, 0);
+});
+
+test('peekToken returns null when no account is ready', async () => {
+  useAccounts([createToken('expired', { timestamp: Date.now() - 7200 * 1000 })]);
+  assert.equal(await tokenManager.peekToken(), null);
+});
+
+test('the probe puts accounts back on trial after a failed request, back into rotation after a token failure', async () => {
+  mock.method(tokenManager, 'fetchProjectId', async (token) => token.projectId);
+  useAccounts([createToken('request'), createToken('refresh')]);
+  tokenManager.reportAccountFailure(tokenManager.tokens[0], '403: permission denied', true, true);
+  tokenManager.reportAccountFailure(tokenManager.tokens[1], 'Refresh failed: timeout', true);
+  for (const entry of tokenManager.health.entries.values()) entry.cooldownUntil = Date.now() - 1;
+
+  assert.equal(await tokenManager.probeAccounts(), 2);
+  assert.equal(tokenManager.health.get('request').state, AccountHealth.TRIAL);
+  assert.equal(tokenManager.health.get('request').reason, '403: permission denied');
+  assert.equal(tokenManager.health.get('refresh').state, AccountHealth.HEALTHY);
+
+  // The trial request fails again: straight back to cooling down
+  tokenManager.reportAccountFailure(tokenManager.tokens[0], 'Upstream 503', false, true);
+  assert.equal(tokenManager.health.get('request').state, AccountHealth.COOLING_DOWN);
+});